@@ -62,6 +62,12 @@ export const CONFIG = balancingData.CONFIG;
  */
 export const CHALLENGE_TYPES = balancingData.CHALLENGE_TYPES;
 
+/**
+ * Adaptive difficulty settings (level count, range scaling, promotion/demotion thresholds)
+ * Applied in: logic/adaptiveDifficulty.js
+ */
+export const ADAPTIVE_DIFFICULTY = balancingData.ADAPTIVE_DIFFICULTY;
+
 /**
  * Kopfnuss Challenge difficulty settings (high-difficulty variants)
  * Applied in: logic/taskGenerators.js for Kopfnuss-specific task generation
@@ -173,11 +173,64 @@ export const DEV_SETTINGS_CONFIG = {
   // Duration in ms for dev feedback toast display
   // Applied in: main.js - showDevFeedback()
   // CSS match: style.css - .dev-feedback animation (0.3s + 1.7s = 2.0s total)
-  FEEDBACK_DURATION: 2000,
-  
-  // Milliseconds in a day (used for date manipulation)
-  // Applied in: main.js - dev advance day function
-  MS_PER_DAY: 24 * 60 * 60 * 1000
+  FEEDBACK_DURATION: 2000
+};
+
+/**
+ * Learner profile configuration
+ * Applied in: logic/profileManager.js, ui/profileUI.js
+ */
+export const PROFILE_CONFIG = {
+  // Selectable profile avatars (first one is the default)
+  AVATARS: ['🦊', '🐼', '🐯', '🐸', '🦁', '🐧', '🐨', '🦄', '🐙', '🐢', '🐰', '🦉'],
+
+  // Maximum number of profiles on one device
+  MAX_PROFILES: 6,
+
+  // Maximum length of a profile name
+  MAX_NAME_LENGTH: 20,
+
+  // Name of the profile that receives the save data from before profiles existed
+  MIGRATED_PROFILE_NAME: 'Profil 1'
+};
+
+/**
+ * Parent area configuration
+ * Applied in: logic/parentManager.js, logic/statsManager.js, ui/parentUI.js
+ */
+export const PARENT_CONFIG = {
+  // Allowed PIN length (digits only)
+  PIN_MIN_LENGTH: 4,
+  PIN_MAX_LENGTH: 6,
+
+  // Wrong PIN entries before the PIN input is locked, and lock duration
+  MAX_PIN_ATTEMPTS: 5,
+  PIN_LOCK_MS: 60000,
+
+  // Selectable draw weights of the daily challenge types (1 = normal)
+  WEIGHT_OPTIONS: [
+    { value: 0.5, label: 'Selten' },
+    { value: 1, label: 'Normal' },
+    { value: 2, label: 'Oft' }
+  ],
+
+  // Number of weeks shown in the practice time and accuracy charts
+  DASHBOARD_WEEKS: 8,
+
+  // Answer times above this count as a break, not as practice time
+  MAX_PRACTICE_MS_PER_TASK: 120000,
+
+  // Minimum answers before an operation can be listed as weak, and how many are listed
+  WEAK_OPERATION_MIN_ATTEMPTS: 10,
+  WEAK_OPERATION_COUNT: 3,
+
+  // Number of past days searched for streak runs, and how many runs are listed
+  STREAK_HISTORY_DAYS: 120,
+  STREAK_HISTORY_COUNT: 5,
+
+  // Longest range of rest days that can be added at once (summer holidays), and how long past rest days are kept
+  REST_DATE_RANGE_MAX_DAYS: 60,
+  REST_DATES_RETENTION_DAYS: 120
 };
 
 /**
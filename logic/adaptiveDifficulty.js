@@ -0,0 +1,327 @@
+// Kopfnuss - Adaptive Difficulty
+// Sits between balancingLoader.js and taskGenerators.js:
+// tracks accuracy and speed per operation and scales the BALANCING operand ranges accordingly
+
+import { BALANCING, ADAPTIVE_DIFFICULTY } from '../data/balancingLoader.js';
+import { saveAdaptiveDifficulty, loadAdaptiveDifficulty } from './storageManager.js';
+
+/**
+ * @typedef {Object} TaskPerformance
+ * @property {string} operation - Task operation (task.metadata.operation)
+ * @property {number} errors - Wrong attempts before the task was solved
+ * @property {number} seconds - Time from showing the task until it was solved
+ */
+
+/**
+ * @typedef {Object} OperationDifficulty
+ * @property {number} level - Current level (1 = easiest)
+ * @property {number|null} accuracy - Smoothed share of tasks solved on the first try (0-1)
+ * @property {number|null} avgSeconds - Smoothed average seconds per task
+ * @property {number} samples - Tasks recorded since the last level change
+ */
+
+/**
+ * Levels used instead of the stored ones while content is generated from a snapshot
+ * (see withAdaptiveLevels()); null = stored levels
+ */
+let levelsOverride = null;
+
+/**
+ * Task operations that share a BALANCING section with other operations
+ */
+const OPERATION_SECTIONS = {
+  decimalAddition: 'decimals',
+  decimalSubtraction: 'decimals',
+  decimalMultiplication: 'decimals'
+};
+
+/**
+ * Get the BALANCING section that controls a task operation
+ * @param {string} operation - Task operation (e.g. 'addition', 'decimalAddition')
+ * @returns {string} BALANCING section key
+ */
+export function getBalancingSection(operation) {
+  return OPERATION_SECTIONS[operation] || operation;
+}
+
+/**
+ * Check whether adaptive difficulty is enabled in the balancing config
+ * @returns {boolean} True if enabled
+ */
+function isAdaptiveDifficultyEnabled() {
+  return Boolean(ADAPTIVE_DIFFICULTY && ADAPTIVE_DIFFICULTY.ENABLED);
+}
+
+/**
+ * Clamp a level to the configured bounds
+ * @param {number} level - Level to clamp
+ * @returns {number} Level between 1 and ADAPTIVE_DIFFICULTY.LEVELS
+ */
+function clampLevel(level) {
+  return Math.min(ADAPTIVE_DIFFICULTY.LEVELS, Math.max(1, level));
+}
+
+/**
+ * Create the initial difficulty entry for an operation
+ * @returns {OperationDifficulty} Entry at the start level
+ */
+function createDefaultEntry() {
+  return {
+    level: ADAPTIVE_DIFFICULTY.START_LEVEL,
+    accuracy: null,
+    avgSeconds: null,
+    samples: 0
+  };
+}
+
+/**
+ * Get the range scale for a level
+ * The start level uses the unchanged BALANCING ranges (scale 1); lower levels shrink
+ * towards MIN_RANGE_SCALE, higher levels grow towards MAX_RANGE_SCALE
+ * @param {number} level - Difficulty level
+ * @returns {number} Factor applied to the span of each operand range
+ */
+export function getRangeScale(level) {
+  const { LEVELS, START_LEVEL, MIN_RANGE_SCALE, MAX_RANGE_SCALE } = ADAPTIVE_DIFFICULTY;
+
+  if (level < START_LEVEL) {
+    return 1 - ((START_LEVEL - level) / (START_LEVEL - 1)) * (1 - MIN_RANGE_SCALE);
+  }
+  if (level > START_LEVEL) {
+    return 1 + ((level - START_LEVEL) / (LEVELS - START_LEVEL)) * (MAX_RANGE_SCALE - 1);
+  }
+  return 1;
+}
+
+/**
+ * Check whether a value is a {min, max} range
+ * @param {*} value - Value to check
+ * @returns {boolean} True if value has numeric min and max
+ */
+function isRange(value) {
+  return value !== null && typeof value === 'object' &&
+    typeof value.min === 'number' && typeof value.max === 'number';
+}
+
+/**
+ * Scale a single range: min stays fixed, the span up to max is scaled
+ * Integer ranges stay integer; decimal ranges are rounded to two places
+ * @param {Object} range - Range with min and max
+ * @param {number} scale - Span factor
+ * @param {Object|undefined} limit - Optional hard cap ({max})
+ * @returns {Object} Scaled copy of the range
+ */
+function scaleRange(range, scale, limit) {
+  const isInteger = Number.isInteger(range.min) && Number.isInteger(range.max);
+  let max = range.min + (range.max - range.min) * scale;
+  max = isInteger ? Math.round(max) : Math.round(max * 100) / 100;
+
+  if (limit && typeof limit.max === 'number') {
+    max = Math.min(max, limit.max);
+  }
+
+  return { ...range, max: Math.max(range.min, max) };
+}
+
+/**
+ * Scale every range within a BALANCING section (recurses into nested ranges like factor1/factor2)
+ * @param {Object} section - BALANCING section
+ * @param {number} scale - Span factor
+ * @param {Object|undefined} limit - Optional hard cap applied to every range in the section
+ * @returns {Object} Scaled copy of the section
+ */
+function scaleSection(section, scale, limit) {
+  if (isRange(section)) {
+    return scaleRange(section, scale, limit);
+  }
+
+  const scaled = {};
+  Object.entries(section).forEach(([key, value]) => {
+    scaled[key] = value !== null && typeof value === 'object' && !Array.isArray(value)
+      ? scaleSection(value, scale, limit)
+      : value;
+  });
+  return scaled;
+}
+
+/**
+ * Get the current effective level for a BALANCING section
+ * @param {string} operation - Task operation or BALANCING section key
+ * @returns {number} Effective level (start level if adaptive difficulty is disabled)
+ */
+export function getEffectiveLevel(operation) {
+  if (!isAdaptiveDifficultyEnabled()) {
+    return ADAPTIVE_DIFFICULTY ? ADAPTIVE_DIFFICULTY.START_LEVEL : 1;
+  }
+
+  const sectionKey = getBalancingSection(operation);
+  if (levelsOverride && typeof levelsOverride[sectionKey] === 'number') {
+    return clampLevel(levelsOverride[sectionKey]);
+  }
+
+  const entry = loadAdaptiveDifficulty()[sectionKey];
+  return entry ? clampLevel(entry.level) : ADAPTIVE_DIFFICULTY.START_LEVEL;
+}
+
+/**
+ * Get the effective level of every BALANCING section (snapshot for reproducible generation)
+ * @returns {Object<string, number>} Map of section -> effective level
+ */
+export function getAdaptiveLevels() {
+  const levels = {};
+  Object.keys(BALANCING).forEach(sectionKey => {
+    levels[sectionKey] = getEffectiveLevel(sectionKey);
+  });
+  return levels;
+}
+
+/**
+ * Run a function with fixed levels instead of the stored ones, restoring them afterwards
+ * Sections missing in the snapshot use their stored level
+ * @param {Object<string, number>|null} levels - Levels from getAdaptiveLevels() (null = stored levels)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function withAdaptiveLevels(levels, fn) {
+  const previousOverride = levelsOverride;
+  levelsOverride = levels;
+  try {
+    return fn();
+  } finally {
+    levelsOverride = previousOverride;
+  }
+}
+
+/**
+ * Get the effective BALANCING section for an operation (ranges scaled to the current level)
+ * This is what task generators should read instead of BALANCING directly
+ * @param {string} operation - Task operation or BALANCING section key
+ * @returns {Object} Effective balancing section
+ */
+export function getEffectiveBalancing(operation) {
+  const sectionKey = getBalancingSection(operation);
+  const section = BALANCING[sectionKey];
+
+  if (!section || !isAdaptiveDifficultyEnabled()) {
+    return section;
+  }
+
+  const scale = getRangeScale(getEffectiveLevel(sectionKey));
+  const limits = ADAPTIVE_DIFFICULTY.LIMITS || {};
+  return scaleSection(section, scale, limits[sectionKey]);
+}
+
+/**
+ * Get effective level and performance for every BALANCING section (for UI display)
+ * @returns {Object} Map of section -> {level, maxLevel, scale, accuracy, avgSeconds, samples}
+ */
+export function getEffectiveLevels() {
+  const state = isAdaptiveDifficultyEnabled() ? loadAdaptiveDifficulty() : {};
+  const levels = {};
+
+  Object.keys(BALANCING).forEach(sectionKey => {
+    const entry = state[sectionKey] || createDefaultEntry();
+    const level = getEffectiveLevel(sectionKey);
+    levels[sectionKey] = {
+      level: level,
+      maxLevel: ADAPTIVE_DIFFICULTY ? ADAPTIVE_DIFFICULTY.LEVELS : 1,
+      scale: isAdaptiveDifficultyEnabled() ? getRangeScale(level) : 1,
+      accuracy: entry.accuracy,
+      avgSeconds: entry.avgSeconds,
+      samples: entry.samples
+    };
+  });
+
+  return levels;
+}
+
+/**
+ * Blend a new measurement into a smoothed value
+ * @param {number|null} previous - Previous smoothed value (null if none yet)
+ * @param {number} value - New measurement
+ * @returns {number} Smoothed value
+ */
+function smooth(previous, value) {
+  if (previous === null || previous === undefined) {
+    return value;
+  }
+  const alpha = ADAPTIVE_DIFFICULTY.SMOOTHING;
+  return previous * (1 - alpha) + value * alpha;
+}
+
+/**
+ * Record the task results of a completed challenge and adjust levels
+ * A level changes at most one step at a time and only after MIN_TASKS_FOR_CHANGE tasks
+ * have been recorded at the current level
+ * @param {TaskPerformance[]} taskResults - Results of the solved tasks
+ * @returns {Array} Level changes ({operation, previousLevel, level}); empty if nothing changed
+ */
+export function recordChallengePerformance(taskResults) {
+  if (!isAdaptiveDifficultyEnabled() || !Array.isArray(taskResults) || taskResults.length === 0) {
+    return [];
+  }
+
+  const {
+    MIN_TASKS_FOR_CHANGE,
+    PROMOTE_ACCURACY,
+    DEMOTE_ACCURACY,
+    FAST_SECONDS_PER_TASK,
+    SLOW_SECONDS_PER_TASK,
+    MAX_SECONDS_PER_TASK
+  } = ADAPTIVE_DIFFICULTY;
+
+  // Group results by BALANCING section
+  const grouped = {};
+  taskResults.forEach(result => {
+    if (!result || !result.operation) return;
+    const sectionKey = getBalancingSection(result.operation);
+    if (!BALANCING[sectionKey]) return;
+    (grouped[sectionKey] = grouped[sectionKey] || []).push(result);
+  });
+
+  const state = loadAdaptiveDifficulty();
+  const changes = [];
+
+  Object.entries(grouped).forEach(([sectionKey, results]) => {
+    const entry = { ...createDefaultEntry(), ...state[sectionKey] };
+
+    // Cap per-task time so a paused app does not count as slow answering
+    const firstTryCorrect = results.filter(result => result.errors === 0).length;
+    const totalSeconds = results.reduce(
+      (sum, result) => sum + Math.min(result.seconds || 0, MAX_SECONDS_PER_TASK), 0);
+
+    entry.accuracy = smooth(entry.accuracy, firstTryCorrect / results.length);
+    entry.avgSeconds = smooth(entry.avgSeconds, totalSeconds / results.length);
+    entry.samples += results.length;
+
+    if (entry.samples >= MIN_TASKS_FOR_CHANGE) {
+      const previousLevel = clampLevel(entry.level);
+      let level = previousLevel;
+
+      if (entry.accuracy >= PROMOTE_ACCURACY && entry.avgSeconds <= FAST_SECONDS_PER_TASK) {
+        level = clampLevel(previousLevel + 1);
+      } else if (entry.accuracy < DEMOTE_ACCURACY || entry.avgSeconds > SLOW_SECONDS_PER_TASK) {
+        level = clampLevel(previousLevel - 1);
+      }
+
+      if (level !== previousLevel) {
+        entry.level = level;
+        entry.samples = 0;
+        changes.push({ operation: sectionKey, previousLevel, level });
+      }
+    }
+
+    state[sectionKey] = entry;
+  });
+
+  saveAdaptiveDifficulty(state);
+  return changes;
+}
+
+/**
+ * Reset all levels and performance history to the start level
+ * @returns {boolean} Success status
+ */
+export function resetAdaptiveDifficulty() {
+  return saveAdaptiveDifficulty({});
+}
@@ -0,0 +1,181 @@
+// Kopfnuss - Challenge Archive
+// Condenses the full challenge objects of past days into compact daily summaries
+
+import { CONFIG } from '../data/balancingLoader.js';
+import {
+  loadChallenges,
+  loadKopfnussChallenge,
+  loadZeitChallenge,
+  loadReviewChallenge,
+  loadDailySummaries,
+  saveDailySummaries,
+  getStoredDatedKeyDates,
+  getRetentionCutoffDate,
+  compactStorage
+} from './storageManager.js';
+import { CHALLENGE_STATE, KOPFNUSS_STATE, ZEIT_CHALLENGE_STATE, REVIEW_STATE } from './challengeGenerator.js';
+import { logError, logInfo } from './logging.js';
+
+/**
+ * @typedef {Object} ChallengeSummary
+ * @property {string} kind - 'daily', 'kopfnuss', 'zeit' or 'review'
+ * @property {string} type - Challenge type (operation type for daily challenges, otherwise same as kind)
+ * @property {boolean} completed - True if the challenge was completed (counts as activity)
+ * @property {string|null} result - 'completed', 'success', 'failed', 'timeout' or null if not finished
+ * @property {number} errors - Number of wrong answers
+ * @property {number} totalTasks - Number of tasks
+ * @property {string|null} completedAt - ISO timestamp of the end of the challenge
+ * @property {boolean} isSuperChallenge - True for super challenges
+ */
+
+/**
+ * @typedef {Object} DailySummary
+ * @property {string} date - Date (YYYY-MM-DD)
+ * @property {ChallengeSummary[]} challenges - All challenges of the day
+ */
+
+/**
+ * End states of the premium challenges and the Fehler-Training
+ */
+const PREMIUM_COMPLETED_STATES = {
+  kopfnuss: KOPFNUSS_STATE.COMPLETED,
+  zeit: ZEIT_CHALLENGE_STATE.COMPLETED,
+  review: REVIEW_STATE.COMPLETED
+};
+
+/**
+ * Summarize a daily challenge
+ * @param {Object} challenge - Challenge object
+ * @returns {ChallengeSummary} Summary
+ */
+function summarizeDailyChallenge(challenge) {
+  const completed = challenge.state === CHALLENGE_STATE.COMPLETED ||
+    challenge.state === CHALLENGE_STATE.SUPER_COMPLETED;
+  const isSuperChallenge = challenge.isSuperChallenge || false;
+
+  let result = null;
+  if (completed) {
+    result = isSuperChallenge ? challenge.superChallengeResult : 'completed';
+  } else if (challenge.state === CHALLENGE_STATE.FAILED || challenge.state === CHALLENGE_STATE.SUPER_FAILED) {
+    result = 'failed';
+  }
+
+  return {
+    kind: 'daily',
+    type: challenge.type,
+    completed,
+    result,
+    errors: challenge.errors || 0,
+    totalTasks: challenge.tasks ? challenge.tasks.length : 0,
+    completedAt: challenge.completedAt || null,
+    isSuperChallenge
+  };
+}
+
+/**
+ * Summarize a Kopfnuss, Zeit or Fehler-Training challenge
+ * @param {string} kind - 'kopfnuss', 'zeit' or 'review'
+ * @param {Object} premium - Stored challenge state
+ * @returns {ChallengeSummary} Summary
+ */
+function summarizePremiumChallenge(kind, premium) {
+  return {
+    kind,
+    type: kind,
+    completed: premium.state === PREMIUM_COMPLETED_STATES[kind],
+    result: premium.completedAt ? premium.result || null : null,
+    errors: premium.errors || 0,
+    totalTasks: premium.tasks ? premium.tasks.length : 0,
+    completedAt: premium.completedAt || null,
+    isSuperChallenge: false
+  };
+}
+
+/**
+ * Build the summary of a day from its full challenge objects
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {DailySummary|null} Summary, or null if nothing is stored for the day
+ */
+export function buildDailySummary(date) {
+  const challenges = (loadChallenges(date) || []).map(summarizeDailyChallenge);
+
+  [
+    ['kopfnuss', loadKopfnussChallenge(date)],
+    ['zeit', loadZeitChallenge(date)],
+    ['review', loadReviewChallenge(date)]
+  ].forEach(([kind, premium]) => {
+    if (premium) {
+      challenges.push(summarizePremiumChallenge(kind, premium));
+    }
+  });
+
+  return challenges.length > 0 ? { date, challenges } : null;
+}
+
+/**
+ * Get the summary of a day
+ * Uses the full challenge objects while they exist, the archived summary afterwards
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {Object} [summaries] - Archived summaries (pass when reading many days)
+ * @returns {DailySummary|null} Summary, or null if nothing was played that day
+ */
+export function getDailySummary(date, summaries = loadDailySummaries()) {
+  return buildDailySummary(date) || summaries[date] || null;
+}
+
+/**
+ * Get all dates with a summary (full challenge objects or archived summary)
+ * @returns {string[]} Date strings (YYYY-MM-DD), oldest first
+ */
+export function getSummaryDates() {
+  const dates = new Set([...getStoredDatedKeyDates(), ...Object.keys(loadDailySummaries())]);
+  return [...dates].sort();
+}
+
+/**
+ * Startup housekeeping: condense the challenges of days outside the retention window
+ * into daily summaries, then delete the full objects. Summaries older than their own
+ * retention window are dropped.
+ * @returns {Object} Result ({archivedDays, removedKeys, prunedSummaries})
+ */
+export function runChallengeArchival() {
+  try {
+    const cutoffDate = getRetentionCutoffDate(CONFIG.DATED_KEY_RETENTION_DAYS);
+    const summaryCutoffDate = getRetentionCutoffDate(CONFIG.DAILY_SUMMARY_RETENTION_DAYS);
+    const summaries = loadDailySummaries();
+    let archivedDays = 0;
+    let prunedSummaries = 0;
+
+    getStoredDatedKeyDates()
+      .filter(date => date < cutoffDate)
+      .forEach(date => {
+        const summary = buildDailySummary(date);
+        if (summary) {
+          summaries[date] = summary;
+          archivedDays++;
+        }
+      });
+
+    Object.keys(summaries).forEach(date => {
+      if (date < summaryCutoffDate) {
+        delete summaries[date];
+        prunedSummaries++;
+      }
+    });
+
+    // Only delete the originals once their summaries are safely stored
+    if ((archivedDays > 0 || prunedSummaries > 0) && !saveDailySummaries(summaries)) {
+      logError('Could not save daily summaries, keeping full challenge data');
+      return { archivedDays: 0, removedKeys: 0, prunedSummaries: 0 };
+    }
+
+    const { removedKeys } = compactStorage(CONFIG.DATED_KEY_RETENTION_DAYS);
+    if (archivedDays > 0) {
+      logInfo(`Archived ${archivedDays} days of challenges before ${cutoffDate}`);
+    }
+    return { archivedDays, removedKeys, prunedSummaries };
+  } catch (error) {
+    logError('Error archiving challenges:', error);
+    return { archivedDays: 0, removedKeys: 0, prunedSummaries: 0 };
+  }
+}
@@ -3,13 +3,20 @@
 
 import { generateTask, generateKopfnussTask } from './taskGenerators.js';
 import { CONFIG, CHALLENGE_TYPES } from '../data/balancingLoader.js';
-import { saveChallenges, loadChallenges, getTodayDate, saveKopfnussChallenge, loadKopfnussChallenge, saveZeitChallenge, loadZeitChallenge, loadStreak, loadProgress } from './storageManager.js';
+import { saveChallenges, loadChallenges, saveKopfnussChallenge, loadKopfnussChallenge, saveZeitChallenge, loadZeitChallenge, saveReviewChallenge, loadReviewChallenge, loadStreak, loadProgress, saveProgress, loadSeedId, saveSeedId, loadChallengeSettings, saveGenerationInputs, loadGenerationInputs } from './storageManager.js';
+import { random, shuffleArray, withSeed, buildSeed } from './random.js';
+import { getTodayDate } from './dateService.js';
+import { getTimestamp } from './clock.js';
+import { buildReviewTasks } from './mistakeReview.js';
+import { getAdaptiveLevels, withAdaptiveLevels } from './adaptiveDifficulty.js';
+import { getMasterySnapshot, withMasterySnapshot } from './timesTableMastery.js';
+import { progressStreakByChallenge } from './streakManager.js';
 import { logError } from './logging.js';
 
 /**
  * @typedef {Object} Challenge
  * @property {string} id - Unique identifier (e.g., "challenge_0_addition")
- * @property {string} type - Operation type (addition, subtraction, multiplication, division, squared)
+ * @property {string} type - Operation type (addition, subtraction, multiplication, division, written*, squared, fractions, decimals)
  * @property {string} name - Display name of the challenge
  * @property {string} icon - Emoji icon for the challenge
  * @property {string} difficulty - Difficulty level (easy, medium, hard)
@@ -21,6 +28,7 @@ import { logError } from './logging.js';
  * @property {string|null} startedAt - ISO timestamp when started, or null
  * @property {boolean} isSuperChallenge - Whether this is a super challenge
  * @property {string|null} superChallengeResult - Result of super challenge: 'success', 'failed', or null
+ * @property {string|null} seed - Seed the daily challenge set was generated with (null if unseeded)
  */
 
 /**
@@ -62,6 +70,16 @@ export const ZEIT_CHALLENGE_STATE = {
   FAILED: 'failed'
 };
 
+/**
+ * Fehler-Training (mistake review) states
+ * There is no failed state - errors only send the missed tasks back to box 1
+ */
+export const REVIEW_STATE = {
+  AVAILABLE: 'available',
+  IN_PROGRESS: 'in_progress',
+  COMPLETED: 'completed'
+};
+
 /**
  * Generate tasks for a single challenge
  * @param {string} operationType - Type of operation
@@ -76,10 +94,156 @@ function generateTasksForChallenge(operationType, count = CONFIG.TASKS_PER_CHALL
   return tasks;
 }
 
+/**
+ * Challenge types the daily challenges are drawn from
+ */
+export const DAILY_CHALLENGE_TYPES = [
+  'addition',
+  'subtraction',
+  'additionPlaceValue',
+  'subtractionPlaceValue',
+  'multiplication',
+  'division',
+  'timesTable',
+  'writtenMultiplication',
+  'writtenDivision',
+  'squared',
+  'orderOfOperations',
+  'fractions',
+  'decimals',
+  'mixed'
+];
+
+/**
+ * @typedef {Object} DailyComposition
+ * @property {string[]} types - Enabled challenge types (in DAILY_CHALLENGE_TYPES order)
+ * @property {Object} weights - Map of enabled type -> draw weight
+ * @property {number} nodeCount - Number of daily challenges
+ * @property {string|null} focusType - Type of an active focus mode, or null
+ */
+
+/**
+ * Get the daily challenge types that are enabled for the active profile
+ * Types can be disabled in the parent area; at least one type always stays enabled
+ * @returns {string[]} Enabled challenge types (in DAILY_CHALLENGE_TYPES order)
+ */
+export function getEnabledDailyChallengeTypes() {
+  const { disabledTypes } = loadChallengeSettings();
+  const enabledTypes = DAILY_CHALLENGE_TYPES.filter(type => !disabledTypes.includes(type));
+  return enabledTypes.length > 0 ? enabledTypes : [...DAILY_CHALLENGE_TYPES];
+}
+
+/**
+ * Clamp a node count to CONFIG.MIN_DAILY_CHALLENGES..CONFIG.MAX_DAILY_CHALLENGES
+ * @param {number|null} nodeCount - Requested node count (null = CONFIG.DAILY_CHALLENGES)
+ * @returns {number} Valid node count
+ */
+export function clampDailyChallengeCount(nodeCount) {
+  const count = Number.isInteger(nodeCount) ? nodeCount : CONFIG.DAILY_CHALLENGES;
+  return Math.min(CONFIG.MAX_DAILY_CHALLENGES, Math.max(CONFIG.MIN_DAILY_CHALLENGES, count));
+}
+
+/**
+ * Get the daily challenge composition of the active profile (set in the parent area)
+ * @param {string} [date] - Date the challenges are generated for (YYYY-MM-DD)
+ * @returns {DailyComposition} Composition
+ */
+export function getDailyComposition(date = getTodayDate()) {
+  const settings = loadChallengeSettings();
+  const types = getEnabledDailyChallengeTypes();
+
+  const weights = {};
+  types.forEach(type => {
+    const weight = settings.weights[type];
+    weights[type] = typeof weight === 'number' && weight > 0 ? weight : 1;
+  });
+
+  const focus = settings.focus;
+  const focusType = focus && date <= focus.until && DAILY_CHALLENGE_TYPES.includes(focus.type)
+    ? focus.type
+    : null;
+
+  return {
+    types,
+    weights,
+    nodeCount: clampDailyChallengeCount(settings.nodeCount),
+    focusType
+  };
+}
+
+/**
+ * Draw challenge types by weight, each type at most once until all types were drawn
+ * @param {string[]} types - Types to draw from
+ * @param {Object} weights - Map of type -> draw weight
+ * @param {number} count - Number of types to draw
+ * @returns {string[]} Drawn types in draw order
+ */
+function drawWeightedTypes(types, weights, count) {
+  const drawn = [];
+  let pool = [];
+
+  while (drawn.length < count && types.length > 0) {
+    if (pool.length === 0) {
+      pool = [...types];
+    }
+    const totalWeight = pool.reduce((sum, type) => sum + weights[type], 0);
+    let pick = random() * totalWeight;
+    let index = pool.findIndex(type => (pick -= weights[type]) < 0);
+    if (index === -1) {
+      index = pool.length - 1;
+    }
+    drawn.push(pool.splice(index, 1)[0]);
+  }
+
+  return drawn;
+}
+
+/**
+ * Select the challenge types of a day
+ * In focus mode, CONFIG.FOCUS_SHARE of the nodes (at least one) get the focus type
+ * and the rest is drawn from the other enabled types
+ * @param {DailyComposition} composition - Daily composition
+ * @returns {string[]} Challenge types, one per node, in node order
+ */
+export function selectDailyChallengeTypes(composition) {
+  const { types, weights, nodeCount, focusType } = composition;
+
+  if (!focusType) {
+    return drawWeightedTypes(types, weights, nodeCount);
+  }
+
+  const otherTypes = types.filter(type => type !== focusType);
+  const focusCount = otherTypes.length === 0
+    ? nodeCount
+    : Math.min(nodeCount, Math.max(1, Math.round(nodeCount * CONFIG.FOCUS_SHARE)));
+  const selectedTypes = [
+    ...new Array(focusCount).fill(focusType),
+    ...drawWeightedTypes(otherTypes, weights, nodeCount - focusCount)
+  ];
+  shuffleArray(selectedTypes);
+  return selectedTypes;
+}
+
+/**
+ * Get the node indices a super challenge may be placed at
+ * Keeps the super challenge in the middle of the path, like index 2 or 3 of 5 nodes
+ * @param {number} nodeCount - Number of daily challenges
+ * @returns {number[]} Candidate indices
+ */
+export function getSuperChallengeIndices(nodeCount) {
+  const first = Math.max(1, Math.floor(nodeCount * 0.4));
+  const last = Math.min(nodeCount - 1, Math.max(first, Math.floor(nodeCount * 0.6)));
+  const indices = [];
+  for (let index = first; index <= last; index++) {
+    indices.push(index);
+  }
+  return indices;
+}
+
 /**
  * Create a challenge object
  * @param {string} operationType - Type of operation
- * @param {number} index - Challenge index (0-4)
+ * @param {number} index - Challenge index (0-based)
  * @param {boolean} isSuperChallenge - Whether this is a super challenge
  * @returns {Challenge} Challenge object
  */
@@ -105,51 +269,133 @@ function createChallenge(operationType, index, isSuperChallenge = false) {
     completedAt: null,
     startedAt: null,
     isSuperChallenge: isSuperChallenge,
-    superChallengeResult: null // 'success', 'failed', or null if not yet completed
+    superChallengeResult: null, // 'success', 'failed', or null if not yet completed
+    seed: null
   };
 }
 
 /**
- * Shuffle an array in place using Fisher-Yates algorithm
- * @param {Array} array - Array to shuffle
- * @returns {Array} The shuffled array (same reference)
+ * Get the seed ID for this player, creating one on first use
+ * The seed ID keeps two players from getting identical challenges on the same day
+ * @returns {string} Seed ID
  */
-function shuffleArray(array) {
-  for (let i = array.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [array[i], array[j]] = [array[j], array[i]];
+function getSeedId() {
+  let seedId = loadSeedId();
+  if (!seedId) {
+    seedId = Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+    saveSeedId(seedId);
   }
-  return array;
+  return seedId;
+}
+
+/**
+ * Get the seed for a day's generated content
+ * The same date and purpose always yield the same seed for this player,
+ * so a day's challenges can be regenerated exactly (e.g. to reproduce a bug report)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {string} purpose - What the seed is used for ('challenges' or 'premium')
+ * @returns {string} Seed string
+ */
+export function getDailySeed(date, purpose) {
+  return buildSeed(getSeedId(), date, purpose);
+}
+
+/**
+ * @typedef {Object} GenerationInputs
+ * @property {DailyComposition} composition - Composition of the daily challenges
+ * @property {Object<string, number>} adaptiveLevels - Adaptive level per BALANCING section
+ * @property {Object<string, number>} mastery - Einmaleins mastery per practiced fact ("7x8" -> 0..1)
+ */
+
+/**
+ * Capture the profile state that challenge generation depends on
+ * Composition, adaptive levels and Einmaleins mastery change while playing; together with
+ * the seed, the captured inputs regenerate a day's challenges exactly
+ * @param {string} [date] - Date the challenges are generated for (YYYY-MM-DD)
+ * @returns {GenerationInputs} Inputs
+ */
+export function captureGenerationInputs(date = getTodayDate()) {
+  return {
+    composition: getDailyComposition(date),
+    adaptiveLevels: getAdaptiveLevels(),
+    mastery: getMasterySnapshot()
+  };
 }
 
 /**
- * Generate 5 daily challenges
- * Challenges are randomly selected from all available types (max one of each type)
- * and shuffled so order varies each day
+ * Get the generation inputs stored for a day, capturing and storing them on first use
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {GenerationInputs} Inputs
+ */
+function getGenerationInputs(date) {
+  let inputs = loadGenerationInputs(date);
+  if (!inputs) {
+    inputs = captureGenerationInputs(date);
+    saveGenerationInputs(inputs, date);
+  }
+  return inputs;
+}
+
+/**
+ * Run a function with the adaptive levels and Einmaleins mastery of generation inputs
+ * @param {GenerationInputs} inputs - Inputs
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+function withGenerationInputs(inputs, fn) {
+  return withAdaptiveLevels(inputs.adaptiveLevels, () => withMasterySnapshot(inputs.mastery, fn));
+}
+
+/**
+ * Generate the daily challenges
+ * Types, weights, node count and focus mode come from the profile's composition
+ * (see getDailyComposition()); without settings, CONFIG.DAILY_CHALLENGES different
+ * types are drawn with equal chance
  * Has a configurable chance (CONFIG.SUPER_CHALLENGE_SPAWN_CHANCE) to include one Super Challenge
- * @returns {Challenge[]} Array of 5 challenge objects
- */
-export function generateDailyChallenges() {
-  const allChallengeTypes = [
-    'addition',
-    'subtraction',
-    'additionPlaceValue',
-    'subtractionPlaceValue',
-    'multiplication',
-    'division',
-    'squared',
-    'mixed'
-  ];
+ * To regenerate a past day exactly, pass the seed stored on its challenges and loadGenerationInputs(date)
+ * @param {string|null} seed - Seed for reproducible generation; null uses the active random source
+ * @param {GenerationInputs} [inputs] - Profile state to generate with (defaults to the current state)
+ * @returns {Challenge[]} Array of challenge objects
+ */
+export function generateDailyChallenges(seed = null, inputs = captureGenerationInputs()) {
+  if (seed !== null) {
+    return withSeed(seed, () => generateDailyChallenges(null, inputs)
+      .map(challenge => ({ ...challenge, seed: seed })));
+  }
   
-  // Shuffle all challenge types and pick first 5
-  shuffleArray(allChallengeTypes);
-  const selectedTypes = allChallengeTypes.slice(0, 5);
+  return withGenerationInputs(inputs, () => rollDailyChallenges(inputs.composition));
+}
+
+/**
+ * Check that seeded generation is reproducible (dev self-check)
+ * Generates the daily challenges twice with the same seed and inputs; any difference means
+ * a generator draws from a source other than random.js
+ * @param {string} [seed] - Seed to check with
+ * @returns {boolean} True if both runs produced identical challenges
+ */
+export function checkSeedReproducibility(seed = getDailySeed(getTodayDate(), 'seed-check')) {
+  const inputs = captureGenerationInputs();
+  const first = JSON.stringify(generateDailyChallenges(seed, inputs));
+  const second = JSON.stringify(generateDailyChallenges(seed, inputs));
+  return first === second;
+}
+
+/**
+ * Roll the daily challenges using the active random source
+ * @param {DailyComposition} composition - Composition of the daily challenges
+ * @returns {Challenge[]} Array of challenge objects
+ */
+function rollDailyChallenges(composition) {
+  const selectedTypes = selectDailyChallengeTypes(composition);
   
   // Determine if a super challenge should spawn based on configured chance (default 25%)
-  const spawnSuperChallenge = Math.random() < CONFIG.SUPER_CHALLENGE_SPAWN_CHANCE;
+  const spawnSuperChallenge = random() < CONFIG.SUPER_CHALLENGE_SPAWN_CHANCE;
   
-  // If spawning, randomly select index 2 or 3 for the super challenge
-  const superChallengeIndex = spawnSuperChallenge ? (Math.random() < 0.5 ? 2 : 3) : -1;
+  // If spawning, randomly select one of the middle nodes for the super challenge
+  const superChallengeIndices = getSuperChallengeIndices(selectedTypes.length);
+  const superChallengeIndex = spawnSuperChallenge
+    ? superChallengeIndices[Math.floor(random() * superChallengeIndices.length)]
+    : -1;
   
   const challenges = selectedTypes.map((type, index) => 
     createChallenge(type, index, index === superChallengeIndex)
@@ -169,9 +415,9 @@ export function getTodaysChallenges() {
   // Try to load existing challenges
   let challenges = loadChallenges(today);
   
-  // If no challenges exist for today, generate new ones
+  // If no challenges exist for today, generate new ones (seeded by date, inputs stored for the day)
   if (!challenges) {
-    challenges = generateDailyChallenges();
+    challenges = generateDailyChallenges(getDailySeed(today, 'challenges'), getGenerationInputs(today));
     saveChallenges(challenges, today);
   }
   
@@ -218,15 +464,22 @@ export function getChallenge(challengeIndex) {
 /**
  * Reset all challenges (generate new ones for today)
  * Also regenerates premium challenges (Zeit-Challenge or Kopfnuss-Challenge) with mutually exclusive spawn
+ * The daily seed is salted with the current time so a reset yields a fresh set;
+ * the salted seed is stored on each challenge and the current inputs replace the stored ones,
+ * so the new set stays reproducible
  * @returns {Challenge[]} New array of challenges
  */
 export function resetChallenges() {
-  const challenges = generateDailyChallenges();
+  const today = getTodayDate();
+  const salt = Date.now().toString(36);
+  const inputs = captureGenerationInputs(today);
+  saveGenerationInputs(inputs, today);
+  
+  const challenges = generateDailyChallenges(buildSeed(getDailySeed(today, 'challenges'), salt), inputs);
   saveChallenges(challenges);
   
   // Regenerate premium challenges with mutually exclusive spawn logic
-  const today = getTodayDate();
-  regeneratePremiumChallenges(today);
+  regeneratePremiumChallenges(today, buildSeed(getDailySeed(today, 'premium'), salt));
   
   return challenges;
 }
@@ -246,9 +499,21 @@ function isAtGameStart() {
  * Regenerate premium challenges (Zeit-Challenge and Kopfnuss-Challenge) with mutually exclusive spawn
  * Zeit-Challenge is rolled first; if it doesn't spawn, Kopfnuss-Challenge is rolled
  * At true game start (streak === 0 AND totalTasksCompleted === 0), no premium challenges spawn
+ * Spawn rolls and tasks are seeded and use the day's generation inputs,
+ * so the same date and seed always give the same result
  * @param {string} date - Date string
+ * @param {string} seed - Seed for spawn rolls and task generation (defaults to the daily premium seed)
  */
-function regeneratePremiumChallenges(date) {
+function regeneratePremiumChallenges(date, seed = getDailySeed(date, 'premium')) {
+  const inputs = getGenerationInputs(date);
+  withSeed(seed, () => withGenerationInputs(inputs, () => rollPremiumChallenges(date)));
+}
+
+/**
+ * Roll and save premium challenges using the active random source
+ * @param {string} date - Date string
+ */
+function rollPremiumChallenges(date) {
   // Check if player is at true game start - if so, don't spawn premium challenges
   if (isAtGameStart()) {
     const kopfnuss = createKopfnussChallenge(false);
@@ -262,7 +527,7 @@ function regeneratePremiumChallenges(date) {
   const kopfnussSpawnProbability = CONFIG.KOPFNUSS_SPAWN_PROBABILITY || 0.3;
   
   // First, roll for Zeit-Challenge
-  const zeitSpawned = Math.random() < zeitSpawnProbability;
+  const zeitSpawned = random() < zeitSpawnProbability;
   
   if (zeitSpawned) {
     // Zeit-Challenge spawns, Kopfnuss does not
@@ -272,7 +537,7 @@ function regeneratePremiumChallenges(date) {
     saveKopfnussChallenge(kopfnuss, date);
   } else {
     // Zeit-Challenge doesn't spawn, roll for Kopfnuss
-    const kopfnussSpawned = Math.random() < kopfnussSpawnProbability;
+    const kopfnussSpawned = random() < kopfnussSpawnProbability;
     const kopfnuss = createKopfnussChallenge(kopfnussSpawned);
     saveKopfnussChallenge(kopfnuss, date);
     const zeitChallenge = createZeitChallenge(false);
@@ -487,7 +752,7 @@ export function startKopfnussChallenge() {
   
   return updateKopfnussChallenge({
     state: KOPFNUSS_STATE.IN_PROGRESS,
-    startedAt: new Date().toISOString(),
+    startedAt: getTimestamp(),
     currentTaskIndex: 0,
     errors: 0,
     tasks: tasksToUse
@@ -505,7 +770,7 @@ export function completeKopfnussChallenge(errors) {
   
   updateKopfnussChallenge({
     state: isPerfect ? KOPFNUSS_STATE.COMPLETED : KOPFNUSS_STATE.FAILED,
-    completedAt: new Date().toISOString(),
+    completedAt: getTimestamp(),
     errors: errors,
     result: result
   });
@@ -702,7 +967,7 @@ export function startZeitChallenge() {
   
   return updateZeitChallenge({
     state: ZEIT_CHALLENGE_STATE.IN_PROGRESS,
-    startedAt: new Date().toISOString(),
+    startedAt: getTimestamp(),
     currentTaskIndex: 0,
     errors: 0,
     timeRemaining: CONFIG.ZEIT_CHALLENGE_TIME_LIMIT_SECONDS || 120,
@@ -719,7 +984,7 @@ export function completeZeitChallenge(errors) {
   // Zeit-Challenge always succeeds if completed in time (errors don't matter)
   updateZeitChallenge({
     state: ZEIT_CHALLENGE_STATE.COMPLETED,
-    completedAt: new Date().toISOString(),
+    completedAt: getTimestamp(),
     errors: errors,
     result: 'success'
   });
@@ -740,7 +1005,7 @@ export function completeZeitChallenge(errors) {
 export function failZeitChallenge(errors, currentTaskIndex) {
   updateZeitChallenge({
     state: ZEIT_CHALLENGE_STATE.FAILED,
-    completedAt: new Date().toISOString(),
+    completedAt: getTimestamp(),
     errors: errors,
     currentTaskIndex: currentTaskIndex,
     result: 'timeout',
@@ -798,3 +1063,151 @@ export function regenerateZeitChallenge(forceSpawn = true) {
   }
   return zeit;
 }
+
+// ============================================
+// FEHLER-TRAINING FUNCTIONS
+// ============================================
+
+/**
+ * Get or create today's Fehler-Training challenge
+ * A new review is only created when stored mistakes are due (see mistakeReview.js)
+ * @returns {Object|null} Fehler-Training challenge or null if nothing is due today
+ */
+export function getOrCreateReviewChallenge() {
+  const today = getTodayDate();
+  const existing = loadReviewChallenge(today);
+  
+  if (existing) {
+    return existing;
+  }
+  
+  const tasks = buildReviewTasks();
+  if (tasks.length === 0) {
+    return null;
+  }
+  
+  const review = {
+    state: REVIEW_STATE.AVAILABLE,
+    tasks: tasks,
+    errors: 0,
+    currentTaskIndex: 0,
+    completedAt: null,
+    startedAt: null,
+    result: null // 'completed' or null
+  };
+  saveReviewChallenge(review, today);
+  return review;
+}
+
+/**
+ * Get today's Fehler-Training challenge (if exists)
+ * @returns {Object|null} Fehler-Training challenge or null
+ */
+export function getTodaysReviewChallenge() {
+  return loadReviewChallenge(getTodayDate());
+}
+
+/**
+ * Update today's Fehler-Training challenge
+ * @param {Object} updates - Object with properties to update
+ * @returns {boolean} Success status
+ */
+export function updateReviewChallenge(updates) {
+  const today = getTodayDate();
+  const review = loadReviewChallenge(today);
+  
+  if (!review) {
+    logError('No Fehler-Training found for today');
+    return false;
+  }
+  
+  Object.assign(review, updates);
+  return saveReviewChallenge(review, today);
+}
+
+/**
+ * Start today's Fehler-Training challenge (resumes if already in progress)
+ * @returns {boolean} Success status
+ */
+export function startReviewChallenge() {
+  const review = getTodaysReviewChallenge();
+  
+  if (!review || review.state === REVIEW_STATE.COMPLETED) {
+    logError('No Fehler-Training available');
+    return false;
+  }
+  
+  if (review.state === REVIEW_STATE.IN_PROGRESS) {
+    return true;
+  }
+  
+  return updateReviewChallenge({
+    state: REVIEW_STATE.IN_PROGRESS,
+    startedAt: getTimestamp(),
+    currentTaskIndex: 0,
+    errors: 0
+  });
+}
+
+/**
+ * Complete today's Fehler-Training challenge
+ * Counts as a completed challenge for progress and streak, like a normal challenge
+ * @param {number} errors - Number of wrong attempts
+ * @returns {Object} Result with errors and streak progression (streakUnfrozen, streakIncremented, milestoneReached)
+ */
+export function completeReviewChallenge(errors) {
+  updateReviewChallenge({
+    state: REVIEW_STATE.COMPLETED,
+    completedAt: getTimestamp(),
+    errors: errors,
+    result: 'completed'
+  });
+  
+  const progress = loadProgress();
+  progress.totalChallengesCompleted = (progress.totalChallengesCompleted || 0) + 1;
+  progress.lastPlayedDate = getTodayDate();
+  saveProgress(progress);
+  
+  return {
+    errors: errors,
+    ...progressStreakByChallenge()
+  };
+}
+
+// ============================================
+// FREE PRACTICE FUNCTIONS
+// ============================================
+
+/**
+ * Get the selectable task counts of a free practice run
+ * @returns {number[]} Task counts (from CONFIG.PRACTICE_TASK_COUNTS)
+ */
+export function getPracticeTaskCounts() {
+  const counts = CONFIG.PRACTICE_TASK_COUNTS;
+  return Array.isArray(counts) && counts.length > 0 ? counts : [CONFIG.TASKS_PER_CHALLENGE];
+}
+
+/**
+ * Create a free practice run of one challenge type
+ * Practice runs are not stored as challenges: they give no diamonds or streak credit,
+ * only their answers are logged for the statistics
+ * @param {string} operationType - Challenge type (one of DAILY_CHALLENGE_TYPES)
+ * @param {number} count - Number of tasks (one of getPracticeTaskCounts())
+ * @returns {Object|null} Practice run ({type, title, tasks}) or null for an unknown type
+ */
+export function createPracticeRun(operationType, count) {
+  if (!DAILY_CHALLENGE_TYPES.includes(operationType)) {
+    logError('Unknown practice type:', operationType);
+    return null;
+  }
+  
+  const counts = getPracticeTaskCounts();
+  const taskCount = counts.includes(count) ? count : counts[0];
+  const typeInfo = CHALLENGE_TYPES[operationType];
+  
+  return {
+    type: operationType,
+    title: `${typeInfo.icon} ${typeInfo.name}`,
+    tasks: generateTasksForChallenge(operationType, taskCount)
+  };
+}
@@ -0,0 +1,99 @@
+// Kopfnuss - Challenge Review
+// Builds the per-task review shown after a challenge (answers, correct answer, time)
+// and picks the missed tasks for an unrewarded "nochmal üben" run
+
+/**
+ * Header title of the practice run with the missed tasks
+ */
+export const RETRY_PRACTICE_TITLE = '🔁 Nochmal üben';
+
+/**
+ * @typedef {Object} ReviewAnswer
+ * One answer given during a challenge
+ * @property {number} taskIndex - Index of the task in the challenge
+ * @property {number|string} userAnswer - Normalized answer
+ * @property {boolean} isCorrect - Whether the answer was correct
+ * @property {number} [timeMs] - Time since the task was shown or the previous answer
+ */
+
+/**
+ * @typedef {Object} ReviewEntry
+ * @property {Object} task - The task itself (used for the practice run)
+ * @property {string} question - Question as shown
+ * @property {Array<number|string>} userAnswers - All answers given, in order
+ * @property {number|string} correctAnswer - Correct answer
+ * @property {number} timeMs - Time from showing the task to the last answer
+ * @property {boolean} isWrong - At least one answer was wrong
+ * @property {boolean} isSolved - The task was answered correctly in the end
+ */
+
+/**
+ * Build the review of a challenge from its tasks and the answers given
+ * Tasks without any answer (not reached, or solved before the challenge was resumed) are left out
+ * @param {Array} tasks - Tasks of the challenge
+ * @param {ReviewAnswer[]} answers - Answers in the order they were given
+ * @returns {ReviewEntry[]} One entry per answered task, in task order
+ */
+export function buildTaskReview(tasks, answers) {
+  if (!Array.isArray(tasks) || !Array.isArray(answers)) {
+    return [];
+  }
+
+  const entries = new Map();
+  answers.forEach(answer => {
+    const task = tasks[answer.taskIndex];
+    if (!task) {
+      return;
+    }
+
+    if (!entries.has(answer.taskIndex)) {
+      entries.set(answer.taskIndex, {
+        task,
+        question: task.question,
+        userAnswers: [],
+        correctAnswer: task.answer,
+        timeMs: 0,
+        isWrong: false,
+        isSolved: false
+      });
+    }
+
+    const entry = entries.get(answer.taskIndex);
+    entry.userAnswers.push(answer.userAnswer);
+    entry.timeMs += answer.timeMs || 0;
+    if (answer.isCorrect) {
+      entry.isSolved = true;
+    } else {
+      entry.isWrong = true;
+    }
+  });
+
+  return [...entries.keys()]
+    .sort((a, b) => a - b)
+    .map(taskIndex => entries.get(taskIndex));
+}
+
+/**
+ * Get the tasks that were answered wrong at least once
+ * @param {ReviewEntry[]} review - Review from buildTaskReview()
+ * @returns {Array} Missed tasks, in task order
+ */
+export function getMissedTasks(review) {
+  return review.filter(entry => entry.isWrong).map(entry => entry.task);
+}
+
+/**
+ * Format the time spent on a task (e.g. "4,2 s" or "1:05 min")
+ * @param {number} timeMs - Time in milliseconds
+ * @returns {string} Formatted time
+ */
+export function formatReviewTime(timeMs) {
+  const seconds = Math.max(0, timeMs) / 1000;
+  if (seconds < 60) {
+    return `${seconds.toFixed(1).replace('.', ',')} s`;
+  }
+
+  const wholeSeconds = Math.round(seconds);
+  const minutes = Math.floor(wholeSeconds / 60);
+  return `${minutes}:${String(wholeSeconds % 60).padStart(2, '0')} min`;
+}
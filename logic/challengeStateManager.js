@@ -8,6 +8,7 @@ import {
   isSuperChallengeState 
 } from './challengeGenerator.js';
 import { logError } from './logging.js';
+import { getTimestamp } from './clock.js';
 
 /**
  * Start a challenge
@@ -37,7 +38,7 @@ export function startChallenge(challengeIndex) {
   
   return updateChallenge(challengeIndex, {
     state: newState,
-    startedAt: new Date().toISOString(),
+    startedAt: getTimestamp(),
     currentTaskIndex: 0,
     errors: 0
   });
@@ -61,7 +62,7 @@ export function completeChallenge(challengeIndex, errors = 0, superChallengeSucc
   
   const updates = {
     state: completedState,
-    completedAt: new Date().toISOString(),
+    completedAt: getTimestamp(),
     errors: errors
   };
   
@@ -96,7 +97,7 @@ export function failChallenge(challengeIndex, errors = 0) {
   
   return updateChallenge(challengeIndex, {
     state: failedState,
-    completedAt: new Date().toISOString(),
+    completedAt: getTimestamp(),
     errors: errors
   });
 }
@@ -0,0 +1,106 @@
+// Kopfnuss - Clock
+// Single source of the current time for the whole app (dates, timestamps, durations).
+// Defaults to the device clock; the source can be replaced (e.g. a fixed instant for tests)
+// and dev mode can shift the clock by whole days or pin it to a fixed date.
+
+/**
+ * @typedef {Object} ClockOverride
+ * @property {number} [offsetDays] - Whole days added to the current date (time of day is kept)
+ * @property {string} [fixedDate] - Date the clock is pinned to (YYYY-MM-DD, time of day keeps running)
+ */
+
+/**
+ * Active clock source (returns milliseconds since the epoch)
+ */
+let clockSource = Date.now;
+
+/**
+ * Active dev override (null = real date)
+ * @type {ClockOverride|null}
+ */
+let clockOverride = null;
+
+/**
+ * Replace the active clock source
+ * @param {Function} source - Function returning milliseconds since the epoch
+ */
+export function setClockSource(source) {
+  clockSource = typeof source === 'function' ? source : Date.now;
+}
+
+/**
+ * Restore the default clock source (Date.now)
+ */
+export function resetClockSource() {
+  clockSource = Date.now;
+}
+
+/**
+ * Check whether a clock override is valid
+ * @param {*} override - Override to check
+ * @returns {boolean} True for a whole day offset or a YYYY-MM-DD fixed date
+ */
+export function isValidClockOverride(override) {
+  if (!override || typeof override !== 'object') {
+    return false;
+  }
+  if (typeof override.fixedDate === 'string') {
+    return /^\d{4}-\d{2}-\d{2}$/.test(override.fixedDate);
+  }
+  return Number.isInteger(override.offsetDays);
+}
+
+/**
+ * Set the dev override of the clock (shift by days or pin to a date)
+ * Invalid overrides and a zero offset clear the override
+ * @param {ClockOverride|null} override - Override or null for the real date
+ */
+export function setClockOverride(override) {
+  clockOverride = isValidClockOverride(override) && override.offsetDays !== 0
+    ? { ...override }
+    : null;
+}
+
+/**
+ * Get the active dev override of the clock
+ * @returns {ClockOverride|null} Override or null if the real date is used
+ */
+export function getClockOverride() {
+  return clockOverride ? { ...clockOverride } : null;
+}
+
+/**
+ * Get the current point in time (with the dev override applied)
+ * Day shifts use the local calendar, so the time of day survives DST changes
+ * @returns {Date} Current date and time
+ */
+export function getNow() {
+  const date = new Date(clockSource());
+  if (!clockOverride) {
+    return date;
+  }
+
+  if (clockOverride.fixedDate) {
+    const [year, month, day] = clockOverride.fixedDate.split('-').map(part => parseInt(part, 10));
+    date.setFullYear(year, month - 1, day);
+  } else {
+    date.setDate(date.getDate() + clockOverride.offsetDays);
+  }
+  return date;
+}
+
+/**
+ * Get the current time in milliseconds (for durations and lock timers)
+ * @returns {number} Milliseconds since the epoch
+ */
+export function getNowMs() {
+  return getNow().getTime();
+}
+
+/**
+ * Get the current time as ISO timestamp (for startedAt, completedAt and similar fields)
+ * @returns {string} ISO timestamp
+ */
+export function getTimestamp() {
+  return getNow().toISOString();
+}
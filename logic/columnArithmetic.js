@@ -0,0 +1,370 @@
+// Kopfnuss - Column Arithmetic
+// Builds the column layouts (schriftliches Rechnen) the task screen renders as a digit grid:
+// addition, subtraction, written multiplication with partial products and written division
+
+/**
+ * @typedef {Object} ColumnCell
+ * @property {string} value - Digit or symbol shown in the cell (expected digit for input cells)
+ * @property {boolean} [input] - True if the child enters the digit
+ * @property {boolean} [helper] - True for optional carry/borrow cells (checked, but never required)
+ */
+
+/**
+ * @typedef {Object} ColumnRow
+ * @property {string} kind - 'operand', 'carry', 'partial', 'step' or 'result'
+ * @property {string} operator - Sign shown in front of the row ('' for none)
+ * @property {boolean} ruleAbove - True if a line is drawn above the row
+ * @property {number[]} [ruleColumns] - [first, last] column of the line if it does not span the row
+ * @property {Array<ColumnCell|null>} cells - One entry per column (null = empty)
+ */
+
+/**
+ * @typedef {Object} ColumnLayout
+ * @property {number} columns - Number of columns
+ * @property {Array<string|null>} labels - Place-value label per column (E, Z, H, ...), empty if not shown
+ * @property {ColumnRow[]} rows - Rows from top to bottom
+ * @property {Array<number[]>} sequence - [row, column] of the required input cells in entry order
+ * @property {number} answerRow - Row holding the digits of the answer
+ */
+
+/**
+ * Place-value labels from the ones column to the left
+ */
+const PLACE_LABELS = ['E', 'Z', 'H', 'T', 'ZT', 'HT', 'M'];
+
+/**
+ * Split a non-negative integer into its digits
+ * @param {number} value - Integer
+ * @returns {string[]} Digits, most significant first
+ */
+function digitsOf(value) {
+  return String(value).split('');
+}
+
+/**
+ * Create an empty row
+ * @param {number} columns - Number of columns
+ * @param {string} kind - Row kind
+ * @param {string} [operator] - Sign in front of the row
+ * @param {boolean} [ruleAbove] - Draw a line above the row
+ * @returns {ColumnRow} Row without cells
+ */
+function createRow(columns, kind, operator = '', ruleAbove = false) {
+  return { kind, operator, ruleAbove, cells: new Array(columns).fill(null) };
+}
+
+/**
+ * Write digits into a row, right-aligned to a column
+ * @param {ColumnRow} row - Row to fill
+ * @param {string[]} digits - Digits, most significant first
+ * @param {number} lastColumn - Column of the last digit
+ * @param {boolean} [input] - True if the digits are entered by the child
+ * @returns {number} Column of the first digit
+ */
+function placeDigits(row, digits, lastColumn, input = false) {
+  const firstColumn = lastColumn - digits.length + 1;
+  digits.forEach((digit, offset) => {
+    row.cells[firstColumn + offset] = input ? { value: digit, input: true } : { value: digit };
+  });
+  return firstColumn;
+}
+
+/**
+ * Get the required input cells of a row from right to left (the order of written arithmetic)
+ * @param {ColumnRow} row - Row
+ * @param {number} rowIndex - Index of the row in the layout
+ * @returns {Array<number[]>} [row, column] pairs
+ */
+function rightToLeft(row, rowIndex) {
+  const positions = [];
+  for (let column = row.cells.length - 1; column >= 0; column--) {
+    const cell = row.cells[column];
+    if (cell && cell.input && !cell.helper) {
+      positions.push([rowIndex, column]);
+    }
+  }
+  return positions;
+}
+
+/**
+ * Create the optional carry/borrow row
+ * @param {number} columns - Number of columns
+ * @param {number[]} carries - Carry into each column (index = column)
+ * @param {number} firstColumn - Leftmost column that gets a cell
+ * @returns {ColumnRow} Carry row (no cell for the ones column, nothing carries into it)
+ */
+function createCarryRow(columns, carries, firstColumn) {
+  const row = createRow(columns, 'carry');
+  for (let column = Math.max(0, firstColumn); column < columns - 1; column++) {
+    row.cells[column] = { value: String(carries[column] || 0), input: true, helper: true };
+  }
+  return row;
+}
+
+/**
+ * Place-value labels for right-aligned numbers
+ * @param {number} columns - Number of columns
+ * @returns {string[]} Label per column
+ */
+function createPlaceLabels(columns) {
+  return Array.from({ length: columns }, (_, column) => PLACE_LABELS[columns - 1 - column] || '');
+}
+
+/**
+ * Compute the carries of a column-wise addition
+ * @param {number[]} addends - Numbers right-aligned to the last column
+ * @param {number} columns - Number of columns
+ * @returns {number[]} Carry into each column
+ */
+function computeAdditionCarries(addends, columns) {
+  const carries = new Array(columns).fill(0);
+  let carry = 0;
+  for (let place = 0; place < columns; place++) {
+    const column = columns - 1 - place;
+    carries[column] = carry;
+    const sum = addends.reduce((total, addend) => total + Math.floor(addend / 10 ** place) % 10, carry);
+    carry = Math.floor(sum / 10);
+  }
+  return carries;
+}
+
+/**
+ * Build the layout of a written addition
+ * @param {number} a - First addend
+ * @param {number} b - Second addend
+ * @param {boolean} carryCells - Show optional carry cells
+ * @returns {ColumnLayout} Layout
+ */
+function buildAdditionLayout(a, b, carryCells) {
+  const answer = a + b;
+  const columns = Math.max(digitsOf(a).length, digitsOf(b).length, digitsOf(answer).length);
+  const last = columns - 1;
+  const rows = [createRow(columns, 'operand'), createRow(columns, 'operand', '+')];
+  placeDigits(rows[0], digitsOf(a), last);
+  placeDigits(rows[1], digitsOf(b), last);
+
+  if (carryCells) {
+    rows.push(createCarryRow(columns, computeAdditionCarries([a, b], columns), columns - digitsOf(answer).length));
+  }
+
+  const resultRow = createRow(columns, 'result', '', true);
+  placeDigits(resultRow, digitsOf(answer), last, true);
+  rows.push(resultRow);
+
+  return {
+    columns,
+    labels: createPlaceLabels(columns),
+    rows,
+    sequence: rightToLeft(resultRow, rows.length - 1),
+    answerRow: rows.length - 1
+  };
+}
+
+/**
+ * Build the layout of a written subtraction (the borrow is noted below the subtrahend)
+ * @param {number} a - Minuend
+ * @param {number} b - Subtrahend (not larger than a)
+ * @param {boolean} carryCells - Show optional borrow cells
+ * @returns {ColumnLayout} Layout
+ */
+function buildSubtractionLayout(a, b, carryCells) {
+  const answer = a - b;
+  const columns = digitsOf(a).length;
+  const last = columns - 1;
+  const rows = [createRow(columns, 'operand'), createRow(columns, 'operand', '−')];
+  placeDigits(rows[0], digitsOf(a), last);
+  placeDigits(rows[1], digitsOf(b), last);
+
+  if (carryCells) {
+    const borrows = new Array(columns).fill(0);
+    let borrow = 0;
+    for (let place = 0; place < columns; place++) {
+      borrows[columns - 1 - place] = borrow;
+      const difference = Math.floor(a / 10 ** place) % 10 - Math.floor(b / 10 ** place) % 10 - borrow;
+      borrow = difference < 0 ? 1 : 0;
+    }
+    rows.push(createCarryRow(columns, borrows, columns - digitsOf(b).length - 1));
+  }
+
+  const resultRow = createRow(columns, 'result', '', true);
+  placeDigits(resultRow, digitsOf(answer), last, true);
+  rows.push(resultRow);
+
+  return {
+    columns,
+    labels: createPlaceLabels(columns),
+    rows,
+    sequence: rightToLeft(resultRow, rows.length - 1),
+    answerRow: rows.length - 1
+  };
+}
+
+/**
+ * Build the layout of a written multiplication ("a · b" with one partial product per digit of b)
+ * Each partial product ends below its digit of b; with more than one partial product they are
+ * added up below a second line
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @param {boolean} carryCells - Show optional carry cells for adding the partial products
+ * @returns {ColumnLayout} Layout
+ */
+function buildMultiplicationLayout(a, b, carryCells) {
+  const factorDigits = digitsOf(b);
+  const columns = digitsOf(a).length + 1 + factorDigits.length;
+  const last = columns - 1;
+
+  const topRow = createRow(columns, 'operand');
+  placeDigits(topRow, [...digitsOf(a), '·', ...factorDigits], last);
+  const rows = [topRow];
+  let sequence = [];
+
+  if (factorDigits.length === 1) {
+    const resultRow = createRow(columns, 'result', '', true);
+    placeDigits(resultRow, digitsOf(a * b), last, true);
+    rows.push(resultRow);
+    return { columns, labels: [], rows, sequence: rightToLeft(resultRow, 1), answerRow: 1 };
+  }
+
+  const partials = factorDigits.map(digit => a * parseInt(digit, 10));
+  const shiftedPartials = [];
+  partials.forEach((partial, index) => {
+    const row = createRow(columns, 'partial', '', index === 0);
+    const lastColumn = last - factorDigits.length + 1 + index;
+    placeDigits(row, digitsOf(partial), lastColumn, true);
+    rows.push(row);
+    sequence = sequence.concat(rightToLeft(row, rows.length - 1));
+    shiftedPartials.push(partial * 10 ** (last - lastColumn));
+  });
+
+  const answer = a * b;
+  if (carryCells) {
+    rows.push(createCarryRow(columns, computeAdditionCarries(shiftedPartials, columns), columns - digitsOf(answer).length));
+  }
+
+  const resultRow = createRow(columns, 'result', '', true);
+  placeDigits(resultRow, digitsOf(answer), last, true);
+  rows.push(resultRow);
+  sequence = sequence.concat(rightToLeft(resultRow, rows.length - 1));
+
+  return { columns, labels: [], rows, sequence, answerRow: rows.length - 1 };
+}
+
+/**
+ * Build the layout of a written division ("dividend : divisor = quotient" with the steps below)
+ * Per step the child enters the quotient digit, the product and the difference; the next digit
+ * of the dividend is brought down automatically. The division must not leave a remainder.
+ * @param {number} dividend - Dividend
+ * @param {number} divisor - Divisor
+ * @returns {ColumnLayout} Layout
+ */
+function buildDivisionLayout(dividend, divisor) {
+  const dividendDigits = digitsOf(dividend);
+  const quotientDigits = digitsOf(Math.floor(dividend / divisor));
+  const quotientStart = dividendDigits.length + digitsOf(divisor).length + 2;
+  const columns = quotientStart + quotientDigits.length;
+
+  const topRow = createRow(columns, 'operand');
+  placeDigits(topRow, [...dividendDigits, ':', ...digitsOf(divisor), '='], quotientStart - 1);
+  placeDigits(topRow, quotientDigits, columns - 1, true);
+  const rows = [topRow];
+  const sequence = [];
+
+  // The first part of the dividend is the shortest that contains the divisor
+  let position = 0;
+  let partStart = 0;
+  let part = 0;
+  do {
+    part = part * 10 + parseInt(dividendDigits[position], 10);
+    position++;
+  } while (part < divisor && position < dividendDigits.length);
+
+  quotientDigits.forEach((quotientDigit, index) => {
+    const product = parseInt(quotientDigit, 10) * divisor;
+    const difference = part - product;
+    const endColumn = position - 1;
+    sequence.push([0, quotientStart + index]);
+
+    const productRow = createRow(columns, 'step');
+    const productStart = placeDigits(productRow, digitsOf(product), endColumn, true);
+    if (productStart > 0) {
+      productRow.cells[productStart - 1] = { value: '−' };
+    } else {
+      productRow.operator = '−';
+    }
+    rows.push(productRow);
+    sequence.push(...rightToLeft(productRow, rows.length - 1));
+
+    const differenceRow = createRow(columns, 'step', '', true);
+    differenceRow.ruleColumns = [Math.min(partStart, productStart), endColumn];
+    const differenceStart = placeDigits(differenceRow, digitsOf(difference), endColumn, true);
+    rows.push(differenceRow);
+    sequence.push(...rightToLeft(differenceRow, rows.length - 1));
+
+    if (position < dividendDigits.length) {
+      differenceRow.cells[position] = { value: dividendDigits[position] };
+      part = difference * 10 + parseInt(dividendDigits[position], 10);
+      partStart = differenceStart;
+      position++;
+    }
+  });
+
+  return { columns, labels: [], rows, sequence, answerRow: 0 };
+}
+
+/**
+ * Build the column layout for a task
+ * @param {string} operation - 'additionPlaceValue', 'subtractionPlaceValue', 'writtenMultiplication'
+ *   or 'writtenDivision'
+ * @param {number[]} operands - Operands of the task
+ * @param {Object} [options] - Layout options
+ * @param {boolean} [options.carryCells] - Show optional carry/borrow cells
+ * @returns {ColumnLayout|null} Layout, or null if the operation has no column layout
+ */
+export function buildColumnLayout(operation, operands, options = {}) {
+  const [a, b] = operands;
+  const carryCells = Boolean(options.carryCells);
+
+  switch (operation) {
+    case 'additionPlaceValue':
+      return buildAdditionLayout(a, b, carryCells);
+    case 'subtractionPlaceValue':
+      return buildSubtractionLayout(a, b, carryCells);
+    case 'writtenMultiplication':
+      return buildMultiplicationLayout(a, b, carryCells);
+    case 'writtenDivision':
+      return buildDivisionLayout(a, b);
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the column layout of a task
+ * Place-value tasks stored before column layouts existed only carry their operands,
+ * their layout is built on the fly (without carry cells)
+ * @param {Object} task - Task object
+ * @returns {ColumnLayout|null} Layout, or null for tasks without column input
+ */
+export function getColumnLayout(task) {
+  const metadata = task && task.metadata;
+  if (!metadata) {
+    return null;
+  }
+  if (metadata.columnLayout) {
+    return metadata.columnLayout;
+  }
+  if (metadata.placeValueInput && Array.isArray(metadata.operands)) {
+    return buildColumnLayout(metadata.operation, metadata.operands);
+  }
+  return null;
+}
+
+/**
+ * Check whether a task is entered digit by digit in a column layout
+ * @param {Object} task - Task object
+ * @returns {boolean} True for column input tasks
+ */
+export function isColumnTask(task) {
+  const metadata = task && task.metadata;
+  return Boolean(metadata && (metadata.columnInput || metadata.placeValueInput));
+}
@@ -0,0 +1,102 @@
+// Kopfnuss - Date Service
+// Single source for calendar days: "today" is the local calendar day of the device
+// (the day flips at local midnight, not at UTC midnight). Day arithmetic works on
+// YYYY-MM-DD strings as whole calendar days, so DST transitions (23/25 hour days)
+// and the timezone never shift a result by one. "Now" comes from clock.js.
+
+import { getNow } from './clock.js';
+
+/**
+ * Milliseconds of a calendar day in day-number arithmetic (UTC has no DST)
+ */
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a point in time as local calendar day
+ * @param {Date} date - Date to format
+ * @returns {string} Date string (YYYY-MM-DD) in the device's timezone
+ */
+export function toDateString(date) {
+  const year = date.getFullYear();
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${year}-${month}-${day}`;
+}
+
+/**
+ * Get formatted date string for today (YYYY-MM-DD, local calendar day)
+ * @returns {string} Date string
+ */
+export function getTodayDate() {
+  return toDateString(getNow());
+}
+
+/**
+ * Convert a date string to a running day number
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Days since 1970-01-01
+ */
+function toDayNumber(date) {
+  const [year, month, day] = date.split('-').map(part => parseInt(part, 10));
+  return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+}
+
+/**
+ * Convert a running day number back to a date string
+ * @param {number} dayNumber - Days since 1970-01-01
+ * @returns {string} Date string (YYYY-MM-DD)
+ */
+function fromDayNumber(dayNumber) {
+  return new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+}
+
+/**
+ * Calculate the calendar days from one date to another
+ * @param {string} from - Start date (YYYY-MM-DD)
+ * @param {string} to - End date (YYYY-MM-DD)
+ * @returns {number} Days from start to end (negative if end lies before start)
+ */
+export function daysBetween(from, to) {
+  return toDayNumber(to) - toDayNumber(from);
+}
+
+/**
+ * Calculate the calendar days that passed since a date
+ * A date after today (the device clock was moved backwards) counts as today,
+ * so a clock change can never produce a negative gap
+ * @param {string} since - Earlier date (YYYY-MM-DD)
+ * @param {string} [today] - Reference date (defaults to today)
+ * @returns {number} Elapsed days (0 or more)
+ */
+export function getElapsedDays(since, today = getTodayDate()) {
+  return Math.max(0, daysBetween(since, today));
+}
+
+/**
+ * Shift a date string by a number of days
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Shifted date string (YYYY-MM-DD)
+ */
+export function addDays(date, days) {
+  return fromDayNumber(toDayNumber(date) + days);
+}
+
+/**
+ * Get the weekday index of a date (0 = Monday, 6 = Sunday)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {number} Weekday index
+ */
+export function getWeekdayIndex(date) {
+  return (new Date(toDayNumber(date) * MS_PER_DAY).getUTCDay() + 6) % 7;
+}
+
+/**
+ * Format a date string for display (German notation)
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Date like "24.12.2025"
+ */
+export function formatDisplayDate(date) {
+  const [year, month, day] = date.split('-');
+  return `${day}.${month}.${year}`;
+}
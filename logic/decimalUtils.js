@@ -0,0 +1,178 @@
+// Kopfnuss - Decimal Utilities
+// Exact decimal arithmetic on scaled integers (no floating-point drift)
+
+/**
+ * @typedef {Object} Decimal
+ * @property {number} units - Value scaled by 10^scale (integer), e.g. 375 for 3,75
+ * @property {number} scale - Number of decimal places
+ */
+
+/**
+ * Maximum length of a typed decimal answer (sign, digits and separator)
+ */
+export const MAX_DECIMAL_INPUT_LENGTH = 12;
+
+/**
+ * Power of ten as integer
+ * @param {number} exponent - Non-negative exponent
+ * @returns {number} 10^exponent
+ */
+function pow10(exponent) {
+  return Math.pow(10, exponent);
+}
+
+/**
+ * Create a decimal from scaled units
+ * @param {number} units - Scaled integer value
+ * @param {number} scale - Number of decimal places
+ * @returns {Decimal} Decimal value
+ */
+export function createDecimal(units, scale) {
+  return { units, scale };
+}
+
+/**
+ * Remove trailing zeros from the fractional part (3,750 -> 3,75)
+ * @param {Decimal} decimal - Decimal to normalize
+ * @returns {Decimal} Normalized decimal
+ */
+export function normalizeDecimal(decimal) {
+  let { units, scale } = decimal;
+  while (scale > 0 && units % 10 === 0) {
+    units = units / 10;
+    scale--;
+  }
+  return { units, scale };
+}
+
+/**
+ * Bring a decimal to a larger scale
+ * @param {Decimal} decimal - Decimal to rescale
+ * @param {number} scale - Target scale (>= decimal.scale)
+ * @returns {number} Units at the target scale
+ */
+function unitsAtScale(decimal, scale) {
+  return decimal.units * pow10(scale - decimal.scale);
+}
+
+/**
+ * Bring a decimal to a larger scale as BigInt, so comparisons stay exact
+ * even when the rescaled units exceed Number.MAX_SAFE_INTEGER
+ * @param {Decimal} decimal - Decimal to rescale
+ * @param {number} scale - Target scale (>= decimal.scale)
+ * @returns {bigint} Units at the target scale
+ */
+function bigUnitsAtScale(decimal, scale) {
+  return BigInt(decimal.units) * 10n ** BigInt(scale - decimal.scale);
+}
+
+/**
+ * Add two decimals exactly
+ * @param {Decimal} a - First summand
+ * @param {Decimal} b - Second summand
+ * @returns {Decimal} Normalized sum
+ */
+export function addDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return normalizeDecimal({ units: unitsAtScale(a, scale) + unitsAtScale(b, scale), scale });
+}
+
+/**
+ * Subtract two decimals exactly
+ * @param {Decimal} a - Minuend
+ * @param {Decimal} b - Subtrahend
+ * @returns {Decimal} Normalized difference
+ */
+export function subtractDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return normalizeDecimal({ units: unitsAtScale(a, scale) - unitsAtScale(b, scale), scale });
+}
+
+/**
+ * Multiply two decimals exactly
+ * @param {Decimal} a - First factor
+ * @param {Decimal} b - Second factor
+ * @returns {Decimal} Normalized product
+ */
+export function multiplyDecimals(a, b) {
+  return normalizeDecimal({ units: a.units * b.units, scale: a.scale + b.scale });
+}
+
+/**
+ * Compare two decimals for exact equality (trailing zeros are ignored)
+ * @param {Decimal} a - First decimal
+ * @param {Decimal} b - Second decimal
+ * @returns {boolean} True if both represent the same value
+ */
+export function decimalsEqual(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  return bigUnitsAtScale(a, scale) === bigUnitsAtScale(b, scale);
+}
+
+/**
+ * Compare two decimals
+ * @param {Decimal} a - First decimal
+ * @param {Decimal} b - Second decimal
+ * @returns {number} Negative if a < b, 0 if equal, positive if a > b
+ */
+export function compareDecimals(a, b) {
+  const scale = Math.max(a.scale, b.scale);
+  const difference = bigUnitsAtScale(a, scale) - bigUnitsAtScale(b, scale);
+  return difference === 0n ? 0 : (difference < 0n ? -1 : 1);
+}
+
+/**
+ * Format a decimal with German decimal comma (e.g. "3,75")
+ * @param {Decimal} decimal - Decimal to format
+ * @returns {string} Formatted value without trailing zeros
+ */
+export function formatDecimal(decimal) {
+  const { units, scale } = normalizeDecimal(decimal);
+  const sign = units < 0 ? '-' : '';
+  const digits = Math.abs(units).toString().padStart(scale + 1, '0');
+
+  if (scale === 0) {
+    return sign + digits;
+  }
+
+  return `${sign}${digits.slice(0, -scale)},${digits.slice(-scale)}`;
+}
+
+/**
+ * Convert a decimal to a JavaScript number (for display/metadata only, not for comparison)
+ * @param {Decimal} decimal - Decimal to convert
+ * @returns {number} Approximate numeric value
+ */
+export function decimalToNumber(decimal) {
+  return decimal.units / pow10(decimal.scale);
+}
+
+/**
+ * Parse user input into a decimal
+ * Accepts German comma and dot as decimal separator ("3,75", "3.75", "3,750", "0,5", ",5")
+ * Trailing zeros of the fraction are dropped; inputs whose remaining digits do not fit
+ * into a safe integer are rejected instead of being rounded
+ * @param {string|number} input - User input
+ * @returns {Decimal|null} Parsed decimal, or null if the input is not a plain decimal number
+ */
+export function parseDecimal(input) {
+  const str = String(input).trim();
+  const match = /^(-?)(\d*)(?:[.,](\d*))?$/.exec(str);
+
+  if (!match || (match[2] === '' && !match[3])) {
+    return null;
+  }
+
+  const integerPart = match[2] || '0';
+  const fractionPart = (match[3] || '').replace(/0+$/, '');
+  const units = Number(integerPart + fractionPart);
+
+  if (!Number.isSafeInteger(units)) {
+    return null;
+  }
+
+  return {
+    units: match[1] === '-' ? -units : units,
+    scale: fractionPart.length
+  };
+}
@@ -34,15 +34,8 @@ export function updateDiamonds() {
   const totalShouldHaveEarned = calculateDiamondsEarned(totalTasksCompleted);
   
   // Load previously tracked earned count from persistent storage
-  let previouslyTrackedEarned = loadDiamondsEarned();
-  
-  // Migration for existing users: if no earned tracking exists but user has completed tasks,
-  // initialize the earned count to match what should have been earned based on tasks
-  // This prevents re-awarding diamonds on first load after update
-  if (previouslyTrackedEarned === 0 && totalShouldHaveEarned > 0) {
-    previouslyTrackedEarned = totalShouldHaveEarned;
-    saveDiamondsEarned(totalShouldHaveEarned);
-  }
+  // (save data from before this tracking existed is initialized by storage migration v1)
+  const previouslyTrackedEarned = loadDiamondsEarned();
   
   // Calculate newly earned diamonds since last check
   const newlyEarned = Math.max(0, totalShouldHaveEarned - previouslyTrackedEarned);
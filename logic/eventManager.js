@@ -20,10 +20,11 @@ import {
   saveSeasonalLastKnownPurchasable,
   clearShopOpenedFlag,
   wasShopOpenedWithNewBackgrounds,
-  getTodayDate,
   loadSeenSeasonalBackgrounds,
   saveSeenSeasonalBackgrounds
 } from './storageManager.js';
+import { toDateString, daysBetween } from './dateService.js';
+import { getNow } from './clock.js';
 
 /**
  * @typedef {Object} SeasonalEvent
@@ -75,10 +76,10 @@ function getSeasonalBackgroundsSource() {
 
 /**
  * Get the current date or a simulated date for testing
- * @returns {Date} Current date object
+ * @returns {Date} Current date object (from the clock)
  */
 function getCurrentDate() {
-  return new Date();
+  return getNow();
 }
 
 /**
@@ -156,7 +157,7 @@ export function isEventActive() {
 export function getNextEvent() {
   const currentDate = getCurrentDate();
   const currentYear = currentDate.getFullYear();
-  const MILLISECONDS_PER_DAY = 1000 * 60 * 60 * 24;
+  const today = toDateString(currentDate);
   
   let nextEvent = null;
   let nextStartDate = null;
@@ -173,8 +174,8 @@ export function getNextEvent() {
       startDate = new Date(currentYear + 1, event.startMonth - 1, event.startDay);
     }
     
-    // Calculate days until event starts
-    const daysUntilStart = Math.ceil((startDate.getTime() - currentDate.getTime()) / MILLISECONDS_PER_DAY);
+    // Calculate calendar days until event starts
+    const daysUntilStart = daysBetween(today, toDateString(startDate));
     
     // Keep track of the closest upcoming event
     if (daysUntilStart > 0 && daysUntilStart < minDaysUntilStart) {
@@ -227,11 +228,11 @@ export function getDaysUntilEventEnd() {
     return null;
   }
   
-  const currentDate = getCurrentDate();
+  const today = toDateString(getCurrentDate());
   const endDate = getEventEndDate(activeEvent);
   
-  const diffTime = endDate.getTime() - currentDate.getTime();
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // The end day itself still counts as a remaining day
+  const diffDays = daysBetween(today, toDateString(endDate)) + 1;
   
   return Math.max(0, diffDays);
 }
@@ -580,7 +581,8 @@ export function shouldShowEventEndPopup() {
       endDate.setFullYear(currentDate.getFullYear());
     }
     
-    const daysSinceEnd = Math.floor((currentDate.getTime() - endDate.getTime()) / (1000 * 60 * 60 * 24));
+    // 0 on the first day after the end day
+    const daysSinceEnd = daysBetween(toDateString(endDate), toDateString(currentDate)) - 1;
     
     // Show end popup if event ended within the last 7 days
     if (daysSinceEnd >= 0 && daysSinceEnd <= 7) {
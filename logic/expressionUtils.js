@@ -0,0 +1,253 @@
+// Kopfnuss - Expression Utilities
+// Pure helpers for order-of-operations tasks (Punkt vor Strich, Klammern):
+// evaluating, formatting and solving expression trees step by step
+
+/**
+ * @typedef {Object} ExpressionNode
+ * Either a number leaf ({value}) or an operation ({operation, left, right, value})
+ * @property {number} value - Value of the (sub)expression
+ * @property {string} [operation] - 'addition', 'subtraction', 'multiplication' or 'division'
+ * @property {ExpressionNode} [left] - Left operand
+ * @property {ExpressionNode} [right] - Right operand
+ */
+
+/**
+ * @typedef {Object} SolutionStep
+ * @property {string} calculation - The calculation done in this step (e.g. "3 × 4 = 12")
+ * @property {string} expression - The remaining expression after the step (e.g. "7 + 12")
+ * @property {string} rule - Why this calculation comes next ('brackets', 'pointBeforeLine', 'leftToRight')
+ */
+
+/**
+ * Display symbols per operation
+ */
+export const EXPRESSION_OPERATORS = {
+  addition: '+',
+  subtraction: '-',
+  multiplication: '×',
+  division: '÷'
+};
+
+/**
+ * Precedence per operation (Punkt vor Strich)
+ */
+const PRECEDENCE = {
+  addition: 1,
+  subtraction: 1,
+  multiplication: 2,
+  division: 2
+};
+
+/**
+ * Check whether a node is a number leaf
+ * @param {ExpressionNode} node - Expression node
+ * @returns {boolean} True for numbers
+ */
+function isNumber(node) {
+  return !node.operation;
+}
+
+/**
+ * Apply an operation to two numbers
+ * @param {string} operation - Operation name
+ * @param {number} a - Left operand
+ * @param {number} b - Right operand
+ * @returns {number} Result (division may be fractional, callers check)
+ */
+export function applyOperation(operation, a, b) {
+  switch (operation) {
+    case 'addition':
+      return a + b;
+    case 'subtraction':
+      return a - b;
+    case 'multiplication':
+      return a * b;
+    case 'division':
+      return a / b;
+    default:
+      throw new Error(`Unknown operation: ${operation}`);
+  }
+}
+
+/**
+ * Create an operation node (the value is computed from the operands)
+ * @param {string} operation - Operation name
+ * @param {ExpressionNode} left - Left operand
+ * @param {ExpressionNode} right - Right operand
+ * @returns {ExpressionNode} Operation node
+ */
+export function createOperationNode(operation, left, right) {
+  return { operation, left, right, value: applyOperation(operation, left.value, right.value) };
+}
+
+/**
+ * Check whether an operand needs brackets
+ * Brackets are set where a lower-precedence operation sits below a higher one, and around
+ * right operands of the same precedence, so that reading the expression with the school rules
+ * (Klammern zuerst, Punkt vor Strich, von links nach rechts) follows the tree exactly
+ * @param {ExpressionNode} node - Operand
+ * @param {ExpressionNode} parent - Operation the operand belongs to
+ * @param {boolean} isRight - True for the right operand
+ * @returns {boolean} True if the operand is written in brackets
+ */
+function needsBrackets(node, parent, isRight) {
+  if (isNumber(node)) {
+    return false;
+  }
+  const precedence = PRECEDENCE[node.operation];
+  const parentPrecedence = PRECEDENCE[parent.operation];
+  return precedence < parentPrecedence || (isRight && precedence === parentPrecedence);
+}
+
+/**
+ * Format an expression tree as a question string (e.g. "(18 - 6) ÷ 3")
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {string} Expression with the necessary brackets
+ */
+export function formatExpression(node) {
+  if (isNumber(node)) {
+    return String(node.value);
+  }
+
+  const formatOperand = (operand, isRight) => {
+    const text = formatExpression(operand);
+    return needsBrackets(operand, node, isRight) ? `(${text})` : text;
+  };
+  return `${formatOperand(node.left, false)} ${EXPRESSION_OPERATORS[node.operation]} ${formatOperand(node.right, true)}`;
+}
+
+/**
+ * Get the deepest bracket nesting of an expression tree
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {number} Bracket depth (0 = no brackets)
+ */
+export function getBracketDepth(node) {
+  if (isNumber(node)) {
+    return 0;
+  }
+  return Math.max(
+    getBracketDepth(node.left) + (needsBrackets(node.left, node, false) ? 1 : 0),
+    getBracketDepth(node.right) + (needsBrackets(node.right, node, true) ? 1 : 0)
+  );
+}
+
+/**
+ * Count the operations of an expression tree
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {number} Number of operators
+ */
+export function countOperators(node) {
+  return isNumber(node) ? 0 : 1 + countOperators(node.left) + countOperators(node.right);
+}
+
+/**
+ * Get the numbers of an expression in reading order
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {number[]} Numbers from left to right
+ */
+export function getExpressionNumbers(node) {
+  return isNumber(node) ? [node.value] : [...getExpressionNumbers(node.left), ...getExpressionNumbers(node.right)];
+}
+
+/**
+ * Check whether an expression still contains an addition or subtraction
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {boolean} True if a Strich operation is left
+ */
+function hasLineOperation(node) {
+  if (isNumber(node)) {
+    return false;
+  }
+  return PRECEDENCE[node.operation] === PRECEDENCE.addition ||
+    hasLineOperation(node.left) || hasLineOperation(node.right);
+}
+
+/**
+ * Check whether an expression contains both Punkt (×, ÷) and Strich (+, -) operations
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {boolean} True if both kinds occur
+ */
+export function mixesPointAndLine(node) {
+  const hasPointOperation = (current) => !isNumber(current) &&
+    (PRECEDENCE[current.operation] > PRECEDENCE.addition || hasPointOperation(current.left) || hasPointOperation(current.right));
+  return hasLineOperation(node) && hasPointOperation(node);
+}
+
+/**
+ * Find the calculation that comes next by the school rules
+ * @param {ExpressionNode} node - Expression tree (not a number)
+ * @returns {Object} Candidate ({node, parent, side, brackets, precedence})
+ */
+function findNextCalculation(node) {
+  const candidates = [];
+
+  // Collect operations whose operands are both numbers, in reading order (left to right)
+  const collect = (current, parent, side, brackets) => {
+    if (isNumber(current)) {
+      return;
+    }
+    if (isNumber(current.left) && isNumber(current.right)) {
+      candidates.push({ node: current, parent, side, brackets, precedence: PRECEDENCE[current.operation] });
+      return;
+    }
+    collect(current.left, current, 'left', brackets + (needsBrackets(current.left, current, false) ? 1 : 0));
+    collect(current.right, current, 'right', brackets + (needsBrackets(current.right, current, true) ? 1 : 0));
+  };
+  collect(node, null, null, 0);
+
+  // Innermost brackets first, then Punkt vor Strich, then the leftmost
+  return candidates.reduce((best, candidate) => {
+    if (candidate.brackets !== best.brackets) {
+      return candidate.brackets > best.brackets ? candidate : best;
+    }
+    return candidate.precedence > best.precedence ? candidate : best;
+  });
+}
+
+/**
+ * Copy an expression tree (solving replaces nodes)
+ * @param {ExpressionNode} node - Expression tree
+ * @returns {ExpressionNode} Deep copy
+ */
+function copyExpression(node) {
+  return isNumber(node)
+    ? { value: node.value }
+    : { operation: node.operation, left: copyExpression(node.left), right: copyExpression(node.right), value: node.value };
+}
+
+/**
+ * Solve an expression step by step the way it is done in school
+ * @param {ExpressionNode} expression - Expression tree (e.g. from task.metadata.expression)
+ * @returns {SolutionStep[]} One step per operator, the last expression is the result
+ */
+export function getSolutionSteps(expression) {
+  let root = copyExpression(expression);
+  const steps = [];
+
+  while (!isNumber(root)) {
+    const next = findNextCalculation(root);
+    const { operation, left, right, value } = next.node;
+
+    let rule = 'leftToRight';
+    if (next.brackets > 0) {
+      rule = 'brackets';
+    } else if (next.precedence > PRECEDENCE.addition && hasLineOperation(root)) {
+      rule = 'pointBeforeLine';
+    }
+
+    const result = { value };
+    if (next.parent) {
+      next.parent[next.side] = result;
+    } else {
+      root = result;
+    }
+
+    steps.push({
+      calculation: `${left.value} ${EXPRESSION_OPERATORS[operation]} ${right.value} = ${value}`,
+      expression: formatExpression(root),
+      rule
+    });
+  }
+
+  return steps;
+}
@@ -0,0 +1,135 @@
+// Kopfnuss - Fraction Utilities
+// Pure helpers for fraction arithmetic, parsing and comparison
+
+/**
+ * @typedef {Object} Fraction
+ * @property {number} numerator - Numerator (integer)
+ * @property {number} denominator - Denominator (positive integer)
+ */
+
+/**
+ * Greatest common divisor (Euclid)
+ * @param {number} a - First integer
+ * @param {number} b - Second integer
+ * @returns {number} Greatest common divisor (always >= 1 for non-zero input)
+ */
+export function gcd(a, b) {
+  a = Math.abs(a);
+  b = Math.abs(b);
+  while (b !== 0) {
+    [a, b] = [b, a % b];
+  }
+  return a || 1;
+}
+
+/**
+ * Reduce a fraction to lowest terms
+ * @param {Fraction} fraction - Fraction to reduce
+ * @returns {Fraction} Reduced fraction
+ */
+export function reduceFraction(fraction) {
+  const divisor = gcd(fraction.numerator, fraction.denominator);
+  return {
+    numerator: fraction.numerator / divisor,
+    denominator: fraction.denominator / divisor
+  };
+}
+
+/**
+ * Check whether a fraction is in lowest terms
+ * @param {Fraction} fraction - Fraction to check
+ * @returns {boolean} True if numerator and denominator share no common factor
+ */
+export function isReduced(fraction) {
+  return gcd(fraction.numerator, fraction.denominator) === 1;
+}
+
+/**
+ * Check whether two fractions have the same value (cross multiplication)
+ * @param {Fraction} a - First fraction
+ * @param {Fraction} b - Second fraction
+ * @returns {boolean} True if both fractions are equivalent
+ */
+export function fractionsEqual(a, b) {
+  return a.numerator * b.denominator === b.numerator * a.denominator;
+}
+
+/**
+ * Apply an arithmetic operation to two fractions
+ * The result is always reduced
+ * @param {Fraction} a - First fraction
+ * @param {Fraction} b - Second fraction
+ * @param {string} operation - addition, subtraction, multiplication or division
+ * @returns {Fraction} Reduced result
+ */
+export function calculateFraction(a, b, operation) {
+  switch (operation) {
+    case 'addition':
+      return reduceFraction({
+        numerator: a.numerator * b.denominator + b.numerator * a.denominator,
+        denominator: a.denominator * b.denominator
+      });
+    case 'subtraction':
+      return reduceFraction({
+        numerator: a.numerator * b.denominator - b.numerator * a.denominator,
+        denominator: a.denominator * b.denominator
+      });
+    case 'multiplication':
+      return reduceFraction({
+        numerator: a.numerator * b.numerator,
+        denominator: a.denominator * b.denominator
+      });
+    case 'division':
+      return reduceFraction({
+        numerator: a.numerator * b.denominator,
+        denominator: a.denominator * b.numerator
+      });
+    default:
+      throw new Error(`Unknown fraction operation: ${operation}`);
+  }
+}
+
+/**
+ * Format a fraction for display (e.g. "3/4")
+ * @param {Fraction} fraction - Fraction to format
+ * @returns {string} Formatted fraction
+ */
+export function formatFraction(fraction) {
+  return `${fraction.numerator}/${fraction.denominator}`;
+}
+
+/**
+ * Parse user input into a fraction
+ * Accepts a "3/4" string or an object with numerator/denominator strings or numbers
+ * @param {string|Object} input - User input
+ * @returns {Fraction|null} Parsed fraction, or null if either part is not a whole number
+ */
+export function parseFraction(input) {
+  let numeratorPart;
+  let denominatorPart;
+
+  if (typeof input === 'string') {
+    const parts = input.split('/');
+    if (parts.length !== 2) {
+      return null;
+    }
+    [numeratorPart, denominatorPart] = parts;
+  } else if (input && typeof input === 'object') {
+    numeratorPart = input.numerator;
+    denominatorPart = input.denominator;
+  } else {
+    return null;
+  }
+
+  const numeratorStr = String(numeratorPart).trim();
+  const denominatorStr = String(denominatorPart).trim();
+
+  if (!/^\d+$/.test(numeratorStr) || !/^\d+$/.test(denominatorStr)) {
+    return null;
+  }
+
+  return {
+    numerator: parseInt(numeratorStr, 10),
+    denominator: parseInt(denominatorStr, 10)
+  };
+}
@@ -19,10 +19,18 @@ import { playAnswerFeedback, playChallengeComplete, playDiamondEarn, playChallen
 import { logError } from './logging.js';
 import { updateHeaderSeasonalDisplay, updateHeaderDiamondsDisplay } from '../ui/headerUI.js';
 import { incrementPackTasks } from './backgroundManager.js';
+import { appendAttempt, ATTEMPT_SOURCE } from './storageManager.js';
+import { recordMistake } from './mistakeReview.js';
+import { getNowMs } from './clock.js';
+import { showSolutionPanel, hideSolutionPanel } from '../ui/solutionPanelUI.js';
+import { buildTaskReview, RETRY_PRACTICE_TITLE } from './challengeReview.js';
+import { appendChallengeReview } from '../ui/challengeReviewUI.js';
 
 let kopfnussState = null;
 let currentTaskIndex = 0;
 let errors = 0;
+let attemptStartedAt = null; // Timestamp (ms) of the task start or the previous attempt
+let answers = []; // Answers of this session for the review on the results card
 
 /**
  * Motivation phrases for Kopfnuss Challenge completion (perfect)
@@ -71,6 +79,7 @@ export function initKopfnussTaskScreen() {
   
   currentTaskIndex = kopfnussState.currentTaskIndex || 0;
   errors = kopfnussState.errors || 0;
+  answers = [];
   
   // Display first task
   displayCurrentTask();
@@ -90,6 +99,9 @@ function displayCurrentTask() {
   }
   
   const currentTask = kopfnussState.tasks[currentTaskIndex];
+  hideSolutionPanel();
+  
+  attemptStartedAt = getNowMs();
   
   // Update question display
   const questionElement = document.getElementById('task-question');
@@ -127,6 +139,34 @@ function displayCurrentTask() {
   }
 }
 
+/**
+ * Append an answer to the persisted attempt log (missed tasks also go into the Fehler-Training)
+ * @param {Object} task - Task that was answered
+ * @param {number} userAnswer - Normalized user answer
+ * @param {boolean} isCorrect - Whether the answer was correct
+ */
+function recordAttempt(task, userAnswer, isCorrect) {
+  const timeMs = attemptStartedAt ? getNowMs() - attemptStartedAt : 0;
+  answers.push({ taskIndex: currentTaskIndex, userAnswer, isCorrect, timeMs });
+  
+  appendAttempt({
+    source: ATTEMPT_SOURCE.KOPFNUSS,
+    challengeType: 'kopfnuss',
+    operation: task.metadata ? task.metadata.operation : null,
+    question: task.question,
+    operands: task.metadata ? task.metadata.operands : [],
+    expectedAnswer: task.answer,
+    userAnswer: userAnswer,
+    isCorrect: isCorrect,
+    timeMs: timeMs
+  });
+  attemptStartedAt = getNowMs();
+  
+  if (!isCorrect) {
+    recordMistake(task);
+  }
+}
+
 /**
  * Handle answer submission
  */
@@ -157,6 +197,8 @@ function handleAnswerSubmit() {
   const currentTask = kopfnussState.tasks[currentTaskIndex];
   const isCorrect = normalizedAnswer === currentTask.answer;
   
+  recordAttempt(currentTask, normalizedAnswer, isCorrect);
+  
   // Show feedback
   if (isCorrect) {
     feedbackElement.textContent = '✓ Richtig!';
@@ -191,6 +233,9 @@ function handleAnswerSubmit() {
     // Play wrong answer sound
     playAnswerFeedback(false);
     
+    // Offer the solution steps (collapsed) until the task is solved
+    showSolutionPanel(currentTask);
+    
     // Update errors in storage
     updateKopfnussChallenge({
       errors: errors
@@ -310,6 +355,14 @@ function handleKopfnussChallengeCompletion() {
   if (container) {
     container.innerHTML = resultContent;
     
+    // Task-by-task review; the missed tasks can be retried without reward
+    // (not while a reward choice is pending, leaving would skip the choice)
+    const review = buildTaskReview(kopfnussState.tasks, answers);
+    const pendingChoice = isPerfect && rewardInfo.pendingChoice;
+    appendChallengeReview(container, review, pendingChoice ? null : (tasks) => {
+      showScreen('practiceTaskScreen', { tasks, title: RETRY_PRACTICE_TITLE });
+    });
+    
     // Handle reward choice buttons if event is active
     if (isPerfect && rewardInfo.pendingChoice) {
       const chooseDiamondsBtn = document.getElementById('choose-diamonds');
@@ -0,0 +1,310 @@
+// Kopfnuss - Mistake Review (Fehler-Training)
+// Collects missed tasks in Leitner boxes and picks due tasks for the spaced-repetition review
+
+import { CONFIG } from '../data/balancingLoader.js';
+import { loadReviewBoxes, saveReviewBoxes } from './storageManager.js';
+import { getTodayDate, addDays } from './dateService.js';
+import { getTimestamp } from './clock.js';
+import { randomInt } from './random.js';
+import { parseFraction, fractionsEqual, isReduced, formatFraction } from './fractionUtils.js';
+import { parseDecimal, decimalsEqual, formatDecimal } from './decimalUtils.js';
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} key - Unique key of the missed task (operation + question)
+ * @property {Object} task - The missed task (question, answer, metadata)
+ * @property {number} box - Leitner box (1 = asked most often)
+ * @property {string} dueDate - Date the item is due for review (YYYY-MM-DD)
+ * @property {number} mistakes - How often the task was answered wrong
+ * @property {string} addedAt - ISO timestamp of the first mistake
+ * @property {string|null} lastReviewedAt - ISO timestamp of the last review answer
+ */
+
+/**
+ * Operations for which close variants can be generated (integer tasks with plain operands)
+ */
+const VARIANT_OPERATIONS = [
+  'addition',
+  'subtraction',
+  'additionPlaceValue',
+  'subtractionPlaceValue',
+  'multiplication',
+  'division',
+  'writtenMultiplication',
+  'writtenDivision',
+  'squared'
+];
+
+/**
+ * Get the review interval (in days) per Leitner box
+ * @returns {number[]} Interval for box 1, 2, ...
+ */
+function getBoxIntervals() {
+  const intervals = CONFIG.REVIEW_BOX_INTERVALS_DAYS;
+  return Array.isArray(intervals) && intervals.length > 0 ? intervals : [1, 2, 4, 7];
+}
+
+/**
+ * Get the due date for an item that was just placed in a box
+ * @param {number} box - Leitner box (1-based)
+ * @returns {string} Due date (YYYY-MM-DD)
+ */
+function getDueDateForBox(box) {
+  const intervals = getBoxIntervals();
+  return addDays(getTodayDate(), intervals[Math.min(box, intervals.length) - 1]);
+}
+
+/**
+ * Build the review key of a task
+ * @param {Object} task - Task object
+ * @returns {string} Review key
+ */
+export function getReviewKey(task) {
+  const operation = task.metadata ? task.metadata.operation : 'unknown';
+  return `${operation}|${task.question}`;
+}
+
+/**
+ * Record a missed task
+ * New tasks enter box 1; tasks already in review fall back to box 1
+ * Keeps at most CONFIG.REVIEW_MAX_ITEMS items (oldest are dropped)
+ * @param {Object} task - Task that was answered wrong
+ * @returns {boolean} Success status
+ */
+export function recordMistake(task) {
+  if (!task || !task.question) {
+    return false;
+  }
+
+  const items = loadReviewBoxes();
+  const key = getReviewKey(task);
+  const existing = items[key];
+
+  items[key] = {
+    key,
+    task: { question: task.question, answer: task.answer, metadata: task.metadata || {} },
+    box: 1,
+    dueDate: getDueDateForBox(1),
+    mistakes: existing ? existing.mistakes + 1 : 1,
+    addedAt: existing ? existing.addedAt : getTimestamp(),
+    lastReviewedAt: existing ? existing.lastReviewedAt : null
+  };
+
+  const maxItems = CONFIG.REVIEW_MAX_ITEMS || 200;
+  const keys = Object.keys(items);
+  if (keys.length > maxItems) {
+    keys
+      .sort((a, b) => items[a].addedAt.localeCompare(items[b].addedAt))
+      .slice(0, keys.length - maxItems)
+      .forEach(oldKey => delete items[oldKey]);
+  }
+
+  return saveReviewBoxes(items);
+}
+
+/**
+ * Record the result of a review task
+ * First-try correct answers move the item up one box; an answer in the last box retires it.
+ * Wrong answers move the item back to box 1.
+ * @param {string} key - Review key
+ * @param {boolean} isCorrect - Whether the task was solved on the first try
+ * @returns {Object} Result ({box, retired}); box is null if the item is unknown or retired
+ */
+export function recordReviewResult(key, isCorrect) {
+  const items = loadReviewBoxes();
+  const item = items[key];
+
+  if (!item) {
+    return { box: null, retired: false };
+  }
+
+  if (isCorrect && item.box >= getBoxIntervals().length) {
+    delete items[key];
+    saveReviewBoxes(items);
+    return { box: null, retired: true };
+  }
+
+  item.box = isCorrect ? item.box + 1 : 1;
+  item.dueDate = getDueDateForBox(item.box);
+  item.lastReviewedAt = getTimestamp();
+  saveReviewBoxes(items);
+
+  return { box: item.box, retired: false };
+}
+
+/**
+ * Get all review items that are due
+ * @param {string} date - Date string (YYYY-MM-DD), defaults to today
+ * @returns {ReviewItem[]} Due items, lowest box first, then oldest due date
+ */
+export function getDueReviewItems(date = getTodayDate()) {
+  return Object.values(loadReviewBoxes())
+    .filter(item => item.dueDate <= date)
+    .sort((a, b) => a.box - b.box || a.dueDate.localeCompare(b.dueDate));
+}
+
+/**
+ * Get review counts per Leitner box
+ * @returns {Object} Counts ({total, due, boxes: number[]})
+ */
+export function getReviewSummary() {
+  const items = Object.values(loadReviewBoxes());
+  const boxes = getBoxIntervals().map(() => 0);
+  const today = getTodayDate();
+
+  items.forEach(item => {
+    boxes[Math.min(item.box, boxes.length) - 1]++;
+  });
+
+  return {
+    total: items.length,
+    due: items.filter(item => item.dueDate <= today).length,
+    boxes
+  };
+}
+
+/**
+ * Shift an integer by a small random step (±1 or ±2) within bounds
+ * @param {number} value - Value to shift
+ * @param {number} min - Lowest allowed result
+ * @param {number} [max=Infinity] - Highest allowed result
+ * @returns {number} Shifted value (unchanged only if no step fits the bounds)
+ */
+function nudge(value, min, max = Infinity) {
+  const candidates = [value - 2, value - 1, value + 1, value + 2]
+    .filter(candidate => candidate >= min && candidate <= max);
+  return candidates.length > 0 ? candidates[randomInt(0, candidates.length - 1)] : value;
+}
+
+/**
+ * Create a close variant of a missed integer task (one operand nudged by 1 or 2)
+ * Tasks without a variant rule (fractions, decimals) are returned unchanged
+ * @param {Object} task - Missed task
+ * @returns {Object} Variant task (new question and answer, same operation)
+ */
+export function createTaskVariant(task) {
+  const metadata = task.metadata || {};
+  const operands = metadata.operands || [];
+
+  if (!VARIANT_OPERATIONS.includes(metadata.operation)) {
+    return task;
+  }
+
+  let question;
+  let answer;
+  let variantOperands;
+
+  switch (metadata.operation) {
+    case 'addition':
+    case 'additionPlaceValue': {
+      const [a, b] = operands;
+      const newB = nudge(b, 0);
+      question = `${a} + ${newB}`;
+      answer = a + newB;
+      variantOperands = [a, newB];
+      break;
+    }
+    case 'subtraction':
+    case 'subtractionPlaceValue': {
+      const [a, b] = operands;
+      const newB = nudge(b, 0, a);
+      question = `${a} - ${newB}`;
+      answer = a - newB;
+      variantOperands = [a, newB];
+      break;
+    }
+    case 'multiplication':
+    case 'writtenMultiplication': {
+      const [a, b] = operands;
+      const newB = nudge(b, 1);
+      question = `${a} × ${newB}`;
+      answer = a * newB;
+      variantOperands = [a, newB];
+      break;
+    }
+    case 'division':
+    case 'writtenDivision': {
+      const [dividend, divisor] = operands;
+      const quotient = nudge(dividend / divisor, 1);
+      question = `${divisor * quotient} ÷ ${divisor}`;
+      answer = quotient;
+      variantOperands = [divisor * quotient, divisor];
+      break;
+    }
+    case 'squared': {
+      const base = nudge(operands[0], 1);
+      question = `${base}²`;
+      answer = base * base;
+      variantOperands = [base];
+      break;
+    }
+  }
+
+  return {
+    question,
+    answer,
+    metadata: {
+      operation: metadata.operation,
+      operands: variantOperands,
+      reviewVariant: true
+    }
+  };
+}
+
+/**
+ * Build the tasks for a review challenge from the due items
+ * Items in box 1 are asked exactly as missed; items in higher boxes are asked as close variants
+ * @param {number} count - Maximum number of tasks
+ * @returns {Array} Review tasks (task fields plus reviewKey)
+ */
+export function buildReviewTasks(count = CONFIG.REVIEW_TASK_COUNT) {
+  const taskCount = Number(count) || 6;
+
+  return getDueReviewItems().slice(0, taskCount).map(item => ({
+    ...(item.box > 1 ? createTaskVariant(item.task) : item.task),
+    reviewKey: item.key
+  }));
+}
+
+/**
+ * Check an answer to a review task
+ * Fractions are entered as "3/4" and must be fully reduced (unless the task allows otherwise),
+ * decimals accept comma or dot, all other tasks expect a whole number
+ * @param {Object} task - Review task
+ * @param {string} userAnswer - Raw user input
+ * @returns {Object} Result ({isValid, isCorrect, userAnswer, error, needsReduction})
+ */
+export function checkReviewAnswer(task, userAnswer) {
+  const metadata = task.metadata || {};
+  const input = String(userAnswer).trim();
+
+  if (metadata.fractionInput) {
+    const fraction = parseFraction(input);
+    if (!fraction || fraction.denominator === 0) {
+      return { isValid: false, error: 'Bitte gib einen Bruch ein (z.B. 3/4)' };
+    }
+    const isEquivalent = fractionsEqual(fraction, metadata.answerFraction);
+    if (isEquivalent && !metadata.allowUnreduced && !isReduced(fraction)) {
+      return { isValid: false, needsReduction: true, error: 'Fast! Bitte kürze den Bruch so weit wie möglich' };
+    }
+    return { isValid: true, isCorrect: isEquivalent, userAnswer: formatFraction(fraction) };
+  }
+
+  if (metadata.decimalInput) {
+    const decimal = parseDecimal(input);
+    if (!decimal) {
+      return { isValid: false, error: 'Bitte gib eine Zahl ein (z.B. 3,75)' };
+    }
+    return {
+      isValid: true,
+      isCorrect: decimalsEqual(decimal, metadata.answerDecimal),
+      userAnswer: formatDecimal(decimal)
+    };
+  }
+
+  const number = parseInt(input, 10);
+  if (isNaN(number) || input !== number.toString()) {
+    return { isValid: false, error: 'Bitte gib eine ganze Zahl ein' };
+  }
+  return { isValid: true, isCorrect: number === task.answer, userAnswer: number };
+}
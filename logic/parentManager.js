@@ -0,0 +1,366 @@
+// Kopfnuss - Parent Manager
+// PIN protection of the parent area and the daily challenge composition and streak rest days controlled from it
+
+import { PARENT_CONFIG } from '../data/constants.js';
+import { CONFIG } from '../data/balancingLoader.js';
+import {
+  loadParentPin,
+  saveParentPin,
+  loadChallengeSettings,
+  saveChallengeSettings,
+  loadRestDays,
+  saveRestDays
+} from './storageManager.js';
+import { getTodayDate, addDays, daysBetween } from './dateService.js';
+import { getRestDateRanges } from './restDays.js';
+import { getNowMs } from './clock.js';
+import { DAILY_CHALLENGE_TYPES, getDailyComposition, clampDailyChallengeCount } from './challengeGenerator.js';
+import { logError, logInfo } from './logging.js';
+
+/**
+ * Wrong PIN entries since the last successful unlock (reset on reload)
+ */
+let failedPinAttempts = 0;
+
+/**
+ * Timestamp until which PIN entry is locked (0 = not locked)
+ */
+let pinLockedUntil = 0;
+
+/**
+ * Hash a PIN with a salt (SHA-256, hex encoded)
+ * @param {string} pin - PIN digits
+ * @param {string} salt - Random salt
+ * @returns {Promise<string>} Hash
+ */
+async function hashPin(pin, salt) {
+  const bytes = new TextEncoder().encode(`${salt}:${pin}`);
+  const digest = await crypto.subtle.digest('SHA-256', bytes);
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Create a random salt
+ * @returns {string} Salt (hex encoded)
+ */
+function createSalt() {
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Validate the format of a PIN
+ * @param {string} pin - Entered PIN
+ * @returns {string|null} Error message or null if the PIN is valid
+ */
+function validatePin(pin) {
+  const pattern = new RegExp(`^\\d{${PARENT_CONFIG.PIN_MIN_LENGTH},${PARENT_CONFIG.PIN_MAX_LENGTH}}$`);
+  if (!pattern.test(pin)) {
+    return `Die PIN muss aus ${PARENT_CONFIG.PIN_MIN_LENGTH} bis ${PARENT_CONFIG.PIN_MAX_LENGTH} Ziffern bestehen`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a parent PIN has been set up on this device
+ * @returns {boolean} True if a PIN exists
+ */
+export function hasParentPin() {
+  const pinRecord = loadParentPin();
+  return Boolean(pinRecord && pinRecord.salt && pinRecord.hash);
+}
+
+/**
+ * Set a new parent PIN
+ * @param {string} pin - New PIN
+ * @param {string} confirmation - Repeated PIN
+ * @returns {Promise<Object>} Result ({success, message})
+ */
+export async function setParentPin(pin, confirmation) {
+  const error = validatePin(pin);
+  if (error) {
+    return { success: false, message: error };
+  }
+  if (pin !== confirmation) {
+    return { success: false, message: 'Die beiden PINs stimmen nicht überein' };
+  }
+
+  try {
+    const salt = createSalt();
+    const hash = await hashPin(pin, salt);
+    if (!saveParentPin({ salt, hash })) {
+      return { success: false, message: 'Die PIN konnte nicht gespeichert werden' };
+    }
+    logInfo('Parent PIN set');
+    return { success: true, message: 'PIN gespeichert' };
+  } catch (err) {
+    logError('Error setting parent PIN:', err);
+    return { success: false, message: 'Die PIN kann in diesem Browser nicht gespeichert werden' };
+  }
+}
+
+/**
+ * Get the remaining lock time after too many wrong PIN entries
+ * @returns {number} Remaining lock time in milliseconds (0 = not locked)
+ */
+export function getPinLockRemainingMs() {
+  return Math.max(0, pinLockedUntil - getNowMs());
+}
+
+/**
+ * Check an entered PIN against the stored one
+ * Locks PIN entry for PARENT_CONFIG.PIN_LOCK_MS after PARENT_CONFIG.MAX_PIN_ATTEMPTS wrong entries
+ * @param {string} pin - Entered PIN
+ * @returns {Promise<Object>} Result ({success, message})
+ */
+export async function verifyParentPin(pin) {
+  const remainingMs = getPinLockRemainingMs();
+  if (remainingMs > 0) {
+    return { success: false, message: `Zu viele Versuche. Bitte warte ${Math.ceil(remainingMs / 1000)} Sekunden.` };
+  }
+
+  const pinRecord = loadParentPin();
+  if (!pinRecord) {
+    return { success: false, message: 'Es ist noch keine PIN festgelegt' };
+  }
+
+  try {
+    const hash = await hashPin(String(pin || ''), pinRecord.salt);
+    if (hash === pinRecord.hash) {
+      failedPinAttempts = 0;
+      return { success: true, message: '' };
+    }
+  } catch (err) {
+    logError('Error checking parent PIN:', err);
+    return { success: false, message: 'Die PIN kann in diesem Browser nicht geprüft werden' };
+  }
+
+  failedPinAttempts++;
+  if (failedPinAttempts >= PARENT_CONFIG.MAX_PIN_ATTEMPTS) {
+    failedPinAttempts = 0;
+    pinLockedUntil = getNowMs() + PARENT_CONFIG.PIN_LOCK_MS;
+    return { success: false, message: `Zu viele Versuche. Bitte warte ${Math.ceil(PARENT_CONFIG.PIN_LOCK_MS / 1000)} Sekunden.` };
+  }
+  return { success: false, message: 'Falsche PIN' };
+}
+
+/**
+ * Update the challenge settings of the active profile
+ * @param {Function} update - (settings) => changed settings
+ * @returns {Object} Result ({success, message})
+ */
+function updateChallengeSettings(update) {
+  if (!saveChallengeSettings(update(loadChallengeSettings()))) {
+    return { success: false, message: 'Die Einstellung konnte nicht gespeichert werden' };
+  }
+  return { success: true, message: '' };
+}
+
+/**
+ * Get the daily challenge composition settings of the active profile for the parent dashboard
+ * @returns {Object} Settings ({types: [{type, enabled, weight}], nodeCount, focus}); focus is
+ *   ({type, until}) while a focus mode is active, otherwise null
+ */
+export function getDailyCompositionSettings() {
+  const settings = loadChallengeSettings();
+  const composition = getDailyComposition();
+
+  return {
+    types: DAILY_CHALLENGE_TYPES.map(type => ({
+      type,
+      enabled: !settings.disabledTypes.includes(type),
+      weight: settings.weights[type] || 1
+    })),
+    nodeCount: composition.nodeCount,
+    focus: composition.focusType ? { type: composition.focusType, until: settings.focus.until } : null
+  };
+}
+
+/**
+ * Enable or disable a challenge type in the daily rotation of the active profile
+ * Takes effect with the next generated challenge set
+ * @param {string} type - Challenge type (one of DAILY_CHALLENGE_TYPES)
+ * @param {boolean} enabled - Whether the type may be drawn
+ * @returns {Object} Result ({success, message})
+ */
+export function setDailyChallengeTypeEnabled(type, enabled) {
+  if (!DAILY_CHALLENGE_TYPES.includes(type)) {
+    return { success: false, message: 'Unbekannte Aufgabenart' };
+  }
+
+  const settings = loadChallengeSettings();
+  const disabledTypes = settings.disabledTypes.filter(disabledType => disabledType !== type);
+  if (!enabled) {
+    if (disabledTypes.length + 1 >= DAILY_CHALLENGE_TYPES.length) {
+      return { success: false, message: 'Mindestens eine Aufgabenart muss aktiv bleiben' };
+    }
+    if (settings.focus && settings.focus.type === type && getTodayDate() <= settings.focus.until) {
+      return { success: false, message: 'Beende zuerst den Fokus auf diese Aufgabenart' };
+    }
+    disabledTypes.push(type);
+  }
+
+  return updateChallengeSettings(current => ({ ...current, disabledTypes }));
+}
+
+/**
+ * Set how often a challenge type is drawn compared to the others
+ * @param {string} type - Challenge type (one of DAILY_CHALLENGE_TYPES)
+ * @param {number} weight - Draw weight (one of PARENT_CONFIG.WEIGHT_OPTIONS)
+ * @returns {Object} Result ({success, message})
+ */
+export function setDailyChallengeTypeWeight(type, weight) {
+  if (!DAILY_CHALLENGE_TYPES.includes(type)) {
+    return { success: false, message: 'Unbekannte Aufgabenart' };
+  }
+  if (!PARENT_CONFIG.WEIGHT_OPTIONS.some(option => option.value === weight)) {
+    return { success: false, message: 'Ungültige Gewichtung' };
+  }
+
+  return updateChallengeSettings(current => {
+    const weights = { ...current.weights };
+    if (weight === 1) {
+      delete weights[type];
+    } else {
+      weights[type] = weight;
+    }
+    return { ...current, weights };
+  });
+}
+
+/**
+ * Set the number of daily challenges of the active profile
+ * @param {number} nodeCount - Number of daily challenges
+ *   (CONFIG.MIN_DAILY_CHALLENGES to CONFIG.MAX_DAILY_CHALLENGES)
+ * @returns {Object} Result ({success, message})
+ */
+export function setDailyChallengeCount(nodeCount) {
+  if (!Number.isInteger(nodeCount) || clampDailyChallengeCount(nodeCount) !== nodeCount) {
+    return {
+      success: false,
+      message: `Es sind ${CONFIG.MIN_DAILY_CHALLENGES} bis ${CONFIG.MAX_DAILY_CHALLENGES} Challenges pro Tag möglich`
+    };
+  }
+
+  return updateChallengeSettings(current => ({
+    ...current,
+    nodeCount: nodeCount === CONFIG.DAILY_CHALLENGES ? null : nodeCount
+  }));
+}
+
+/**
+ * Start a focus mode: for CONFIG.FOCUS_DURATION_DAYS days (including today),
+ * the daily challenges lean towards one challenge type
+ * The type is enabled if it was disabled
+ * @param {string} type - Challenge type (one of DAILY_CHALLENGE_TYPES)
+ * @returns {Object} Result ({success, message})
+ */
+export function startFocusMode(type) {
+  if (!DAILY_CHALLENGE_TYPES.includes(type)) {
+    return { success: false, message: 'Unbekannte Aufgabenart' };
+  }
+
+  const until = addDays(getTodayDate(), CONFIG.FOCUS_DURATION_DAYS - 1);
+
+  return updateChallengeSettings(current => ({
+    ...current,
+    disabledTypes: current.disabledTypes.filter(disabledType => disabledType !== type),
+    focus: { type, until }
+  }));
+}
+
+/**
+ * End the focus mode before it runs out
+ * @returns {Object} Result ({success, message})
+ */
+export function stopFocusMode() {
+  return updateChallengeSettings(current => ({ ...current, focus: null }));
+}
+
+/**
+ * Update the streak rest days of the active profile
+ * Single dates older than PARENT_CONFIG.REST_DATES_RETENTION_DAYS are dropped
+ * @param {Function} update - (restDays) => changed rest days
+ * @returns {Object} Result ({success, message})
+ */
+function updateRestDays(update) {
+  const restDays = update(loadRestDays());
+  const cutoff = addDays(getTodayDate(), -PARENT_CONFIG.REST_DATES_RETENTION_DAYS);
+  restDays.dates = [...new Set(restDays.dates)].filter(date => date >= cutoff).sort();
+
+  if (!saveRestDays(restDays)) {
+    return { success: false, message: 'Die Ruhetage konnten nicht gespeichert werden' };
+  }
+  return { success: true, message: '' };
+}
+
+/**
+ * Get the streak rest days of the active profile for the parent dashboard
+ * @returns {Object} Rest days ({weekdays: number[] (0 = Monday), ranges: [{from, to}]})
+ */
+export function getRestDaySettings() {
+  return {
+    weekdays: loadRestDays().weekdays,
+    ranges: getRestDateRanges()
+  };
+}
+
+/**
+ * Make a weekday a weekly rest day of the streak or a practice day again
+ * @param {number} weekday - Weekday index (0 = Monday, 6 = Sunday)
+ * @param {boolean} enabled - Whether the weekday is a rest day
+ * @returns {Object} Result ({success, message})
+ */
+export function setRestWeekday(weekday, enabled) {
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    return { success: false, message: 'Unbekannter Wochentag' };
+  }
+
+  const weekdays = loadRestDays().weekdays.filter(restWeekday => restWeekday !== weekday);
+  if (enabled) {
+    if (weekdays.length + 1 >= 7) {
+      return { success: false, message: 'Mindestens ein Wochentag muss ein Übungstag bleiben' };
+    }
+    weekdays.push(weekday);
+  }
+
+  return updateRestDays(current => ({ ...current, weekdays: weekdays.sort((a, b) => a - b) }));
+}
+
+/**
+ * Add a range of rest days (e.g. school holidays)
+ * @param {string} from - First rest day (YYYY-MM-DD)
+ * @param {string} to - Last rest day (YYYY-MM-DD)
+ * @returns {Object} Result ({success, message})
+ */
+export function addRestDateRange(from, to) {
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  if (!datePattern.test(from) || !datePattern.test(to)) {
+    return { success: false, message: 'Bitte wähle ein Start- und ein Enddatum' };
+  }
+
+  const length = daysBetween(from, to) + 1;
+  if (length < 1) {
+    return { success: false, message: 'Das Enddatum liegt vor dem Startdatum' };
+  }
+  if (length > PARENT_CONFIG.REST_DATE_RANGE_MAX_DAYS) {
+    return { success: false, message: `Höchstens ${PARENT_CONFIG.REST_DATE_RANGE_MAX_DAYS} Tage am Stück möglich` };
+  }
+
+  const dates = Array.from({ length }, (_, index) => addDays(from, index));
+  logInfo(`Rest days added: ${from} to ${to}`);
+  return updateRestDays(current => ({ ...current, dates: [...current.dates, ...dates] }));
+}
+
+/**
+ * Remove a range of rest days
+ * @param {string} from - First rest day (YYYY-MM-DD)
+ * @param {string} to - Last rest day (YYYY-MM-DD)
+ * @returns {Object} Result ({success, message})
+ */
+export function removeRestDateRange(from, to) {
+  return updateRestDays(current => ({
+    ...current,
+    dates: current.dates.filter(date => date < from || date > to)
+  }));
+}
@@ -212,6 +212,7 @@ export function showStreakPopup(config) {
  * @param {string} config.use - USE section: What the resource is used for (primary)
  * @param {string} config.source - SOURCE section: How the resource is earned (secondary)
  * @param {string} config.progress - PROGRESS section (optional): Compact progress info
+ * @param {string[]} config.details - DETAILS section (optional): Short list below the progress
  */
 export function showResourceInfoPopup(config) {
   const overlayId = 'resource-info-popup';
@@ -228,11 +229,18 @@ export function showResourceInfoPopup(config) {
     <p class="resource-info-progress">${config.progress}</p>
   ` : '';
   
+  const detailsHtml = config.details && config.details.length > 0 ? `
+    <ul class="resource-info-details">
+      ${config.details.map(detail => `<li>${detail}</li>`).join('')}
+    </ul>
+  ` : '';
+  
   popupCard.innerHTML = `
     <h2 class="resource-info-title">${config.title}</h2>
     <p class="resource-info-use">${config.use}</p>
     <p class="resource-info-source">${config.source}</p>
     ${progressHtml}
+    ${detailsHtml}
     <button id="resource-info-ok-btn" class="btn-primary">OK</button>
   `;
   
@@ -0,0 +1,234 @@
+// Kopfnuss - Profile Manager
+// Learner profiles (name, avatar) with their own save data on a shared device
+
+import { PROFILE_CONFIG } from '../data/constants.js';
+import {
+  loadProfiles,
+  saveProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+  wasProfileChosenThisSession,
+  isProfileMigrationDone,
+  hasLegacyData,
+  migrateLegacyDataToProfile,
+  removeProfileData
+} from './storageManager.js';
+import { logInfo } from './logging.js';
+import { getTimestamp } from './clock.js';
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id - Unique profile id (lowercase letters and digits, used in storage keys)
+ * @property {string} name - Display name
+ * @property {string} avatar - Avatar emoji
+ * @property {string} createdAt - ISO timestamp of creation
+ */
+
+/**
+ * Create a new unique profile id
+ * @param {Profile[]} profiles - Existing profiles
+ * @returns {string} Profile id
+ */
+function createProfileId(profiles) {
+  let id;
+  do {
+    id = Date.now().toString(36) + Math.floor(Math.random() * 1296).toString(36);
+  } while (profiles.some(profile => profile.id === id));
+  return id;
+}
+
+/**
+ * Clean up a profile name (trimmed, inner whitespace collapsed, length limited)
+ * @param {string} name - Raw name
+ * @returns {string} Cleaned name
+ */
+function normalizeName(name) {
+  return String(name || '').trim().replace(/\s+/g, ' ').slice(0, PROFILE_CONFIG.MAX_NAME_LENGTH);
+}
+
+/**
+ * Validate a profile name against the other profiles
+ * @param {string} name - Cleaned name
+ * @param {Profile[]} profiles - Existing profiles
+ * @param {string|null} ownId - Id of the profile being renamed (excluded from the duplicate check)
+ * @returns {string|null} Error message or null if the name is valid
+ */
+function validateName(name, profiles, ownId = null) {
+  if (name === '') {
+    return 'Bitte gib einen Namen ein';
+  }
+  const isDuplicate = profiles.some(profile =>
+    profile.id !== ownId && profile.name.toLowerCase() === name.toLowerCase()
+  );
+  return isDuplicate ? 'Diesen Namen gibt es schon' : null;
+}
+
+/**
+ * Get all profiles
+ * @returns {Profile[]} Profiles in creation order
+ */
+export function getProfiles() {
+  return loadProfiles();
+}
+
+/**
+ * Get the active profile
+ * @returns {Profile|null} Active profile or null if none is selected
+ */
+export function getActiveProfile() {
+  const activeId = loadActiveProfileId();
+  return loadProfiles().find(profile => profile.id === activeId) || null;
+}
+
+/**
+ * Create a new profile
+ * @param {string} name - Display name
+ * @param {string} avatar - Avatar emoji (falls back to the first avatar)
+ * @returns {Object} Result ({success, message, profile})
+ */
+export function createProfile(name, avatar) {
+  const profiles = loadProfiles();
+  const cleanName = normalizeName(name);
+
+  if (profiles.length >= PROFILE_CONFIG.MAX_PROFILES) {
+    return { success: false, message: `Es sind höchstens ${PROFILE_CONFIG.MAX_PROFILES} Profile möglich` };
+  }
+
+  const error = validateName(cleanName, profiles);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const profile = {
+    id: createProfileId(profiles),
+    name: cleanName,
+    avatar: PROFILE_CONFIG.AVATARS.includes(avatar) ? avatar : PROFILE_CONFIG.AVATARS[0],
+    createdAt: getTimestamp()
+  };
+
+  profiles.push(profile);
+  if (!saveProfiles(profiles)) {
+    return { success: false, message: 'Profil konnte nicht gespeichert werden' };
+  }
+
+  return { success: true, message: 'Profil angelegt', profile };
+}
+
+/**
+ * Rename a profile and/or change its avatar
+ * @param {string} profileId - Profile id
+ * @param {string} name - New display name
+ * @param {string} [avatar] - New avatar emoji (unchanged if omitted)
+ * @returns {Object} Result ({success, message, profile})
+ */
+export function renameProfile(profileId, name, avatar) {
+  const profiles = loadProfiles();
+  const profile = profiles.find(entry => entry.id === profileId);
+
+  if (!profile) {
+    return { success: false, message: 'Profil nicht gefunden' };
+  }
+
+  const cleanName = normalizeName(name);
+  const error = validateName(cleanName, profiles, profileId);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  profile.name = cleanName;
+  if (PROFILE_CONFIG.AVATARS.includes(avatar)) {
+    profile.avatar = avatar;
+  }
+
+  if (!saveProfiles(profiles)) {
+    return { success: false, message: 'Profil konnte nicht gespeichert werden' };
+  }
+
+  return { success: true, message: 'Profil gespeichert', profile };
+}
+
+/**
+ * Delete a profile and all of its save data (prod and dev)
+ * The last remaining profile cannot be deleted. Deleting the active profile
+ * clears the selection, so the app must be reloaded afterwards.
+ * @param {string} profileId - Profile id
+ * @returns {Object} Result ({success, message, wasActive})
+ */
+export function deleteProfile(profileId) {
+  const profiles = loadProfiles();
+
+  if (!profiles.some(profile => profile.id === profileId)) {
+    return { success: false, message: 'Profil nicht gefunden' };
+  }
+  if (profiles.length <= 1) {
+    return { success: false, message: 'Das letzte Profil kann nicht gelöscht werden' };
+  }
+
+  const wasActive = loadActiveProfileId() === profileId;
+
+  removeProfileData(profileId);
+  saveProfiles(profiles.filter(profile => profile.id !== profileId));
+  if (wasActive) {
+    saveActiveProfileId(null);
+  }
+
+  return { success: true, message: 'Profil gelöscht', wasActive };
+}
+
+/**
+ * Select the active profile
+ * Must happen before any save data is read; switching while the app
+ * is running requires an app reload (modules cache profile state)
+ * @param {string} profileId - Profile id
+ * @returns {boolean} True if the profile exists and was selected
+ */
+export function selectProfile(profileId) {
+  if (!loadProfiles().some(profile => profile.id === profileId)) {
+    return false;
+  }
+  return saveActiveProfileId(profileId);
+}
+
+/**
+ * Move save data from before profiles existed into a first profile (runs once)
+ * Fresh installs without any save data get no profile here; the picker asks for one
+ * @returns {Profile|null} The created profile or null if nothing was migrated
+ */
+export function migrateLegacyProfileData() {
+  if (isProfileMigrationDone() || loadProfiles().length > 0 || !hasLegacyData()) {
+    return null;
+  }
+
+  const result = createProfile(PROFILE_CONFIG.MIGRATED_PROFILE_NAME, PROFILE_CONFIG.AVATARS[0]);
+  if (!result.success) {
+    return null;
+  }
+
+  const movedCount = migrateLegacyDataToProfile(result.profile.id);
+  saveActiveProfileId(result.profile.id);
+  logInfo(`Moved ${movedCount} save data keys into profile "${result.profile.name}"`);
+
+  return result.profile;
+}
+
+/**
+ * Resolve the profile for this app start
+ * A single profile is selected automatically. With several profiles the
+ * picker is shown once per browser session (reloads keep the choice).
+ * @returns {boolean} True if the profile picker must be shown
+ */
+export function needsProfileSelection() {
+  const profiles = loadProfiles();
+  const activeProfile = getActiveProfile();
+
+  if (profiles.length === 0) {
+    return true;
+  }
+  if (profiles.length === 1) {
+    if (!activeProfile) {
+      saveActiveProfileId(profiles[0].id);
+    }
+    return false;
+  }
+  return !activeProfile || !wasProfileChosenThisSession(activeProfile.id);
+}
@@ -0,0 +1,122 @@
+// Kopfnuss - Random Source
+// Pluggable, seedable random number source used by all task and challenge generation
+
+/**
+ * Active random source (returns a float in [0, 1))
+ * Defaults to Math.random; swapped for a seeded PRNG while generating reproducible content
+ */
+let randomSource = Math.random;
+
+/**
+ * Hash a seed (string or number) into a 32-bit unsigned integer
+ * Uses FNV-1a so that similar seeds (e.g. consecutive dates) produce unrelated streams
+ * @param {string|number} seed - Seed value
+ * @returns {number} 32-bit unsigned integer hash
+ */
+export function hashSeed(seed) {
+  const str = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded pseudo random number generator (mulberry32)
+ * The same seed always yields the same sequence of numbers
+ * @param {string|number} seed - Seed value
+ * @returns {Function} Function returning a float in [0, 1)
+ */
+export function createSeededRandom(seed) {
+  let state = hashSeed(seed);
+  return function seededRandom() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Build a seed string from several parts (e.g. seed ID, date and purpose)
+ * @param {...(string|number)} parts - Seed components
+ * @returns {string} Combined seed
+ */
+export function buildSeed(...parts) {
+  return parts.filter(part => part !== null && part !== undefined).join(':');
+}
+
+/**
+ * Replace the active random source
+ * @param {Function} source - Function returning a float in [0, 1)
+ */
+export function setRandomSource(source) {
+  randomSource = typeof source === 'function' ? source : Math.random;
+}
+
+/**
+ * Restore the default random source (Math.random)
+ */
+export function resetRandomSource() {
+  randomSource = Math.random;
+}
+
+/**
+ * Run a function with a temporary random source, restoring the previous one afterwards
+ * @param {Function} source - Function returning a float in [0, 1)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function withRandomSource(source, fn) {
+  const previousSource = randomSource;
+  randomSource = source;
+  try {
+    return fn();
+  } finally {
+    randomSource = previousSource;
+  }
+}
+
+/**
+ * Run a function with a seeded random source
+ * @param {string|number} seed - Seed value
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function withSeed(seed, fn) {
+  return withRandomSource(createSeededRandom(seed), fn);
+}
+
+/**
+ * Get a random float in [0, 1) from the active source
+ * @returns {number} Random float
+ */
+export function random() {
+  return randomSource();
+}
+
+/**
+ * Generate random integer between min and max (inclusive)
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number} Random integer
+ */
+export function randomInt(min, max) {
+  return Math.floor(randomSource() * (max - min + 1)) + min;
+}
+
+/**
+ * Shuffle an array in place using Fisher-Yates algorithm
+ * @param {Array} array - Array to shuffle
+ * @returns {Array} The shuffled array (same reference)
+ */
+export function shuffleArray(array) {
+  for (let i = array.length - 1; i > 0; i--) {
+    const j = Math.floor(randomSource() * (i + 1));
+    [array[i], array[j]] = [array[j], array[i]];
+  }
+  return array;
+}
@@ -0,0 +1,86 @@
+// Kopfnuss - Rest Days
+// Days the streak does not expect a challenge (weekly weekdays such as the weekend,
+// plus single dates such as school holidays), set per profile in the parent area.
+// Rest days between the last active day and today are skipped when the streak gap is computed.
+
+import { loadRestDays } from './storageManager.js';
+import { getTodayDate, getElapsedDays, addDays, getWeekdayIndex } from './dateService.js';
+
+/**
+ * Check whether a day is a rest day
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @param {Object} [restDays] - Rest days from loadRestDays() (read from storage otherwise)
+ * @returns {boolean} True if no challenge is expected on that day
+ */
+export function isRestDay(date, restDays = loadRestDays()) {
+  return restDays.weekdays.includes(getWeekdayIndex(date)) || restDays.dates.includes(date);
+}
+
+/**
+ * Get the rest days after a date and before today
+ * @param {string} since - Last active day (YYYY-MM-DD)
+ * @param {string} [today] - Reference date (defaults to today)
+ * @returns {string[]} Rest days in between (oldest first)
+ */
+export function getRestDatesBetween(since, today = getTodayDate()) {
+  const restDays = loadRestDays();
+  if (restDays.weekdays.length === 0 && restDays.dates.length === 0) {
+    return [];
+  }
+
+  const restDates = [];
+  for (let offset = 1; offset < getElapsedDays(since, today); offset++) {
+    const date = addDays(since, offset);
+    if (isRestDay(date, restDays)) {
+      restDates.push(date);
+    }
+  }
+  return restDates;
+}
+
+/**
+ * Get the expected days (no rest days) after a date and before today
+ * @param {string} since - Last active day (YYYY-MM-DD)
+ * @param {string} [today] - Reference date (defaults to today)
+ * @returns {string[]} Missed days (oldest first)
+ */
+export function getMissedDates(since, today = getTodayDate()) {
+  const restDays = loadRestDays();
+  const missedDates = [];
+  for (let offset = 1; offset < getElapsedDays(since, today); offset++) {
+    const date = addDays(since, offset);
+    if (!isRestDay(date, restDays)) {
+      missedDates.push(date);
+    }
+  }
+  return missedDates;
+}
+
+/**
+ * Calculate the streak gap: elapsed days since the last active day, without the rest days in between
+ * 0 = active today, 1 = active on the last expected day, 2 = one expected day missed, ...
+ * Today never counts as rest day here - the day is not over yet
+ * @param {string} since - Last active day (YYYY-MM-DD)
+ * @param {string} [today] - Reference date (defaults to today)
+ * @returns {number} Gap in expected days (0 or more)
+ */
+export function getStreakGap(since, today = getTodayDate()) {
+  return getElapsedDays(since, today) - getRestDatesBetween(since, today).length;
+}
+
+/**
+ * Group the single rest dates into ranges of consecutive days (e.g. school holidays)
+ * @returns {Array<{from: string, to: string}>} Ranges (oldest first)
+ */
+export function getRestDateRanges() {
+  const ranges = [];
+  [...loadRestDays().dates].sort().forEach(date => {
+    const last = ranges[ranges.length - 1];
+    if (last && addDays(last.to, 1) === date) {
+      last.to = date;
+    } else {
+      ranges.push({ from: date, to: date });
+    }
+  });
+  return ranges;
+}
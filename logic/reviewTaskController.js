@@ -0,0 +1,290 @@
+// Kopfnuss - Fehler-Training Task Screen Controller
+// Handles UI for the mistake review task screen and feeds results back into the Leitner boxes
+
+import {
+  getTodaysReviewChallenge,
+  updateReviewChallenge,
+  completeReviewChallenge,
+  REVIEW_STATE
+} from './challengeGenerator.js';
+import { checkReviewAnswer, recordReviewResult } from './mistakeReview.js';
+import { MAX_DECIMAL_INPUT_LENGTH } from './decimalUtils.js';
+import { showScreen, notifyStreakUnfrozen, notifyStreakIncremented, notifyMilestoneReached } from './uiBridge.js';
+import { playAnswerFeedback, playChallengeComplete } from './audioBootstrap.js';
+import { incrementPackTasks } from './backgroundManager.js';
+import { appendAttempt, ATTEMPT_SOURCE } from './storageManager.js';
+import { logError } from './logging.js';
+import { getNowMs } from './clock.js';
+import { showSolutionPanel, hideSolutionPanel } from '../ui/solutionPanelUI.js';
+
+let reviewState = null;
+let currentTaskIndex = 0;
+let errors = 0;
+let currentTaskErrors = 0; // Wrong attempts on the current task (first-try result decides the box)
+let retiredCount = 0; // Tasks learned (left the last box) in this session
+let attemptStartedAt = null; // Timestamp (ms) of the task start or the previous attempt
+let isAnswerLocked = false; // Prevents submissions while feedback is shown
+
+/**
+ * Motivation phrases for Fehler-Training completion
+ */
+const REVIEW_COMPLETE_PHRASES = [
+  'Aus Fehlern wird man klug!',
+  'Super, du bleibst dran!',
+  'Stark – alte Fehler ausgebügelt!',
+  'Wiederholung macht den Meister!',
+  'Toll geübt!'
+];
+
+/**
+ * Get a random phrase from a pool
+ * @param {Array} pool - Array of phrases
+ * @returns {string} Random phrase
+ */
+function getRandomPhrase(pool) {
+  const index = Math.floor(Math.random() * pool.length);
+  return pool[index];
+}
+
+/**
+ * Initialize Fehler-Training task screen
+ */
+export function initReviewTaskScreen() {
+  reviewState = getTodaysReviewChallenge();
+
+  if (!reviewState || reviewState.state !== REVIEW_STATE.IN_PROGRESS) {
+    logError('Fehler-Training not in progress');
+    showScreen('challenges');
+    return;
+  }
+
+  currentTaskIndex = reviewState.currentTaskIndex || 0;
+  errors = reviewState.errors || 0;
+  currentTaskErrors = 0;
+  retiredCount = 0;
+  isAnswerLocked = false;
+
+  displayCurrentTask();
+  setupTaskScreenEventListeners();
+}
+
+/**
+ * Display the current task
+ * The input mode follows the task type (whole number, decimal or fraction)
+ */
+function displayCurrentTask() {
+  if (!reviewState || currentTaskIndex >= reviewState.tasks.length) {
+    handleReviewCompletion();
+    return;
+  }
+
+  const currentTask = reviewState.tasks[currentTaskIndex];
+  hideSolutionPanel();
+  const metadata = currentTask.metadata || {};
+
+  attemptStartedAt = getNowMs();
+
+  const questionElement = document.getElementById('task-question');
+  if (questionElement) {
+    questionElement.textContent = `${currentTask.question} = ?`;
+  }
+
+  // Segmented progress bar
+  const progressElement = document.getElementById('task-progress');
+  if (progressElement) {
+    const currentTaskNumber = currentTaskIndex + 1;
+    let progressBarHtml = '<div class="task-progress-bar">';
+    for (let i = 1; i <= reviewState.tasks.length; i++) {
+      const segmentClass = i < currentTaskNumber ? 'progress-segment filled' : 'progress-segment';
+      progressBarHtml += `<div class="${segmentClass}"></div>`;
+    }
+    progressBarHtml += '</div>';
+    progressElement.innerHTML = progressBarHtml;
+  }
+
+  const inputElement = document.getElementById('task-input');
+  if (inputElement) {
+    if (metadata.fractionInput) {
+      inputElement.setAttribute('inputmode', 'text');
+      inputElement.removeAttribute('maxlength');
+      inputElement.placeholder = 'Bruch, z.B. 3/4';
+    } else if (metadata.decimalInput) {
+      inputElement.setAttribute('inputmode', 'decimal');
+      inputElement.setAttribute('maxlength', String(MAX_DECIMAL_INPUT_LENGTH));
+      inputElement.placeholder = 'Deine Antwort';
+    } else {
+      inputElement.setAttribute('inputmode', 'numeric');
+      inputElement.removeAttribute('maxlength');
+      inputElement.placeholder = 'Deine Antwort';
+    }
+    inputElement.value = '';
+    inputElement.focus();
+  }
+
+  const feedbackElement = document.getElementById('task-feedback');
+  if (feedbackElement) {
+    feedbackElement.textContent = '';
+    feedbackElement.className = 'task-feedback';
+  }
+}
+
+/**
+ * Append an answer to the persisted attempt log
+ * @param {Object} task - Task that was answered
+ * @param {number|string} userAnswer - Normalized user answer
+ * @param {boolean} isCorrect - Whether the answer was correct
+ */
+function recordAttempt(task, userAnswer, isCorrect) {
+  appendAttempt({
+    source: ATTEMPT_SOURCE.REVIEW,
+    challengeType: 'review',
+    operation: task.metadata ? task.metadata.operation : null,
+    question: task.question,
+    operands: task.metadata ? task.metadata.operands : [],
+    expectedAnswer: task.answer,
+    userAnswer: userAnswer,
+    isCorrect: isCorrect,
+    timeMs: attemptStartedAt ? getNowMs() - attemptStartedAt : 0
+  });
+  attemptStartedAt = getNowMs();
+}
+
+/**
+ * Handle answer submission
+ */
+function handleAnswerSubmit() {
+  const inputElement = document.getElementById('task-input');
+  const feedbackElement = document.getElementById('task-feedback');
+
+  if (!inputElement || !feedbackElement || isAnswerLocked) {
+    return;
+  }
+
+  const userAnswer = inputElement.value.trim();
+
+  if (userAnswer === '') {
+    feedbackElement.textContent = 'Bitte gib eine Antwort ein';
+    feedbackElement.className = 'task-feedback feedback-warning';
+    return;
+  }
+
+  const currentTask = reviewState.tasks[currentTaskIndex];
+  const result = checkReviewAnswer(currentTask, userAnswer);
+
+  if (!result.isValid) {
+    feedbackElement.textContent = result.error;
+    feedbackElement.className = result.needsReduction ? 'task-feedback feedback-warning' : 'task-feedback feedback-error';
+    return;
+  }
+
+  recordAttempt(currentTask, result.userAnswer, result.isCorrect);
+  isAnswerLocked = true;
+
+  if (result.isCorrect) {
+    feedbackElement.textContent = '✓ Richtig!';
+    feedbackElement.className = 'task-feedback feedback-correct';
+    playAnswerFeedback(true);
+    incrementPackTasks();
+
+    // Move the missed task up one box (first try) or back to box 1
+    const boxResult = recordReviewResult(currentTask.reviewKey, currentTaskErrors === 0);
+    if (boxResult.retired) {
+      retiredCount++;
+    }
+
+    setTimeout(() => {
+      currentTaskIndex++;
+      currentTaskErrors = 0;
+      isAnswerLocked = false;
+      updateReviewChallenge({ currentTaskIndex: currentTaskIndex });
+      displayCurrentTask();
+    }, 1500);
+  } else {
+    errors++;
+    currentTaskErrors++;
+    feedbackElement.textContent = '✗ Falsch! Versuche es nochmal.';
+    feedbackElement.className = 'task-feedback feedback-incorrect';
+    playAnswerFeedback(false);
+    // Offer the solution steps (collapsed) until the task is solved
+    showSolutionPanel(currentTask);
+    updateReviewChallenge({ errors: errors });
+
+    setTimeout(() => {
+      isAnswerLocked = false;
+      inputElement.value = '';
+      inputElement.focus();
+      feedbackElement.textContent = '';
+      feedbackElement.className = 'task-feedback';
+    }, 1500);
+  }
+}
+
+/**
+ * Handle Fehler-Training completion
+ * Counts toward the streak like a normal challenge; popups are shown on the challenges screen
+ */
+function handleReviewCompletion() {
+  playChallengeComplete();
+
+  const result = completeReviewChallenge(errors);
+
+  if (result.streakUnfrozen) {
+    notifyStreakUnfrozen(result.streakUnfrozen);
+  }
+  if (result.streakIncremented) {
+    notifyStreakIncremented(result.streakIncremented);
+  }
+  if (result.milestoneReached) {
+    notifyMilestoneReached();
+  }
+
+  const learnedText = retiredCount === 1
+    ? '1 Aufgabe sitzt jetzt richtig und ist fertig gelernt!'
+    : `${retiredCount} Aufgaben sitzen jetzt richtig und sind fertig gelernt!`;
+
+  const container = document.getElementById('task-screen-content');
+  if (!container) {
+    return;
+  }
+
+  container.innerHTML = `
+    <div class="task-results review-results">
+      <h2>Fehler-Training geschafft! 🔁</h2>
+      <div class="results-summary">
+        <p>Aufgaben: ${reviewState.tasks.length}</p>
+        <p>Fehler: ${errors}</p>
+        ${retiredCount > 0 ? `<p class="perfect">🎓 ${learnedText}</p>` : ''}
+        <p class="motivation">${getRandomPhrase(REVIEW_COMPLETE_PHRASES)}</p>
+      </div>
+      <button id="back-to-challenges">Zurück zu Herausforderungen</button>
+    </div>
+  `;
+
+  const backButton = document.getElementById('back-to-challenges');
+  if (backButton) {
+    backButton.addEventListener('click', () => {
+      showScreen('challenges');
+    });
+  }
+}
+
+/**
+ * Setup event listeners for task screen
+ */
+function setupTaskScreenEventListeners() {
+  const submitButton = document.getElementById('submit-answer');
+  if (submitButton) {
+    submitButton.addEventListener('click', handleAnswerSubmit);
+  }
+
+  const inputElement = document.getElementById('task-input');
+  if (inputElement) {
+    inputElement.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        handleAnswerSubmit();
+      }
+    });
+  }
+}
+
+export { initReviewTaskScreen as default };
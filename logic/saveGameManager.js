@@ -0,0 +1,202 @@
+// Kopfnuss - Save Game Manager
+// Exports the save data of the active profile as a versioned JSON document and imports it again
+
+import { exportStorageData, replaceStorageData, loadDevModeSetting, CURRENT_SCHEMA_VERSION } from './storageManager.js';
+import { getActiveProfile } from './profileManager.js';
+import { toDateString } from './dateService.js';
+import { getTimestamp } from './clock.js';
+import { VERSION } from '../version.js';
+
+/**
+ * Format identifier of save game documents
+ */
+const SAVE_GAME_FORMAT = 'kopfnuss-save';
+
+/**
+ * Current save game format version (documents with a higher version are rejected)
+ */
+const SAVE_GAME_FORMAT_VERSION = 1;
+
+/**
+ * Allowed key names in the data section (key names without profile/mode prefix)
+ */
+const DATA_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+/**
+ * @typedef {Object} SaveGame
+ * @property {string} format - Always 'kopfnuss-save'
+ * @property {number} formatVersion - Save game format version
+ * @property {string} appVersion - App version that created the export
+ * @property {string} exportedAt - ISO timestamp of the export
+ * @property {string} mode - 'prod' or 'dev'
+ * @property {Object|null} profile - Profile the data was exported from ({name, avatar})
+ * @property {Object} data - Map of key name (without profile/mode prefix) -> value
+ * @property {string} checksum - Checksum of the data section
+ */
+
+/**
+ * Serialize a value as JSON with sorted object keys, so equal data always gives the same text
+ * @param {*} value - Value to serialize
+ * @returns {string} Canonical JSON
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Check the profile section of a save game (null or {name, avatar} with string values)
+ * @param {*} profile - Profile section from the file
+ * @returns {boolean} True if the section is well-formed
+ */
+function isValidSaveGameProfile(profile) {
+  if (profile === null) {
+    return true;
+  }
+  return typeof profile === 'object' && !Array.isArray(profile) &&
+    typeof profile.name === 'string' && typeof profile.avatar === 'string';
+}
+
+/**
+ * Compute the checksum of a save game data section (FNV-1a, 32 bit)
+ * Detects damaged or hand-edited files, not meant as protection against cheating
+ * @param {Object} data - Save game data section
+ * @returns {string} Checksum as 8-digit hex string
+ */
+function computeChecksum(data) {
+  const text = canonicalJson(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  }
+  return hash.toString(16).padStart(8, '0');
+}
+
+/**
+ * Count unlocked backgrounds (standard, packs and seasonal) in a data section
+ * @param {Object} data - Save game data section
+ * @returns {number} Number of unlocked backgrounds
+ */
+function countUnlockedBackgrounds(data) {
+  return Object.entries(data)
+    .filter(([key]) => key === 'unlocked_backgrounds' || key.startsWith('seasonal_backgrounds_'))
+    .reduce((sum, [, value]) => sum + (Array.isArray(value) ? value.length : 0), 0);
+}
+
+/**
+ * Get the key figures of a data section for the import summary
+ * @param {Object} data - Save game data section
+ * @returns {Object} Summary ({streak, diamonds, unlockedBackgrounds})
+ */
+function summarizeData(data) {
+  return {
+    streak: data.streak ? data.streak.currentStreak || 0 : 0,
+    diamonds: typeof data.diamonds === 'number' ? data.diamonds : 0,
+    // 'default' is always unlocked, even if the key does not exist yet
+    unlockedBackgrounds: Math.max(1, countUnlockedBackgrounds(data))
+  };
+}
+
+/**
+ * Create a save game document of the active profile for current mode
+ * @returns {SaveGame} Save game document
+ */
+export function createSaveGame() {
+  const data = exportStorageData();
+  const profile = getActiveProfile();
+
+  return {
+    format: SAVE_GAME_FORMAT,
+    formatVersion: SAVE_GAME_FORMAT_VERSION,
+    appVersion: VERSION.string,
+    exportedAt: getTimestamp(),
+    mode: loadDevModeSetting() ? 'dev' : 'prod',
+    profile: profile ? { name: profile.name, avatar: profile.avatar } : null,
+    data,
+    checksum: computeChecksum(data)
+  };
+}
+
+/**
+ * Get the file name for a save game download
+ * @param {SaveGame} saveGame - Save game document
+ * @returns {string} File name (e.g. "kopfnuss-spielstand-lena-2025-01-31.json")
+ */
+export function getSaveGameFileName(saveGame) {
+  const profileName = saveGame.profile
+    ? saveGame.profile.name.toLowerCase().replace(/[^a-z0-9äöüß]+/g, '-').replace(/^-+|-+$/g, '')
+    : '';
+  const date = toDateString(new Date(saveGame.exportedAt));
+  return `kopfnuss-spielstand-${profileName ? profileName + '-' : ''}${date}.json`;
+}
+
+/**
+ * Parse and validate a save game file
+ * Checks format, version, data keys and checksum
+ * @param {string} text - File content
+ * @returns {Object} Result ({valid, error, saveGame})
+ */
+export function parseSaveGame(text) {
+  let saveGame;
+  try {
+    saveGame = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, error: 'Die Datei ist kein gültiger Spielstand' };
+  }
+
+  if (!saveGame || saveGame.format !== SAVE_GAME_FORMAT || !Number.isInteger(saveGame.formatVersion)) {
+    return { valid: false, error: 'Die Datei ist kein Kopfnuss-Spielstand' };
+  }
+  if (saveGame.formatVersion > SAVE_GAME_FORMAT_VERSION) {
+    return { valid: false, error: 'Der Spielstand stammt aus einer neueren App-Version. Bitte aktualisiere die App.' };
+  }
+
+  if (!isValidSaveGameProfile(saveGame.profile)) {
+    return { valid: false, error: 'Der Spielstand enthält ungültige Profilangaben' };
+  }
+
+  const data = saveGame.data;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, error: 'Der Spielstand enthält keine Daten' };
+  }
+  if (!Object.keys(data).every(key => DATA_KEY_PATTERN.test(key) && !key.startsWith('profile_'))) {
+    return { valid: false, error: 'Der Spielstand enthält ungültige Einträge' };
+  }
+  if ((data.schema_version || 0) > CURRENT_SCHEMA_VERSION) {
+    return { valid: false, error: 'Der Spielstand stammt aus einer neueren App-Version. Bitte aktualisiere die App.' };
+  }
+  if (saveGame.checksum !== computeChecksum(data)) {
+    return { valid: false, error: 'Der Spielstand ist beschädigt (Prüfsumme stimmt nicht)' };
+  }
+
+  return { valid: true, error: null, saveGame };
+}
+
+/**
+ * Compare a save game with the current data of the active profile
+ * @param {SaveGame} saveGame - Validated save game document
+ * @returns {Object} Diff ({current, imported}) with streak, diamonds and unlockedBackgrounds each
+ */
+export function getSaveGameDiff(saveGame) {
+  return {
+    current: summarizeData(exportStorageData()),
+    imported: summarizeData(saveGame.data)
+  };
+}
+
+/**
+ * Replace the data of the active profile with a save game (all or nothing)
+ * The app must reload afterwards, because modules keep the previous state in memory;
+ * save games with an older schema version are migrated on that start
+ * @param {SaveGame} saveGame - Validated save game document
+ * @returns {Promise<boolean>} Success status (resolves after the data is on disk)
+ */
+export function applySaveGame(saveGame) {
+  return replaceStorageData(saveGame.data);
+}
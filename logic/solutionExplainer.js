@@ -0,0 +1,513 @@
+// Kopfnuss - Solution Explainer
+// Builds child-friendly German solution steps for a task (shown after a wrong answer)
+
+import { gcd, reduceFraction, formatFraction } from './fractionUtils.js';
+import { parseDecimal } from './decimalUtils.js';
+import { getSolutionSteps } from './expressionUtils.js';
+
+/**
+ * @typedef {Object} Explanation
+ * @property {string} intro - One sentence on how to approach the task
+ * @property {string[]} steps - Solution steps, the last one ends with the result
+ */
+
+/**
+ * Place names from the ones column to the left
+ */
+const PLACE_NAMES = ['Einer', 'Zehner', 'Hunderter', 'Tausender', 'Zehntausender', 'Hunderttausender'];
+
+/**
+ * Rule names of the order-of-operations steps
+ */
+const RULE_NAMES = {
+  brackets: 'Klammer zuerst',
+  pointBeforeLine: 'Punkt vor Strich',
+  leftToRight: 'Von links nach rechts'
+};
+
+/**
+ * Get the digit of a number at a place
+ * @param {number} value - Integer
+ * @param {number} place - 0 = ones, 1 = tens, ...
+ * @returns {number} Digit
+ */
+function digitAt(value, place) {
+  return Math.floor(value / 10 ** place) % 10;
+}
+
+/**
+ * Number of digits of a non-negative integer
+ * @param {number} value - Integer
+ * @returns {number} Digit count
+ */
+function digitCount(value) {
+  return String(value).length;
+}
+
+/**
+ * Split a number into its place-value parts (e.g. 347 -> [300, 40, 7]); zero parts are left out
+ * @param {number} value - Non-negative integer
+ * @returns {number[]} Parts, largest first
+ */
+function splitIntoPlaces(value) {
+  const parts = [];
+  for (let place = digitCount(value) - 1; place >= 0; place--) {
+    const part = digitAt(value, place) * 10 ** place;
+    if (part > 0) {
+      parts.push(part);
+    }
+  }
+  return parts;
+}
+
+/**
+ * Explain an addition by splitting the second number (e.g. 47 + 38 = 47 + 30 + 8)
+ * @param {number} a - First addend
+ * @param {number} b - Second addend
+ * @returns {Explanation} Explanation
+ */
+function explainAddition(a, b) {
+  // Single digit across a ten: fill up to the next ten first
+  if (b < 10 && a % 10 !== 0 && a % 10 + b > 10) {
+    const toTen = 10 - a % 10;
+    return {
+      intro: 'Rechne erst bis zum nächsten Zehner:',
+      steps: [
+        `${a} + ${toTen} = ${a + toTen}`,
+        `${a + toTen} + ${b - toTen} = ${a + b}`
+      ]
+    };
+  }
+
+  if (b === 0) {
+    return { intro: 'Plus 0 ändert nichts.', steps: [`${a} + 0 = ${a}`] };
+  }
+
+  let total = a;
+  const steps = splitIntoPlaces(b).map(part => {
+    const step = `${total} + ${part} = ${total + part}`;
+    total += part;
+    return step;
+  });
+  return { intro: `Zerlege ${b} und rechne Schritt für Schritt:`, steps };
+}
+
+/**
+ * Explain a subtraction by splitting the second number (e.g. 83 - 47 = 83 - 40 - 7)
+ * @param {number} a - Minuend
+ * @param {number} b - Subtrahend
+ * @returns {Explanation} Explanation
+ */
+function explainSubtraction(a, b) {
+  // Single digit across a ten: go down to the ten first
+  if (b < 10 && a % 10 !== 0 && a % 10 < b) {
+    const toTen = a % 10;
+    return {
+      intro: 'Rechne erst bis zum Zehner zurück:',
+      steps: [
+        `${a} - ${toTen} = ${a - toTen}`,
+        `${a - toTen} - ${b - toTen} = ${a - b}`
+      ]
+    };
+  }
+
+  if (b === 0) {
+    return { intro: 'Minus 0 ändert nichts.', steps: [`${a} - 0 = ${a}`] };
+  }
+
+  let total = a;
+  const steps = splitIntoPlaces(b).map(part => {
+    const step = `${total} - ${part} = ${total - part}`;
+    total -= part;
+    return step;
+  });
+  return { intro: `Zerlege ${b} und ziehe Schritt für Schritt ab:`, steps };
+}
+
+/**
+ * Explain a written addition column by column
+ * @param {number} a - First addend
+ * @param {number} b - Second addend
+ * @returns {Explanation} Explanation
+ */
+function explainColumnAddition(a, b) {
+  const steps = [];
+  let carry = 0;
+  for (let place = 0; place < Math.max(digitCount(a), digitCount(b)); place++) {
+    const digitA = digitAt(a, place);
+    const digitB = digitAt(b, place);
+    const sum = digitA + digitB + carry;
+    const carryText = carry > 0 ? ` + ${carry}` : '';
+    const nextCarry = Math.floor(sum / 10);
+    const carryNote = nextCarry > 0 ? `, Übertrag ${nextCarry}` : '';
+    steps.push(`${PLACE_NAMES[place]}: ${digitA} + ${digitB}${carryText} = ${sum} → schreibe ${sum % 10}${carryNote}`);
+    carry = nextCarry;
+  }
+  if (carry > 0) {
+    steps.push(`Der Übertrag ${carry} kommt ganz nach vorne → ${a + b}`);
+  }
+  return { intro: 'Rechne Stelle für Stelle, fang bei den Einern an:', steps };
+}
+
+/**
+ * Explain a written subtraction column by column (Ergänzungsverfahren)
+ * @param {number} a - Minuend
+ * @param {number} b - Subtrahend
+ * @returns {Explanation} Explanation
+ */
+function explainColumnSubtraction(a, b) {
+  const steps = [];
+  let borrow = 0;
+  for (let place = 0; place < digitCount(a); place++) {
+    const digitA = digitAt(a, place);
+    const lower = digitAt(b, place) + borrow;
+    const lowerText = borrow > 0 ? `${digitAt(b, place)} + ${borrow} = ${lower}, ` : '';
+    const target = lower > digitA ? digitA + 10 : digitA;
+    const borrowNote = lower > digitA ? ', Übertrag 1' : '';
+    steps.push(`${PLACE_NAMES[place]}: ${lowerText}von ${lower} bis ${target} sind es ${target - lower} → schreibe ${target - lower}${borrowNote}`);
+    borrow = lower > digitA ? 1 : 0;
+  }
+  steps.push(`Ergebnis: ${a - b}`);
+  return { intro: 'Ergänze Stelle für Stelle von unten nach oben, fang bei den Einern an:', steps };
+}
+
+/**
+ * Explain a multiplication with the distributive trick (e.g. 14 × 15 = 14 × 10 + 14 × 5)
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {Explanation} Explanation
+ */
+function explainMultiplication(a, b) {
+  // Einmaleins: split a factor above 5 into 5 + rest, small factors are repeated addition
+  if (a <= 10 && b <= 10) {
+    const [small, large] = a <= b ? [a, b] : [b, a];
+    if (large === 10) {
+      return { intro: 'Mal 10 heißt: eine Null anhängen.', steps: [`${small} × 10 = ${a * b}`] };
+    }
+    if (small <= 2) {
+      return {
+        intro: `Zähle ${small}-mal ${large} zusammen:`,
+        steps: [`${Array(small).fill(large).join(' + ')} = ${a * b}`]
+      };
+    }
+    const split = large > 5 ? large : small;
+    const other = split === large ? small : large;
+    return {
+      intro: `Zerlege ${split} in 5 + ${split - 5}:`,
+      steps: [
+        `5 × ${other} = ${5 * other}`,
+        `${split - 5} × ${other} = ${(split - 5) * other}`,
+        `${5 * other} + ${(split - 5) * other} = ${a * b}`
+      ]
+    };
+  }
+
+  // Split the factor that has tens into tens and ones
+  const [split, other] = b >= 10 ? [b, a] : [a, b];
+  const ones = split % 10;
+  const tens = split - ones;
+  if (ones === 0) {
+    return {
+      intro: `Rechne erst mit ${tens / 10} und hänge dann die Null an:`,
+      steps: [
+        `${other} × ${tens / 10} = ${other * tens / 10}`,
+        `${other * tens / 10} × 10 = ${a * b}`
+      ]
+    };
+  }
+  return {
+    intro: `Zerlege ${split} in ${tens} + ${ones} und rechne beide Teile einzeln:`,
+    steps: [
+      `${other} × ${tens} = ${other * tens}`,
+      `${other} × ${ones} = ${other * ones}`,
+      `${other * tens} + ${other * ones} = ${a * b}`
+    ]
+  };
+}
+
+/**
+ * Explain a written multiplication (partial products, or column by column for one digit)
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {Explanation} Explanation
+ */
+function explainWrittenMultiplication(a, b) {
+  if (b < 10) {
+    const steps = [];
+    let carry = 0;
+    for (let place = 0; place < digitCount(a); place++) {
+      const product = digitAt(a, place) * b + carry;
+      const carryText = carry > 0 ? ` + ${carry}` : '';
+      const isLast = place === digitCount(a) - 1;
+      steps.push(isLast
+        ? `${PLACE_NAMES[place]}: ${digitAt(a, place)} × ${b}${carryText} = ${product} → schreibe ${product}`
+        : `${PLACE_NAMES[place]}: ${digitAt(a, place)} × ${b}${carryText} = ${product} → schreibe ${product % 10}, merke ${Math.floor(product / 10)}`);
+      carry = Math.floor(product / 10);
+    }
+    return { intro: `Nimm jede Stelle von ${a} mal ${b}, fang bei den Einern an:`, steps };
+  }
+
+  const digits = String(b).split('').map(Number);
+  const steps = digits.map(digit => `${a} × ${digit} = ${a * digit} → endet unter der ${digit}`);
+  const shifted = digits.map((digit, index) => a * digit * 10 ** (digits.length - 1 - index));
+  steps.push(`Zusammenzählen: ${shifted.join(' + ')} = ${a * b}`);
+  return { intro: `Nimm ${a} mit jeder Ziffer von ${b} mal und zähle die Teilergebnisse zusammen:`, steps };
+}
+
+/**
+ * Explain a division (reverse task for the Einmaleins, otherwise splitting the dividend)
+ * @param {number} dividend - Dividend
+ * @param {number} divisor - Divisor
+ * @returns {Explanation} Explanation
+ */
+function explainDivision(dividend, divisor) {
+  const quotient = dividend / divisor;
+  if (quotient <= 10) {
+    return {
+      intro: `Denke an die Umkehraufgabe: Welche Zahl mal ${divisor} ergibt ${dividend}?`,
+      steps: [
+        `${quotient} × ${divisor} = ${dividend}`,
+        `Also ist ${dividend} ÷ ${divisor} = ${quotient}`
+      ]
+    };
+  }
+
+  const tensQuotient = Math.floor(quotient / 10) * 10;
+  const firstPart = tensQuotient * divisor;
+  const rest = dividend - firstPart;
+  const steps = [
+    `${dividend} = ${firstPart} + ${rest}`,
+    `${firstPart} ÷ ${divisor} = ${tensQuotient}`
+  ];
+  if (rest > 0) {
+    steps.push(`${rest} ÷ ${divisor} = ${rest / divisor}`);
+    steps.push(`${tensQuotient} + ${rest / divisor} = ${quotient}`);
+  }
+  return { intro: `Zerlege ${dividend} in Zahlen, die sich leicht durch ${divisor} teilen lassen:`, steps };
+}
+
+/**
+ * Explain a written division step by step
+ * @param {number} dividend - Dividend
+ * @param {number} divisor - Divisor
+ * @returns {Explanation} Explanation
+ */
+function explainWrittenDivision(dividend, divisor) {
+  const digits = String(dividend).split('').map(Number);
+  const steps = [];
+  let position = 0;
+  let part = 0;
+  do {
+    part = part * 10 + digits[position];
+    position++;
+  } while (part < divisor && position < digits.length);
+
+  for (;;) {
+    const digit = Math.floor(part / divisor);
+    const remainder = part - digit * divisor;
+    steps.push(`${part} ÷ ${divisor} = ${digit}, denn ${digit} × ${divisor} = ${digit * divisor}. Rest: ${part} - ${digit * divisor} = ${remainder}`);
+    if (position >= digits.length) {
+      break;
+    }
+    steps.push(`Hole die ${digits[position]} herunter → ${remainder * 10 + digits[position]}`);
+    part = remainder * 10 + digits[position];
+    position++;
+  }
+  steps.push(`Ergebnis: ${dividend / divisor}`);
+  return { intro: 'Teile Stelle für Stelle, fang vorne an:', steps };
+}
+
+/**
+ * Explain a square number with the nearby ten (e.g. 19² = (20 - 1)²)
+ * @param {number} base - Base
+ * @returns {Explanation} Explanation
+ */
+function explainSquared(base) {
+  const square = base * base;
+  if (base <= 10) {
+    return { intro: 'Quadrieren heißt: die Zahl mal sich selbst.', steps: [`${base}² = ${base} × ${base} = ${square}`] };
+  }
+
+  const ten = Math.round(base / 10) * 10;
+  const offset = Math.abs(base - ten);
+  if (offset === 0) {
+    return {
+      intro: 'Rechne ohne die Null und hänge dann zwei Nullen an:',
+      steps: [`${ten / 10} × ${ten / 10} = ${(ten / 10) ** 2}`, `${base}² = ${square}`]
+    };
+  }
+
+  const sign = base < ten ? '-' : '+';
+  return {
+    intro: `Rechne mit dem nahen Zehner: ${base} = ${ten} ${sign} ${offset}`,
+    steps: [
+      `${ten}² = ${ten * ten}`,
+      `2 × ${ten} × ${offset} = ${2 * ten * offset}`,
+      `${offset}² = ${offset * offset}`,
+      `${ten * ten} ${sign} ${2 * ten * offset} + ${offset * offset} = ${square}`
+    ]
+  };
+}
+
+/**
+ * Explain an order-of-operations task with the school rules
+ * @param {Object} expression - Expression tree
+ * @returns {Explanation} Explanation
+ */
+function explainOrderOfOperations(expression) {
+  return {
+    intro: 'Klammern zuerst, dann Punkt vor Strich, dann von links nach rechts:',
+    steps: getSolutionSteps(expression).map(step => `${RULE_NAMES[step.rule]}: ${step.calculation} → ${step.expression}`)
+  };
+}
+
+/**
+ * Explain a fraction task
+ * @param {Object} a - First fraction
+ * @param {Object} b - Second fraction
+ * @param {string} operation - Fraction operation
+ * @returns {Explanation|null} Explanation
+ */
+function explainFractions(a, b, operation) {
+  const steps = [];
+  let intro;
+  let raw;
+
+  if (operation === 'addition' || operation === 'subtraction') {
+    const sign = operation === 'addition' ? '+' : '-';
+    const denominator = a.denominator * b.denominator / gcd(a.denominator, b.denominator);
+    const numeratorA = a.numerator * (denominator / a.denominator);
+    const numeratorB = b.numerator * (denominator / b.denominator);
+    raw = {
+      numerator: operation === 'addition' ? numeratorA + numeratorB : numeratorA - numeratorB,
+      denominator
+    };
+    if (a.denominator === b.denominator) {
+      intro = 'Die Nenner sind gleich, rechne nur mit den Zählern:';
+    } else {
+      intro = `Bringe beide Brüche auf den gleichen Nenner ${denominator}:`;
+      const expansions = [a, b]
+        .map((fraction, index) => ({ fraction, numerator: index === 0 ? numeratorA : numeratorB }))
+        .filter(({ fraction }) => fraction.denominator !== denominator)
+        .map(({ fraction, numerator }) => `${formatFraction(fraction)} = ${numerator}/${denominator}`);
+      steps.push(expansions.join(' und '));
+    }
+    steps.push(`${numeratorA}/${denominator} ${sign} ${numeratorB}/${denominator} = ${formatFraction(raw)}`);
+  } else if (operation === 'multiplication') {
+    intro = 'Zähler mal Zähler und Nenner mal Nenner:';
+    raw = { numerator: a.numerator * b.numerator, denominator: a.denominator * b.denominator };
+    steps.push(`${formatFraction(a)} × ${formatFraction(b)} = (${a.numerator} × ${b.numerator})/(${a.denominator} × ${b.denominator}) = ${formatFraction(raw)}`);
+  } else if (operation === 'division') {
+    intro = 'Durch einen Bruch teilen heißt: mit dem Kehrwert malnehmen.';
+    raw = { numerator: a.numerator * b.denominator, denominator: a.denominator * b.numerator };
+    steps.push(`${formatFraction(a)} ÷ ${formatFraction(b)} = ${formatFraction(a)} × ${b.denominator}/${b.numerator}`);
+    steps.push(`= ${formatFraction(raw)}`);
+  } else {
+    return null;
+  }
+
+  const divisor = gcd(raw.numerator, raw.denominator);
+  if (divisor > 1) {
+    steps.push(`Kürze durch ${divisor}: ${formatFraction(raw)} = ${formatFraction(reduceFraction(raw))}`);
+  }
+  return { intro, steps };
+}
+
+/**
+ * Format scaled decimal units with a fixed number of decimal places (German comma)
+ * @param {number} units - Value scaled by 10^places
+ * @param {number} places - Decimal places
+ * @returns {string} Formatted number (e.g. "1,60")
+ */
+function formatWithPlaces(units, places) {
+  if (places === 0) {
+    return String(units);
+  }
+  const text = String(units).padStart(places + 1, '0');
+  return `${text.slice(0, -places)},${text.slice(-places)}`;
+}
+
+/**
+ * Explain a decimal task by calculating without the comma
+ * @param {string} operation - decimalAddition, decimalSubtraction or decimalMultiplication
+ * @param {number[]} operands - Operands as numbers
+ * @returns {Explanation|null} Explanation
+ */
+function explainDecimals(operation, operands) {
+  const [a, b] = operands.map(operand => parseDecimal(String(operand)));
+  if (!a || !b) {
+    return null;
+  }
+
+  if (operation === 'decimalMultiplication') {
+    const product = a.units * b.units;
+    const places = a.scale + b.scale;
+    return {
+      intro: 'Rechne erst ohne Komma und setze es dann wieder:',
+      steps: [
+        `${a.units} × ${b.units} = ${product}`,
+        `Die Zahlen haben zusammen ${places} ${places === 1 ? 'Stelle' : 'Stellen'} nach dem Komma → ${formatWithPlaces(product, places)}`
+      ]
+    };
+  }
+
+  const places = Math.max(a.scale, b.scale);
+  const unitsA = a.units * 10 ** (places - a.scale);
+  const unitsB = b.units * 10 ** (places - b.scale);
+  const isAddition = operation === 'decimalAddition';
+  const sign = isAddition ? '+' : '-';
+  const result = isAddition ? unitsA + unitsB : unitsA - unitsB;
+  return {
+    intro: 'Schreibe Komma unter Komma und fülle mit Nullen auf:',
+    steps: [
+      `${formatWithPlaces(unitsA, places)} ${sign} ${formatWithPlaces(unitsB, places)}`,
+      `Ohne Komma: ${unitsA} ${sign} ${unitsB} = ${result}`,
+      `Komma wieder setzen → ${formatWithPlaces(result, places)}`
+    ]
+  };
+}
+
+/**
+ * Build the solution steps for a task
+ * @param {Object} task - Task object (question, answer, metadata with operation and operands)
+ * @returns {Explanation|null} Explanation, or null if there is none for this kind of task
+ */
+export function explainTask(task) {
+  const metadata = task && task.metadata;
+  if (!metadata) {
+    return null;
+  }
+  const operands = metadata.operands || [];
+  const [a, b] = operands;
+
+  switch (metadata.operation) {
+    case 'addition':
+      return explainAddition(a, b);
+    case 'subtraction':
+      return explainSubtraction(a, b);
+    case 'additionPlaceValue':
+      return explainColumnAddition(a, b);
+    case 'subtractionPlaceValue':
+      return explainColumnSubtraction(a, b);
+    case 'multiplication':
+      return explainMultiplication(a, b);
+    case 'writtenMultiplication':
+      return explainWrittenMultiplication(a, b);
+    case 'division':
+      return explainDivision(a, b);
+    case 'writtenDivision':
+      return explainWrittenDivision(a, b);
+    case 'squared':
+      return explainSquared(a);
+    case 'orderOfOperations':
+      return metadata.expression ? explainOrderOfOperations(metadata.expression) : null;
+    case 'fractions':
+      return explainFractions(a, b, metadata.fractionOperation);
+    case 'decimalAddition':
+    case 'decimalSubtraction':
+    case 'decimalMultiplication':
+      return explainDecimals(metadata.operation, operands);
+    default:
+      return null;
+  }
+}
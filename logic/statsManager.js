@@ -0,0 +1,377 @@
+// Kopfnuss - Stats Manager
+// Aggregates stored progress, streak, diamond, attempt and daily summary data for the statistics screen
+
+import { CHALLENGE_TYPES } from '../data/balancingLoader.js';
+import { PARENT_CONFIG } from '../data/constants.js';
+import {
+  loadStreak,
+  loadProgress,
+  loadDiamonds,
+  loadDiamondHistory,
+  loadAttemptLog,
+  loadDailySummaries,
+  loadRestDays
+} from './storageManager.js';
+import { getDailySummary, getSummaryDates } from './challengeArchive.js';
+import { getTodayDate, addDays, getWeekdayIndex } from './dateService.js';
+import { getEffectiveLevels } from './adaptiveDifficulty.js';
+import { isRestDay } from './restDays.js';
+import { getStreakDayStatuses, getLongestStreakRecords, countStreakEvents } from './streakLog.js';
+
+/**
+ * Display info for the premium challenge types, the Fehler-Training and retried mistakes
+ * (not part of CHALLENGE_TYPES)
+ */
+const PREMIUM_TYPE_INFO = {
+  kopfnuss: { name: 'Kopfnuss', icon: '🤔' },
+  zeit: { name: 'Zeit-Challenge', icon: '⏱️' },
+  review: { name: 'Fehler-Training', icon: '🔁' },
+  practice: { name: 'Nochmal üben', icon: '🔁' }
+};
+
+/**
+ * Get the last N dates ending today
+ * @param {number} days - Number of days
+ * @returns {string[]} Date strings, oldest first
+ */
+function getRecentDates(days) {
+  const today = getTodayDate();
+  const dates = [];
+  for (let offset = days - 1; offset >= 0; offset--) {
+    dates.push(addDays(today, -offset));
+  }
+  return dates;
+}
+
+/**
+ * Get the Monday of the week a date belongs to
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Monday of that week (YYYY-MM-DD)
+ */
+function getWeekStart(date) {
+  return addDays(date, -getWeekdayIndex(date));
+}
+
+/**
+ * Get the start dates of the last N weeks ending with the current week
+ * @param {number} weeks - Number of weeks
+ * @returns {string[]} Mondays (YYYY-MM-DD), oldest first
+ */
+function getRecentWeekStarts(weeks) {
+  const currentWeek = getWeekStart(getTodayDate());
+  const weekStarts = [];
+  for (let offset = weeks - 1; offset >= 0; offset--) {
+    weekStarts.push(addDays(currentWeek, -offset * 7));
+  }
+  return weekStarts;
+}
+
+/**
+ * Get display name and icon for a challenge type
+ * @param {string} type - Challenge type
+ * @returns {Object} Object with name and icon
+ */
+export function getChallengeTypeInfo(type) {
+  if (PREMIUM_TYPE_INFO[type]) {
+    return PREMIUM_TYPE_INFO[type];
+  }
+  const typeInfo = CHALLENGE_TYPES[type];
+  return typeInfo ? { name: typeInfo.name, icon: typeInfo.icon } : { name: type, icon: '❓' };
+}
+
+/**
+ * Get current and longest streak
+ * @returns {Object} Streak stats
+ */
+export function getStreakStats() {
+  const streak = loadStreak();
+  const progress = loadProgress();
+
+  return {
+    currentStreak: streak.currentStreak || 0,
+    longestStreak: Math.max(streak.longestStreak || 0, streak.currentStreak || 0),
+    isFrozen: streak.isFrozen || false,
+    totalTasksCompleted: progress.totalTasksCompleted || 0,
+    totalChallengesCompleted: progress.totalChallengesCompleted || 0
+  };
+}
+
+/**
+ * Get daily activity for the streak calendar
+ * A day counts as active if at least one challenge (standard, Kopfnuss, Zeit or Fehler-Training) was completed;
+ * rest days (see restDays.js) are flagged because they do not break the streak; streakStatus is the
+ * day status from the streak log (see STREAK_DAY_STATUS in streakLog.js)
+ * @param {number} days - Number of days to include (ending today)
+ * @returns {Array} Days ({date, challengesCompleted, tasksSolved, active, isRestDay, streakStatus, isToday}), oldest first
+ */
+export function getActivityCalendar(days = 35) {
+  const today = getTodayDate();
+
+  // Count correctly solved tasks per day from the attempt log
+  const solvedPerDay = {};
+  loadAttemptLog().forEach(attempt => {
+    if (attempt.isCorrect) {
+      solvedPerDay[attempt.date] = (solvedPerDay[attempt.date] || 0) + 1;
+    }
+  });
+
+  const summaries = loadDailySummaries();
+  const restDays = loadRestDays();
+  const dates = getRecentDates(days);
+  const streakStatuses = getStreakDayStatuses(dates[0], today);
+
+  return dates.map((date, index) => {
+    const summary = getDailySummary(date, summaries);
+    const challengesCompleted = summary
+      ? summary.challenges.filter(challenge => challenge.completed).length
+      : 0;
+
+    return {
+      date,
+      challengesCompleted,
+      tasksSolved: solvedPerDay[date] || 0,
+      active: challengesCompleted > 0,
+      isRestDay: isRestDay(date, restDays),
+      streakStatus: streakStatuses[index].status,
+      isToday: date === today
+    };
+  });
+}
+
+/**
+ * Get diamonds earned and spent per day
+ * @param {number} days - Number of days to include (ending today)
+ * @returns {Object} Current balance, totals and per-day entries ({date, earned, spent}), oldest first
+ */
+export function getDiamondTimeline(days = 30) {
+  const history = loadDiamondHistory();
+  const timeline = getRecentDates(days).map(date => ({
+    date,
+    earned: history[date] ? history[date].earned : 0,
+    spent: history[date] ? history[date].spent : 0
+  }));
+
+  const totals = Object.values(history).reduce((sum, entry) => ({
+    earned: sum.earned + (entry.earned || 0),
+    spent: sum.spent + (entry.spent || 0)
+  }), { earned: 0, spent: 0 });
+
+  return {
+    current: loadDiamonds(),
+    totalEarned: totals.earned,
+    totalSpent: totals.spent,
+    timeline
+  };
+}
+
+/**
+ * Get success rate and average answer time per challenge type
+ * Based on the attempt log (all flows); includes the adaptive difficulty level where available
+ * @returns {Array} Per-type stats ({type, name, icon, attempts, correct, successRate, avgTimeMs, level, maxLevel}),
+ *   sorted by number of attempts (most first)
+ */
+export function getPerformanceByType() {
+  const levels = getEffectiveLevels();
+  const grouped = {};
+
+  loadAttemptLog().forEach(attempt => {
+    const type = attempt.challengeType || 'unknown';
+    const entry = grouped[type] || (grouped[type] = { attempts: 0, correct: 0, totalTimeMs: 0 });
+    entry.attempts++;
+    entry.totalTimeMs += attempt.timeMs || 0;
+    if (attempt.isCorrect) {
+      entry.correct++;
+    }
+  });
+
+  return Object.entries(grouped)
+    .map(([type, entry]) => ({
+      type,
+      ...getChallengeTypeInfo(type),
+      attempts: entry.attempts,
+      correct: entry.correct,
+      successRate: entry.correct / entry.attempts,
+      avgTimeMs: entry.totalTimeMs / entry.attempts,
+      level: levels[type] ? levels[type].level : null,
+      maxLevel: levels[type] ? levels[type].maxLevel : null
+    }))
+    .sort((a, b) => b.attempts - a.attempts);
+}
+
+/**
+ * Get the most recently finished challenges across all flows
+ * @param {number} limit - Maximum number of entries
+ * @returns {Array} Entries ({date, completedAt, type, name, icon, errors, totalTasks, isSuperChallenge, result}),
+ *   newest first
+ */
+export function getRecentChallenges(limit = 10) {
+  const dates = getSummaryDates().reverse();
+  const summaries = loadDailySummaries();
+  const entries = [];
+
+  for (const date of dates) {
+    const summary = getDailySummary(date, summaries);
+    if (!summary) {
+      continue;
+    }
+
+    const dayEntries = summary.challenges
+      .filter(challenge => challenge.kind === 'daily' ? challenge.completed : challenge.completedAt)
+      .map(challenge => ({
+        date,
+        completedAt: challenge.completedAt,
+        type: challenge.type,
+        ...getChallengeTypeInfo(challenge.type),
+        errors: challenge.errors,
+        totalTasks: challenge.totalTasks,
+        isSuperChallenge: challenge.isSuperChallenge,
+        result: challenge.result
+      }));
+
+    dayEntries.sort((a, b) => (b.completedAt || '').localeCompare(a.completedAt || ''));
+    entries.push(...dayEntries);
+
+    if (entries.length >= limit) {
+      break;
+    }
+  }
+
+  return entries.slice(0, limit);
+}
+
+// ============================================
+// PARENT DASHBOARD
+// ============================================
+
+/**
+ * Get practice time and accuracy per week
+ * Practice time is the sum of answer times; pauses longer than
+ * PARENT_CONFIG.MAX_PRACTICE_MS_PER_TASK are not counted
+ * @param {number} [weeks=PARENT_CONFIG.DASHBOARD_WEEKS] - Number of weeks (ending with the current week)
+ * @returns {Array} Weeks ({weekStart, minutes, attempts, correct, accuracy}), oldest first;
+ *   accuracy is null for weeks without answers
+ */
+export function getWeeklyPractice(weeks = PARENT_CONFIG.DASHBOARD_WEEKS) {
+  const weekStarts = getRecentWeekStarts(weeks);
+  const grouped = {};
+  weekStarts.forEach(weekStart => {
+    grouped[weekStart] = { practiceMs: 0, attempts: 0, correct: 0 };
+  });
+
+  loadAttemptLog().forEach(attempt => {
+    const entry = grouped[getWeekStart(attempt.date)];
+    if (!entry) {
+      return;
+    }
+    entry.practiceMs += Math.min(attempt.timeMs || 0, PARENT_CONFIG.MAX_PRACTICE_MS_PER_TASK);
+    entry.attempts++;
+    if (attempt.isCorrect) {
+      entry.correct++;
+    }
+  });
+
+  return weekStarts.map(weekStart => {
+    const entry = grouped[weekStart];
+    return {
+      weekStart,
+      minutes: Math.round(entry.practiceMs / 60000),
+      attempts: entry.attempts,
+      correct: entry.correct,
+      accuracy: entry.attempts > 0 ? entry.correct / entry.attempts : null
+    };
+  });
+}
+
+/**
+ * Get answers per task operation (all flows, whole attempt log)
+ * @returns {Array} Operations ({operation, name, icon, attempts, correct, accuracy}),
+ *   sorted by number of correct answers (most first)
+ */
+export function getTasksByOperation() {
+  const grouped = {};
+
+  loadAttemptLog().forEach(attempt => {
+    const operation = attempt.operation || attempt.challengeType || 'unknown';
+    const entry = grouped[operation] || (grouped[operation] = { attempts: 0, correct: 0 });
+    entry.attempts++;
+    if (attempt.isCorrect) {
+      entry.correct++;
+    }
+  });
+
+  return Object.entries(grouped)
+    .map(([operation, entry]) => ({
+      operation,
+      ...getChallengeTypeInfo(operation),
+      attempts: entry.attempts,
+      correct: entry.correct,
+      accuracy: entry.correct / entry.attempts
+    }))
+    .sort((a, b) => b.correct - a.correct);
+}
+
+/**
+ * Get the operations with the lowest accuracy
+ * Only operations with at least PARENT_CONFIG.WEAK_OPERATION_MIN_ATTEMPTS answers are considered
+ * @param {number} [limit=PARENT_CONFIG.WEAK_OPERATION_COUNT] - Maximum number of operations
+ * @returns {Array} Operations (see getTasksByOperation), weakest first
+ */
+export function getWeakestOperations(limit = PARENT_CONFIG.WEAK_OPERATION_COUNT) {
+  return getTasksByOperation()
+    .filter(entry => entry.attempts >= PARENT_CONFIG.WEAK_OPERATION_MIN_ATTEMPTS && entry.accuracy < 1)
+    .sort((a, b) => a.accuracy - b.accuracy)
+    .slice(0, limit);
+}
+
+/**
+ * Get the streak report for the parent dashboard from the streak log
+ * @param {number} [days=PARENT_CONFIG.STREAK_HISTORY_DAYS] - Number of past days to count events in
+ * @param {number} [recordLimit=PARENT_CONFIG.STREAK_HISTORY_COUNT] - Maximum number of listed records
+ * @returns {Object} Event counts per type ({incremented, frozen, ...}) and records ([{date, streak}], newest first)
+ */
+export function getStreakReport(days = PARENT_CONFIG.STREAK_HISTORY_DAYS, recordLimit = PARENT_CONFIG.STREAK_HISTORY_COUNT) {
+  return {
+    counts: countStreakEvents(addDays(getTodayDate(), -(days - 1))),
+    records: getLongestStreakRecords(recordLimit)
+  };
+}
+
+/**
+ * Get past streak runs (consecutive days with at least one completed challenge)
+ * Based on the stored challenges and daily summaries, so it only reaches back
+ * as far as CONFIG.DAILY_SUMMARY_RETENTION_DAYS
+ * @param {number} [days=PARENT_CONFIG.STREAK_HISTORY_DAYS] - Number of past days to search
+ * @param {number} [limit=PARENT_CONFIG.STREAK_HISTORY_COUNT] - Maximum number of runs
+ * @returns {Array} Runs ({startDate, endDate, length, isCurrent}), newest first
+ */
+export function getStreakHistory(days = PARENT_CONFIG.STREAK_HISTORY_DAYS, limit = PARENT_CONFIG.STREAK_HISTORY_COUNT) {
+  const today = getTodayDate();
+  const summaries = loadDailySummaries();
+  const runs = [];
+  let currentRun = null;
+
+  getRecentDates(days).forEach(date => {
+    const summary = getDailySummary(date, summaries);
+    const active = Boolean(summary && summary.challenges.some(challenge => challenge.completed));
+
+    if (active) {
+      if (currentRun) {
+        currentRun.endDate = date;
+        currentRun.length++;
+      } else {
+        currentRun = { startDate: date, endDate: date, length: 1, isCurrent: false };
+        runs.push(currentRun);
+      }
+    } else {
+      currentRun = null;
+    }
+  });
+
+  // A run that ended yesterday is still going (today may not be played yet)
+  const lastRun = runs[runs.length - 1];
+  if (lastRun && (lastRun.endDate === today || lastRun.endDate === addDays(today, -1))) {
+    lastRun.isCurrent = true;
+  }
+
+  return runs.reverse().slice(0, limit);
+}
@@ -0,0 +1,358 @@
+// Kopfnuss - Storage Backend
+// Routes raw key/value storage: bulky data (dated challenges, summaries, attempt log) goes to IndexedDB,
+// small settings stay in localStorage. Falls back to localStorage if IndexedDB is unavailable.
+
+import { logError, logInfo, logWarn } from './logging.js';
+
+/**
+ * IndexedDB database and object store names
+ */
+const DB_NAME = 'kopfnuss';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+/**
+ * Key names (without mode/profile prefix) of bulky data kept in the bulk backend
+ * Entries ending in '_' are prefixes of dated keys
+ */
+const BULK_KEY_NAMES = [
+  'challenges_',
+  'kopfnuss_challenge_',
+  'zeit_challenge_',
+  'review_challenge_',
+  'generation_inputs_',
+  'attempt_log',
+  'daily_summaries',
+  'streak_log',
+  'schema_backup'
+];
+
+/**
+ * Mode and profile part of a storage key ('kopfnuss_', 'kopfnuss_dev_', optionally 'profile_<id>_')
+ */
+const NAMESPACE_PREFIX_PATTERN = /^kopfnuss_(dev_)?(profile_[a-z0-9]+_)?/;
+
+/**
+ * @typedef {Object} StorageBackend
+ * @property {string} name - Backend name ('localStorage' or 'indexedDB')
+ * @property {Function} getItem - (key) => string|null
+ * @property {Function} setItem - (key, value) => void, value is a string
+ * @property {Function} removeItem - (key) => void
+ * @property {Function} keys - () => string[]
+ * @property {Function} whenIdle - () => Promise<void>, resolves once all writes are on disk,
+ *   rejects with the write error if pending writes could not be committed
+ */
+
+/**
+ * localStorage backend (synchronous, used for settings and as fallback for bulky data)
+ * @type {StorageBackend}
+ */
+const localStorageBackend = {
+  name: 'localStorage',
+  getItem: (key) => localStorage.getItem(key),
+  setItem: (key, value) => localStorage.setItem(key, value),
+  removeItem: (key) => localStorage.removeItem(key),
+  keys: () => Object.keys(localStorage),
+  whenIdle: () => Promise.resolve()
+};
+
+/**
+ * Backend for bulky data (localStorage until initStorageBackend() switched to IndexedDB)
+ * @type {StorageBackend}
+ */
+let bulkBackend = localStorageBackend;
+
+/**
+ * Pending initialization (shared by repeated initStorageBackend() calls)
+ */
+let initPromise = null;
+
+/**
+ * Callbacks that write data held back in memory (see onBeforeStorageFlush())
+ */
+const beforeFlushCallbacks = [];
+
+/**
+ * Check whether a storage key holds bulky data
+ * @param {string} key - Full storage key
+ * @returns {boolean} True if the key belongs in the bulk backend
+ */
+export function isBulkKey(key) {
+  const keyName = key.replace(NAMESPACE_PREFIX_PATTERN, '');
+  return BULK_KEY_NAMES.some(name => name.endsWith('_') ? keyName.startsWith(name) : keyName === name);
+}
+
+/**
+ * Open (and create if needed) the IndexedDB database
+ * @returns {Promise<IDBDatabase>} Open database
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME);
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+  });
+}
+
+/**
+ * Read all entries of the object store
+ * @param {IDBDatabase} db - Open database
+ * @returns {Promise<Map<string, string>>} All stored entries
+ */
+function readAllEntries(db) {
+  return new Promise((resolve, reject) => {
+    const entries = new Map();
+    const request = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+    request.onsuccess = () => {
+      const cursor = request.result;
+      if (cursor) {
+        entries.set(cursor.key, cursor.value);
+        cursor.continue();
+      } else {
+        resolve(entries);
+      }
+    };
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a write transaction on the object store
+ * @param {IDBDatabase} db - Open database
+ * @param {Function} write - (store) => void, issues the put/delete requests
+ * @returns {Promise<void>} Resolves when the transaction is committed
+ */
+function runWriteTransaction(db, write) {
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, 'readwrite');
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    write(transaction.objectStore(STORE_NAME));
+  });
+}
+
+/**
+ * Create the IndexedDB backend
+ * Reads are served from an in-memory copy loaded at startup, so the storage API stays
+ * synchronous; writes update the copy immediately and are queued. The queue is committed
+ * in one transaction after the current task (and on whenIdle()); writes of a failed
+ * transaction stay queued, so the next commit retries them.
+ * @param {IDBDatabase} db - Open database
+ * @param {Map<string, string>} entries - Entries loaded at startup
+ * @returns {StorageBackend} IndexedDB backend
+ */
+function createIndexedDbBackend(db, entries) {
+  const cache = entries;
+  // Queued writes: key -> value, null = delete (only the latest write per key is kept)
+  let pendingWrites = new Map();
+  let activeCommit = null;
+  let commitScheduled = false;
+
+  const commitPendingWrites = async () => {
+    while (pendingWrites.size > 0) {
+      const writes = pendingWrites;
+      pendingWrites = new Map();
+      try {
+        await runWriteTransaction(db, store => {
+          writes.forEach((value, key) => (value === null ? store.delete(key) : store.put(value, key)));
+        });
+      } catch (error) {
+        writes.forEach((value, key) => {
+          if (!pendingWrites.has(key)) {
+            pendingWrites.set(key, value);
+          }
+        });
+        throw error;
+      }
+    }
+  };
+
+  const commit = () => {
+    if (!activeCommit) {
+      activeCommit = commitPendingWrites().finally(() => {
+        activeCommit = null;
+      });
+    }
+    return activeCommit;
+  };
+
+  const scheduleCommit = () => {
+    if (commitScheduled) {
+      return;
+    }
+    commitScheduled = true;
+    Promise.resolve().then(() => {
+      commitScheduled = false;
+      commit().catch(error => {
+        logError('Error writing to IndexedDB (writes stay queued):', error);
+      });
+    });
+  };
+
+  const queueWrite = (key, value) => {
+    pendingWrites.delete(key);
+    pendingWrites.set(key, value);
+    scheduleCommit();
+  };
+
+  return {
+    name: 'indexedDB',
+    getItem: (key) => (cache.has(key) ? cache.get(key) : null),
+    setItem: (key, value) => {
+      cache.set(key, value);
+      queueWrite(key, value);
+    },
+    removeItem: (key) => {
+      cache.delete(key);
+      queueWrite(key, null);
+    },
+    keys: () => [...cache.keys()],
+    whenIdle: async () => {
+      while (activeCommit || pendingWrites.size > 0) {
+        if (activeCommit) {
+          // A failed background commit is retried below with its queued writes
+          await activeCommit.catch(() => {});
+        } else {
+          await commit();
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Commit queued writes when the page is hidden or closed
+ * (the last moment a tab close or app switch still lets the writes finish)
+ */
+function flushOnPageHide() {
+  if (typeof window === 'undefined' || typeof document === 'undefined') {
+    return;
+  }
+
+  const flush = () => {
+    whenStorageIdle().catch(error => {
+      logError('Error flushing storage on page hide:', error);
+    });
+  };
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') {
+      flush();
+    }
+  });
+}
+
+/**
+ * Move bulky data that is still in localStorage into IndexedDB
+ * localStorage entries are removed only after the IndexedDB transaction is committed
+ * @param {IDBDatabase} db - Open database
+ * @param {Map<string, string>} entries - In-memory copy of the IndexedDB entries (updated)
+ * @returns {Promise<number>} Number of moved keys
+ */
+async function moveBulkDataFromLocalStorage(db, entries) {
+  const keys = Object.keys(localStorage).filter(isBulkKey);
+  if (keys.length === 0) {
+    return 0;
+  }
+
+  const values = keys.map(key => [key, localStorage.getItem(key)]);
+  await runWriteTransaction(db, store => {
+    values.forEach(([key, value]) => store.put(value, key));
+  });
+
+  values.forEach(([key, value]) => {
+    entries.set(key, value);
+    localStorage.removeItem(key);
+  });
+  return keys.length;
+}
+
+/**
+ * Initialize the storage backend
+ * Must be awaited at startup before any data is read. Without IndexedDB
+ * (private mode, old browsers, errors) bulky data stays in localStorage.
+ * @returns {Promise<string>} Name of the active bulk backend
+ */
+export function initStorageBackend() {
+  if (initPromise) {
+    return initPromise;
+  }
+
+  initPromise = (async () => {
+    flushOnPageHide();
+
+    if (typeof indexedDB === 'undefined') {
+      logWarn('IndexedDB not available, keeping all data in localStorage');
+      return bulkBackend.name;
+    }
+
+    try {
+      const db = await openDatabase();
+      const entries = await readAllEntries(db);
+      const movedCount = await moveBulkDataFromLocalStorage(db, entries);
+      if (movedCount > 0) {
+        logInfo(`Moved ${movedCount} keys from localStorage to IndexedDB`);
+      }
+      bulkBackend = createIndexedDbBackend(db, entries);
+    } catch (error) {
+      logError('IndexedDB unavailable, falling back to localStorage:', error);
+    }
+    return bulkBackend.name;
+  })();
+
+  return initPromise;
+}
+
+/**
+ * Get the name of the backend used for bulky data
+ * @returns {string} 'indexedDB' or 'localStorage'
+ */
+export function getBulkBackendName() {
+  return bulkBackend.name;
+}
+
+/**
+ * Register a callback that writes data held back in memory
+ * Runs (synchronously) before every flush, so whenStorageIdle() and page hide include that data
+ * @param {Function} callback - () => void, throws if the data could not be written
+ */
+export function onBeforeStorageFlush(callback) {
+  beforeFlushCallbacks.push(callback);
+}
+
+/**
+ * Wait until all queued writes are on disk (data held back in memory is written first)
+ * Await this before reloading the page or reporting that data was saved
+ * @returns {Promise<void>} Resolves when idle, rejects with the write error if writes failed
+ */
+export async function whenStorageIdle() {
+  beforeFlushCallbacks.forEach(callback => callback());
+  await bulkBackend.whenIdle();
+}
+
+/**
+ * Get the backend responsible for a key
+ * @param {string} key - Full storage key
+ * @returns {StorageBackend} Backend
+ */
+function getBackendForKey(key) {
+  return isBulkKey(key) ? bulkBackend : localStorageBackend;
+}
+
+/**
+ * Raw key/value storage across both backends (string values, like localStorage)
+ */
+export const storage = {
+  getItem: (key) => getBackendForKey(key).getItem(key),
+  setItem: (key, value) => getBackendForKey(key).setItem(key, value),
+  removeItem: (key) => getBackendForKey(key).removeItem(key),
+  keys: () => {
+    const localKeys = localStorageBackend.keys();
+    return bulkBackend === localStorageBackend ? localKeys : [...localKeys, ...bulkBackend.keys()];
+  }
+};
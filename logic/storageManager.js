@@ -1,7 +1,11 @@
 // Kopfnuss - Storage Manager
-// Handles all localStorage operations with error handling
+// Handles all storage operations with error handling (bulky data via storageBackend.js)
 
-import { logError } from './logging.js';
+import { logError, logInfo, logWarn } from './logging.js';
+import { CONFIG } from '../data/balancingLoader.js';
+import { storage, getBulkBackendName, whenStorageIdle, onBeforeStorageFlush } from './storageBackend.js';
+import { getTodayDate, addDays } from './dateService.js';
+import { getTimestamp } from './clock.js';
 
 /**
  * Dev mode setting key (stored separately, never has dev prefix)
@@ -13,12 +17,75 @@ const DEV_MODE_KEY = 'kopfnuss_use_dev_balancing';
  */
 const AUDIO_MUTED_KEY = 'kopfnuss_audio_muted';
 
+/**
+ * Dev clock override key (stored globally, only applied in dev mode)
+ */
+const CLOCK_OVERRIDE_KEY = 'kopfnuss_clock_override';
+
+/**
+ * Profile list key (stored globally, shared by all profiles and modes)
+ */
+const PROFILES_KEY = 'kopfnuss_profiles';
+
+/**
+ * Active profile key (stored globally, holds the id of the selected profile)
+ */
+const ACTIVE_PROFILE_KEY = 'kopfnuss_active_profile';
+
+/**
+ * Flag key set once the pre-profile save data has been moved into the first profile
+ */
+const PROFILE_MIGRATION_KEY = 'kopfnuss_profiles_migrated';
+
+/**
+ * Session key holding the profile chosen in this browser session (sessionStorage)
+ * Lets reloads (dev mode toggle, profile switch) skip the startup profile picker
+ */
+const SESSION_PROFILE_KEY = 'kopfnuss_session_profile';
+
+/**
+ * Parent area PIN key (stored globally, one PIN per device)
+ */
+const PARENT_PIN_KEY = 'kopfnuss_parent_pin';
+
+/**
+ * Keys that are never namespaced (not per mode, not per profile)
+ * 'kopfnuss_last_error' is written by the global error handler in main.js
+ */
+const GLOBAL_KEYS = [
+  DEV_MODE_KEY,
+  AUDIO_MUTED_KEY,
+  CLOCK_OVERRIDE_KEY,
+  PROFILES_KEY,
+  ACTIVE_PROFILE_KEY,
+  PROFILE_MIGRATION_KEY,
+  PARENT_PIN_KEY,
+  'kopfnuss_last_error'
+];
+
+/**
+ * Marker between mode prefix and profile id in namespaced keys
+ * (e.g. 'kopfnuss_profile_<id>_streak', 'kopfnuss_dev_profile_<id>_streak')
+ */
+const PROFILE_KEY_MARKER = 'profile_';
+
+/**
+ * Key names inside a profile namespace that are not part of the save data
+ * (kept out of save game exports and not replaced by imports)
+ */
+const INTERNAL_KEY_NAMES = ['schema_backup'];
+
 /**
  * Cached dev mode state (initialized on first call, persists until page reload)
  * Using null to indicate not yet cached
  */
 let cachedDevModeState = null;
 
+/**
+ * Cached active profile id (null = not yet cached, '' = no profile selected)
+ */
+let cachedActiveProfileId = null;
+
 /**
  * Load dev mode setting (this is stored separately and not affected by dev mode prefix)
  * This function is defined early because it's needed by getStoragePrefix()
@@ -97,17 +164,286 @@ export function saveAudioMutedSetting(muted) {
 }
 
 /**
- * Get the dev mode prefix based on current dev mode state
+ * Load the dev clock override (stored globally, applied by main.js in dev mode only)
+ * @returns {Object|null} Override ({offsetDays} or {fixedDate}, see clock.js) or null for the real date
+ */
+export function loadClockOverrideSetting() {
+  try {
+    const item = localStorage.getItem(CLOCK_OVERRIDE_KEY);
+    return item === null ? null : JSON.parse(item);
+  } catch (error) {
+    logError('Error loading clock override setting:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the dev clock override
+ * @param {Object|null} override - Override ({offsetDays} or {fixedDate}) or null to use the real date
+ * @returns {boolean} Success status
+ */
+export function saveClockOverrideSetting(override) {
+  try {
+    if (override) {
+      localStorage.setItem(CLOCK_OVERRIDE_KEY, JSON.stringify(override));
+    } else {
+      localStorage.removeItem(CLOCK_OVERRIDE_KEY);
+    }
+    return true;
+  } catch (error) {
+    logError('Error saving clock override setting:', error);
+    return false;
+  }
+}
+
+// ============================================
+// PROFILE STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Load the list of learner profiles
+ * @returns {Array} Profiles ({id, name, avatar, createdAt})
+ */
+export function loadProfiles() {
+  try {
+    const item = localStorage.getItem(PROFILES_KEY);
+    const profiles = item === null ? [] : JSON.parse(item);
+    return Array.isArray(profiles) ? profiles : [];
+  } catch (error) {
+    logError('Error loading profiles:', error);
+    return [];
+  }
+}
+
+/**
+ * Save the list of learner profiles
+ * @param {Array} profiles - Profiles ({id, name, avatar, createdAt})
+ * @returns {boolean} Success status
+ */
+export function saveProfiles(profiles) {
+  try {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+    return true;
+  } catch (error) {
+    logError('Error saving profiles:', error);
+    return false;
+  }
+}
+
+/**
+ * Load the id of the active profile
+ * Uses caching like the dev mode setting; the prefix of every storage key depends on it
+ * @returns {string|null} Profile id or null if no profile is selected
+ */
+export function loadActiveProfileId() {
+  if (cachedActiveProfileId !== null) {
+    return cachedActiveProfileId || null;
+  }
+
+  try {
+    const item = localStorage.getItem(ACTIVE_PROFILE_KEY);
+    cachedActiveProfileId = item === null ? '' : (JSON.parse(item) || '');
+  } catch (error) {
+    logError('Error loading active profile:', error);
+    cachedActiveProfileId = '';
+  }
+  return cachedActiveProfileId || null;
+}
+
+/**
+ * Save the id of the active profile
+ * Note: Modules keep state of the previous profile in memory, so switching
+ * profiles while the app is running requires an app reload
+ * @param {string|null} profileId - Profile id or null to clear the selection
+ * @returns {boolean} Success status
+ */
+export function saveActiveProfileId(profileId) {
+  try {
+    if (profileId) {
+      localStorage.setItem(ACTIVE_PROFILE_KEY, JSON.stringify(profileId));
+      sessionStorage.setItem(SESSION_PROFILE_KEY, profileId);
+    } else {
+      localStorage.removeItem(ACTIVE_PROFILE_KEY);
+      sessionStorage.removeItem(SESSION_PROFILE_KEY);
+    }
+    cachedActiveProfileId = profileId || '';
+    return true;
+  } catch (error) {
+    logError('Error saving active profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Check whether a profile was already chosen in this browser session
+ * @param {string} profileId - Profile id
+ * @returns {boolean} True if the profile was chosen in this session
+ */
+export function wasProfileChosenThisSession(profileId) {
+  try {
+    return sessionStorage.getItem(SESSION_PROFILE_KEY) === profileId;
+  } catch (error) {
+    logError('Error reading session profile:', error);
+    return false;
+  }
+}
+
+/**
+ * Check whether the pre-profile save data has already been migrated
+ * @returns {boolean} True if the migration ran before
+ */
+export function isProfileMigrationDone() {
+  try {
+    return localStorage.getItem(PROFILE_MIGRATION_KEY) !== null;
+  } catch (error) {
+    logError('Error reading profile migration flag:', error);
+    return false;
+  }
+}
+
+/**
+ * Check whether a key holds save data from before profiles existed
+ * (mode-prefixed, but neither global nor namespaced to a profile)
+ * @param {string} key - Storage key
+ * @param {string} modePrefix - Mode prefix ('kopfnuss_dev_' or 'kopfnuss_')
+ * @returns {boolean} True if the key is un-namespaced save data of that mode
+ */
+function isLegacyDataKey(key, modePrefix) {
+  if (!key.startsWith(modePrefix) || GLOBAL_KEYS.includes(key)) {
+    return false;
+  }
+  // Prod prefix 'kopfnuss_' also matches dev keys
+  if (modePrefix === 'kopfnuss_' && key.startsWith('kopfnuss_dev_')) {
+    return false;
+  }
+  return !key.slice(modePrefix.length).startsWith(PROFILE_KEY_MARKER);
+}
+
+/**
+ * Move save data from before profiles existed into a profile namespace (both modes)
+ * Marks the migration as done so it never runs again
+ * @param {string} profileId - Id of the profile that receives the data
+ * @returns {number} Number of moved keys
+ */
+export function migrateLegacyDataToProfile(profileId) {
+  let movedCount = 0;
+
+  try {
+    const keys = storage.keys();
+    ['kopfnuss_dev_', 'kopfnuss_'].forEach(modePrefix => {
+      keys.filter(key => isLegacyDataKey(key, modePrefix)).forEach(key => {
+        const targetKey = `${modePrefix}${PROFILE_KEY_MARKER}${profileId}_${key.slice(modePrefix.length)}`;
+        storage.setItem(targetKey, storage.getItem(key));
+        storage.removeItem(key);
+        movedCount++;
+      });
+    });
+    localStorage.setItem(PROFILE_MIGRATION_KEY, JSON.stringify(getTimestamp()));
+  } catch (error) {
+    logError('Error migrating save data to profile:', error);
+  }
+
+  return movedCount;
+}
+
+/**
+ * Check whether save data from before profiles existed is present
+ * @returns {boolean} True if any un-namespaced save data exists (either mode)
+ */
+export function hasLegacyData() {
+  try {
+    return storage.keys().some(key =>
+      isLegacyDataKey(key, 'kopfnuss_dev_') || isLegacyDataKey(key, 'kopfnuss_')
+    );
+  } catch (error) {
+    logError('Error checking for legacy data:', error);
+    return false;
+  }
+}
+
+/**
+ * Remove all save data of a profile (both modes)
+ * @param {string} profileId - Profile id
+ * @returns {boolean} Success status
+ */
+export function removeProfileData(profileId) {
+  try {
+    const prefixes = ['kopfnuss_', 'kopfnuss_dev_'].map(modePrefix => `${modePrefix}${PROFILE_KEY_MARKER}${profileId}_`);
+    storage.keys()
+      .filter(key => prefixes.some(prefix => key.startsWith(prefix)))
+      .forEach(key => storage.removeItem(key));
+    resetAttemptLogCache();
+    return true;
+  } catch (error) {
+    logError('Error removing profile data:', error);
+    return false;
+  }
+}
+
+// ============================================
+// PARENT AREA STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Load the parent area PIN (stored as salted hash, never in plain text)
+ * @returns {Object|null} PIN record ({salt, hash}) or null if no PIN is set
+ */
+export function loadParentPin() {
+  try {
+    const item = localStorage.getItem(PARENT_PIN_KEY);
+    return item === null ? null : JSON.parse(item);
+  } catch (error) {
+    logError('Error loading parent PIN:', error);
+    return null;
+  }
+}
+
+/**
+ * Save the parent area PIN
+ * @param {Object|null} pinRecord - PIN record ({salt, hash}) or null to remove the PIN
+ * @returns {boolean} Success status
+ */
+export function saveParentPin(pinRecord) {
+  try {
+    if (pinRecord) {
+      localStorage.setItem(PARENT_PIN_KEY, JSON.stringify(pinRecord));
+    } else {
+      localStorage.removeItem(PARENT_PIN_KEY);
+    }
+    return true;
+  } catch (error) {
+    logError('Error saving parent PIN:', error);
+    return false;
+  }
+}
+
+// ============================================
+// STORAGE KEY PREFIXES
+// ============================================
+
+/**
+ * Get the mode prefix based on current dev mode state
  * Uses cached dev mode state for performance
- * @returns {string} Prefix for storage keys ('kopfnuss_dev_' or 'kopfnuss_')
+ * @returns {string} Mode prefix ('kopfnuss_dev_' or 'kopfnuss_')
  */
-function getStoragePrefix() {
+function getModePrefix() {
   const useDevBalancing = loadDevModeSetting();
   return useDevBalancing ? 'kopfnuss_dev_' : 'kopfnuss_';
 }
 
 /**
- * Get storage key with appropriate prefix based on dev mode
+ * Get the storage prefix for the current mode and active profile
+ * Without a selected profile the plain mode prefix is used (data from before profiles existed)
+ * @returns {string} Prefix for storage keys (e.g. 'kopfnuss_profile_<id>_' or 'kopfnuss_dev_profile_<id>_')
+ */
+function getStoragePrefix() {
+  const modePrefix = getModePrefix();
+  const profileId = loadActiveProfileId();
+  return profileId ? `${modePrefix}${PROFILE_KEY_MARKER}${profileId}_` : modePrefix;
+}
+
+/**
+ * Get storage key with appropriate prefix based on dev mode and active profile
  * @param {string} baseKey - Base storage key
  * @returns {string} Full storage key with prefix
  */
@@ -119,7 +455,28 @@ function getStorageKey(baseKey) {
 }
 
 /**
- * Dynamic storage keys that respect dev mode
+ * Get all storage keys of the active profile for current mode
+ * @returns {string[]} Full storage keys
+ */
+function getNamespaceKeys() {
+  const prefix = getStoragePrefix();
+  const hasProfile = loadActiveProfileId() !== null;
+  return storage.keys().filter(key =>
+    hasProfile ? key.startsWith(prefix) : isLegacyDataKey(key, prefix)
+  );
+}
+
+/**
+ * Get the storage keys of the active profile that hold save data (without internal keys)
+ * @returns {string[]} Full storage keys
+ */
+function getSaveDataKeys() {
+  const prefix = getStoragePrefix();
+  return getNamespaceKeys().filter(key => !INTERNAL_KEY_NAMES.includes(key.slice(prefix.length)));
+}
+
+/**
+ * Dynamic storage keys that respect dev mode and the active profile
  */
 const STORAGE_KEYS = {
   get CHALLENGES() { return getStorageKey('kopfnuss_challenges_'); },
@@ -127,6 +484,7 @@ const STORAGE_KEYS = {
   get STREAK() { return getStorageKey('kopfnuss_streak'); },
   get DIAMONDS() { return getStorageKey('kopfnuss_diamonds'); },
   get DIAMONDS_EARNED() { return getStorageKey('kopfnuss_diamonds_earned'); },
+  get DIAMOND_HISTORY() { return getStorageKey('kopfnuss_diamond_history'); },
   get UNLOCKED_BACKGROUNDS() { return getStorageKey('kopfnuss_unlocked_backgrounds'); },
   get SELECTED_BACKGROUND() { return getStorageKey('kopfnuss_selected_background'); },
   get LAST_KNOWN_PURCHASABLE_BACKGROUNDS() { return getStorageKey('kopfnuss_last_known_purchasable_backgrounds'); },
@@ -137,6 +495,8 @@ const STORAGE_KEYS = {
   get SEEN_SEASONAL_BACKGROUNDS() { return getStorageKey('kopfnuss_seen_seasonal_backgrounds'); },
   // Streak Milestone & Background Packs storage keys
   get STREAK_STONES() { return getStorageKey('kopfnuss_streak_stones'); },
+  // Streak-Schutz inventory and the days it covered
+  get STREAK_PROTECTION() { return getStorageKey('kopfnuss_streak_protection'); },
   get MILESTONE_PROGRESS() { return getStorageKey('kopfnuss_milestone_progress'); },
   get UNLOCKED_PACKS() { return getStorageKey('kopfnuss_unlocked_packs'); },
   get PACK_TASKS_SINCE_UNLOCK() { return getStorageKey('kopfnuss_pack_tasks_since_unlock'); },
@@ -150,64 +510,94 @@ const STORAGE_KEYS = {
   // Kopfnuss Challenge storage keys (appended with date)
   get KOPFNUSS_CHALLENGE() { return getStorageKey('kopfnuss_kopfnuss_challenge_'); },
   // Zeit-Challenge storage keys (appended with date)
-  get ZEIT_CHALLENGE() { return getStorageKey('kopfnuss_zeit_challenge_'); }
+  get ZEIT_CHALLENGE() { return getStorageKey('kopfnuss_zeit_challenge_'); },
+  // Seed ID combined with the date to seed daily challenge generation
+  get SEED_ID() { return getStorageKey('kopfnuss_seed_id'); },
+  // Inputs the daily challenges were generated with (appended with date, see challengeGenerator.js)
+  get GENERATION_INPUTS() { return getStorageKey('kopfnuss_generation_inputs_'); },
+  // Adaptive difficulty levels and performance per operation
+  get ADAPTIVE_DIFFICULTY() { return getStorageKey('kopfnuss_adaptive_difficulty'); },
+  // Attempt log (every submitted answer across all challenge flows)
+  get ATTEMPT_LOG() { return getStorageKey('kopfnuss_attempt_log'); },
+  // Streak event log (incremented, frozen, unfrozen, restored, rescued, protected, lost)
+  get STREAK_LOG() { return getStorageKey('kopfnuss_streak_log'); },
+  // Fehler-Training: Leitner boxes of missed tasks and the daily review challenge (appended with date)
+  get REVIEW_BOXES() { return getStorageKey('kopfnuss_review_boxes'); },
+  get REVIEW_CHALLENGE() { return getStorageKey('kopfnuss_review_challenge_'); },
+  // Schema version and backup of the data before the last migration
+  get SCHEMA_VERSION() { return getStorageKey('kopfnuss_schema_version'); },
+  get SCHEMA_BACKUP() { return getStorageKey('kopfnuss_schema_backup'); },
+  // Compact per-day records of past challenges (see challengeArchive.js)
+  get DAILY_SUMMARIES() { return getStorageKey('kopfnuss_daily_summaries'); },
+  // Daily challenge settings chosen in the parent area
+  get CHALLENGE_SETTINGS() { return getStorageKey('kopfnuss_challenge_settings'); },
+  // Streak rest days (weekdays and single dates) chosen in the parent area
+  get REST_DAYS() { return getStorageKey('kopfnuss_rest_days'); }
 };
 
 /**
- * Get formatted date string for today (YYYY-MM-DD)
- * @returns {string} Date string
- */
-export function getTodayDate() {
-  const today = new Date();
-  return today.toISOString().split('T')[0];
-}
-
-/**
- * Save data to localStorage with error handling
+ * Save data to storage with error handling
+ * Bulky keys go to the bulk backend (IndexedDB), all others to localStorage
  * @param {string} key - Storage key
  * @param {*} data - Data to store (will be JSON stringified)
  * @returns {boolean} Success status
  */
 export function saveToStorage(key, data) {
   try {
-    localStorage.setItem(key, JSON.stringify(data));
+    storage.setItem(key, JSON.stringify(data));
     return true;
   } catch (error) {
-    logError('Error saving to localStorage:', error);
+    logError('Error saving to storage:', error);
     return false;
   }
 }
 
 /**
- * Load data from localStorage with error handling
+ * Wait until all saved data is on disk
+ * saveToStorage() returns before bulky data is committed to IndexedDB; await this
+ * before reloading the page or telling the player that data was saved
+ * @returns {Promise<boolean>} True if all writes were committed, false if a write failed
+ */
+export async function flushStorage() {
+  try {
+    await whenStorageIdle();
+    return true;
+  } catch (error) {
+    logError('Error committing storage writes:', error);
+    return false;
+  }
+}
+
+/**
+ * Load data from storage with error handling
  * @param {string} key - Storage key
  * @param {*} defaultValue - Default value if key doesn't exist
  * @returns {*} Parsed data or default value
  */
 export function loadFromStorage(key, defaultValue = null) {
   try {
-    const item = localStorage.getItem(key);
+    const item = storage.getItem(key);
     if (item === null) {
       return defaultValue;
     }
     return JSON.parse(item);
   } catch (error) {
-    logError('Error loading from localStorage:', error);
+    logError('Error loading from storage:', error);
     return defaultValue;
   }
 }
 
 /**
- * Remove data from localStorage
+ * Remove data from storage
  * @param {string} key - Storage key
  * @returns {boolean} Success status
  */
 export function removeFromStorage(key) {
   try {
-    localStorage.removeItem(key);
+    storage.removeItem(key);
     return true;
   } catch (error) {
-    logError('Error removing from localStorage:', error);
+    logError('Error removing from storage:', error);
     return false;
   }
 }
@@ -280,11 +670,46 @@ export function loadStreak() {
 
 /**
  * Save diamond count
+ * The change against the stored count is added to today's diamond history
  * @param {number} diamonds - Number of diamonds
  * @returns {boolean} Success status
  */
 export function saveDiamonds(diamonds) {
-  return saveToStorage(STORAGE_KEYS.DIAMONDS, diamonds);
+  const delta = diamonds - loadDiamonds();
+  const success = saveToStorage(STORAGE_KEYS.DIAMONDS, diamonds);
+  
+  if (success && delta !== 0) {
+    recordDiamondChange(delta);
+  }
+  
+  return success;
+}
+
+/**
+ * Add a diamond balance change to today's diamond history entry
+ * @param {number} delta - Change in diamonds (positive = earned, negative = spent)
+ */
+function recordDiamondChange(delta) {
+  const history = loadDiamondHistory();
+  const today = getTodayDate();
+  const entry = history[today] || { earned: 0, spent: 0 };
+  
+  if (delta > 0) {
+    entry.earned += delta;
+  } else {
+    entry.spent += -delta;
+  }
+  
+  history[today] = entry;
+  saveToStorage(STORAGE_KEYS.DIAMOND_HISTORY, history);
+}
+
+/**
+ * Load diamond history (earned and spent per day)
+ * @returns {Object} Map of date (YYYY-MM-DD) -> {earned, spent}
+ */
+export function loadDiamondHistory() {
+  return loadFromStorage(STORAGE_KEYS.DIAMOND_HISTORY, {});
 }
 
 /**
@@ -329,6 +754,26 @@ export function loadStreakStones() {
   return loadFromStorage(STORAGE_KEYS.STREAK_STONES, 0);
 }
 
+/**
+ * Save Streak-Schutz inventory
+ * @param {Object} protection - {count, history: [{usedOn, coveredDate}]}
+ * @returns {boolean} Success status
+ */
+export function saveStreakProtection(protection) {
+  return saveToStorage(STORAGE_KEYS.STREAK_PROTECTION, protection);
+}
+
+/**
+ * Load Streak-Schutz inventory
+ * @returns {Object} Owned count and consumption history (oldest first)
+ */
+export function loadStreakProtection() {
+  return loadFromStorage(STORAGE_KEYS.STREAK_PROTECTION, {
+    count: 0,
+    history: []
+  });
+}
+
 /**
  * Save milestone progress
  * @param {number} progress - Current milestone progress count
@@ -438,32 +883,19 @@ export function loadLastKnownPurchasableBackgrounds() {
 }
 
 /**
- * Clear all app data for current mode (dev or prod)
- * Only clears data for the current mode, never affects the other mode
+ * Clear all app data of the active profile for current mode (dev or prod)
+ * Only clears data for the current mode and profile, never affects other modes or profiles
  * @returns {boolean} Success status
  */
 export function clearAllData() {
   try {
-    const isDevMode = loadDevModeSetting();
-    const prefix = isDevMode ? 'kopfnuss_dev_' : 'kopfnuss_';
-    
-    // Get all keys that belong to current mode
-    const keys = Object.keys(localStorage);
-    const keysToRemove = keys.filter(key => {
-      // Skip dev mode setting key - should never be cleared
-      if (key === DEV_MODE_KEY) return false;
-      
-      if (isDevMode) {
-        // In dev mode, only clear dev keys
-        return key.startsWith('kopfnuss_dev_');
-      } else {
-        // In prod mode, only clear prod keys (exclude dev keys)
-        return key.startsWith('kopfnuss_') && !key.startsWith('kopfnuss_dev_') && key !== DEV_MODE_KEY;
-      }
-    });
+    // Get all keys that belong to current mode and profile
+    // (global keys like the dev mode setting are never cleared)
+    const keysToRemove = getNamespaceKeys();
     
     // Remove filtered keys
-    keysToRemove.forEach(key => localStorage.removeItem(key));
+    keysToRemove.forEach(key => storage.removeItem(key));
+    resetAttemptLogCache();
     
     return true;
   } catch (error) {
@@ -474,6 +906,7 @@ export function clearAllData() {
 
 /**
  * Get storage size info (for debugging)
+ * Size and key count refer to localStorage; bulkKeyCount counts keys in IndexedDB
  * @returns {Object} Storage info
  */
 export function getStorageInfo() {
@@ -487,10 +920,18 @@ export function getStorageInfo() {
       totalSize += key.length + (item ? item.length : 0);
     });
     
+    // Keys in IndexedDB do not count towards the localStorage quota
+    const bulkBackend = getBulkBackendName();
+    const bulkKeyCount = bulkBackend === 'localStorage'
+      ? 0
+      : storage.keys().filter(key => key.startsWith('kopfnuss_')).length - kopfnussKeys.length;
+    
     return {
       keyCount: kopfnussKeys.length,
       totalSizeBytes: totalSize,
-      totalSizeKB: (totalSize / 1024).toFixed(2)
+      totalSizeKB: (totalSize / 1024).toFixed(2),
+      bulkBackend,
+      bulkKeyCount
     };
   } catch (error) {
     logError('Error getting storage info:', error);
@@ -678,6 +1119,680 @@ export function loadZeitChallenge(date = getTodayDate()) {
   return loadFromStorage(key, null);
 }
 
+// ============================================
+// RANDOM SEED STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Save the seed ID used for reproducible challenge generation
+ * @param {string} seedId - Seed ID
+ * @returns {boolean} Success status
+ */
+export function saveSeedId(seedId) {
+  return saveToStorage(STORAGE_KEYS.SEED_ID, seedId);
+}
+
+/**
+ * Load the seed ID used for reproducible challenge generation
+ * @returns {string|null} Seed ID or null if none has been created yet
+ */
+export function loadSeedId() {
+  return loadFromStorage(STORAGE_KEYS.SEED_ID, null);
+}
+
+/**
+ * Save the inputs a day's challenges were generated with
+ * @param {Object} inputs - Generation inputs (see GenerationInputs in challengeGenerator.js)
+ * @param {string} [date] - Date string (YYYY-MM-DD), defaults to today
+ * @returns {boolean} Success status
+ */
+export function saveGenerationInputs(inputs, date = getTodayDate()) {
+  return saveToStorage(STORAGE_KEYS.GENERATION_INPUTS + date, inputs);
+}
+
+/**
+ * Load the inputs a day's challenges were generated with
+ * @param {string} [date] - Date string (YYYY-MM-DD), defaults to today
+ * @returns {Object|null} Generation inputs or null if none are stored
+ */
+export function loadGenerationInputs(date = getTodayDate()) {
+  return loadFromStorage(STORAGE_KEYS.GENERATION_INPUTS + date, null);
+}
+
+// ============================================
+// CHALLENGE SETTINGS STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * @typedef {Object} ChallengeSettings
+ * @property {string[]} disabledTypes - Challenge types excluded from the daily draw
+ * @property {Object} weights - Map of challenge type -> draw weight (missing types use weight 1)
+ * @property {number|null} nodeCount - Number of daily challenges (null = CONFIG.DAILY_CHALLENGES)
+ * @property {Object|null} focus - Focus mode ({type, until}; until is the last day, YYYY-MM-DD) or null
+ */
+
+/**
+ * Save the daily challenge settings of the active profile
+ * @param {ChallengeSettings} settings - Challenge settings
+ * @returns {boolean} Success status
+ */
+export function saveChallengeSettings(settings) {
+  return saveToStorage(STORAGE_KEYS.CHALLENGE_SETTINGS, settings);
+}
+
+/**
+ * Load the daily challenge settings of the active profile
+ * @returns {ChallengeSettings} Challenge settings (defaults: all types enabled, equal weights,
+ *   default node count, no focus)
+ */
+export function loadChallengeSettings() {
+  const settings = loadFromStorage(STORAGE_KEYS.CHALLENGE_SETTINGS, {});
+  return {
+    disabledTypes: Array.isArray(settings.disabledTypes) ? settings.disabledTypes : [],
+    weights: settings.weights && typeof settings.weights === 'object' ? settings.weights : {},
+    nodeCount: Number.isInteger(settings.nodeCount) ? settings.nodeCount : null,
+    focus: settings.focus && settings.focus.type && settings.focus.until ? settings.focus : null
+  };
+}
+
+// ============================================
+// REST DAYS STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * @typedef {Object} RestDays
+ * @property {number[]} weekdays - Weekly rest days (0 = Monday, 6 = Sunday)
+ * @property {string[]} dates - Single rest days such as school holidays (YYYY-MM-DD, sorted)
+ */
+
+/**
+ * Save the streak rest days of the active profile
+ * @param {RestDays} restDays - Rest days
+ * @returns {boolean} Success status
+ */
+export function saveRestDays(restDays) {
+  return saveToStorage(STORAGE_KEYS.REST_DAYS, restDays);
+}
+
+/**
+ * Load the streak rest days of the active profile
+ * @returns {RestDays} Rest days (defaults: none)
+ */
+export function loadRestDays() {
+  const restDays = loadFromStorage(STORAGE_KEYS.REST_DAYS, {});
+  return {
+    weekdays: Array.isArray(restDays.weekdays) ? restDays.weekdays : [],
+    dates: Array.isArray(restDays.dates) ? restDays.dates : []
+  };
+}
+
+// ============================================
+// ADAPTIVE DIFFICULTY STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Save adaptive difficulty state (level and performance per operation)
+ * @param {Object} state - Map of operation -> {level, accuracy, avgSeconds, samples}
+ * @returns {boolean} Success status
+ */
+export function saveAdaptiveDifficulty(state) {
+  return saveToStorage(STORAGE_KEYS.ADAPTIVE_DIFFICULTY, state);
+}
+
+/**
+ * Load adaptive difficulty state
+ * @returns {Object} Map of operation -> {level, accuracy, avgSeconds, samples} (empty if none tracked yet)
+ */
+export function loadAdaptiveDifficulty() {
+  return loadFromStorage(STORAGE_KEYS.ADAPTIVE_DIFFICULTY, {});
+}
+
+// ============================================
+// ATTEMPT LOG STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Challenge flows an attempt can come from
+ */
+export const ATTEMPT_SOURCE = {
+  STANDARD: 'standard',
+  KOPFNUSS: 'kopfnuss',
+  ZEIT: 'zeit',
+  REVIEW: 'review',
+  PRACTICE: 'practice'
+};
+
+/**
+ * @typedef {Object} Attempt
+ * @property {string} date - Date string (YYYY-MM-DD)
+ * @property {string} timestamp - ISO timestamp of the attempt
+ * @property {string} source - Flow the attempt came from (see ATTEMPT_SOURCE)
+ * @property {string} challengeType - Challenge type (e.g. 'addition', 'kopfnuss', 'zeit')
+ * @property {string|null} operation - Task operation (task.metadata.operation)
+ * @property {string} question - Question as shown
+ * @property {Array} operands - Task operands
+ * @property {number|string} expectedAnswer - Correct answer
+ * @property {number|string} userAnswer - Answer given (normalized)
+ * @property {boolean} isCorrect - Whether the answer was correct
+ * @property {number} timeMs - Time from showing the task (or the previous attempt) to this answer
+ */
+
+/**
+ * Apply retention limits to the attempt log
+ * Drops entries older than CONFIG.ATTEMPT_LOG_RETENTION_DAYS, then keeps
+ * at most CONFIG.ATTEMPT_LOG_MAX_ENTRIES of the newest entries
+ * @param {Attempt[]} log - Attempt log (oldest first)
+ * @returns {Attempt[]} Pruned log
+ */
+function applyAttemptLogRetention(log) {
+  const retentionDays = CONFIG.ATTEMPT_LOG_RETENTION_DAYS || 90;
+  const maxEntries = CONFIG.ATTEMPT_LOG_MAX_ENTRIES || 3000;
+  
+  const cutoffDate = addDays(getTodayDate(), -retentionDays);
+  
+  const recent = log.filter(entry => entry.date >= cutoffDate);
+  return recent.length > maxEntries ? recent.slice(recent.length - maxEntries) : recent;
+}
+
+/**
+ * In-memory copy of the attempt log ({key, log, unsavedCount}), read from storage once per profile
+ * Answers are appended to the copy; the log is written once per solved task (see appendAttempt())
+ * and before every storage flush, instead of being parsed and rewritten on every answer
+ */
+let attemptLogCache = null;
+
+/**
+ * Get the in-memory copy of the attempt log of the active profile (loaded on first use)
+ * @returns {Object} Cache ({key, log, unsavedCount})
+ */
+function getAttemptLogCache() {
+  const key = STORAGE_KEYS.ATTEMPT_LOG;
+  if (!attemptLogCache || attemptLogCache.key !== key) {
+    flushAttemptLog();
+    const log = loadFromStorage(key, []);
+    attemptLogCache = { key, log: Array.isArray(log) ? log : [], unsavedCount: 0 };
+  }
+  return attemptLogCache;
+}
+
+/**
+ * Drop the in-memory copy of the attempt log (after the stored data was replaced or removed)
+ * Unsaved attempts are discarded with it
+ */
+function resetAttemptLogCache() {
+  attemptLogCache = null;
+}
+
+/**
+ * Write attempts that are only in the in-memory copy to storage
+ * Retention limits are applied on every write
+ * @returns {boolean} Success status (true if nothing was pending)
+ */
+export function flushAttemptLog() {
+  if (!attemptLogCache || attemptLogCache.unsavedCount === 0) {
+    return true;
+  }
+
+  attemptLogCache.log = applyAttemptLogRetention(attemptLogCache.log);
+  if (!saveToStorage(attemptLogCache.key, attemptLogCache.log)) {
+    return false;
+  }
+  attemptLogCache.unsavedCount = 0;
+  return true;
+}
+
+onBeforeStorageFlush(() => {
+  if (!flushAttemptLog()) {
+    throw new Error('Attempt log could not be saved');
+  }
+});
+
+/**
+ * Load the full attempt log
+ * Returns the shared in-memory copy (including attempts not written yet) - do not modify it
+ * @returns {Attempt[]} Attempts, oldest first
+ */
+export function loadAttemptLog() {
+  return getAttemptLogCache().log;
+}
+
+/**
+ * Append an attempt to the log (date and timestamp are filled in)
+ * The attempt is kept in memory; a correct answer ends the task and writes the log
+ * @param {Object} attempt - Attempt fields (see Attempt, without date/timestamp)
+ * @returns {boolean} Success status
+ */
+export function appendAttempt(attempt) {
+  const entry = {
+    date: getTodayDate(),
+    timestamp: getTimestamp(),
+    source: attempt.source || ATTEMPT_SOURCE.STANDARD,
+    challengeType: attempt.challengeType || null,
+    operation: attempt.operation || null,
+    question: attempt.question,
+    operands: attempt.operands || [],
+    expectedAnswer: attempt.expectedAnswer,
+    userAnswer: attempt.userAnswer,
+    isCorrect: Boolean(attempt.isCorrect),
+    timeMs: Math.max(0, Math.round(attempt.timeMs || 0))
+  };
+  
+  const cache = getAttemptLogCache();
+  cache.log.push(entry);
+  cache.unsavedCount++;
+  return entry.isCorrect ? flushAttemptLog() : true;
+}
+
+/**
+ * Query the attempt log
+ * All filters are optional and combined with AND
+ * @param {Object} [filter] - Query filter
+ * @param {string} [filter.source] - Only attempts from this flow (see ATTEMPT_SOURCE)
+ * @param {string} [filter.challengeType] - Only attempts of this challenge type
+ * @param {string} [filter.operation] - Only attempts of this task operation
+ * @param {string} [filter.fromDate] - Earliest date (YYYY-MM-DD, inclusive)
+ * @param {string} [filter.toDate] - Latest date (YYYY-MM-DD, inclusive)
+ * @param {boolean} [filter.isCorrect] - Only correct (true) or wrong (false) attempts
+ * @param {number} [filter.limit] - Return at most this many of the newest matches
+ * @returns {Attempt[]} Matching attempts, oldest first
+ */
+export function queryAttempts(filter = {}) {
+  const matches = loadAttemptLog().filter(entry => {
+    if (filter.source && entry.source !== filter.source) return false;
+    if (filter.challengeType && entry.challengeType !== filter.challengeType) return false;
+    if (filter.operation && entry.operation !== filter.operation) return false;
+    if (filter.fromDate && entry.date < filter.fromDate) return false;
+    if (filter.toDate && entry.date > filter.toDate) return false;
+    if (typeof filter.isCorrect === 'boolean' && entry.isCorrect !== filter.isCorrect) return false;
+    return true;
+  });
+  
+  if (filter.limit && matches.length > filter.limit) {
+    return matches.slice(matches.length - filter.limit);
+  }
+  return matches;
+}
+
+/**
+ * Remove all attempts from the log
+ * @returns {boolean} Success status
+ */
+export function clearAttemptLog() {
+  resetAttemptLogCache();
+  return removeFromStorage(STORAGE_KEYS.ATTEMPT_LOG);
+}
+
+// ============================================
+// STREAK LOG STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * @typedef {Object} StreakEvent
+ * @property {string} date - Day the event happened (YYYY-MM-DD)
+ * @property {string} timestamp - ISO timestamp of the event
+ * @property {string} type - Event type (see STREAK_EVENT in logic/streakLog.js)
+ * @property {number} streak - Streak after the event (for 'lost': the streak that was lost)
+ * @property {string[]} dates - Days the event is about (YYYY-MM-DD; e.g. the missed day for 'frozen')
+ * @property {boolean} [isRecord] - Set on 'incremented' events that reached a new longest streak
+ */
+
+/**
+ * Load the streak event log
+ * @returns {StreakEvent[]} Events, oldest first
+ */
+export function loadStreakLog() {
+  const log = loadFromStorage(STORAGE_KEYS.STREAK_LOG, []);
+  return Array.isArray(log) ? log : [];
+}
+
+/**
+ * Append an event to the streak log (entries are never changed afterwards)
+ * Keeps at most CONFIG.STREAK_LOG_MAX_ENTRIES of the newest entries
+ * @param {StreakEvent} event - Event to append
+ * @returns {boolean} Success status
+ */
+export function appendStreakEvent(event) {
+  const maxEntries = CONFIG.STREAK_LOG_MAX_ENTRIES || 2000;
+  const log = loadStreakLog();
+  log.push(event);
+  return saveToStorage(STORAGE_KEYS.STREAK_LOG, log.length > maxEntries ? log.slice(log.length - maxEntries) : log);
+}
+
+// ============================================
+// FEHLER-TRAINING STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Save the Leitner boxes of missed tasks
+ * @param {Object} reviewItems - Map of review key -> review item
+ * @returns {boolean} Success status
+ */
+export function saveReviewBoxes(reviewItems) {
+  return saveToStorage(STORAGE_KEYS.REVIEW_BOXES, reviewItems);
+}
+
+/**
+ * Load the Leitner boxes of missed tasks
+ * @returns {Object} Map of review key -> review item (defaults to empty object)
+ */
+export function loadReviewBoxes() {
+  return loadFromStorage(STORAGE_KEYS.REVIEW_BOXES, {});
+}
+
+/**
+ * Save Fehler-Training challenge state for a specific date
+ * @param {Object} reviewState - Fehler-Training challenge state object
+ * @param {string} date - Date string (YYYY-MM-DD), defaults to today
+ * @returns {boolean} Success status
+ */
+export function saveReviewChallenge(reviewState, date = getTodayDate()) {
+  const key = STORAGE_KEYS.REVIEW_CHALLENGE + date;
+  return saveToStorage(key, reviewState);
+}
+
+/**
+ * Load Fehler-Training challenge state for a specific date
+ * @param {string} date - Date string (YYYY-MM-DD), defaults to today
+ * @returns {Object|null} Fehler-Training challenge state or null if not found
+ */
+export function loadReviewChallenge(date = getTodayDate()) {
+  const key = STORAGE_KEYS.REVIEW_CHALLENGE + date;
+  return loadFromStorage(key, null);
+}
+
+// ============================================
+// SAVE GAME STORAGE FUNCTIONS
+// ============================================
+
+/**
+ * Read all data of the active profile for current mode
+ * Includes dated keys (challenges, premium challenges) and per-event seasonal keys
+ * @returns {Object} Map of key name (without profile/mode prefix) -> parsed value
+ */
+export function exportStorageData() {
+  const prefix = getStoragePrefix();
+  const data = {};
+  flushAttemptLog();
+
+  try {
+    getSaveDataKeys().forEach(key => {
+      data[key.slice(prefix.length)] = JSON.parse(storage.getItem(key));
+    });
+  } catch (error) {
+    logError('Error exporting storage data:', error);
+  }
+
+  return data;
+}
+
+/**
+ * Replace all data of the active profile for current mode
+ * Atomic: if any write fails (also when committing bulky data to IndexedDB),
+ * the previous data is restored. Resolves only after all writes are on disk.
+ * @param {Object} data - Map of key name (without profile/mode prefix) -> value
+ * @returns {Promise<boolean>} Success status
+ */
+export async function replaceStorageData(data) {
+  const prefix = getStoragePrefix();
+  const backup = {};
+
+  flushAttemptLog();
+  getSaveDataKeys().forEach(key => {
+    backup[key] = storage.getItem(key);
+  });
+  resetAttemptLogCache();
+
+  try {
+    Object.keys(backup).forEach(key => storage.removeItem(key));
+    Object.entries(data).forEach(([keyName, value]) => {
+      storage.setItem(prefix + keyName, JSON.stringify(value));
+    });
+    await whenStorageIdle();
+    return true;
+  } catch (error) {
+    logError('Error replacing storage data, restoring previous data:', error);
+    try {
+      getSaveDataKeys().forEach(key => storage.removeItem(key));
+      Object.entries(backup).forEach(([key, value]) => storage.setItem(key, value));
+      await whenStorageIdle();
+    } catch (restoreError) {
+      logError('Error restoring previous data:', restoreError);
+    }
+    return false;
+  }
+}
+
+// ============================================
+// STORAGE COMPACTION
+// ============================================
+
+/**
+ * Dated key names (without prefix) that get a new key every day
+ */
+const DATED_KEY_NAMES = ['challenges_', 'kopfnuss_challenge_', 'zeit_challenge_', 'review_challenge_', 'generation_inputs_'];
+
+/**
+ * Get the oldest date still kept by the retention policy
+ * @param {number} retentionDays - Number of days to keep (including today)
+ * @returns {string} Cutoff date (YYYY-MM-DD); data of earlier days is removed
+ */
+export function getRetentionCutoffDate(retentionDays) {
+  return addDays(getTodayDate(), -(retentionDays - 1));
+}
+
+/**
+ * Get the dates of all stored dated keys (daily, Kopfnuss, Zeit and Fehler-Training challenges,
+ * generation inputs)
+ * @returns {string[]} Unique date strings (YYYY-MM-DD), oldest first
+ */
+export function getStoredDatedKeyDates() {
+  const prefix = getStoragePrefix();
+  const dates = new Set();
+
+  getSaveDataKeys().forEach(key => {
+    const keyName = key.slice(prefix.length);
+    const datedName = DATED_KEY_NAMES.find(name => keyName.startsWith(name));
+    const date = datedName ? keyName.slice(datedName.length) : '';
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+      dates.add(date);
+    }
+  });
+
+  return [...dates].sort();
+}
+
+/**
+ * Remove dated keys (daily, Kopfnuss, Zeit and Fehler-Training challenges, generation inputs) of the active
+ * profile that are older than the retention window
+ * Callers that need the data (see challengeArchive.js) must condense it first
+ * @param {number} [retentionDays=CONFIG.DATED_KEY_RETENTION_DAYS] - Number of days to keep
+ * @returns {Object} Result ({removedKeys, cutoffDate})
+ */
+export function compactStorage(retentionDays = CONFIG.DATED_KEY_RETENTION_DAYS) {
+  const days = Number(retentionDays);
+  if (!Number.isFinite(days) || days < 1) {
+    return { removedKeys: 0, cutoffDate: null };
+  }
+
+  const prefix = getStoragePrefix();
+  const cutoffDate = getRetentionCutoffDate(days);
+  let removedKeys = 0;
+
+  getSaveDataKeys().forEach(key => {
+    const keyName = key.slice(prefix.length);
+    const datedName = DATED_KEY_NAMES.find(name => keyName.startsWith(name));
+    if (!datedName) {
+      return;
+    }
+    const date = keyName.slice(datedName.length);
+    if (/^\d{4}-\d{2}-\d{2}$/.test(date) && date < cutoffDate) {
+      removeFromStorage(key);
+      removedKeys++;
+    }
+  });
+
+  if (removedKeys > 0) {
+    logInfo(`Removed ${removedKeys} dated keys older than ${cutoffDate}`);
+  }
+  return { removedKeys, cutoffDate };
+}
+
+/**
+ * Save the daily summaries of past challenges
+ * @param {Object} summaries - Map of date (YYYY-MM-DD) -> daily summary
+ * @returns {boolean} Success status
+ */
+export function saveDailySummaries(summaries) {
+  return saveToStorage(STORAGE_KEYS.DAILY_SUMMARIES, summaries);
+}
+
+/**
+ * Load the daily summaries of past challenges
+ * @returns {Object} Map of date (YYYY-MM-DD) -> daily summary (defaults to empty object)
+ */
+export function loadDailySummaries() {
+  return loadFromStorage(STORAGE_KEYS.DAILY_SUMMARIES, {});
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+/**
+ * Ordered registry of storage migrations
+ * Each migration upgrades the save data of one profile/mode from version - 1 to version.
+ * migrate() receives a copy of the save data (key name without prefix -> value), changes it
+ * in place and must not touch localStorage itself, so dry runs have no side effects.
+ * Append new migrations with the next version number; never change shipped ones.
+ */
+const STORAGE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Track total earned diamonds for save data from before diamonds_earned existed',
+    migrate(data) {
+      const progress = data.progress || {};
+      const totalShouldHaveEarned = Math.floor((progress.totalTasksCompleted || 0) / CONFIG.TASKS_PER_DIAMOND);
+      // Without tracking, diamonds earned before the update would be awarded a second time
+      if (!data.diamonds_earned && totalShouldHaveEarned > 0) {
+        data.diamonds_earned = totalShouldHaveEarned;
+      }
+    }
+  }
+];
+
+/**
+ * Schema version of the current storage layout
+ */
+export const CURRENT_SCHEMA_VERSION = STORAGE_MIGRATIONS[STORAGE_MIGRATIONS.length - 1].version;
+
+/**
+ * Load the schema version of the active profile's data
+ * @returns {number} Schema version (0 if the data predates schema versioning)
+ */
+export function loadSchemaVersion() {
+  return loadFromStorage(STORAGE_KEYS.SCHEMA_VERSION, 0);
+}
+
+/**
+ * Bring the save data of the active profile (current mode) up to CURRENT_SCHEMA_VERSION
+ * Must run at startup before any manager reads data.
+ * Before migrating, the previous data is saved as backup (see restoreSchemaBackup());
+ * the migrated data is then written all at once (see replaceStorageData()).
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.dryRun=false] - Only report what would change, write nothing
+ * @returns {Promise<Object>} Report ({fromVersion, toVersion, dryRun, migrations: [{version, description, changedKeys}], error})
+ */
+export async function runStorageMigrations({ dryRun = false } = {}) {
+  const fromVersion = loadSchemaVersion();
+  const report = { fromVersion, toVersion: fromVersion, dryRun, migrations: [], error: null };
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    logWarn(`Storage schema v${fromVersion} is newer than this app (v${CURRENT_SCHEMA_VERSION}), skipping migrations`);
+    return report;
+  }
+
+  const originalData = exportStorageData();
+
+  // Fresh profile: nothing to migrate, data is written in the current layout
+  if (Object.keys(originalData).length === 0) {
+    if (!dryRun) {
+      saveToStorage(STORAGE_KEYS.SCHEMA_VERSION, CURRENT_SCHEMA_VERSION);
+    }
+    report.toVersion = CURRENT_SCHEMA_VERSION;
+    return report;
+  }
+
+  const pending = STORAGE_MIGRATIONS.filter(migration => migration.version > fromVersion);
+  if (pending.length === 0) {
+    return report;
+  }
+
+  const data = JSON.parse(JSON.stringify(originalData));
+  try {
+    pending.forEach(migration => {
+      const before = JSON.parse(JSON.stringify(data));
+      migration.migrate(data);
+      const changedKeys = [...new Set([...Object.keys(before), ...Object.keys(data)])]
+        .filter(key => JSON.stringify(before[key]) !== JSON.stringify(data[key]));
+      report.migrations.push({ version: migration.version, description: migration.description, changedKeys });
+    });
+  } catch (error) {
+    logError('Storage migration failed, data left unchanged:', error);
+    report.error = error.message;
+    return report;
+  }
+
+  data.schema_version = CURRENT_SCHEMA_VERSION;
+  report.toVersion = CURRENT_SCHEMA_VERSION;
+
+  if (dryRun) {
+    return report;
+  }
+
+  // Only touch the data once the backup is on disk
+  const backupSaved = saveToStorage(STORAGE_KEYS.SCHEMA_BACKUP, {
+    fromVersion,
+    createdAt: getTimestamp(),
+    data: originalData
+  });
+  if (!backupSaved || !(await flushStorage())) {
+    logError('Schema backup could not be saved, migration skipped');
+    report.toVersion = fromVersion;
+    report.error = 'Backup could not be saved';
+    return report;
+  }
+
+  if (!(await replaceStorageData(data))) {
+    report.toVersion = fromVersion;
+    report.error = 'Migrated data could not be saved';
+    return report;
+  }
+
+  logInfo(`Migrated storage schema v${fromVersion} -> v${CURRENT_SCHEMA_VERSION}`);
+  return report;
+}
+
+/**
+ * Load the backup taken before the last migration
+ * @returns {Object|null} Backup ({fromVersion, createdAt, data}) or null if none exists
+ */
+export function loadSchemaBackup() {
+  return loadFromStorage(STORAGE_KEYS.SCHEMA_BACKUP, null);
+}
+
+/**
+ * Restore the data from before the last migration
+ * The migrations run again on the next app start
+ * @returns {Promise<boolean>} Success status (false if no backup exists)
+ */
+export async function restoreSchemaBackup() {
+  const backup = loadSchemaBackup();
+  if (!backup || !backup.data) {
+    return false;
+  }
+  return replaceStorageData(backup.data);
+}
+
 /**
  * Mark that shop has been opened with new backgrounds available
  * This is used to hide the "NEW" badge after shop is viewed once
@@ -0,0 +1,169 @@
+// Kopfnuss - Streak Log
+// Append-only history of streak events (incremented, frozen, unfrozen, restored, rescued,
+// protected, lost) recorded by streakManager, and the per-day streak status derived from it
+// for the streak calendar and the parent reports.
+
+import { loadStreakLog, appendStreakEvent, loadRestDays } from './storageManager.js';
+import { getTodayDate, addDays, daysBetween } from './dateService.js';
+import { getTimestamp } from './clock.js';
+import { isRestDay } from './restDays.js';
+
+/**
+ * Streak event types
+ */
+export const STREAK_EVENT = {
+  INCREMENTED: 'incremented', // Challenge completed, streak grew
+  FROZEN: 'frozen', // One expected day missed, streak frozen
+  UNFROZEN: 'unfrozen', // Challenge completed on the frozen day, streak grew again
+  RESTORED: 'restored', // Expired streak restored with diamonds (restoreExpiredStreak)
+  RESCUED: 'rescued', // Frozen streak rescued with diamonds (rescueStreak)
+  PROTECTED: 'protected', // Missed days covered by a Streak-Schutz
+  LOST: 'lost' // Streak reset to 0
+};
+
+/**
+ * Status of a single day in the streak history
+ */
+export const STREAK_DAY_STATUS = {
+  ACTIVE: 'active',
+  RESCUED: 'rescued',
+  RESTORED: 'restored',
+  PROTECTED: 'protected',
+  LOST: 'lost',
+  FROZEN: 'frozen',
+  REST: 'rest',
+  NONE: null
+};
+
+/**
+ * Day status per event type
+ */
+const STATUS_BY_EVENT = {
+  [STREAK_EVENT.INCREMENTED]: STREAK_DAY_STATUS.ACTIVE,
+  [STREAK_EVENT.UNFROZEN]: STREAK_DAY_STATUS.ACTIVE,
+  [STREAK_EVENT.RESCUED]: STREAK_DAY_STATUS.RESCUED,
+  [STREAK_EVENT.RESTORED]: STREAK_DAY_STATUS.RESTORED,
+  [STREAK_EVENT.PROTECTED]: STREAK_DAY_STATUS.PROTECTED,
+  [STREAK_EVENT.LOST]: STREAK_DAY_STATUS.LOST,
+  [STREAK_EVENT.FROZEN]: STREAK_DAY_STATUS.FROZEN
+};
+
+/**
+ * Day statuses from strongest to weakest: a day touched by several events shows the first match
+ * (a frozen day that was later restored counts as restored, a frozen day that expired as lost)
+ */
+const STATUS_PRIORITY = [
+  STREAK_DAY_STATUS.ACTIVE,
+  STREAK_DAY_STATUS.RESCUED,
+  STREAK_DAY_STATUS.RESTORED,
+  STREAK_DAY_STATUS.PROTECTED,
+  STREAK_DAY_STATUS.LOST,
+  STREAK_DAY_STATUS.FROZEN
+];
+
+/**
+ * Record a streak event
+ * @param {string} type - Event type (one of STREAK_EVENT)
+ * @param {number} streak - Streak after the event (for LOST: the streak that was lost)
+ * @param {Object} [details] - Optional details
+ * @param {string[]} [details.dates] - Days the event is about (defaults to today)
+ * @param {boolean} [details.isRecord] - Whether a new longest streak was reached
+ * @returns {boolean} Success status
+ */
+export function recordStreakEvent(type, streak, details = {}) {
+  const today = getTodayDate();
+  const event = {
+    date: today,
+    timestamp: getTimestamp(),
+    type,
+    streak,
+    dates: details.dates || [today]
+  };
+  if (details.isRecord) {
+    event.isRecord = true;
+  }
+  return appendStreakEvent(event);
+}
+
+/**
+ * Get streak events, optionally limited to a date range
+ * @param {string} [fromDate] - Earliest event day (YYYY-MM-DD, inclusive)
+ * @param {string} [toDate] - Latest event day (YYYY-MM-DD, inclusive)
+ * @returns {Object[]} Events, oldest first
+ */
+export function getStreakEvents(fromDate = null, toDate = null) {
+  return loadStreakLog().filter(event =>
+    (!fromDate || event.date >= fromDate) && (!toDate || event.date <= toDate)
+  );
+}
+
+/**
+ * Get the streak status of every day in a range
+ * Days without event are rest days (if configured as such) or have no status
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} [toDate] - Last day (defaults to today)
+ * @returns {Array<{date: string, status: string|null, streak: number|null, events: string[]}>}
+ *   Days oldest first; streak is the value reached on active days, events the event types touching the day
+ */
+export function getStreakDayStatuses(fromDate, toDate = getTodayDate()) {
+  const days = {};
+  const dayCount = daysBetween(fromDate, toDate) + 1;
+  for (let offset = 0; offset < dayCount; offset++) {
+    const date = addDays(fromDate, offset);
+    days[date] = { date, statuses: [], streak: null, events: [] };
+  }
+
+  loadStreakLog().forEach(event => {
+    (event.dates || [event.date]).forEach(date => {
+      const day = days[date];
+      if (!day) {
+        return;
+      }
+      day.statuses.push(STATUS_BY_EVENT[event.type]);
+      day.events.push(event.type);
+      if (STATUS_BY_EVENT[event.type] === STREAK_DAY_STATUS.ACTIVE) {
+        day.streak = event.streak;
+      }
+    });
+  });
+
+  const restDays = loadRestDays();
+  return Object.values(days).map(day => {
+    const status = STATUS_PRIORITY.find(candidate => day.statuses.includes(candidate));
+    return {
+      date: day.date,
+      status: status || (isRestDay(day.date, restDays) ? STREAK_DAY_STATUS.REST : STREAK_DAY_STATUS.NONE),
+      streak: day.streak,
+      events: day.events
+    };
+  });
+}
+
+/**
+ * Get the days on which a new longest streak was reached (by a completed or an unfreezing challenge)
+ * @param {number} [limit] - Return at most this many of the newest records
+ * @returns {Array<{date: string, streak: number}>} Records, newest first
+ */
+export function getLongestStreakRecords(limit = Infinity) {
+  return loadStreakLog()
+    .filter(event => event.isRecord)
+    .map(event => ({ date: event.date, streak: event.streak }))
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Count the streak events per type, optionally limited to a date range
+ * @param {string} [fromDate] - Earliest event day (YYYY-MM-DD, inclusive)
+ * @param {string} [toDate] - Latest event day (YYYY-MM-DD, inclusive)
+ * @returns {Object<string, number>} Map of event type -> count (every STREAK_EVENT type is present)
+ */
+export function countStreakEvents(fromDate = null, toDate = null) {
+  const counts = Object.fromEntries(Object.values(STREAK_EVENT).map(type => [type, 0]));
+  getStreakEvents(fromDate, toDate).forEach(event => {
+    if (event.type in counts) {
+      counts[event.type]++;
+    }
+  });
+  return counts;
+}
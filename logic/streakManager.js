@@ -1,15 +1,24 @@
 // Kopfnuss - Streak Manager
-// Manages daily streak system
+// Manages daily streak system (every state change is recorded in the streak log, see streakLog.js)
 
 import { CONFIG } from '../data/balancingLoader.js';
 import { 
   loadStreak, 
   saveStreak, 
-  getTodayDate,
   loadMilestoneProgress,
   saveMilestoneProgress
 } from './storageManager.js';
 import { loadDiamonds, saveDiamonds } from './diamondManager.js';
+import { getTodayDate, addDays } from './dateService.js';
+import { getStreakGap, getRestDatesBetween, getMissedDates } from './restDays.js';
+import { getStreakProtectionInfo, consumeStreakProtection } from './streakProtection.js';
+import { STREAK_EVENT, recordStreakEvent } from './streakLog.js';
+
+/**
+ * Number of missed days a streak survives at most (frozen, then restorable); a lost event
+ * lists only these days, not a whole long break
+ */
+const MAX_LOGGED_MISSED_DAYS = 3;
 
 /**
  * Streak loss reasons
@@ -22,29 +31,71 @@ export const STREAK_LOSS_REASON = {
 };
 
 /**
- * Calculate days between two dates
- * Uses date components to avoid timezone issues
- * @param {string} date1 - First date (YYYY-MM-DD)
- * @param {string} date2 - Second date (YYYY-MM-DD)
- * @returns {number} Number of days difference
+ * Cover missed days with owned Streak-Schutz items (modifies the streak, caller saves)
+ * Each item covers one missed day: lastActiveDate moves onto the last covered day.
+ * Items are only spent if they cover every missed day, so the streak is not frozen
+ * afterwards; with too few items none are used and the gap is handled as usual.
+ * @param {Object} streak - Streak object
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {string[]} Covered days (empty if no item was used)
+ */
+function applyStreakProtection(streak, today) {
+  if (!streak.lastActiveDate || streak.currentStreak === 0) {
+    return [];
+  }
+  
+  const daysSinceLastActive = getStreakGap(streak.lastActiveDate, today);
+  const missedDays = daysSinceLastActive - 1;
+  if (missedDays < 1) {
+    return [];
+  }
+  
+  // Covering only part of the gap would still freeze or expire the streak
+  if (getStreakProtectionInfo().count < missedDays) {
+    return [];
+  }
+  
+  // Rest days in the gap are no missed days and need no Streak-Schutz
+  const covered = consumeStreakProtection(getMissedDates(streak.lastActiveDate, today));
+  if (covered.length === 0) {
+    return covered;
+  }
+  
+  recordStreakEvent(STREAK_EVENT.PROTECTED, streak.currentStreak, { dates: covered });
+  streak.lastActiveDate = covered[covered.length - 1];
+  streak.isFrozen = false;
+  streak.lossReason = null;
+  return covered;
+}
+
+/**
+ * Get the days covered by a Streak-Schutz that was consumed today
+ * @param {string} today - Today's date (YYYY-MM-DD)
+ * @returns {string[]} Covered days (oldest first)
  */
-function daysBetween(date1, date2) {
-  const d1 = new Date(date1 + 'T00:00:00');
-  const d2 = new Date(date2 + 'T00:00:00');
-  const diffTime = Math.abs(d2.getTime() - d1.getTime());
-  const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
-  return diffDays;
+function getDatesProtectedToday(today) {
+  return getStreakProtectionInfo().history
+    .filter(entry => entry.usedOn === today)
+    .map(entry => entry.coveredDate)
+    .reverse();
 }
 
 /**
  * Check streak status on app load (before any updates)
- * This determines what popup to show
+ * This determines what popup to show. Owned Streak-Schutz items are consumed first,
+ * protectedDates lists the days they covered today. Gaps skip rest days (see restDays.js),
+ * restDates lists the rest days that were skipped.
  * @returns {Object} Streak status info for popups
  */
 export function checkStreakStatusOnLoad() {
   const streak = loadStreak();
   const today = getTodayDate();
+  if (applyStreakProtection(streak, today).length > 0) {
+    saveStreak(streak);
+  }
+  const protectedDates = getDatesProtectedToday(today);
   const lastActiveDate = streak.lastActiveDate;
+  const restDates = lastActiveDate ? getRestDatesBetween(lastActiveDate, today) : [];
   
   // No previous activity
   if (!lastActiveDate) {
@@ -52,11 +103,13 @@ export function checkStreakStatusOnLoad() {
       showPopup: false,
       lossReason: null,
       previousStreak: 0,
-      isFrozen: false
+      isFrozen: false,
+      protectedDates,
+      restDates
     };
   }
   
-  const daysSinceLastActive = daysBetween(lastActiveDate, today);
+  const daysSinceLastActive = getStreakGap(lastActiveDate, today);
   
   // Same day - no popup needed (unless already frozen from before)
   if (daysSinceLastActive === 0) {
@@ -64,18 +117,23 @@ export function checkStreakStatusOnLoad() {
       showPopup: streak.isFrozen,
       lossReason: streak.isFrozen ? STREAK_LOSS_REASON.FROZEN : null,
       previousStreak: streak.currentStreak,
-      isFrozen: streak.isFrozen
+      isFrozen: streak.isFrozen,
+      protectedDates,
+      restDates
     };
   }
   
   // 1 day gap - next day after activity, streak continues normally
   // Player completed challenge yesterday, opens app today - no problem
+  // (also after a Streak-Schutz covered the missed days - the popup tells the player)
   if (daysSinceLastActive === 1) {
     return {
-      showPopup: false,
+      showPopup: protectedDates.length > 0,
       lossReason: null,
       previousStreak: streak.currentStreak,
-      isFrozen: false
+      isFrozen: false,
+      protectedDates,
+      restDates
     };
   }
   
@@ -86,7 +144,9 @@ export function checkStreakStatusOnLoad() {
       showPopup: true,
       lossReason: STREAK_LOSS_REASON.FROZEN,
       previousStreak: streak.currentStreak,
-      isFrozen: true
+      isFrozen: true,
+      protectedDates,
+      restDates
     };
   }
   
@@ -97,7 +157,9 @@ export function checkStreakStatusOnLoad() {
       showPopup: true,
       lossReason: STREAK_LOSS_REASON.EXPIRED_RESTORABLE,
       previousStreak: streak.currentStreak,
-      isFrozen: false
+      isFrozen: false,
+      protectedDates,
+      restDates
     };
   }
   
@@ -107,7 +169,9 @@ export function checkStreakStatusOnLoad() {
       showPopup: true,
       lossReason: STREAK_LOSS_REASON.EXPIRED_PERMANENT,
       previousStreak: streak.currentStreak,
-      isFrozen: false
+      isFrozen: false,
+      protectedDates,
+      restDates
     };
   }
   
@@ -115,7 +179,9 @@ export function checkStreakStatusOnLoad() {
     showPopup: false,
     lossReason: null,
     previousStreak: streak.currentStreak,
-    isFrozen: streak.isFrozen
+    isFrozen: streak.isFrozen,
+    protectedDates,
+    restDates
   };
 }
 
@@ -141,7 +207,7 @@ export function wasStreakStatusHandledToday() {
 
 /**
  * Update streak status based on time elapsed (does NOT increment streak)
- * This function handles streak freezing and loss detection only.
+ * This function handles streak freezing and loss detection only. Gaps skip rest days (see restDays.js).
  * Streak progression is handled by incrementStreakByChallenge() when a challenge is completed.
  * @returns {Object} Updated streak object
  */
@@ -156,7 +222,9 @@ export function updateStreak() {
     return streak;
   }
   
-  const daysSinceLastActive = daysBetween(lastActiveDate, today);
+  // Owned Streak-Schutz items cover missed days before freezing is checked
+  applyStreakProtection(streak, today);
+  const daysSinceLastActive = getStreakGap(streak.lastActiveDate, today);
   
   // Same day - no changes needed
   if (daysSinceLastActive === 0) {
@@ -174,6 +242,7 @@ export function updateStreak() {
     if (!streak.isFrozen && streak.currentStreak > 0) {
       streak.isFrozen = true;
       streak.lossReason = STREAK_LOSS_REASON.FROZEN;
+      recordStreakEvent(STREAK_EVENT.FROZEN, streak.currentStreak, { dates: getMissedDates(streak.lastActiveDate, today) });
     }
   }
   // 3 days gap - streak is lost but restorable with diamond
@@ -189,6 +258,11 @@ export function updateStreak() {
     if (streak.currentStreak > 0 && streak.lossReason !== STREAK_LOSS_REASON.EXPIRED_PERMANENT) {
       streak.lossReason = STREAK_LOSS_REASON.EXPIRED_PERMANENT;
     }
+    if (streak.currentStreak > 0) {
+      recordStreakEvent(STREAK_EVENT.LOST, streak.currentStreak, {
+        dates: getMissedDates(streak.lastActiveDate, today).slice(0, MAX_LOGGED_MISSED_DAYS)
+      });
+    }
     streak.currentStreak = 0;
     streak.isFrozen = false;
   }
@@ -229,7 +303,8 @@ export function incrementStreakByChallenge() {
   }
   
   // Check if already active today (already completed a challenge today)
-  if (lastActiveDate === today) {
+  // A last active date after today means the device clock was moved back - also counts as today
+  if (lastActiveDate && getStreakGap(lastActiveDate, today) === 0) {
     return {
       success: true,
       wasIncremented: false,
@@ -248,11 +323,13 @@ export function incrementStreakByChallenge() {
     } else {
       streak.currentStreak = 1;
     }
+    const isRecord = streak.currentStreak > (streak.longestStreak || 0);
     streak.longestStreak = Math.max(streak.longestStreak || 0, streak.currentStreak);
     streak.lastActiveDate = today;
     streak.isFrozen = false;
     streak.lossReason = null;
     saveStreak(streak);
+    recordStreakEvent(STREAK_EVENT.INCREMENTED, streak.currentStreak, { isRecord });
     
     // Update milestone progress
     let milestoneProgress = loadMilestoneProgress() + 1;
@@ -277,7 +354,7 @@ export function incrementStreakByChallenge() {
     };
   }
   
-  const daysSinceLastActive = daysBetween(lastActiveDate, today);
+  const daysSinceLastActive = getStreakGap(lastActiveDate, today);
   
   // Next day - increment streak
   if (daysSinceLastActive === 1) {
@@ -287,11 +364,13 @@ export function incrementStreakByChallenge() {
     streak.lastActiveDate = today;
     
     // Update longest streak if necessary
-    if (streak.currentStreak > streak.longestStreak) {
+    const isRecord = streak.currentStreak > streak.longestStreak;
+    if (isRecord) {
       streak.longestStreak = streak.currentStreak;
     }
     
     saveStreak(streak);
+    recordStreakEvent(STREAK_EVENT.INCREMENTED, streak.currentStreak, { isRecord });
     
     // Update milestone progress
     let milestoneProgress = loadMilestoneProgress();
@@ -320,11 +399,17 @@ export function incrementStreakByChallenge() {
   // More than 1 day gap - this shouldn't happen if updateStreak was called correctly
   // But handle it by starting a new streak
   if (daysSinceLastActive > 1) {
+    if (streak.currentStreak > 0) {
+      recordStreakEvent(STREAK_EVENT.LOST, streak.currentStreak, {
+        dates: getMissedDates(lastActiveDate, today).slice(0, MAX_LOGGED_MISSED_DAYS)
+      });
+    }
     streak.currentStreak = 1;
     streak.lastActiveDate = today;
     streak.isFrozen = false;
     streak.lossReason = null;
     saveStreak(streak);
+    recordStreakEvent(STREAK_EVENT.INCREMENTED, streak.currentStreak);
     
     // Reset milestone progress when starting new streak after gap
     saveMilestoneProgress(1);
@@ -346,6 +431,39 @@ export function incrementStreakByChallenge() {
   };
 }
 
+/**
+ * Apply streak progression for a completed challenge
+ * Unfreezes a frozen streak or increments an active one. An expired streak (loss reason)
+ * is left unchanged - the player needs to handle it via the popup first.
+ * @returns {Object} Result with streakUnfrozen/streakIncremented (new streak value or null) and milestoneReached
+ */
+export function progressStreakByChallenge() {
+  const streak = loadStreak();
+  let streakUnfrozen = null;
+  let streakIncremented = null;
+  let milestoneReached = false;
+  
+  if (streak.isFrozen) {
+    const result = unfreezeStreakByChallenge();
+    if (result.wasUnfrozen) {
+      streakUnfrozen = result.newStreak;
+      milestoneReached = result.milestoneReached || false;
+    }
+  } else if (!streak.lossReason) {
+    const result = incrementStreakByChallenge();
+    if (result.wasIncremented) {
+      streakIncremented = result.newStreak;
+      milestoneReached = result.milestoneReached || false;
+    }
+  }
+  
+  return {
+    streakUnfrozen,
+    streakIncremented,
+    milestoneReached
+  };
+}
+
 /**
  * Get current streak information
  * @returns {Object} Streak information
@@ -355,7 +473,7 @@ export function getStreakInfo() {
   const today = getTodayDate();
   
   const daysSinceLastActive = streak.lastActiveDate 
-    ? daysBetween(streak.lastActiveDate, today)
+    ? getStreakGap(streak.lastActiveDate, today)
     : null;
   
   let status = 'active';
@@ -363,7 +481,7 @@ export function getStreakInfo() {
   if (streak.currentStreak === 0) status = 'inactive';
   
   // Check if player has already completed a challenge today
-  const hasCompletedChallengeToday = streak.lastActiveDate === today;
+  const hasCompletedChallengeToday = daysSinceLastActive === 0;
   
   return {
     currentStreak: streak.currentStreak,
@@ -397,7 +515,7 @@ export function unfreezeStreakByChallenge() {
   }
   
   const daysSinceLastActive = streak.lastActiveDate 
-    ? daysBetween(streak.lastActiveDate, today)
+    ? getStreakGap(streak.lastActiveDate, today)
     : null;
   
   // Can only unfreeze if it's been exactly 2 days (frozen state)
@@ -418,11 +536,13 @@ export function unfreezeStreakByChallenge() {
   streak.lastActiveDate = today;
   
   // Update longest streak if necessary
-  if (streak.currentStreak > streak.longestStreak) {
+  const isRecord = streak.currentStreak > streak.longestStreak;
+  if (isRecord) {
     streak.longestStreak = streak.currentStreak;
   }
   
   saveStreak(streak);
+  recordStreakEvent(STREAK_EVENT.UNFROZEN, streak.currentStreak, { isRecord });
   
   // Update milestone progress
   let milestoneProgress = loadMilestoneProgress();
@@ -459,7 +579,7 @@ export function restoreExpiredStreak() {
   
   // Check if streak can be restored (3-day gap = expired restorable)
   const daysSinceLastActive = streak.lastActiveDate 
-    ? daysBetween(streak.lastActiveDate, today)
+    ? getStreakGap(streak.lastActiveDate, today)
     : null;
     
   if (daysSinceLastActive !== 3) {
@@ -482,6 +602,7 @@ export function restoreExpiredStreak() {
   
   // Spend diamond and restore streak
   saveDiamonds(diamonds - CONFIG.STREAK_RESCUE_COST);
+  recordStreakEvent(STREAK_EVENT.RESTORED, streak.currentStreak, { dates: getMissedDates(streak.lastActiveDate, today) });
   
   // Restore the streak and mark as active today
   // Do NOT increment the streak - it will be incremented when player completes a challenge
@@ -489,10 +610,7 @@ export function restoreExpiredStreak() {
   streak.lossReason = null;
   // Set lastActiveDate to one day before today so that completing a challenge today will increment the streak
   // This ensures that when incrementStreakByChallenge is called, daysSinceLastActive will be 1
-  const yesterday = new Date(today + 'T00:00:00');
-  yesterday.setDate(yesterday.getDate() - 1);
-  const yesterdayStr = yesterday.toISOString().split('T')[0];
-  streak.lastActiveDate = yesterdayStr;
+  streak.lastActiveDate = addDays(today, -1);
   // Keep the streak at its current value (don't increment yet)
   
   saveStreak(streak);
@@ -512,6 +630,11 @@ export function restoreExpiredStreak() {
  */
 export function acceptStreakLoss() {
   const streak = loadStreak();
+  if (streak.currentStreak > 0) {
+    const missedDates = streak.lastActiveDate ? getMissedDates(streak.lastActiveDate, getTodayDate()) : [];
+    recordStreakEvent(STREAK_EVENT.LOST, streak.currentStreak,
+      missedDates.length > 0 ? { dates: missedDates.slice(0, MAX_LOGGED_MISSED_DAYS) } : {});
+  }
   streak.currentStreak = 0;
   streak.isFrozen = false;
   streak.lossReason = null;
@@ -544,7 +667,7 @@ export function rescueStreak() {
     };
   }
   
-  const daysSinceLastActive = daysBetween(streak.lastActiveDate, today);
+  const daysSinceLastActive = getStreakGap(streak.lastActiveDate, today);
   if (daysSinceLastActive !== 1) {
     return {
       success: false,
@@ -567,6 +690,7 @@ export function rescueStreak() {
   streak.lossReason = null;
   streak.lastActiveDate = today;
   saveStreak(streak);
+  recordStreakEvent(STREAK_EVENT.RESCUED, streak.currentStreak);
   
   return {
     success: true,
@@ -0,0 +1,123 @@
+// Kopfnuss - Streak Protection (Streak-Schutz)
+// Inventory item bought in the shop with diamonds or streak stones. Each owned
+// Streak-Schutz covers one missed day; streakManager consumes them automatically.
+
+import { CONFIG } from '../data/balancingLoader.js';
+import {
+  loadStreakProtection,
+  saveStreakProtection,
+  loadStreakStones,
+  saveStreakStones
+} from './storageManager.js';
+import { loadDiamonds, saveDiamonds } from './diamondManager.js';
+import { getTodayDate } from './dateService.js';
+
+/**
+ * Currencies a Streak-Schutz can be bought with
+ */
+export const PROTECTION_CURRENCY = {
+  DIAMONDS: 'diamonds',
+  STREAK_STONES: 'streakStones'
+};
+
+/**
+ * @typedef {Object} ProtectionUse
+ * @property {string} usedOn - Day the Streak-Schutz was consumed (YYYY-MM-DD)
+ * @property {string} coveredDate - Missed day it covered (YYYY-MM-DD)
+ */
+
+/**
+ * Get the Streak-Schutz inventory with prices and consumption history
+ * @returns {Object} {count, maxOwned, costDiamonds, costStreakStones, history (newest first)}
+ */
+export function getStreakProtectionInfo() {
+  const protection = loadStreakProtection();
+  return {
+    count: protection.count,
+    maxOwned: CONFIG.STREAK_PROTECTION_MAX_OWNED,
+    costDiamonds: CONFIG.STREAK_PROTECTION_COST_DIAMONDS,
+    costStreakStones: CONFIG.STREAK_PROTECTION_COST_STREAK_STONES,
+    history: [...protection.history].reverse()
+  };
+}
+
+/**
+ * Buy one Streak-Schutz
+ * @param {string} currency - One of PROTECTION_CURRENCY
+ * @returns {Object} Result with success status, message and the new count
+ */
+export function buyStreakProtection(currency) {
+  const protection = loadStreakProtection();
+
+  if (protection.count >= CONFIG.STREAK_PROTECTION_MAX_OWNED) {
+    return {
+      success: false,
+      message: `Du kannst höchstens ${CONFIG.STREAK_PROTECTION_MAX_OWNED} Streak-Schutz besitzen`,
+      maxReached: true
+    };
+  }
+
+  if (currency === PROTECTION_CURRENCY.DIAMONDS) {
+    const diamonds = loadDiamonds();
+    const cost = CONFIG.STREAK_PROTECTION_COST_DIAMONDS;
+    if (diamonds < cost) {
+      return {
+        success: false,
+        message: `Nicht genug Diamanten. Benötigt: ${cost}, Vorhanden: ${diamonds}`,
+        notEnoughDiamonds: true
+      };
+    }
+    saveDiamonds(diamonds - cost);
+  } else if (currency === PROTECTION_CURRENCY.STREAK_STONES) {
+    const streakStones = loadStreakStones();
+    const cost = CONFIG.STREAK_PROTECTION_COST_STREAK_STONES;
+    if (streakStones < cost) {
+      return {
+        success: false,
+        message: `Nicht genug Streak-Steine. Benötigt: ${cost}, Vorhanden: ${streakStones}`,
+        needsMoreStones: true,
+        required: cost,
+        current: streakStones
+      };
+    }
+    saveStreakStones(streakStones - cost);
+  } else {
+    return {
+      success: false,
+      message: 'Unbekannte Währung'
+    };
+  }
+
+  protection.count += 1;
+  saveStreakProtection(protection);
+
+  return {
+    success: true,
+    message: 'Streak-Schutz gekauft!',
+    count: protection.count
+  };
+}
+
+/**
+ * Consume owned Streak-Schutz items for missed days
+ * Covers the given days in order until the inventory is empty
+ * @param {string[]} missedDates - Missed days to cover (YYYY-MM-DD, oldest first)
+ * @returns {string[]} Days that were covered
+ */
+export function consumeStreakProtection(missedDates) {
+  const protection = loadStreakProtection();
+  const covered = missedDates.slice(0, protection.count);
+  if (covered.length === 0) {
+    return covered;
+  }
+
+  const today = getTodayDate();
+  protection.count -= covered.length;
+  covered.forEach(coveredDate => {
+    protection.history.push({ usedOn: today, coveredDate });
+  });
+  protection.history = protection.history.slice(-CONFIG.STREAK_PROTECTION_HISTORY_LIMIT);
+  saveStreakProtection(protection);
+
+  return covered;
+}
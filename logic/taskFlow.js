@@ -8,8 +8,8 @@ import {
   completeChallenge,
   analyzeErrors 
 } from './challengeStateManager.js';
-import { saveProgress, loadProgress, loadStreak } from './storageManager.js';
-import { unfreezeStreakByChallenge, incrementStreakByChallenge } from './streakManager.js';
+import { saveProgress, loadProgress, appendAttempt, ATTEMPT_SOURCE } from './storageManager.js';
+import { progressStreakByChallenge } from './streakManager.js';
 import { 
   isEventActive, 
   getActiveEvent, 
@@ -17,6 +17,12 @@ import {
   incrementSeasonalTasks 
 } from './eventManager.js';
 import { incrementPackTasks } from './backgroundManager.js';
+import { parseFraction, fractionsEqual, isReduced, formatFraction } from './fractionUtils.js';
+import { parseDecimal, decimalsEqual, formatDecimal } from './decimalUtils.js';
+import { recordChallengePerformance } from './adaptiveDifficulty.js';
+import { recordMistake } from './mistakeReview.js';
+import { getTodayDate } from './dateService.js';
+import { getNowMs } from './clock.js';
 
 /**
  * Task flow state
@@ -26,6 +32,12 @@ let currentTaskIndex = 0;
 let errors = 0;
 let answers = []; // Store user answers for review
 let streakUnfrozenDuringChallenge = false; // Track if streak was unfrozen
+let currentTaskErrors = 0; // Wrong attempts on the current task
+let taskStartedAt = null; // Timestamp (ms) when the current task was shown
+let attemptStartedAt = null; // Timestamp (ms) of the task start or the previous attempt
+let taskResults = []; // Per-task performance for adaptive difficulty
+let practiceTasks = null; // Tasks of an unrewarded practice run (null during a challenge)
+let practiceType = null; // Challenge type logged for practice answers
 
 /**
  * Initialize task flow for a challenge
@@ -40,10 +52,15 @@ export function initializeTaskFlow(challengeIndex) {
   }
   
   currentChallengeIndex = challengeIndex;
+  practiceTasks = null;
   currentTaskIndex = challenge.currentTaskIndex || 0;
   errors = challenge.errors || 0;
   answers = [];
   streakUnfrozenDuringChallenge = false; // Reset the flag for new challenge
+  currentTaskErrors = 0;
+  taskStartedAt = getNowMs();
+  attemptStartedAt = taskStartedAt;
+  taskResults = [];
   
   return {
     challengeIndex,
@@ -55,30 +72,71 @@ export function initializeTaskFlow(challengeIndex) {
 }
 
 /**
- * Get the current task
- * @returns {Object|null} Current task object
+ * Initialize task flow for an unrewarded practice run (e.g. retrying missed tasks)
+ * Practice runs leave challenge state, diamonds, streak and adaptive difficulty untouched;
+ * answers are still written to the attempt log for the statistics
+ * @param {Array} tasks - Tasks to practice
+ * @param {string} [challengeType='practice'] - Type the answers count toward in the statistics
+ *   (the practiced challenge type, or 'practice' for mixed runs such as retried mistakes)
+ * @returns {Object|null} Initial state
  */
-export function getCurrentTask() {
+export function initializePracticeFlow(tasks, challengeType = 'practice') {
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return null;
+  }
+  
+  resetTaskFlow();
+  practiceTasks = tasks;
+  practiceType = challengeType;
+  taskStartedAt = getNowMs();
+  attemptStartedAt = taskStartedAt;
+  
+  return {
+    challengeIndex: null,
+    taskIndex: 0,
+    totalTasks: tasks.length,
+    errors: 0,
+    isPractice: true
+  };
+}
+
+/**
+ * Get the tasks of the running flow
+ * @returns {Array|null} Practice tasks, challenge tasks, or null if nothing is running
+ */
+function getFlowTasks() {
+  if (practiceTasks) {
+    return practiceTasks;
+  }
   if (currentChallengeIndex === null) {
     return null;
   }
   
   const challenge = getChallenge(currentChallengeIndex);
-  if (!challenge || currentTaskIndex >= challenge.tasks.length) {
+  return challenge ? challenge.tasks : null;
+}
+
+/**
+ * Get the current task
+ * @returns {Object|null} Current task object
+ */
+export function getCurrentTask() {
+  const tasks = getFlowTasks();
+  if (!tasks || currentTaskIndex >= tasks.length) {
     return null;
   }
   
   return {
-    task: challenge.tasks[currentTaskIndex],
+    task: tasks[currentTaskIndex],
     taskNumber: currentTaskIndex + 1,
-    totalTasks: challenge.tasks.length,
+    totalTasks: tasks.length,
     errors: errors
   };
 }
 
 /**
  * Validate user answer for current task
- * @param {number|string} userAnswer - User's answer
+ * @param {number|string|Object} userAnswer - User's answer ({numerator, denominator} or "n/d" for fraction tasks)
  * @returns {Object} Validation result
  */
 export function validateAnswer(userAnswer) {
@@ -91,6 +149,14 @@ export function validateAnswer(userAnswer) {
     };
   }
   
+  if (currentTask.task.metadata && currentTask.task.metadata.fractionInput) {
+    return validateFractionAnswer(currentTask, userAnswer);
+  }
+  
+  if (currentTask.task.metadata && currentTask.task.metadata.decimalInput) {
+    return validateDecimalAnswer(currentTask, userAnswer);
+  }
+  
   const correctAnswer = currentTask.task.answer;
   
   // Parse and validate answer - use parseInt for integer results
@@ -112,20 +178,89 @@ export function validateAnswer(userAnswer) {
   
   const isCorrect = normalizedAnswer === correctAnswer;
   
-  // Store answer
-  answers.push({
-    taskIndex: currentTaskIndex,
-    question: currentTask.task.question,
+  recordAnswer(currentTask.task, normalizedAnswer, isCorrect);
+  
+  return {
+    isValid: true,
+    isCorrect: isCorrect,
     correctAnswer: correctAnswer,
-    userAnswer: normalizedAnswer,
-    isCorrect: isCorrect
-  });
+    userAnswer: normalizedAnswer
+  };
+}
+
+/**
+ * Validate a fraction answer for the current task
+ * Equivalent but unreduced answers (e.g. 2/4 for 1/2) are only accepted if the task allows it;
+ * otherwise they are rejected as invalid with a "please reduce" hint and do not count as an error.
+ * @param {Object} currentTask - Current task info from getCurrentTask()
+ * @param {string|Object} userAnswer - User's answer ({numerator, denominator} or "n/d")
+ * @returns {Object} Validation result (needsReduction is set when only reducing is missing)
+ */
+function validateFractionAnswer(currentTask, userAnswer) {
+  const { answerFraction, allowUnreduced } = currentTask.task.metadata;
+  const userFraction = parseFraction(userAnswer);
   
-  if (!isCorrect) {
-    errors++;
-    incrementErrors(currentChallengeIndex);
+  if (!userFraction) {
+    return {
+      isValid: false,
+      error: 'Bitte gib Zähler und Nenner als ganze Zahlen ein'
+    };
   }
   
+  if (userFraction.denominator === 0) {
+    return {
+      isValid: false,
+      error: 'Der Nenner darf nicht 0 sein'
+    };
+  }
+  
+  const isEquivalent = fractionsEqual(userFraction, answerFraction);
+  
+  if (isEquivalent && !allowUnreduced && !isReduced(userFraction)) {
+    return {
+      isValid: false,
+      needsReduction: true,
+      error: 'Fast! Bitte kürze den Bruch so weit wie möglich'
+    };
+  }
+  
+  const correctAnswer = currentTask.task.answer;
+  const normalizedAnswer = formatFraction(userFraction);
+  
+  recordAnswer(currentTask.task, normalizedAnswer, isEquivalent);
+  
+  return {
+    isValid: true,
+    isCorrect: isEquivalent,
+    correctAnswer: correctAnswer,
+    userAnswer: normalizedAnswer
+  };
+}
+
+/**
+ * Validate a decimal answer for the current task
+ * Accepts German comma and dot as separator and ignores trailing zeros (3,5 = 3.50).
+ * Comparison is exact on scaled integers, so there is no floating-point drift.
+ * @param {Object} currentTask - Current task info from getCurrentTask()
+ * @param {string|number} userAnswer - User's answer
+ * @returns {Object} Validation result
+ */
+function validateDecimalAnswer(currentTask, userAnswer) {
+  const userDecimal = parseDecimal(userAnswer);
+  
+  if (!userDecimal) {
+    return {
+      isValid: false,
+      error: 'Bitte gib eine Zahl ein (z.B. 3,75)'
+    };
+  }
+  
+  const correctAnswer = currentTask.task.answer;
+  const normalizedAnswer = formatDecimal(userDecimal);
+  const isCorrect = decimalsEqual(userDecimal, currentTask.task.metadata.answerDecimal);
+  
+  recordAnswer(currentTask.task, normalizedAnswer, isCorrect);
+  
   return {
     isValid: true,
     isCorrect: isCorrect,
@@ -135,25 +270,82 @@ export function validateAnswer(userAnswer) {
 }
 
 /**
- * Increment error count for the current challenge
- * Used by place-value input which validates digit-by-digit
- * @returns {boolean} True if error was counted
+ * Store an answer for review, append it to the persisted attempt log,
+ * and count an error if it was wrong (the missed task goes into the Fehler-Training)
+ * @param {Object} task - Task that was answered
+ * @param {number|string} userAnswer - Normalized user answer
+ * @param {boolean} isCorrect - Whether the answer was correct
  */
-export function incrementErrorCount() {
-  if (currentChallengeIndex === null) {
+function recordAnswer(task, userAnswer, isCorrect) {
+  const timeMs = attemptStartedAt ? getNowMs() - attemptStartedAt : 0;
+  answers.push({
+    taskIndex: currentTaskIndex,
+    question: task.question,
+    correctAnswer: task.answer,
+    userAnswer: userAnswer,
+    isCorrect: isCorrect,
+    timeMs: timeMs
+  });
+  
+  const challenge = practiceTasks ? null : getChallenge(currentChallengeIndex);
+  appendAttempt({
+    source: practiceTasks ? ATTEMPT_SOURCE.PRACTICE : ATTEMPT_SOURCE.STANDARD,
+    challengeType: practiceTasks ? practiceType : (challenge ? challenge.type : null),
+    operation: task.metadata ? task.metadata.operation : null,
+    question: task.question,
+    operands: task.metadata ? task.metadata.operands : [],
+    expectedAnswer: task.answer,
+    userAnswer: userAnswer,
+    isCorrect: isCorrect,
+    timeMs: timeMs
+  });
+  attemptStartedAt = getNowMs();
+  
+  if (!isCorrect) {
+    registerError();
+    // Practice runs repeat tasks that are already in the Fehler-Training
+    if (!practiceTasks) {
+      recordMistake(task);
+    }
+  }
+}
+
+/**
+ * Record a column input attempt (validated digit by digit in the task screen)
+ * @param {string} userAnswer - Digits entered in the row of the attempt ('_' for empty cells)
+ * @param {boolean} isCorrect - True once all digits are correct, false for a wrong digit
+ * @returns {boolean} True if the attempt was recorded
+ */
+export function recordPlaceValueAttempt(userAnswer, isCorrect) {
+  const currentTask = getCurrentTask();
+  if (!currentTask) {
     return false;
   }
   
-  errors++;
-  incrementErrors(currentChallengeIndex);
+  recordAnswer(currentTask.task, userAnswer, isCorrect);
   return true;
 }
 
+/**
+ * Count a wrong attempt for the current task and challenge
+ */
+function registerError() {
+  errors++;
+  currentTaskErrors++;
+  if (!practiceTasks) {
+    incrementErrors(currentChallengeIndex);
+  }
+}
+
 /**
  * Move to next task
  * @returns {Object} Next task state
  */
 export function nextTask() {
+  if (practiceTasks) {
+    return nextPracticeTask();
+  }
+  
   if (currentChallengeIndex === null) {
     return {
       hasNext: false,
@@ -162,6 +354,18 @@ export function nextTask() {
   }
   
   const challenge = getChallenge(currentChallengeIndex);
+  
+  // Record performance of the solved task for adaptive difficulty
+  const solvedTask = challenge.tasks[currentTaskIndex];
+  taskResults.push({
+    operation: solvedTask && solvedTask.metadata ? solvedTask.metadata.operation : null,
+    errors: currentTaskErrors,
+    seconds: taskStartedAt ? (getNowMs() - taskStartedAt) / 1000 : 0
+  });
+  currentTaskErrors = 0;
+  taskStartedAt = getNowMs();
+  attemptStartedAt = taskStartedAt;
+  
   currentTaskIndex++;
   
   // Update task index in storage
@@ -170,7 +374,7 @@ export function nextTask() {
   // Update progress immediately when task is solved correctly
   // This ensures diamond progress updates in real-time
   const progress = loadProgress();
-  const today = new Date().toISOString().split('T')[0];
+  const today = getTodayDate();
   
   progress.totalTasksCompleted = (progress.totalTasksCompleted || 0) + 1;
   
@@ -210,6 +414,46 @@ export function nextTask() {
   };
 }
 
+/**
+ * Move to the next task of a practice run
+ * Solved practice tasks do not count toward diamonds, events or background packs
+ * @returns {Object} Next task state
+ */
+function nextPracticeTask() {
+  currentTaskErrors = 0;
+  taskStartedAt = getNowMs();
+  attemptStartedAt = taskStartedAt;
+  currentTaskIndex++;
+  
+  const hasNext = currentTaskIndex < practiceTasks.length;
+  return {
+    hasNext: hasNext,
+    isComplete: !hasNext,
+    taskIndex: currentTaskIndex
+  };
+}
+
+/**
+ * Complete the current practice run
+ * @returns {Object|null} Results without any rewards ({tasks, totalTasks, errors, answers})
+ */
+export function completePracticeRun() {
+  if (!practiceTasks) {
+    return null;
+  }
+  
+  const results = {
+    tasks: practiceTasks,
+    totalTasks: practiceTasks.length,
+    errors: errors,
+    answers: answers
+  };
+  
+  resetTaskFlow();
+  
+  return results;
+}
+
 /**
  * Complete the current challenge
  * Updates progress and returns results
@@ -264,52 +508,42 @@ export function completeCurrentChallenge() {
   const progress = loadProgress();
   
   progress.totalChallengesCompleted = (progress.totalChallengesCompleted || 0) + 1;
-  progress.lastPlayedDate = new Date().toISOString().split('T')[0];
+  progress.lastPlayedDate = getTodayDate();
   
   saveProgress(progress);
   
-  // Handle streak progression
-  let streakUnfrozenResult = null;
-  let streakIncrementedResult = null;
-  let milestoneReached = false;
-  const streak = loadStreak();
-  
-  if (streak.isFrozen) {
-    // Unfreeze streak if frozen
-    streakUnfrozenResult = unfreezeStreakByChallenge();
-    if (streakUnfrozenResult.wasUnfrozen) {
-      streakUnfrozenDuringChallenge = true;
-      milestoneReached = streakUnfrozenResult.milestoneReached || false;
-    }
-  } else if (!streak.lossReason) {
-    // If not frozen and no loss reason, increment streak by challenge completion
-    streakIncrementedResult = incrementStreakByChallenge();
-    if (streakIncrementedResult.wasIncremented) {
-      milestoneReached = streakIncrementedResult.milestoneReached || false;
-    }
-  }
-  // Note: If there's a loss reason (expired streak), don't auto-increment
+  // Handle streak progression (unfreeze or increment)
+  // Note: If there's a loss reason (expired streak), the streak is not auto-incremented
   // The player needs to handle this via the popup first
+  const streakResult = progressStreakByChallenge();
+  if (streakResult.streakUnfrozen) {
+    streakUnfrozenDuringChallenge = true;
+  }
   
   // Get error analysis
   const errorAnalysis = analyzeErrors(currentChallengeIndex);
   
+  // Update per-operation difficulty levels from this challenge's task results
+  const difficultyChanges = recordChallengePerformance(taskResults);
+  
   const results = {
     challengeIndex: currentChallengeIndex,
+    tasks: challenge.tasks,
     totalTasks: challenge.tasks.length,
     errors: errors,
     errorAnalysis: errorAnalysis,
     answers: answers,
     progress: progress,
-    streakUnfrozen: streakUnfrozenResult && streakUnfrozenResult.wasUnfrozen ? streakUnfrozenResult.newStreak : null,
-    streakIncremented: streakIncrementedResult && streakIncrementedResult.wasIncremented ? streakIncrementedResult.newStreak : null,
-    milestoneReached: milestoneReached,
+    streakUnfrozen: streakResult.streakUnfrozen,
+    streakIncremented: streakResult.streakIncremented,
+    milestoneReached: streakResult.milestoneReached,
     // Super challenge specific results
     isSuperChallenge: challenge?.isSuperChallenge || false,
     superChallengeSuccess: superChallengeSuccess,
     superChallengeAwardedDiamond: superChallengeAwardedDiamond,
     seasonalCurrencyAwarded: seasonalCurrencyAwarded,
-    superChallengePendingChoice: superChallengePendingChoice
+    superChallengePendingChoice: superChallengePendingChoice,
+    difficultyChanges: difficultyChanges
   };
   
   // Reset task flow state
@@ -323,9 +557,15 @@ export function completeCurrentChallenge() {
  */
 export function resetTaskFlow() {
   currentChallengeIndex = null;
+  practiceTasks = null;
+  practiceType = null;
   currentTaskIndex = 0;
   errors = 0;
   answers = [];
+  currentTaskErrors = 0;
+  taskStartedAt = null;
+  attemptStartedAt = null;
+  taskResults = [];
 }
 
 /**
@@ -340,6 +580,7 @@ export function getTaskFlowState() {
     taskIndex: currentTaskIndex,
     errors: errors,
     answersCount: answers.length,
+    isPractice: practiceTasks !== null,
     isSuperChallenge: challenge?.isSuperChallenge || false,
     superChallengeFailed: challenge?.isSuperChallenge && errors > 0
   };
@@ -350,7 +591,7 @@ export function getTaskFlowState() {
  * @returns {boolean} Success status
  */
 export function abandonChallenge() {
-  if (currentChallengeIndex === null) {
+  if (currentChallengeIndex === null && !practiceTasks) {
     return false;
   }
   
@@ -1,38 +1,55 @@
 // Kopfnuss - Task Generators
 // Generate mathematical tasks based on balancing values
 
-import { BALANCING, KOPFNUSS_DIFFICULTY } from '../data/balancingLoader.js';
+import { KOPFNUSS_DIFFICULTY, CONFIG } from '../data/balancingLoader.js';
+import { getEffectiveBalancing } from './adaptiveDifficulty.js';
+import { random, randomInt } from './random.js';
+import { pickWeakFact } from './timesTableMastery.js';
+import { buildColumnLayout } from './columnArithmetic.js';
+import {
+  EXPRESSION_OPERATORS,
+  createOperationNode,
+  formatExpression,
+  getBracketDepth,
+  getExpressionNumbers,
+  mixesPointAndLine
+} from './expressionUtils.js';
+import { calculateFraction, formatFraction } from './fractionUtils.js';
+import {
+  createDecimal,
+  addDecimals,
+  subtractDecimals,
+  multiplyDecimals,
+  compareDecimals,
+  formatDecimal,
+  decimalToNumber
+} from './decimalUtils.js';
 
 /**
  * @typedef {Object} TaskMetadata
- * @property {string} operation - Operation type (addition, subtraction, multiplication, division, squared)
- * @property {number[]} operands - Array of operands used in the task
+ * @property {string} operation - Operation type (addition, subtraction, multiplication, division, squared, fractions, decimal*)
+ * @property {number[]|Object[]} operands - Array of operands used in the task (fractions for fraction tasks)
+ * @property {boolean} [columnInput] - True if the answer is entered digit by digit in a column layout
+ * @property {Object} [columnLayout] - Column layout of column input tasks (see columnArithmetic.js)
+ * @property {Object} [expression] - Expression tree of order-of-operations tasks (see expressionUtils.js)
+ * @property {boolean} [timesTable] - True for Einmaleins tasks picked from the mastery grid
  */
 
 /**
  * @typedef {Object} Task
  * @property {string} question - The mathematical question to display (e.g., "5 + 3")
- * @property {number} answer - The correct answer to the question
+ * @property {number|string} answer - The correct answer to the question (e.g. "3/4" for fraction tasks, "5,35" for decimal tasks)
  * @property {TaskMetadata} metadata - Additional information about the task
  */
 
-/**
- * Helper function to generate random integer between min and max (inclusive)
- * @param {number} min - Minimum value
- * @param {number} max - Maximum value
- * @returns {number} Random integer
- */
-function randomInt(min, max) {
-  return Math.floor(Math.random() * (max - min + 1)) + min;
-}
-
 /**
  * Generate an addition task
  * @returns {Task} Task object with question, answer, and metadata
  */
 export function generateAddition() {
-  const a = randomInt(BALANCING.addition.min, BALANCING.addition.max);
-  const b = randomInt(BALANCING.addition.min, BALANCING.addition.max);
+  const balancing = getEffectiveBalancing('addition');
+  const a = randomInt(balancing.min, balancing.max);
+  const b = randomInt(balancing.min, balancing.max);
   const answer = a + b;
   
   return {
@@ -51,8 +68,9 @@ export function generateAddition() {
  * @returns {Task} Task object with question, answer, and metadata
  */
 export function generateSubtraction() {
-  const a = randomInt(BALANCING.subtraction.min, BALANCING.subtraction.max);
-  const b = randomInt(BALANCING.subtraction.min, BALANCING.subtraction.max);
+  const balancing = getEffectiveBalancing('subtraction');
+  const a = randomInt(balancing.min, balancing.max);
+  const b = randomInt(balancing.min, balancing.max);
   
   // Ensure a >= b for positive result
   const larger = Math.max(a, b);
@@ -74,13 +92,14 @@ export function generateSubtraction() {
  * @returns {Task} Task object with question, answer, and metadata
  */
 export function generateMultiplication() {
+  const balancing = getEffectiveBalancing('multiplication');
   const a = randomInt(
-    BALANCING.multiplication.factor1.min,
-    BALANCING.multiplication.factor1.max
+    balancing.factor1.min,
+    balancing.factor1.max
   );
   const b = randomInt(
-    BALANCING.multiplication.factor2.min,
-    BALANCING.multiplication.factor2.max
+    balancing.factor2.min,
+    balancing.factor2.max
   );
   const answer = a * b;
   
@@ -100,13 +119,14 @@ export function generateMultiplication() {
  * @returns {Task} Task object with question, answer, and metadata
  */
 export function generateDivision() {
+  const balancing = getEffectiveBalancing('division');
   const divisor = randomInt(
-    BALANCING.division.divisor.min,
-    BALANCING.division.divisor.max
+    balancing.divisor.min,
+    balancing.divisor.max
   );
   const quotient = randomInt(
-    BALANCING.division.quotient.min,
-    BALANCING.division.quotient.max
+    balancing.quotient.min,
+    balancing.quotient.max
   );
   
   // Calculate dividend to ensure whole number result
@@ -128,9 +148,10 @@ export function generateDivision() {
  * @returns {Task} Task object with question, answer, and metadata
  */
 export function generateSquared() {
+  const balancing = getEffectiveBalancing('squared');
   const base = randomInt(
-    BALANCING.squared.min,
-    BALANCING.squared.max
+    balancing.min,
+    balancing.max
   );
   const answer = base * base;
   
@@ -144,6 +165,40 @@ export function generateSquared() {
   };
 }
 
+/**
+ * Generate an Einmaleins task from the weakest cells of the mastery grid
+ * Factors stay within the effective multiplication ranges; some tasks are asked
+ * as the inverse division (TIMES_TABLE_DIVISION_SHARE)
+ * @returns {Task} Task object with question, answer, and metadata
+ */
+export function generateTimesTable() {
+  const balancing = getEffectiveBalancing('multiplication');
+  const { a, b } = pickWeakFact(balancing.factor1, balancing.factor2);
+  const product = a * b;
+
+  if (random() < CONFIG.TIMES_TABLE_DIVISION_SHARE) {
+    return {
+      question: `${product} ÷ ${a}`,
+      answer: b,
+      metadata: {
+        operation: 'division',
+        operands: [product, a],
+        timesTable: true
+      }
+    };
+  }
+
+  return {
+    question: `${a} × ${b}`,
+    answer: product,
+    metadata: {
+      operation: 'multiplication',
+      operands: [a, b],
+      timesTable: true
+    }
+  };
+}
+
 /**
  * Generate a mixed (random operation) task
  * Includes all operation types for variety
@@ -157,7 +212,10 @@ export function generateMixed() {
     generateSubtractionPlaceValue,
     generateMultiplication,
     generateDivision,
-    generateSquared
+    generateWrittenMultiplication,
+    generateWrittenDivision,
+    generateSquared,
+    generateOrderOfOperations
   ];
   
   // Randomly select a generator
@@ -171,72 +229,376 @@ export function generateMixed() {
 }
 
 /**
- * Generate an addition task with place-value input requirement
- * Result range: 0-9999 (4 digits max)
- * @returns {Task} Task object with question, answer, metadata, and digit decomposition
+ * Generate an addition task entered digit by digit in a column layout
+ * @returns {Task} Task object with question, answer, metadata, and column layout
  */
 export function generateAdditionPlaceValue() {
-  // Generate operands ensuring the sum doesn't exceed 9999
-  let a, b, answer;
-  do {
-    a = randomInt(BALANCING.additionPlaceValue.min, BALANCING.additionPlaceValue.max);
-    b = randomInt(BALANCING.additionPlaceValue.min, BALANCING.additionPlaceValue.max);
-    answer = a + b;
-  } while (answer > 9999);
-  
-  // Decompose answer into digits (thousands, hundreds, tens, ones)
-  const answerStr = answer.toString().padStart(4, '0');
-  const digitArray = [
-    parseInt(answerStr[0], 10), // thousands
-    parseInt(answerStr[1], 10), // hundreds
-    parseInt(answerStr[2], 10), // tens
-    parseInt(answerStr[3], 10)  // ones
-  ];
+  const balancing = getEffectiveBalancing('additionPlaceValue');
+  const a = randomInt(balancing.min, balancing.max);
+  const b = randomInt(balancing.min, balancing.max);
   
   return {
     question: `${a} + ${b}`,
-    answer: answer,
+    answer: a + b,
     metadata: {
       operation: 'additionPlaceValue',
       operands: [a, b],
-      placeValueInput: true,
-      digitArray: digitArray
+      columnInput: true,
+      columnLayout: buildColumnLayout('additionPlaceValue', [a, b], { carryCells: balancing.carryCells })
     }
   };
 }
 
 /**
- * Generate a subtraction task with place-value input requirement
- * Result range: 0-9999 (4 digits max)
+ * Generate a subtraction task entered digit by digit in a column layout
  * Ensures result is positive
- * @returns {Task} Task object with question, answer, metadata, and digit decomposition
+ * @returns {Task} Task object with question, answer, metadata, and column layout
  */
 export function generateSubtractionPlaceValue() {
-  const a = randomInt(BALANCING.subtractionPlaceValue.min, BALANCING.subtractionPlaceValue.max);
-  const b = randomInt(BALANCING.subtractionPlaceValue.min, BALANCING.subtractionPlaceValue.max);
+  const balancing = getEffectiveBalancing('subtractionPlaceValue');
+  const a = randomInt(balancing.min, balancing.max);
+  const b = randomInt(balancing.min, balancing.max);
   
   // Ensure a >= b for positive result
   const larger = Math.max(a, b);
   const smaller = Math.min(a, b);
-  const answer = larger - smaller;
-  
-  // Decompose answer into digits (thousands, hundreds, tens, ones)
-  const answerStr = answer.toString().padStart(4, '0');
-  const digitArray = [
-    parseInt(answerStr[0], 10), // thousands
-    parseInt(answerStr[1], 10), // hundreds
-    parseInt(answerStr[2], 10), // tens
-    parseInt(answerStr[3], 10)  // ones
-  ];
   
   return {
     question: `${larger} - ${smaller}`,
-    answer: answer,
+    answer: larger - smaller,
     metadata: {
       operation: 'subtractionPlaceValue',
       operands: [larger, smaller],
-      placeValueInput: true,
-      digitArray: digitArray
+      columnInput: true,
+      columnLayout: buildColumnLayout('subtractionPlaceValue', [larger, smaller], { carryCells: balancing.carryCells })
+    }
+  };
+}
+
+/**
+ * Generate a written multiplication task (schriftliche Multiplikation)
+ * One partial product per digit of the second factor, entered digit by digit
+ * @returns {Task} Task object with question, answer, metadata, and column layout
+ */
+export function generateWrittenMultiplication() {
+  const balancing = getEffectiveBalancing('writtenMultiplication');
+  const a = randomInt(balancing.factor1.min, balancing.factor1.max);
+  const b = randomInt(balancing.factor2.min, balancing.factor2.max);
+  
+  return {
+    question: `${a} × ${b}`,
+    answer: a * b,
+    metadata: {
+      operation: 'writtenMultiplication',
+      operands: [a, b],
+      columnInput: true,
+      columnLayout: buildColumnLayout('writtenMultiplication', [a, b], { carryCells: balancing.carryCells })
+    }
+  };
+}
+
+/**
+ * Generate a written division task (schriftliche Division)
+ * Ensures result is a whole number; every step is entered digit by digit
+ * @returns {Task} Task object with question, answer, metadata, and column layout
+ */
+export function generateWrittenDivision() {
+  const balancing = getEffectiveBalancing('writtenDivision');
+  const divisor = randomInt(balancing.divisor.min, balancing.divisor.max);
+  const quotient = randomInt(balancing.quotient.min, balancing.quotient.max);
+  const dividend = divisor * quotient;
+  
+  return {
+    question: `${dividend} ÷ ${divisor}`,
+    answer: quotient,
+    metadata: {
+      operation: 'writtenDivision',
+      operands: [dividend, divisor],
+      columnInput: true,
+      columnLayout: buildColumnLayout('writtenDivision', [dividend, divisor])
+    }
+  };
+}
+
+/**
+ * Display symbols for fraction operations
+ */
+const FRACTION_OPERATORS = {
+  addition: '+',
+  subtraction: '-',
+  multiplication: '×',
+  division: '÷'
+};
+
+/**
+ * Maximum attempts to find a fraction task with a non-whole, non-zero result
+ */
+const MAX_FRACTION_ATTEMPTS = 50;
+
+/**
+ * Generate a random proper fraction (numerator smaller than denominator)
+ * @param {Object} denominatorRange - Range with min/max for the denominator
+ * @returns {Object} Fraction with numerator and denominator
+ */
+function generateProperFraction(denominatorRange) {
+  const denominator = randomInt(Math.max(2, denominatorRange.min), Math.max(2, denominatorRange.max));
+  const numerator = randomInt(1, denominator - 1);
+  return { numerator, denominator };
+}
+
+/**
+ * Generate a fraction task (addition, subtraction, multiplication or division of two proper fractions)
+ * The answer is the reduced result; subtraction results are never negative.
+ * Results that are zero or whole numbers are rerolled so the answer always needs a fraction input.
+ * @returns {Task} Task object with question, answer ("n/d"), and metadata including the answer fraction
+ */
+export function generateFractions() {
+  const config = getEffectiveBalancing('fractions');
+  const operations = config.operations && config.operations.length > 0
+    ? config.operations
+    : Object.keys(FRACTION_OPERATORS);
+  const fractionOperation = operations[randomInt(0, operations.length - 1)];
+  
+  let a, b, result;
+  let attempts = 0;
+  do {
+    a = generateProperFraction(config.denominator);
+    b = generateProperFraction(config.denominator);
+    
+    // Ensure a >= b for non-negative subtraction results
+    if (fractionOperation === 'subtraction' &&
+        a.numerator * b.denominator < b.numerator * a.denominator) {
+      [a, b] = [b, a];
+    }
+    
+    result = calculateFraction(a, b, fractionOperation);
+    attempts++;
+  } while ((result.numerator === 0 || result.denominator === 1) && attempts < MAX_FRACTION_ATTEMPTS);
+  
+  return {
+    question: `${formatFraction(a)} ${FRACTION_OPERATORS[fractionOperation]} ${formatFraction(b)}`,
+    answer: formatFraction(result),
+    metadata: {
+      operation: 'fractions',
+      operands: [a, b],
+      fractionOperation: fractionOperation,
+      fractionInput: true,
+      answerFraction: result,
+      allowUnreduced: Boolean(config.allowUnreduced)
+    }
+  };
+}
+
+/**
+ * Generate a random decimal within a range
+ * @param {number} min - Minimum value (may have decimal places)
+ * @param {number} max - Maximum value (may have decimal places)
+ * @param {number} decimalPlaces - Number of decimal places
+ * @returns {Object} Decimal ({units, scale})
+ */
+function generateRandomDecimal(min, max, decimalPlaces) {
+  const factor = Math.pow(10, decimalPlaces);
+  const units = randomInt(Math.round(min * factor), Math.round(max * factor));
+  return createDecimal(units, decimalPlaces);
+}
+
+/**
+ * Build a decimal task object
+ * @param {string} operation - Operation type (decimalAddition, decimalSubtraction, decimalMultiplication)
+ * @param {string} operator - Operator symbol for display
+ * @param {Object} a - First operand decimal
+ * @param {Object} b - Second operand decimal
+ * @param {Object} result - Result decimal
+ * @returns {Task} Task object with German-formatted question and answer
+ */
+function buildDecimalTask(operation, operator, a, b, result) {
+  return {
+    question: `${formatDecimal(a)} ${operator} ${formatDecimal(b)}`,
+    answer: formatDecimal(result),
+    metadata: {
+      operation: operation,
+      operands: [decimalToNumber(a), decimalToNumber(b)],
+      decimalInput: true,
+      answerDecimal: result
+    }
+  };
+}
+
+/**
+ * Generate a decimal addition task (e.g. "3,75 + 1,6")
+ * Each operand gets between 1 and decimalPlaces decimal places
+ * @returns {Task} Task object with question, answer (German format), and metadata
+ */
+export function generateDecimalAddition() {
+  const config = getEffectiveBalancing('decimals').addition;
+  const a = generateRandomDecimal(config.min, config.max, randomInt(1, config.decimalPlaces));
+  const b = generateRandomDecimal(config.min, config.max, randomInt(1, config.decimalPlaces));
+  
+  return buildDecimalTask('decimalAddition', '+', a, b, addDecimals(a, b));
+}
+
+/**
+ * Generate a decimal subtraction task
+ * Ensures result is positive by making first number larger
+ * @returns {Task} Task object with question, answer (German format), and metadata
+ */
+export function generateDecimalSubtraction() {
+  const config = getEffectiveBalancing('decimals').subtraction;
+  const a = generateRandomDecimal(config.min, config.max, randomInt(1, config.decimalPlaces));
+  const b = generateRandomDecimal(config.min, config.max, randomInt(1, config.decimalPlaces));
+  
+  // Ensure a >= b for positive result
+  const [larger, smaller] = compareDecimals(a, b) >= 0 ? [a, b] : [b, a];
+  
+  return buildDecimalTask('decimalSubtraction', '-', larger, smaller, subtractDecimals(larger, smaller));
+}
+
+/**
+ * Generate a decimal multiplication task (decimal × whole number, e.g. "0,4 × 12")
+ * @returns {Task} Task object with question, answer (German format), and metadata
+ */
+export function generateDecimalMultiplication() {
+  const config = getEffectiveBalancing('decimals').multiplication;
+  const a = generateRandomDecimal(config.factor1.min, config.factor1.max, config.decimalPlaces);
+  const b = createDecimal(randomInt(config.factor2.min, config.factor2.max), 0);
+  
+  return buildDecimalTask('decimalMultiplication', '×', a, b, multiplyDecimals(a, b));
+}
+
+/**
+ * Generate a decimal task (randomly selects addition, subtraction or multiplication)
+ * @returns {Task} Task object with question, answer (German format), and metadata
+ */
+export function generateDecimals() {
+  const generators = [
+    generateDecimalAddition,
+    generateDecimalSubtraction,
+    generateDecimalMultiplication
+  ];
+  
+  return generators[randomInt(0, generators.length - 1)]();
+}
+
+/**
+ * Maximum attempts to build an expression that meets all order-of-operations constraints
+ */
+const MAX_EXPRESSION_ATTEMPTS = 200;
+
+/**
+ * Find the divisors of a number within a range
+ * @param {number} value - Number to divide
+ * @param {number} min - Smallest allowed divisor (at least 2)
+ * @param {number} max - Largest allowed divisor
+ * @returns {number[]} Divisors without remainder
+ */
+function findDivisors(value, min, max) {
+  const divisors = [];
+  for (let divisor = Math.max(2, min); divisor <= Math.min(max, value); divisor++) {
+    if (value % divisor === 0) {
+      divisors.push(divisor);
+    }
+  }
+  return divisors;
+}
+
+/**
+ * Build a random expression tree with a given number of operators
+ * Every intermediate result is a whole number between 0 and config.maxValue
+ * @param {number} operatorCount - Number of operators in the (sub)expression
+ * @param {Object} config - Effective orderOfOperations balancing
+ * @param {string[]} operations - Allowed operations
+ * @returns {Object|null} Expression tree, or null if the random choices did not fit
+ */
+function buildExpressionTree(operatorCount, config, operations) {
+  const { min, max } = config.operand;
+  if (operatorCount === 0) {
+    return { value: randomInt(min, max) };
+  }
+  
+  const operation = operations[randomInt(0, operations.length - 1)];
+  const leftCount = randomInt(0, operatorCount - 1);
+  const rightCount = operatorCount - 1 - leftCount;
+  let left;
+  let right;
+  
+  if (operation === 'division' && leftCount === 0 && rightCount === 0) {
+    // Build the dividend from divisor and quotient
+    const divisor = randomInt(Math.max(2, min), Math.max(2, max));
+    right = { value: divisor };
+    left = { value: divisor * randomInt(min, max) };
+  } else {
+    left = buildExpressionTree(leftCount, config, operations);
+    if (!left) {
+      return null;
+    }
+    
+    if (operation === 'division' && rightCount === 0) {
+      const divisors = findDivisors(left.value, min, max);
+      if (divisors.length === 0) {
+        return null;
+      }
+      right = { value: divisors[randomInt(0, divisors.length - 1)] };
+    } else if (operation === 'subtraction' && rightCount === 0) {
+      if (left.value < min) {
+        return null;
+      }
+      right = { value: randomInt(min, Math.min(max, left.value)) };
+    } else {
+      right = buildExpressionTree(rightCount, config, operations);
+    }
+  }
+  
+  if (!right) {
+    return null;
+  }
+  
+  const node = createOperationNode(operation, left, right);
+  if (!Number.isInteger(node.value) || node.value < 0 || node.value > config.maxValue) {
+    return null;
+  }
+  return node;
+}
+
+/**
+ * Generate an order-of-operations task (Punkt vor Strich, Klammern), e.g. "7 + 3 × 4" or "(18 - 6) ÷ 3"
+ * Operator count, bracket depth and operand ranges come from the orderOfOperations balancing.
+ * All intermediate results are whole numbers; the expression tree is kept in the metadata
+ * so the solution can be shown step by step (see getSolutionSteps in expressionUtils.js).
+ * @returns {Task} Task object with question, answer, and metadata including the expression tree
+ */
+export function generateOrderOfOperations() {
+  const config = getEffectiveBalancing('orderOfOperations');
+  const operations = config.operations && config.operations.length > 0
+    ? config.operations
+    : Object.keys(EXPRESSION_OPERATORS);
+  const minOperators = Math.max(2, config.operators.min);
+  const maxOperators = Math.max(minOperators, config.operators.max);
+  // Expressions should mix Punkt and Strich whenever the configured operations allow it
+  const requireMix = operations.some(operation => ['addition', 'subtraction'].includes(operation)) &&
+    operations.some(operation => ['multiplication', 'division'].includes(operation));
+  
+  let expression = null;
+  for (let attempt = 0; attempt < MAX_EXPRESSION_ATTEMPTS && !expression; attempt++) {
+    const candidate = buildExpressionTree(randomInt(minOperators, maxOperators), config, operations);
+    if (candidate && getBracketDepth(candidate) <= config.bracketDepth &&
+        (!requireMix || mixesPointAndLine(candidate))) {
+      expression = candidate;
+    }
+  }
+  
+  // Fallback: the classic Punkt vor Strich task a + b × c
+  if (!expression) {
+    const leaf = () => ({ value: randomInt(config.operand.min, config.operand.max) });
+    expression = createOperationNode('addition', leaf(), createOperationNode('multiplication', leaf(), leaf()));
+  }
+  
+  return {
+    question: formatExpression(expression),
+    answer: expression.value,
+    metadata: {
+      operation: 'orderOfOperations',
+      operands: getExpressionNumbers(expression),
+      expression: expression
     }
   };
 }
@@ -260,8 +622,26 @@ export function generateTask(operationType) {
       return generateMultiplication();
     case 'division':
       return generateDivision();
+    case 'writtenMultiplication':
+      return generateWrittenMultiplication();
+    case 'writtenDivision':
+      return generateWrittenDivision();
+    case 'orderOfOperations':
+      return generateOrderOfOperations();
     case 'squared':
       return generateSquared();
+    case 'timesTable':
+      return generateTimesTable();
+    case 'fractions':
+      return generateFractions();
+    case 'decimalAddition':
+      return generateDecimalAddition();
+    case 'decimalSubtraction':
+      return generateDecimalSubtraction();
+    case 'decimalMultiplication':
+      return generateDecimalMultiplication();
+    case 'decimals':
+      return generateDecimals();
     case 'mixed':
       return generateMixed();
     default:
@@ -4,18 +4,25 @@
 
 import { 
   initializeTaskFlow, 
+  initializePracticeFlow,
   getCurrentTask, 
   validateAnswer, 
   nextTask, 
   completeCurrentChallenge,
+  completePracticeRun,
   abandonChallenge,
   getTaskFlowState,
-  incrementErrorCount
+  recordPlaceValueAttempt
 } from './taskFlow.js';
 import { startChallenge } from './challengeStateManager.js';
 import { showScreen, notifyStreakUnfrozen, notifyStreakIncremented, notifySuperChallengeResult, notifyMilestoneReached } from './uiBridge.js';
 import { startSuperChallengeSparkles, stopSuperChallengeSparkles } from './visualEffects.js';
 import { getChallenge } from './challengeGenerator.js';
+import { getColumnLayout, isColumnTask } from './columnArithmetic.js';
+import { MAX_DECIMAL_INPUT_LENGTH } from './decimalUtils.js';
+import { showSolutionPanel, hideSolutionPanel } from '../ui/solutionPanelUI.js';
+import { buildTaskReview, RETRY_PRACTICE_TITLE } from './challengeReview.js';
+import { appendChallengeReview } from '../ui/challengeReviewUI.js';
 import { playAnswerFeedback, playChallengeComplete } from './audioBootstrap.js';
 import { VERSION } from '../version.js';
 import { logError, logWarn } from './logging.js';
@@ -126,6 +133,50 @@ export function showTaskScreenForChallenge(container, challengeIndex, onBackClic
   setupTaskScreenEventListeners();
 }
 
+/**
+ * Show task screen for an unrewarded practice run (e.g. the missed tasks of a challenge)
+ * Uses the same task display and input handling as a challenge, without rewards or streak credit
+ * 
+ * @param {HTMLElement} container - Container element to render task screen into
+ * @param {Object} practice - Practice run ({tasks, title, type?})
+ * @param {Function} onBackClick - Callback when back button is clicked
+ */
+export function showTaskScreenForPractice(container, practice, onBackClick) {
+  container.innerHTML = `
+    <div class="task-screen" id="task-screen-content">
+      <div class="task-screen-main">
+        <div class="task-header practice-task-header">
+          <button id="back-button" aria-label="Zurück">←</button>
+          <h2>${practice.title || 'Üben'}</h2>
+          <div class="task-header-spacer"></div>
+        </div>
+        <div class="task-progress" id="task-progress"></div>
+        <div class="task-content">
+          <div class="task-question" id="task-question"></div>
+        </div>
+        <div class="task-feedback" id="task-feedback"></div>
+      </div>
+      <div class="task-screen-footer">v${VERSION.string}</div>
+    </div>
+  `;
+  
+  const backButton = document.getElementById('back-button');
+  if (backButton && onBackClick) {
+    backButton.addEventListener('click', onBackClick);
+  }
+  
+  taskFlowState = initializePracticeFlow(practice.tasks, practice.type);
+  
+  if (!taskFlowState) {
+    logError('Failed to initialize practice run');
+    showScreen('challenges');
+    return;
+  }
+  
+  displayCurrentTask();
+  setupTaskScreenEventListeners();
+}
+
 /**
  * Legacy function for backwards compatibility
  * @deprecated Use showTaskScreenForChallenge instead
@@ -145,10 +196,12 @@ function displayCurrentTask() {
   
   if (!currentTask) {
     // No more tasks, complete the challenge
-    handleChallengeCompletion();
+    finishTaskFlow();
     return;
   }
   
+  hideSolutionPanel();
+  
   // Update question display
   const questionElement = document.getElementById('task-question');
   if (questionElement) {
@@ -168,12 +221,16 @@ function displayCurrentTask() {
     progressElement.innerHTML = progressBarHtml;
   }
   
-  // Check if this is a place-value input task
-  const isPlaceValue = currentTask.task.metadata && currentTask.task.metadata.placeValueInput;
+  // Check if this is a column arithmetic or fraction input task
+  const isColumn = isColumnTask(currentTask.task);
+  const isFraction = currentTask.task.metadata && currentTask.task.metadata.fractionInput;
   
-  if (isPlaceValue) {
-    // Render place-value input UI
-    renderPlaceValueInput();
+  if (isColumn) {
+    // Render column arithmetic grid
+    renderColumnInput();
+  } else if (isFraction) {
+    // Render numerator/denominator input UI
+    renderFractionInput();
   } else {
     // Render standard input UI
     renderStandardInput();
@@ -200,11 +257,18 @@ function renderStandardInput() {
     existingInput.remove();
   }
   
+  // Decimal tasks need a text input so the German decimal comma can be typed
+  const currentTask = getCurrentTask();
+  const isDecimal = currentTask && currentTask.task.metadata && currentTask.task.metadata.decimalInput;
+  const inputAttributes = isDecimal
+    ? `type="text" inputmode="decimal" maxlength="${MAX_DECIMAL_INPUT_LENGTH}" placeholder="z.B. 3,75"`
+    : 'type="number" inputmode="numeric" pattern="[0-9]*" placeholder="Deine Antwort"';
+  
   // Add standard input
   const inputContainer = document.createElement('div');
   inputContainer.className = 'task-input-container';
   inputContainer.innerHTML = `
-    <input type="number" id="task-input" inputmode="numeric" pattern="[0-9]*" placeholder="Deine Antwort" aria-label="Deine Antwort für die Rechenaufgabe">
+    <input ${inputAttributes} id="task-input" autocomplete="off" aria-label="Deine Antwort für die Rechenaufgabe">
     <button id="submit-answer">Prüfen</button>
   `;
   
@@ -225,9 +289,9 @@ function renderStandardInput() {
 }
 
 /**
- * Render place-value input UI
+ * Render the column arithmetic grid (operands, optional carry cells, partial products, result)
  */
-function renderPlaceValueInput() {
+function renderColumnInput() {
   const taskContent = document.querySelector('.task-content');
   if (!taskContent) return;
   
@@ -237,28 +301,86 @@ function renderPlaceValueInput() {
     existingInput.remove();
   }
   
-  // Add place-value input slots
+  const currentTask = getCurrentTask();
+  const layout = currentTask ? getColumnLayout(currentTask.task) : null;
+  if (!layout) {
+    logError('Column input task without layout');
+    renderStandardInput();
+    return;
+  }
+  
+  // Place-value labels (only shown for addition/subtraction)
+  let labelsHtml = '';
+  if (layout.labels.length > 0) {
+    labelsHtml = '<div class="column-row column-labels"><span class="column-operator"></span>';
+    layout.labels.forEach(label => {
+      labelsHtml += `<span class="column-cell column-label">${label || ''}</span>`;
+    });
+    labelsHtml += '</div>';
+  }
+  
+  let rowsHtml = '';
+  layout.rows.forEach((row, rowIndex) => {
+    // The line above a row spans the whole row unless ruleColumns limits it (division steps)
+    const ruleColumns = row.ruleAbove ? row.ruleColumns : null;
+    const rowClass = `column-row column-row-${row.kind}${row.ruleAbove && !ruleColumns ? ' rule-above' : ''}`;
+    rowsHtml += `<div class="${rowClass}"><span class="column-operator">${row.operator}</span>`;
+    row.cells.forEach((cell, column) => {
+      const ruleClass = ruleColumns && column >= ruleColumns[0] && column <= ruleColumns[1] ? ' rule-above' : '';
+      if (!cell) {
+        rowsHtml += `<span class="column-cell${ruleClass}"></span>`;
+      } else if (cell.input) {
+        const helperClass = cell.helper ? ' column-helper' : '';
+        const ariaLabel = cell.helper ? 'Übertrag' : 'Ziffer';
+        rowsHtml += `<span class="column-cell${ruleClass}"><input type="tel" id="column-${rowIndex}-${column}" class="column-digit${helperClass}" inputmode="numeric" pattern="[0-9]" maxlength="1" data-row="${rowIndex}" data-column="${column}" aria-label="${ariaLabel}"${cell.helper ? '' : ' disabled'}></span>`;
+      } else {
+        rowsHtml += `<span class="column-cell column-static${ruleClass}">${cell.value}</span>`;
+      }
+    });
+    rowsHtml += '</div>';
+  });
+  
   const inputContainer = document.createElement('div');
-  inputContainer.className = 'task-input-container place-value-container';
+  inputContainer.className = 'task-input-container column-container';
   inputContainer.innerHTML = `
-    <div class="place-value-inputs">
-      <div class="place-value-slot">
-        <label class="place-value-label">T</label>
-        <input type="tel" id="digit-0" class="place-value-digit active" inputmode="numeric" pattern="[0-9]" maxlength="1" data-index="0" aria-label="Tausender">
-      </div>
-      <div class="place-value-slot">
-        <label class="place-value-label">H</label>
-        <input type="tel" id="digit-1" class="place-value-digit" inputmode="numeric" pattern="[0-9]" maxlength="1" data-index="1" aria-label="Hunderter" disabled>
-      </div>
-      <div class="place-value-slot">
-        <label class="place-value-label">Z</label>
-        <input type="tel" id="digit-2" class="place-value-digit" inputmode="numeric" pattern="[0-9]" maxlength="1" data-index="2" aria-label="Zehner" disabled>
-      </div>
-      <div class="place-value-slot">
-        <label class="place-value-label">E</label>
-        <input type="tel" id="digit-3" class="place-value-digit" inputmode="numeric" pattern="[0-9]" maxlength="1" data-index="3" aria-label="Einer" disabled>
-      </div>
+    <div class="column-grid" style="--column-count: ${layout.columns}">
+      ${labelsHtml}
+      ${rowsHtml}
+    </div>
+  `;
+  
+  const questionElement = document.getElementById('task-question');
+  if (questionElement && questionElement.parentNode) {
+    questionElement.parentNode.appendChild(inputContainer);
+  }
+  
+  // Setup event listeners and activate the first digit
+  setupColumnInputListeners(layout);
+}
+
+/**
+ * Render fraction input UI (numerator above denominator)
+ */
+function renderFractionInput() {
+  const taskContent = document.querySelector('.task-content');
+  if (!taskContent) return;
+  
+  // Remove existing input elements
+  const existingInput = taskContent.querySelector('.task-input-container');
+  if (existingInput) {
+    existingInput.remove();
+  }
+  
+  // Add fraction input
+  const inputContainer = document.createElement('div');
+  inputContainer.className = 'task-input-container fraction-container';
+  inputContainer.innerHTML = `
+    <div class="fraction-input">
+      <input type="tel" id="fraction-numerator" class="fraction-part" inputmode="numeric" pattern="[0-9]*" placeholder="Zähler" aria-label="Zähler">
+      <div class="fraction-bar" aria-hidden="true"></div>
+      <input type="tel" id="fraction-denominator" class="fraction-part" inputmode="numeric" pattern="[0-9]*" placeholder="Nenner" aria-label="Nenner">
     </div>
+    <button id="submit-answer">Prüfen</button>
   `;
   
   const questionElement = document.getElementById('task-question');
@@ -266,14 +388,96 @@ function renderPlaceValueInput() {
     questionElement.parentNode.appendChild(inputContainer);
   }
   
-  // Focus the first digit input
-  const firstInput = document.getElementById('digit-0');
-  if (firstInput) {
-    firstInput.focus();
+  // Focus the numerator
+  const numeratorInput = document.getElementById('fraction-numerator');
+  if (numeratorInput) {
+    numeratorInput.focus();
   }
   
-  // Setup event listeners for place-value inputs
-  setupPlaceValueInputListeners();
+  setupFractionInputListeners();
+}
+
+/**
+ * Setup event listeners for fraction input
+ */
+function setupFractionInputListeners() {
+  const submitButton = document.getElementById('submit-answer');
+  if (submitButton) {
+    submitButton.removeEventListener('click', handleAnswerSubmit);
+    submitButton.addEventListener('click', handleAnswerSubmit);
+  }
+  
+  const numeratorInput = document.getElementById('fraction-numerator');
+  if (numeratorInput) {
+    numeratorInput.removeEventListener('keypress', handleNumeratorKeypress);
+    numeratorInput.addEventListener('keypress', handleNumeratorKeypress);
+  }
+  
+  const denominatorInput = document.getElementById('fraction-denominator');
+  if (denominatorInput) {
+    denominatorInput.removeEventListener('keypress', handleStandardInputKeypress);
+    denominatorInput.addEventListener('keypress', handleStandardInputKeypress);
+  }
+}
+
+/**
+ * Handle keypress in the numerator input
+ * Enter moves to the denominator instead of submitting
+ */
+function handleNumeratorKeypress(e) {
+  if (e.key === 'Enter') {
+    const denominatorInput = document.getElementById('fraction-denominator');
+    if (denominatorInput) {
+      denominatorInput.focus();
+    }
+  }
+}
+
+/**
+ * Read the answer from the active input (standard or fraction)
+ * @returns {string|Object|null} Entered answer, {numerator, denominator} for fractions, or null if no input exists
+ */
+function readAnswerInput() {
+  const numeratorInput = document.getElementById('fraction-numerator');
+  const denominatorInput = document.getElementById('fraction-denominator');
+  if (numeratorInput && denominatorInput) {
+    return {
+      numerator: numeratorInput.value.trim(),
+      denominator: denominatorInput.value.trim()
+    };
+  }
+  
+  const inputElement = document.getElementById('task-input');
+  return inputElement ? inputElement.value.trim() : null;
+}
+
+/**
+ * Check whether an entered answer is incomplete
+ * @param {string|Object} answer - Answer from readAnswerInput()
+ * @returns {boolean} True if nothing (or only half a fraction) was entered
+ */
+function isAnswerEmpty(answer) {
+  if (typeof answer === 'object') {
+    return answer.numerator === '' || answer.denominator === '';
+  }
+  return answer === '';
+}
+
+/**
+ * Clear the active input and focus it for a retry
+ */
+function clearAnswerInput() {
+  const inputs = ['task-input', 'fraction-numerator', 'fraction-denominator']
+    .map(id => document.getElementById(id))
+    .filter(Boolean);
+  
+  inputs.forEach(input => {
+    input.value = '';
+  });
+  
+  if (inputs.length > 0) {
+    inputs[0].focus();
+  }
 }
 
 /**
@@ -302,48 +506,99 @@ function handleStandardInputKeypress(e) {
   }
 }
 
-// Track place-value input state
-let placeValueState = {
-  currentIndex: 0,
-  enteredDigits: ['', '', '', ''],
-  correctDigits: []
+// Track column input state
+let columnState = {
+  layout: null,
+  position: 0
 };
 
 /**
- * Setup event listeners for place-value inputs
+ * Get the input element of a layout cell
+ * @param {number[]} position - [row, column]
+ * @returns {HTMLInputElement|null} Input element
  */
-function setupPlaceValueInputListeners() {
-  // Reset state
-  const currentTask = getCurrentTask();
-  if (currentTask && currentTask.task.metadata && currentTask.task.metadata.digitArray) {
-    placeValueState.correctDigits = currentTask.task.metadata.digitArray;
-    placeValueState.currentIndex = 0;
-    placeValueState.enteredDigits = ['', '', '', ''];
+function getColumnInput([row, column]) {
+  return document.getElementById(`column-${row}-${column}`);
+}
+
+/**
+ * Enable and focus the required digit the child has to enter next
+ */
+function activateCurrentColumnDigit() {
+  const position = columnState.layout.sequence[columnState.position];
+  const input = position ? getColumnInput(position) : null;
+  if (input) {
+    input.disabled = false;
+    input.classList.add('active');
+    input.focus();
+  }
+}
+
+/**
+ * Describe the digits entered in a row for the attempt log ('_' for empty cells)
+ * @param {number} rowIndex - Row of the layout
+ * @returns {string} Entered digits of the row
+ */
+function describeColumnRow(rowIndex) {
+  return columnState.layout.rows[rowIndex].cells
+    .map((cell, column) => {
+      if (!cell || !cell.input || cell.helper) {
+        return '';
+      }
+      const input = getColumnInput([rowIndex, column]);
+      return input && input.value !== '' ? input.value : '_';
+    })
+    .join('');
+}
+
+/**
+ * Show feedback below the task
+ * @param {string} text - Feedback text ('' clears it)
+ * @param {string} [type] - Feedback class suffix ('correct', 'incorrect', 'warning')
+ */
+function showColumnFeedback(text, type) {
+  const feedbackElement = document.getElementById('task-feedback');
+  if (feedbackElement) {
+    feedbackElement.textContent = text;
+    feedbackElement.className = type ? `task-feedback feedback-${type}` : 'task-feedback';
   }
+}
+
+/**
+ * Setup event listeners for the column grid
+ * @param {Object} layout - Column layout of the current task
+ */
+function setupColumnInputListeners(layout) {
+  // Reset state
+  columnState.layout = layout;
+  columnState.position = 0;
   
   // Add listeners to all digit inputs
-  for (let i = 0; i < 4; i++) {
-    const input = document.getElementById(`digit-${i}`);
-    if (input) {
-      // Remove old listeners
-      input.removeEventListener('input', handlePlaceValueInput);
-      input.removeEventListener('focus', handlePlaceValueFocus);
-      input.removeEventListener('click', handlePlaceValueClick);
-      
-      // Add new listeners
-      input.addEventListener('input', handlePlaceValueInput);
-      input.addEventListener('focus', handlePlaceValueFocus);
-      input.addEventListener('click', handlePlaceValueClick);
-    }
-  }
+  document.querySelectorAll('.column-digit').forEach(input => {
+    // Remove old listeners
+    input.removeEventListener('input', handleColumnInput);
+    input.removeEventListener('focus', handleColumnFocus);
+    input.removeEventListener('click', handleColumnClick);
+    
+    // Add new listeners
+    input.addEventListener('input', handleColumnInput);
+    input.addEventListener('focus', handleColumnFocus);
+    input.addEventListener('click', handleColumnClick);
+  });
+  
+  activateCurrentColumnDigit();
 }
 
 /**
- * Handle input in place-value digit slot
+ * Handle input in a digit cell of the column grid
+ * Required digits are checked one by one in the order of written arithmetic (like on paper);
+ * a wrong digit counts as a failed attempt. Carry/borrow cells are optional helpers:
+ * they are checked too, but a wrong one only shows a hint.
  */
-function handlePlaceValueInput(e) {
+function handleColumnInput(e) {
   const input = e.target;
-  const index = parseInt(input.dataset.index, 10);
+  const rowIndex = parseInt(input.dataset.row, 10);
+  const column = parseInt(input.dataset.column, 10);
   const value = input.value.trim();
   
   // Remove overwrite-mode class when typing (if present)
@@ -363,103 +618,123 @@ function handlePlaceValueInput(e) {
     return;
   }
   
-  if (value !== '') {
-    const digit = parseInt(value, 10);
-    const correctDigit = placeValueState.correctDigits[index];
+  if (value === '') {
+    return;
+  }
+  
+  const cell = columnState.layout.rows[rowIndex].cells[column];
+  const sequenceIndex = columnState.layout.sequence
+    .findIndex(([sequenceRow, sequenceColumn]) => sequenceRow === rowIndex && sequenceColumn === column);
+  
+  if (cell.helper) {
+    handleColumnHelperInput(input, value === cell.value);
+    return;
+  }
+  
+  if (value === cell.value) {
+    // Correct digit
+    input.classList.remove('incorrect', 'active');
+    input.classList.add('correct');
+    
+    // Only the digit that is due moves the grid forward (correct digits may be overwritten)
+    if (sequenceIndex !== columnState.position) {
+      activateCurrentColumnDigit();
+      return;
+    }
+    
+    columnState.position++;
+    if (columnState.position < columnState.layout.sequence.length) {
+      activateCurrentColumnDigit();
+      return;
+    }
     
-    // Store the entered digit
-    placeValueState.enteredDigits[index] = value;
+    // All digits entered correctly
+    recordPlaceValueAttempt(describeColumnRow(columnState.layout.answerRow), true);
     
-    // Validate the digit
-    if (digit === correctDigit) {
-      // Correct digit
-      input.classList.remove('incorrect');
-      input.classList.add('correct');
+    // Show success feedback
+    showColumnFeedback('✓ Richtig!', 'correct');
+    
+    // Play correct answer sound
+    playAnswerFeedback(true);
+    
+    // Move to next task after a short delay
+    setTimeout(() => {
+      const nextTaskResult = nextTask();
       
-      // Move to next slot
-      if (index < 3) {
-        placeValueState.currentIndex = index + 1;
-        const nextInput = document.getElementById(`digit-${index + 1}`);
-        if (nextInput) {
-          nextInput.disabled = false;
-          nextInput.classList.add('active');
-          nextInput.focus();
-          
-          // Remove active class from current
-          input.classList.remove('active');
-        }
+      if (nextTaskResult.isComplete) {
+        finishTaskFlow();
       } else {
-        // All digits entered correctly
-        input.classList.remove('active');
-        
-        // Show success feedback
-        const feedbackElement = document.getElementById('task-feedback');
-        if (feedbackElement) {
-          feedbackElement.textContent = '✓ Richtig!';
-          feedbackElement.className = 'task-feedback feedback-correct';
-        }
-        
-        // Play correct answer sound
-        playAnswerFeedback(true);
-        
-        // Move to next task after a short delay
-        setTimeout(() => {
-          const nextTaskResult = nextTask();
-          
-          if (nextTaskResult.isComplete) {
-            handleChallengeCompletion();
-          } else {
-            displayCurrentTask();
-          }
-        }, 1500);
-      }
-    } else {
-      // Incorrect digit
-      input.classList.remove('correct');
-      input.classList.add('incorrect');
-      
-      // Increment error count (both local taskFlow state and challenge state)
-      // NOTE: We don't use validateAnswer() here because we're validating individual
-      // digits rather than a complete answer. incrementErrorCount() handles both
-      // the local error counter and the challenge state consistently.
-      incrementErrorCount();
-      
-      // Show error feedback
-      const feedbackElement = document.getElementById('task-feedback');
-      if (feedbackElement) {
-        feedbackElement.textContent = '✗ Falsch! Versuche es nochmal.';
-        feedbackElement.className = 'task-feedback feedback-incorrect';
+        displayCurrentTask();
       }
-      
-      // Play wrong answer sound
-      playAnswerFeedback(false);
-      
-      // Clear the input after a short delay
-      setTimeout(() => {
+    }, 1500);
+  } else {
+    // Incorrect digit
+    input.classList.remove('correct');
+    input.classList.add('incorrect');
+    
+    // Record the row with the wrong digit as a failed attempt (also counts the error)
+    // NOTE: We don't use validateAnswer() here because we're validating individual
+    // digits rather than a complete answer. Empty cells are logged as '_'.
+    recordPlaceValueAttempt(describeColumnRow(rowIndex), false);
+    
+    // Show error feedback
+    showColumnFeedback('✗ Falsch! Versuche es nochmal.', 'incorrect');
+    
+    // Play wrong answer sound
+    playAnswerFeedback(false);
+    
+    // Offer the solution steps (collapsed) until the task is solved
+    showSolutionPanel(getCurrentTask().task);
+    
+    // Clear the input after a short delay (an overwritten digit that was already solved is restored)
+    const wasSolved = sequenceIndex < columnState.position;
+    setTimeout(() => {
+      input.classList.remove('incorrect');
+      if (wasSolved) {
+        input.value = cell.value;
+        input.classList.add('correct');
+        activateCurrentColumnDigit();
+      } else {
         input.value = '';
-        placeValueState.enteredDigits[index] = '';
-        input.classList.remove('incorrect');
         input.focus();
-        
-        // Clear feedback
-        const feedbackElement = document.getElementById('task-feedback');
-        if (feedbackElement) {
-          feedbackElement.textContent = '';
-          feedbackElement.className = 'task-feedback';
-        }
-      }, 1500);
-    }
+      }
+      showColumnFeedback('');
+    }, 1500);
   }
 }
 
 /**
- * Handle focus on place-value digit slot
+ * Handle a digit entered in an optional carry/borrow cell
+ * @param {HTMLInputElement} input - Carry cell
+ * @param {boolean} isCorrect - Whether the digit matches the carry
  */
-function handlePlaceValueFocus(e) {
+function handleColumnHelperInput(input, isCorrect) {
+  if (isCorrect) {
+    input.classList.remove('incorrect');
+    input.classList.add('correct');
+    // Continue with the digit that is due
+    activateCurrentColumnDigit();
+    return;
+  }
+  
+  input.classList.remove('correct');
+  input.classList.add('incorrect');
+  showColumnFeedback('Schau dir den Übertrag noch einmal an.', 'warning');
+  
+  setTimeout(() => {
+    input.value = '';
+    input.classList.remove('incorrect');
+    showColumnFeedback('');
+  }, 1500);
+}
+
+/**
+ * Handle focus on a digit cell of the column grid
+ */
+function handleColumnFocus(e) {
   const input = e.target;
-  const index = parseInt(input.dataset.index, 10);
   
-  // If this slot already has a value and is being focused, prepare for overwrite
+  // If this cell already has a value and is being focused, prepare for overwrite
   if (input.value !== '') {
     // Show the existing digit in a lowlighted state (add class)
     input.classList.add('overwrite-mode');
@@ -467,14 +742,13 @@ function handlePlaceValueFocus(e) {
 }
 
 /**
- * Handle click on place-value digit slot
- * Enables easy overwriting of filled slots
+ * Handle click on a digit cell of the column grid
+ * Enables easy overwriting of filled cells
  */
-function handlePlaceValueClick(e) {
+function handleColumnClick(e) {
   const input = e.target;
-  const index = parseInt(input.dataset.index, 10);
   
-  // If the slot has a value, select all for easy overwrite and add visual indicator
+  // If the cell has a value, select all for easy overwrite and add visual indicator
   if (input.value !== '') {
     input.select();
     input.classList.add('overwrite-mode');
@@ -485,17 +759,17 @@ function handlePlaceValueClick(e) {
  * Handle answer submission
  */
 function handleAnswerSubmit() {
-  const inputElement = document.getElementById('task-input');
   const feedbackElement = document.getElementById('task-feedback');
+  const userAnswer = readAnswerInput();
   
-  if (!inputElement || !feedbackElement) {
+  if (userAnswer === null || !feedbackElement) {
     return;
   }
   
-  const userAnswer = inputElement.value.trim();
-  
-  if (userAnswer === '') {
-    feedbackElement.textContent = 'Bitte gib eine Antwort ein';
+  if (isAnswerEmpty(userAnswer)) {
+    feedbackElement.textContent = typeof userAnswer === 'object'
+      ? 'Bitte gib Zähler und Nenner ein'
+      : 'Bitte gib eine Antwort ein';
     feedbackElement.className = 'task-feedback feedback-warning';
     return;
   }
@@ -505,7 +779,10 @@ function handleAnswerSubmit() {
   
   if (!result.isValid) {
     feedbackElement.textContent = result.error;
-    feedbackElement.className = 'task-feedback feedback-error';
+    // An unreduced but equivalent fraction is a hint, not an error
+    feedbackElement.className = result.needsReduction
+      ? 'task-feedback feedback-warning'
+      : 'task-feedback feedback-error';
     return;
   }
   
@@ -522,7 +799,7 @@ function handleAnswerSubmit() {
       const nextTaskResult = nextTask();
       
       if (nextTaskResult.isComplete) {
-        handleChallengeCompletion();
+        finishTaskFlow();
       } else {
         displayCurrentTask();
       }
@@ -534,10 +811,12 @@ function handleAnswerSubmit() {
     // Play wrong answer sound
     playAnswerFeedback(false);
     
+    // Offer the solution steps (collapsed) until the task is solved
+    showSolutionPanel(getCurrentTask().task);
+    
     // Clear input and let user retry after a short delay
     setTimeout(() => {
-      inputElement.value = '';
-      inputElement.focus();
+      clearAnswerInput();
       feedbackElement.textContent = '';
       feedbackElement.className = 'task-feedback';
       // Refresh progress display (task number stays the same until correct answer)
@@ -559,6 +838,66 @@ function handleAnswerSubmit() {
   }
 }
 
+/**
+ * Finish the running flow after its last task (challenge or practice run)
+ */
+function finishTaskFlow() {
+  if (getTaskFlowState().isPractice) {
+    handlePracticeCompletion();
+  } else {
+    handleChallengeCompletion();
+  }
+}
+
+/**
+ * Start an unrewarded practice run of the given tasks
+ * @param {Array} tasks - Tasks to practice (the missed ones of the finished run)
+ */
+function startPracticeRun(tasks) {
+  showScreen('practiceTaskScreen', { tasks, title: RETRY_PRACTICE_TITLE });
+}
+
+/**
+ * Handle practice run completion (no rewards, only the review)
+ */
+function handlePracticeCompletion() {
+  playChallengeComplete();
+  
+  const results = completePracticeRun();
+  if (!results) {
+    logError('Failed to complete practice run');
+    return;
+  }
+  
+  const summaryHtml = results.errors === 0
+    ? `<p class="perfect">🌟 ${getRandomPhrase(PERFECT_PHRASES)}</p>`
+    : `<p>Fehler: ${results.errors}</p><p class="motivation">${getRandomPhrase(GENERAL_PHRASES)}</p>`;
+  
+  const container = document.getElementById('task-screen-content');
+  if (!container) {
+    return;
+  }
+  
+  container.innerHTML = `
+    <div class="task-results practice-results">
+      <h2>Übung beendet!</h2>
+      <div class="results-summary">
+        ${summaryHtml}
+      </div>
+      <button id="back-to-challenges">Zurück zu Herausforderungen</button>
+    </div>
+  `;
+  
+  appendChallengeReview(container, buildTaskReview(results.tasks, results.answers), startPracticeRun);
+  
+  const backButton = document.getElementById('back-to-challenges');
+  if (backButton) {
+    backButton.addEventListener('click', () => {
+      showScreen('challenges');
+    });
+  }
+}
+
 /**
  * Handle challenge completion
  */
@@ -634,6 +973,9 @@ function handleChallengeCompletion() {
   if (container) {
     container.innerHTML = resultContent;
     
+    // Task-by-task review with an unrewarded retry of the missed tasks
+    appendChallengeReview(container, buildTaskReview(results.tasks, results.answers), startPracticeRun);
+    
     // Add event listener for back button
     const backButton = document.getElementById('back-to-challenges');
     if (backButton) {
@@ -648,13 +990,15 @@ function handleChallengeCompletion() {
  * Setup event listeners for task screen
  */
 function setupTaskScreenEventListeners() {
-  // Check if current task is place-value or standard
+  // Check if current task is column arithmetic, fraction or standard
+  // (the column grid sets up its own listeners when it is rendered)
   const currentTask = getCurrentTask();
-  const isPlaceValue = currentTask && currentTask.task.metadata && currentTask.task.metadata.placeValueInput;
+  const isColumn = currentTask && isColumnTask(currentTask.task);
+  const isFraction = currentTask && currentTask.task.metadata && currentTask.task.metadata.fractionInput;
   
-  if (isPlaceValue) {
-    setupPlaceValueInputListeners();
-  } else {
+  if (isFraction) {
+    setupFractionInputListeners();
+  } else if (!isColumn) {
     setupStandardInputListeners();
   }
   
@@ -0,0 +1,258 @@
+// Kopfnuss - Times Table Mastery (Einmaleins)
+// Derives a 1×1 to 20×20 mastery grid (accuracy and speed per fact) from the attempt log
+// and picks weak facts for the Einmaleins challenge; division facts count for their inverse multiplication fact
+
+import { CONFIG } from '../data/balancingLoader.js';
+import { loadAttemptLog } from './storageManager.js';
+import { random } from './random.js';
+
+/**
+ * Largest factor shown in the grid (1×1 up to 20×20)
+ */
+export const TIMES_TABLE_SIZE = 20;
+
+/**
+ * Mastery from which a fact counts as known (shown as "sicher" in the grid)
+ */
+export const MASTERED_THRESHOLD = 0.8;
+
+/**
+ * @typedef {Object} MasteryCell
+ * @property {number} a - Smaller factor
+ * @property {number} b - Larger factor
+ * @property {number} attempts - Recent attempts counted for this fact
+ * @property {number} correct - Correct answers among them
+ * @property {number|null} avgSeconds - Average seconds of the correct answers (null if none)
+ * @property {number|null} mastery - 0 (unknown) to 1 (mastered); null if never practiced
+ */
+
+/**
+ * Grid used instead of the attempt log while content is generated from a snapshot
+ * (see withMasterySnapshot()); null = grid from the attempt log
+ */
+let masteryOverride = null;
+
+/**
+ * Last computed grid with the attempt log it was built from ({log, length, grid})
+ * The log is the shared in-memory copy, so an unchanged array and length mean unchanged attempts
+ */
+let gridCache = null;
+
+/**
+ * Map an attempt to its multiplication fact
+ * Multiplication operands are the factors; division operands are [dividend, divisor],
+ * so dividend ÷ divisor counts for divisor × quotient
+ * @param {Object} attempt - Attempt log entry
+ * @returns {{a: number, b: number}|null} Fact with a ≤ b, or null if the attempt is no times table fact
+ */
+export function getFactForAttempt(attempt) {
+  const operands = attempt && attempt.operands;
+  if (!Array.isArray(operands) || operands.length !== 2) {
+    return null;
+  }
+
+  let factors = null;
+  if (attempt.operation === 'multiplication') {
+    factors = operands;
+  } else if (attempt.operation === 'division') {
+    const [dividend, divisor] = operands;
+    if (divisor !== 0 && dividend % divisor === 0) {
+      factors = [divisor, dividend / divisor];
+    }
+  }
+
+  if (!factors || !factors.every(factor => Number.isInteger(factor) && factor >= 1 && factor <= TIMES_TABLE_SIZE)) {
+    return null;
+  }
+
+  return { a: Math.min(...factors), b: Math.max(...factors) };
+}
+
+/**
+ * Build the grid key of a fact (order of the factors does not matter)
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {string} Key like "7x8"
+ */
+function getFactKey(a, b) {
+  return `${Math.min(a, b)}x${Math.max(a, b)}`;
+}
+
+/**
+ * Calculate the mastery of a fact from its recent attempts
+ * Accuracy counts fully; slow correct answers lower the value by up to half
+ * @param {number} attempts - Number of attempts
+ * @param {number} correct - Correct answers
+ * @param {number|null} avgSeconds - Average seconds of the correct answers
+ * @returns {number|null} Mastery between 0 and 1 (null without attempts)
+ */
+function calculateMastery(attempts, correct, avgSeconds) {
+  if (attempts === 0) {
+    return null;
+  }
+
+  const accuracy = correct / attempts;
+  if (avgSeconds === null) {
+    return accuracy;
+  }
+
+  const fast = CONFIG.TIMES_TABLE_FAST_SECONDS;
+  const slow = CONFIG.TIMES_TABLE_SLOW_SECONDS;
+  const slowness = Math.min(1, Math.max(0, (avgSeconds - fast) / (slow - fast)));
+  return accuracy * (1 - slowness / 2);
+}
+
+/**
+ * Get the mastery of every fact from 1×1 to 20×20
+ * Only the most recent TIMES_TABLE_RECENT_ATTEMPTS attempts per fact count, so old mistakes fade out.
+ * The grid is rebuilt only when the attempt log changed - do not modify it
+ * @returns {Object<string, MasteryCell>} Cells by key ("7x8"; smaller factor first)
+ */
+export function getMasteryGrid() {
+  const log = loadAttemptLog();
+  if (gridCache && gridCache.log === log && gridCache.length === log.length) {
+    return gridCache.grid;
+  }
+
+  const recentLimit = CONFIG.TIMES_TABLE_RECENT_ATTEMPTS;
+  const attemptsByFact = {};
+
+  log.forEach(attempt => {
+    const fact = getFactForAttempt(attempt);
+    if (!fact) {
+      return;
+    }
+    const key = getFactKey(fact.a, fact.b);
+    if (!attemptsByFact[key]) {
+      attemptsByFact[key] = [];
+    }
+    attemptsByFact[key].push(attempt);
+  });
+
+  const grid = {};
+  for (let a = 1; a <= TIMES_TABLE_SIZE; a++) {
+    for (let b = a; b <= TIMES_TABLE_SIZE; b++) {
+      const key = getFactKey(a, b);
+      const recent = (attemptsByFact[key] || []).slice(-recentLimit);
+      const correctAttempts = recent.filter(attempt => attempt.isCorrect);
+      const timedAttempts = correctAttempts.filter(attempt => typeof attempt.timeMs === 'number');
+      const avgSeconds = timedAttempts.length > 0
+        ? timedAttempts.reduce((sum, attempt) => sum + attempt.timeMs, 0) / timedAttempts.length / 1000
+        : null;
+
+      grid[key] = {
+        a,
+        b,
+        attempts: recent.length,
+        correct: correctAttempts.length,
+        avgSeconds,
+        mastery: calculateMastery(recent.length, correctAttempts.length, avgSeconds)
+      };
+    }
+  }
+
+  gridCache = { log, length: log.length, grid };
+  return grid;
+}
+
+/**
+ * Get a cell of the mastery grid for any factor order
+ * @param {Object<string, MasteryCell>} grid - Grid from getMasteryGrid()
+ * @param {number} a - First factor
+ * @param {number} b - Second factor
+ * @returns {MasteryCell|null} Cell or null outside the grid
+ */
+export function getMasteryCell(grid, a, b) {
+  return grid[getFactKey(a, b)] || null;
+}
+
+/**
+ * Get the mastery of the practiced facts (snapshot for reproducible generation)
+ * @returns {Object<string, number>} Map of fact key ("7x8") -> mastery rounded to three places
+ */
+export function getMasterySnapshot() {
+  const snapshot = {};
+  Object.entries(getMasteryGrid()).forEach(([key, cell]) => {
+    if (cell.mastery !== null) {
+      snapshot[key] = Math.round(cell.mastery * 1000) / 1000;
+    }
+  });
+  return snapshot;
+}
+
+/**
+ * Run a function with the mastery of a snapshot instead of the attempt log, restoring it afterwards
+ * Affects the fact picks of pickWeakFact(); the cells built from the snapshot carry only the mastery
+ * @param {Object<string, number>|null} snapshot - Snapshot from getMasterySnapshot() (null = attempt log)
+ * @param {Function} fn - Function to run
+ * @returns {*} Return value of fn
+ */
+export function withMasterySnapshot(snapshot, fn) {
+  let grid = null;
+  if (snapshot) {
+    grid = {};
+    for (let a = 1; a <= TIMES_TABLE_SIZE; a++) {
+      for (let b = a; b <= TIMES_TABLE_SIZE; b++) {
+        const key = getFactKey(a, b);
+        grid[key] = { a, b, mastery: typeof snapshot[key] === 'number' ? snapshot[key] : null };
+      }
+    }
+  }
+
+  const previousOverride = masteryOverride;
+  masteryOverride = grid;
+  try {
+    return fn();
+  } finally {
+    masteryOverride = previousOverride;
+  }
+}
+
+/**
+ * Get the practiced facts with the lowest mastery
+ * @param {number} count - Maximum number of facts
+ * @returns {MasteryCell[]} Weakest cells, weakest first
+ */
+export function getWeakestFacts(count) {
+  return Object.values(getMasteryGrid())
+    .filter(cell => cell.mastery !== null)
+    .sort((x, y) => x.mastery - y.mastery || y.attempts - x.attempts)
+    .slice(0, count);
+}
+
+/**
+ * Pick a fact for the Einmaleins challenge, weighted towards weak cells
+ * Every fact within the ranges can be drawn; a fact with mastery 0 is drawn
+ * (1 + TIMES_TABLE_WEAK_BOOST) times as often as a mastered one, unpracticed facts count
+ * as TIMES_TABLE_UNSEEN_MASTERY
+ * @param {{min: number, max: number}} range1 - Range of the first factor
+ * @param {{min: number, max: number}} range2 - Range of the second factor
+ * @param {Object<string, MasteryCell>} [grid] - Precomputed grid (snapshot grid or attempt log otherwise)
+ * @returns {{a: number, b: number}} Picked factors (a from range1, b from range2)
+ */
+export function pickWeakFact(range1, range2, grid = masteryOverride || getMasteryGrid()) {
+  const clamp = value => Math.min(TIMES_TABLE_SIZE, Math.max(1, value));
+  const candidates = [];
+  let totalWeight = 0;
+
+  for (let a = clamp(range1.min); a <= clamp(range1.max); a++) {
+    for (let b = clamp(range2.min); b <= clamp(range2.max); b++) {
+      const cell = getMasteryCell(grid, a, b);
+      const mastery = cell.mastery === null ? CONFIG.TIMES_TABLE_UNSEEN_MASTERY : cell.mastery;
+      const weight = 1 + CONFIG.TIMES_TABLE_WEAK_BOOST * (1 - mastery);
+      candidates.push({ a, b, weight });
+      totalWeight += weight;
+    }
+  }
+
+  let roll = random() * totalWeight;
+  for (const candidate of candidates) {
+    roll -= candidate.weight;
+    if (roll < 0) {
+      return { a: candidate.a, b: candidate.b };
+    }
+  }
+
+  const last = candidates[candidates.length - 1];
+  return { a: last.a, b: last.b };
+}
@@ -10,6 +10,8 @@ let currentChallengeIndex = null;
 let returningFromTaskScreen = false;
 let returningFromKopfnussScreen = false;
 let returningFromZeitChallengeScreen = false;
+let returningFromReviewScreen = false;
+let practiceOriginScreen = null; // Screen a practice run was started from (gets the return popups)
 let streakWasUnfrozen = false;
 let streakWasIncremented = false;
 let superChallengeResult = null;
@@ -20,7 +22,12 @@ let loadChallengesScreenFn = null;
 let loadTaskScreenFn = null;
 let loadKopfnussTaskScreenFn = null;
 let loadZeitChallengeTaskScreenFn = null;
+let loadReviewTaskScreenFn = null;
+let loadPracticeTaskScreenFn = null;
+let loadPracticeScreenFn = null;
 let loadStatsScreenFn = null;
+let loadTimesTableScreenFn = null;
+let loadParentDashboardFn = null;
 
 // Challenge result notification callbacks
 let notifyKopfnussChallengeResultCallback = null;
@@ -36,7 +43,12 @@ export function initializeUIBridge(functions) {
   loadTaskScreenFn = functions.loadTaskScreen;
   loadKopfnussTaskScreenFn = functions.loadKopfnussTaskScreen;
   loadZeitChallengeTaskScreenFn = functions.loadZeitChallengeTaskScreen;
+  loadReviewTaskScreenFn = functions.loadReviewTaskScreen;
+  loadPracticeTaskScreenFn = functions.loadPracticeTaskScreen;
+  loadPracticeScreenFn = functions.loadPracticeScreen;
   loadStatsScreenFn = functions.loadStatsScreen;
+  loadTimesTableScreenFn = functions.loadTimesTableScreen;
+  loadParentDashboardFn = functions.loadParentDashboard;
 }
 
 /**
@@ -50,6 +62,7 @@ export function getScreenState() {
     returningFromTaskScreen,
     returningFromKopfnussScreen,
     returningFromZeitChallengeScreen,
+    returningFromReviewScreen,
     streakWasUnfrozen,
     streakWasIncremented,
     superChallengeResult,
@@ -67,6 +80,7 @@ export function setScreenState(state) {
   if (state.hasOwnProperty('returningFromTaskScreen')) returningFromTaskScreen = state.returningFromTaskScreen;
   if (state.hasOwnProperty('returningFromKopfnussScreen')) returningFromKopfnussScreen = state.returningFromKopfnussScreen;
   if (state.hasOwnProperty('returningFromZeitChallengeScreen')) returningFromZeitChallengeScreen = state.returningFromZeitChallengeScreen;
+  if (state.hasOwnProperty('returningFromReviewScreen')) returningFromReviewScreen = state.returningFromReviewScreen;
   if (state.hasOwnProperty('streakWasUnfrozen')) streakWasUnfrozen = state.streakWasUnfrozen;
   if (state.hasOwnProperty('streakWasIncremented')) streakWasIncremented = state.streakWasIncremented;
   if (state.hasOwnProperty('superChallengeResult')) superChallengeResult = state.superChallengeResult;
@@ -75,8 +89,8 @@ export function setScreenState(state) {
 
 /**
  * Show a screen by name
- * @param {string} screenName - Name of screen to show ('challenges', 'taskScreen', 'stats', 'kopfnussTaskScreen', 'zeitChallengeTaskScreen')
- * @param {*} data - Optional data to pass to screen (e.g., challengeIndex)
+ * @param {string} screenName - Name of screen to show ('challenges', 'taskScreen', 'stats', 'parentDashboard', 'kopfnussTaskScreen', 'zeitChallengeTaskScreen', 'reviewTaskScreen', 'practice', 'practiceTaskScreen', 'timesTable')
+ * @param {*} data - Optional data to pass to screen (e.g., challengeIndex, or {tasks, title} for a practice run)
  */
 export function showScreen(screenName, data = null) {
   const mainContent = document.getElementById('main-content');
@@ -86,20 +100,32 @@ export function showScreen(screenName, data = null) {
     return;
   }
   
+  // A practice run started from a results card hands the return popups back to that screen
+  if (screenName === 'practiceTaskScreen' && currentScreen !== 'practiceTaskScreen') {
+    practiceOriginScreen = currentScreen;
+  }
+  const returningFrom = currentScreen === 'practiceTaskScreen' ? practiceOriginScreen : currentScreen;
+  if (screenName === 'challenges') {
+    practiceOriginScreen = null;
+  }
+  
   // Track if we're returning from task screen to challenges
-  if (currentScreen === 'taskScreen' && screenName === 'challenges') {
+  if (returningFrom === 'taskScreen' && screenName === 'challenges') {
     returningFromTaskScreen = true;
   }
   
   // Track if we're returning from Kopfnuss task screen to challenges
-  if (currentScreen === 'kopfnussTaskScreen' && screenName === 'challenges') {
+  if (returningFrom === 'kopfnussTaskScreen' && screenName === 'challenges') {
     returningFromKopfnussScreen = true;
   }
   
   // Track if we're returning from Zeit-Challenge task screen to challenges
-  if (currentScreen === 'zeitChallengeTaskScreen' && screenName === 'challenges') {
+  if (returningFrom === 'zeitChallengeTaskScreen' && screenName === 'challenges') {
     returningFromZeitChallengeScreen = true;
-    // Cleanup Zeit challenge when leaving
+  }
+  
+  // Cleanup Zeit challenge when leaving its screen
+  if (currentScreen === 'zeitChallengeTaskScreen' && screenName !== 'zeitChallengeTaskScreen') {
     import('./zeitChallengeTaskController.js').then(module => {
       if (module.cleanupZeitChallengeTaskScreen) {
         module.cleanupZeitChallengeTaskScreen();
@@ -109,6 +135,11 @@ export function showScreen(screenName, data = null) {
     });
   }
   
+  // Track if we're returning from Fehler-Training task screen to challenges
+  if (returningFrom === 'reviewTaskScreen' && screenName === 'challenges') {
+    returningFromReviewScreen = true;
+  }
+  
   // Store current screen
   currentScreen = screenName;
   
@@ -116,7 +147,7 @@ export function showScreen(screenName, data = null) {
   mainContent.innerHTML = '';
   
   // Manage body class for task screen keyboard stability
-  if (screenName === 'taskScreen' || screenName === 'kopfnussTaskScreen' || screenName === 'zeitChallengeTaskScreen') {
+  if (screenName === 'taskScreen' || screenName === 'kopfnussTaskScreen' || screenName === 'zeitChallengeTaskScreen' || screenName === 'reviewTaskScreen' || screenName === 'practiceTaskScreen') {
     document.body.classList.add('task-screen-active');
   } else {
     document.body.classList.remove('task-screen-active');
@@ -137,9 +168,24 @@ export function showScreen(screenName, data = null) {
     case 'zeitChallengeTaskScreen':
       if (loadZeitChallengeTaskScreenFn) loadZeitChallengeTaskScreenFn(mainContent);
       break;
+    case 'reviewTaskScreen':
+      if (loadReviewTaskScreenFn) loadReviewTaskScreenFn(mainContent);
+      break;
+    case 'practice':
+      if (loadPracticeScreenFn) loadPracticeScreenFn(mainContent);
+      break;
+    case 'practiceTaskScreen':
+      if (loadPracticeTaskScreenFn) loadPracticeTaskScreenFn(mainContent, data);
+      break;
     case 'stats':
       if (loadStatsScreenFn) loadStatsScreenFn(mainContent);
       break;
+    case 'timesTable':
+      if (loadTimesTableScreenFn) loadTimesTableScreenFn(mainContent);
+      break;
+    case 'parentDashboard':
+      if (loadParentDashboardFn) loadParentDashboardFn(mainContent);
+      break;
     default:
       logError('Unknown screen:', screenName);
   }
@@ -22,10 +22,18 @@ import { playZeitChallengeMusic, stopZeitChallengeMusic, playAnswerFeedback, pla
 import { logError } from './logging.js';
 import { updateHeaderSeasonalDisplay, updateHeaderDiamondsDisplay } from '../ui/headerUI.js';
 import { incrementPackTasks } from './backgroundManager.js';
+import { appendAttempt, ATTEMPT_SOURCE } from './storageManager.js';
+import { recordMistake } from './mistakeReview.js';
+import { getNowMs } from './clock.js';
+import { showSolutionPanel, hideSolutionPanel } from '../ui/solutionPanelUI.js';
+import { buildTaskReview, RETRY_PRACTICE_TITLE } from './challengeReview.js';
+import { appendChallengeReview } from '../ui/challengeReviewUI.js';
 
 let zeitState = null;
 let currentTaskIndex = 0;
 let errors = 0;
+let attemptStartedAt = null; // Timestamp (ms) of the task start or the previous attempt
+let answers = []; // Answers of this session for the review on the results card
 let timerInterval = null;
 let timeRemaining = 0;
 let isInputDisabled = false;
@@ -91,6 +99,7 @@ export function initZeitChallengeTaskScreen() {
   
   currentTaskIndex = zeitState.currentTaskIndex || 0;
   errors = zeitState.errors || 0;
+  answers = [];
   
   // Get time remaining, but ensure it's at least 1 second to prevent immediate timeout
   const storedTime = zeitState.timeRemaining;
@@ -253,6 +262,12 @@ function handleTimeout() {
   if (container) {
     container.innerHTML = debriefContent;
     
+    // Task-by-task review; retrying the missed tasks also frees the challenge for a new attempt
+    appendChallengeReview(container, buildTaskReview(zeitState.tasks, answers), (tasks) => {
+      resetZeitChallengeAfterFailure();
+      showScreen('practiceTaskScreen', { tasks, title: RETRY_PRACTICE_TITLE });
+    });
+    
     // Add event listener for back button
     const backButton = document.getElementById('back-to-challenges');
     if (backButton) {
@@ -276,6 +291,9 @@ function displayCurrentTask() {
   }
   
   const currentTask = zeitState.tasks[currentTaskIndex];
+  hideSolutionPanel();
+  
+  attemptStartedAt = getNowMs();
   
   // Update question display
   const questionElement = document.getElementById('task-question');
@@ -314,6 +332,34 @@ function displayCurrentTask() {
   }
 }
 
+/**
+ * Append an answer to the persisted attempt log (missed tasks also go into the Fehler-Training)
+ * @param {Object} task - Task that was answered
+ * @param {number} userAnswer - Normalized user answer
+ * @param {boolean} isCorrect - Whether the answer was correct
+ */
+function recordAttempt(task, userAnswer, isCorrect) {
+  const timeMs = attemptStartedAt ? getNowMs() - attemptStartedAt : 0;
+  answers.push({ taskIndex: currentTaskIndex, userAnswer, isCorrect, timeMs });
+  
+  appendAttempt({
+    source: ATTEMPT_SOURCE.ZEIT,
+    challengeType: 'zeit',
+    operation: task.metadata ? task.metadata.operation : null,
+    question: task.question,
+    operands: task.metadata ? task.metadata.operands : [],
+    expectedAnswer: task.answer,
+    userAnswer: userAnswer,
+    isCorrect: isCorrect,
+    timeMs: timeMs
+  });
+  attemptStartedAt = getNowMs();
+  
+  if (!isCorrect) {
+    recordMistake(task);
+  }
+}
+
 /**
  * Handle answer submission
  */
@@ -346,6 +392,8 @@ function handleAnswerSubmit() {
   const currentTask = zeitState.tasks[currentTaskIndex];
   const isCorrect = normalizedAnswer === currentTask.answer;
   
+  recordAttempt(currentTask, normalizedAnswer, isCorrect);
+  
   // Show feedback
   if (isCorrect) {
     feedbackElement.textContent = '✓ Richtig!';
@@ -380,6 +428,9 @@ function handleAnswerSubmit() {
     // Play wrong answer sound
     playAnswerFeedback(false);
     
+    // Offer the solution steps (collapsed) until the task is solved
+    showSolutionPanel(currentTask);
+    
     // Update errors in storage
     updateZeitChallenge({
       errors: errors
@@ -508,6 +559,12 @@ function handleZeitChallengeCompletion() {
     // Add confetti effect for celebration
     createConfettiEffect();
     
+    // Task-by-task review; the missed tasks can be retried without reward
+    // (not while a reward choice is pending, leaving would skip the choice)
+    appendChallengeReview(container, buildTaskReview(zeitState.tasks, answers), rewardInfo.pendingChoice ? null : (tasks) => {
+      showScreen('practiceTaskScreen', { tasks, title: RETRY_PRACTICE_TITLE });
+    });
+    
     // Handle reward choice buttons if event is active
     if (rewardInfo.pendingChoice) {
       const chooseDiamondsBtn = document.getElementById('choose-diamonds');
@@ -594,6 +651,7 @@ export function cleanupZeitChallengeTaskScreen() {
   zeitState = null;
   currentTaskIndex = 0;
   errors = 0;
+  answers = [];
   timeRemaining = 0;
   isInputDisabled = false;
   finalCountdownStarted = false;
@@ -1,7 +1,7 @@
 // Kopfnuss - Main Application Entry Point
 // Routing und App-Initialisierung
 
-import { getTodaysChallenges, areAllChallengesCompleted, resetChallenges, CHALLENGE_STATE, isSuperChallengeState, getOrCreateKopfnussChallenge, getTodaysKopfnussChallenge, KOPFNUSS_STATE, startKopfnussChallenge, regenerateKopfnussChallenge, resetKopfnussChallengeAfterFailure, getOrCreateZeitChallenge, getTodaysZeitChallenge, ZEIT_CHALLENGE_STATE, startZeitChallenge, regenerateZeitChallenge, resetZeitChallengeAfterFailure } from './logic/challengeGenerator.js';
+import { getTodaysChallenges, areAllChallengesCompleted, resetChallenges, CHALLENGE_STATE, isSuperChallengeState, getOrCreateKopfnussChallenge, getTodaysKopfnussChallenge, KOPFNUSS_STATE, startKopfnussChallenge, regenerateKopfnussChallenge, resetKopfnussChallengeAfterFailure, getOrCreateZeitChallenge, getTodaysZeitChallenge, ZEIT_CHALLENGE_STATE, startZeitChallenge, regenerateZeitChallenge, resetZeitChallengeAfterFailure, getOrCreateReviewChallenge, startReviewChallenge, REVIEW_STATE, createPracticeRun, checkSeedReproducibility } from './logic/challengeGenerator.js';
 import { completeChallenge as completeChallengeState } from './logic/challengeStateManager.js';
 import { 
   getStreakInfo, 
@@ -30,8 +30,17 @@ import {
   loadStreakStones,
   saveStreakStones,
   loadMilestoneProgress,
-  saveMilestoneProgress
+  saveMilestoneProgress,
+  runStorageMigrations,
+  loadSchemaVersion,
+  loadClockOverrideSetting,
+  saveClockOverrideSetting,
+  flushStorage
 } from './logic/storageManager.js';
+import { initStorageBackend } from './logic/storageBackend.js';
+import { runChallengeArchival } from './logic/challengeArchive.js';
+import { getTodayDate, daysBetween, addDays, formatDisplayDate } from './logic/dateService.js';
+import { setClockOverride, getClockOverride } from './logic/clock.js';
 import { VERSION } from './version.js';
 import { CONFIG } from './data/balancingLoader.js';
 import { ANIMATION_TIMING, RESIZE_CONFIG, VISUAL_CONFIG, DEV_SETTINGS_CONFIG } from './data/constants.js';
@@ -127,6 +136,13 @@ import {
   showEventInfoPopup, 
   showEventEndPopup
 } from './ui/eventPopupUI.js';
+import { renderStatsScreen } from './ui/statsUI.js';
+import { renderPracticeScreen } from './ui/practiceUI.js';
+import { renderTimesTableScreen } from './ui/timesTableUI.js';
+import { showParentPinPopup, renderParentDashboard } from './ui/parentUI.js';
+import { renderProfilePicker, showProfileManagerPopup } from './ui/profileUI.js';
+import { exportSaveGameFile, startSaveGameImport } from './ui/saveGameUI.js';
+import { getActiveProfile, selectProfile, migrateLegacyProfileData, needsProfileSelection } from './logic/profileManager.js';
 import { logDebug, logInfo, logError } from './logic/logging.js';
 
 /**
@@ -524,6 +540,38 @@ function loadChallengesScreen(container) {
     }
   }
   
+  // Handle popup display when returning from Fehler-Training task screen
+  // Completing the review counts toward the streak like a normal challenge
+  if (screenState.returningFromReviewScreen) {
+    setScreenState({ returningFromReviewScreen: false });
+    
+    const reviewUnfrozenValue = screenState.streakWasUnfrozen;
+    const reviewIncrementedValue = screenState.streakWasIncremented;
+    const reviewMilestoneReached = screenState.milestoneWasReached === true;
+    setScreenState({ streakWasUnfrozen: false, streakWasIncremented: false, milestoneWasReached: false });
+    
+    const reviewPopups = [];
+    if (typeof reviewUnfrozenValue === 'number' && reviewUnfrozenValue > 0) {
+      reviewPopups.push((next) => showStreakUnfrozenPopup(reviewUnfrozenValue, next));
+    } else if (typeof reviewIncrementedValue === 'number' && reviewIncrementedValue > 0) {
+      reviewPopups.push((next) => showStreakCelebrationPopup(reviewIncrementedValue, next));
+    }
+    if (reviewMilestoneReached) {
+      reviewPopups.push((next) => showMilestoneRewardPopup(next));
+    }
+    
+    // Chain popups together
+    let reviewChain = null;
+    for (let i = reviewPopups.length - 1; i >= 0; i--) {
+      const popup = reviewPopups[i];
+      const nextInChain = reviewChain;
+      reviewChain = () => popup(nextInChain);
+    }
+    if (reviewChain) {
+      reviewChain();
+    }
+  }
+  
   // Create main container
   const challengesContainer = document.createElement('div');
   challengesContainer.className = 'challenges-container';
@@ -599,6 +647,12 @@ function loadChallengesScreen(container) {
         </div>
       </div>
       <div class="header-row-right">
+        <button class="stats-button" id="practice-button" aria-label="Freies Üben">
+          <span class="stats-icon">🎯</span>
+        </button>
+        <button class="stats-button" id="stats-button" aria-label="Statistiken anzeigen">
+          <span class="stats-icon">📊</span>
+        </button>
         <button class="shop-button ${showNewBadge ? 'has-new-badge' : ''}" id="shop-button" aria-label="Hintergründe anpassen">
           <span class="shop-icon">🛒</span>
           ${newBadgeHtml}
@@ -622,6 +676,16 @@ function loadChallengesScreen(container) {
   const burgerButton = header.querySelector('#burger-menu-button');
   burgerButton.addEventListener('click', showSettingsPopup);
   
+  const practiceButton = header.querySelector('#practice-button');
+  practiceButton.addEventListener('click', () => {
+    showScreen('practice');
+  });
+  
+  const statsButton = header.querySelector('#stats-button');
+  statsButton.addEventListener('click', () => {
+    showScreen('stats');
+  });
+  
   const shopButton = header.querySelector('#shop-button');
   shopButton.addEventListener('click', () => {
     // Open shop without auto-scrolling - shop will show event backgrounds at top by default
@@ -667,6 +731,9 @@ function loadChallengesScreen(container) {
   const kopfnussChallenge = getOrCreateKopfnussChallenge();
   const zeitChallenge = getOrCreateZeitChallenge();
   
+  // Get or create today's Fehler-Training (only exists when stored mistakes are due)
+  const reviewChallenge = getOrCreateReviewChallenge();
+  
   // Helper function to generate splash rays HTML with scale value
   function generateSplashRaysHtml(className = 'challenge-splash', scale = VISUAL_CONFIG.STANDARD_CHALLENGE_SCALE) {
     const numRays = 12;
@@ -845,6 +912,39 @@ function loadChallengesScreen(container) {
     `;
   }
   
+  // Create Fehler-Training section (if mistakes were due today)
+  let reviewSectionHtml = '';
+  if (reviewChallenge) {
+    const isReviewCompleted = reviewChallenge.state === REVIEW_STATE.COMPLETED;
+    const isReviewInProgress = reviewChallenge.state === REVIEW_STATE.IN_PROGRESS;
+    const reviewRowClass = isReviewCompleted ? 'review-row review-completed' : 'review-row';
+    const reviewTaskCount = reviewChallenge.tasks.length;
+    
+    let reviewHintText = reviewTaskCount === 1 ? '1 Aufgabe zum Wiederholen' : `${reviewTaskCount} Aufgaben zum Wiederholen`;
+    if (isReviewCompleted) {
+      reviewHintText = 'Für heute geschafft!';
+    } else if (isReviewInProgress) {
+      reviewHintText = 'Weitermachen?';
+    }
+    
+    reviewSectionHtml = `
+      <div class="review-section" id="review-section">
+        <div class="${reviewRowClass}">
+          <div class="review-node-container" id="review-node-container">
+            <div class="review-node">
+              🔁
+              ${isReviewCompleted ? '<span class="review-status-icon">⭐</span>' : ''}
+            </div>
+          </div>
+          <div class="review-info-card">
+            <h3>Fehler-Training</h3>
+            <p class="review-hint">${reviewHintText}</p>
+          </div>
+        </div>
+      </div>
+    `;
+  }
+  
   // Create SVG for connection lines
   const svgNS = 'http://www.w3.org/2000/svg';
   const svg = document.createElementNS(svgNS, 'svg');
@@ -864,6 +964,11 @@ function loadChallengesScreen(container) {
     challengesList.innerHTML = kopfnussSectionHtml;
   }
   
+  // Add Fehler-Training section below the premium challenge (independent of premium spawns)
+  if (reviewSectionHtml) {
+    challengesList.insertAdjacentHTML('beforeend', reviewSectionHtml);
+  }
+  
   // Store node positions for SVG path calculation
   const nodePositions = [];
   
@@ -1099,6 +1204,15 @@ function loadChallengesScreen(container) {
     }
   }
   
+  // Add click handler for Fehler-Training node after DOM is rendered
+  const reviewNodeContainer = document.getElementById('review-node-container');
+  if (reviewNodeContainer && reviewChallenge && reviewChallenge.state !== REVIEW_STATE.COMPLETED) {
+    reviewNodeContainer.addEventListener('click', () => {
+      playButtonTap();
+      showReviewChallengeStartPopup(reviewChallenge);
+    });
+  }
+  
   // Draw SVG paths after DOM is rendered
   requestAnimationFrame(() => {
     // Check if elements still exist in the DOM before drawing
@@ -1312,16 +1426,121 @@ async function loadZeitChallengeTaskScreen(container) {
 }
 
 /**
- * Load stats screen
+ * Load Fehler-Training task screen
+ * Uses a text input so fraction ("3/4") and decimal ("3,75") answers can be entered
  * @param {HTMLElement} container - Container element
  */
-function loadStatsScreen(container) {
+async function loadReviewTaskScreen(container) {
+  // Update app height when entering task screen to ensure proper sizing
+  setAppHeight();
+  
   container.innerHTML = `
-    <div class="stats-screen">
-      <h1>Statistiken</h1>
-      <p>Statistiken werden hier angezeigt</p>
+    <div class="task-screen" id="task-screen-content">
+      <div class="task-screen-main">
+        <div class="task-header review-task-header">
+          <button id="back-button" aria-label="Zurück">←</button>
+          <h2>🔁 Fehler-Training</h2>
+          <div class="task-header-spacer"></div>
+        </div>
+        <div class="task-progress" id="task-progress"></div>
+        <div class="task-content">
+          <div class="task-question" id="task-question"></div>
+          <input type="text" id="task-input" inputmode="numeric" autocomplete="off" placeholder="Deine Antwort" aria-label="Deine Antwort für die Rechenaufgabe">
+          <button id="submit-answer">Prüfen</button>
+        </div>
+        <div class="task-feedback" id="task-feedback"></div>
+      </div>
+      <div class="task-screen-footer">v${VERSION.string}</div>
     </div>
   `;
+  
+  // Add event listener for back button with confirmation
+  const backButton = document.getElementById('back-button');
+  backButton.addEventListener('click', () => {
+    showTaskExitConfirmationPopup(() => {
+      showScreen('challenges');
+    }, 'review');
+  });
+  
+  // Initialize Fehler-Training task screen controller
+  try {
+    const { initReviewTaskScreen } = await import('./logic/reviewTaskController.js');
+    initReviewTaskScreen();
+  } catch (error) {
+    logError('Error loading Fehler-Training task screen controller:', error);
+  }
+}
+
+/**
+ * Load practice task screen (unrewarded run, e.g. retrying the missed tasks of a challenge)
+ * Leaving needs no confirmation because nothing can be lost
+ * @param {HTMLElement} container - Container element
+ * @param {Object} practice - Practice run ({tasks, title})
+ */
+async function loadPracticeTaskScreen(container, practice) {
+  // Update app height when entering task screen to ensure proper sizing
+  setAppHeight();
+  
+  if (!practice || !Array.isArray(practice.tasks) || practice.tasks.length === 0) {
+    showScreen('challenges');
+    return;
+  }
+  
+  try {
+    const { showTaskScreenForPractice } = await import('./logic/taskScreenController.js');
+    showTaskScreenForPractice(container, practice, () => {
+      showScreen('challenges');
+    });
+  } catch (error) {
+    logError('Error loading practice task screen:', error);
+  }
+}
+
+/**
+ * Load free practice setup screen
+ * @param {HTMLElement} container - Container element
+ */
+function loadPracticeScreen(container) {
+  renderPracticeScreen(container, () => {
+    showScreen('challenges');
+  }, (type, count) => {
+    const practice = createPracticeRun(type, count);
+    if (practice) {
+      showScreen('practiceTaskScreen', practice);
+    }
+  });
+}
+
+/**
+ * Load stats screen
+ * @param {HTMLElement} container - Container element
+ */
+function loadStatsScreen(container) {
+  renderStatsScreen(container, () => {
+    showScreen('challenges');
+  }, () => {
+    showScreen('timesTable');
+  });
+}
+
+/**
+ * Load Einmaleins heat map screen (opened from the stats screen)
+ * @param {HTMLElement} container - Container element
+ */
+function loadTimesTableScreen(container) {
+  renderTimesTableScreen(container, () => {
+    showScreen('stats');
+  });
+}
+
+/**
+ * Load parent dashboard (only reachable through the PIN popup in the settings)
+ * @param {HTMLElement} container - Container element
+ */
+function loadParentDashboard(container) {
+  renderParentDashboard(container, () => {
+    showScreen('challenges');
+  });
 }
 
 /**
@@ -1708,8 +1927,9 @@ function closeSeasonalBackgroundUnlockCelebrationPopup() {
  * Displayed when app opens and streak is frozen
  * @param {number} currentStreak - Current streak count
  * @param {Function} onClose - Callback when popup closes
+ * @param {string[]} restDates - Rest days skipped in the gap (YYYY-MM-DD)
  */
-function showFrozenStreakPopup(currentStreak, onClose = null) {
+function showFrozenStreakPopup(currentStreak, onClose = null, restDates = []) {
   const overlay = document.createElement('div');
   overlay.className = 'popup-overlay streak-popup-overlay';
   overlay.id = 'frozen-streak-popup-overlay';
@@ -1724,7 +1944,8 @@ function showFrozenStreakPopup(currentStreak, onClose = null) {
       <span class="streak-frozen-icon">🧊</span>
       <span class="streak-count">${currentStreak} Tage</span>
     </div>
-    <p>Du hast gestern keine Challenge gemacht.</p>
+    <p>${restDates.length > 0 ? 'Du hast an deinem letzten Übungstag keine Challenge gemacht.' : 'Du hast gestern keine Challenge gemacht.'}</p>
+    ${buildRestDaysHintHtml(restDates)}
     <p class="streak-hint">Schließe eine Challenge ab, um deinen Streak aufzutauen!</p>
     <button id="frozen-streak-close-button" class="btn-primary">Zeit zum Auftauen!</button>
   `;
@@ -1743,6 +1964,75 @@ function showFrozenStreakPopup(currentStreak, onClose = null) {
   });
 }
 
+/**
+ * Build the hint that rest days were skipped in a streak popup
+ * @param {string[]} restDates - Rest days in the gap (YYYY-MM-DD, oldest first)
+ * @param {boolean} isLost - Whether the streak is lost anyway (the rest days did not save it)
+ * @returns {string} Hint HTML (empty without rest days)
+ */
+function buildRestDaysHintHtml(restDates, isLost = false) {
+  if (!restDates || restDates.length === 0) {
+    return '';
+  }
+  
+  const datesText = restDates.length <= 3
+    ? restDates.map(formatDisplayDate).join(', ')
+    : `${formatDisplayDate(restDates[0])} – ${formatDisplayDate(restDates[restDates.length - 1])}`;
+  let restText = restDates.length === 1
+    ? `Dein Ruhetag (${datesText}) zählt nicht mit`
+    : `Deine ${restDates.length} Ruhetage (${datesText}) zählen nicht mit`;
+  if (!isLost) {
+    restText += restDates.length === 1 ? ' – er hat deinen Streak geschützt.' : ' – sie haben deinen Streak geschützt.';
+  } else {
+    restText += '.';
+  }
+  return `<p class="streak-hint rest-days-hint">🛌 ${restText}</p>`;
+}
+
+/**
+ * Show streak protected popup
+ * Displayed on app load when owned Streak-Schutz items covered missed days
+ * @param {number} currentStreak - Current streak count
+ * @param {string[]} protectedDates - Days covered by a Streak-Schutz (YYYY-MM-DD)
+ * @param {Function} onClose - Optional callback when popup closes
+ */
+function showStreakProtectedPopup(currentStreak, protectedDates, onClose = null) {
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay streak-popup-overlay';
+  overlay.id = 'streak-protected-popup-overlay';
+  
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card streak-popup-card';
+  
+  const daysText = protectedDates.length === 1 ? 'einen verpassten Tag' : `${protectedDates.length} verpasste Tage`;
+  const datesText = protectedDates.map(formatDisplayDate).join(', ');
+  
+  popupCard.innerHTML = `
+    <div class="streak-popup-icon">🛡️</div>
+    <h2>Streak-Schutz eingesetzt!</h2>
+    <div class="streak-info-display active">
+      <span class="streak-fire-icon">🔥</span>
+      <span class="streak-count">${currentStreak} Tage</span>
+    </div>
+    <p>Dein Streak-Schutz hat ${daysText} abgedeckt (${datesText}).</p>
+    <p class="streak-hint">Schließe heute eine Challenge ab, damit dein Streak weiter wächst!</p>
+    <button id="streak-protected-close-button" class="btn-primary">Weiter geht's!</button>
+  `;
+  
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+  
+  const closeButton = document.getElementById('streak-protected-close-button');
+  closeButton.addEventListener('click', () => {
+    overlay.remove();
+    markStreakStatusHandled();
+    if (onClose && typeof onClose === 'function') {
+      onClose();
+    }
+    processPopupQueue();
+  });
+}
+
 /**
  * Show streak unfrozen success popup
  * Displayed when player completes a challenge that unfreezes the streak
@@ -1790,8 +2080,9 @@ function showStreakUnfrozenPopup(newStreak, onClose = null) {
  * Player can pay 1 diamond to restore streak
  * @param {number} previousStreak - Streak count before it was lost
  * @param {Function} onClose - Callback when popup closes
+ * @param {string[]} restDates - Rest days skipped in the gap (YYYY-MM-DD)
  */
-function showStreakRestorablePopup(previousStreak, onClose = null) {
+function showStreakRestorablePopup(previousStreak, onClose = null, restDates = []) {
   const diamonds = loadDiamonds();
   const hasDiamond = diamonds >= CONFIG.STREAK_RESCUE_COST;
   
@@ -1818,7 +2109,8 @@ function showStreakRestorablePopup(previousStreak, onClose = null) {
       <span class="streak-lost-icon">💔</span>
       <span class="streak-count">${previousStreak} Tage</span>
     </div>
-    <p>Du hast 2 Tage keine Challenge gemacht.</p>
+    <p>Du hast 2 ${restDates.length > 0 ? 'Übungstage' : 'Tage'} keine Challenge gemacht.</p>
+    ${buildRestDaysHintHtml(restDates)}
     ${hasDiamond ? '<p class="streak-hint">Hole deinen Streak mit einem Diamanten zurück!</p>' : ''}
     ${extraText}
     ${buttonHtml}
@@ -1901,8 +2193,9 @@ function showStreakRestoredSuccessPopup(newStreak, onClose = null) {
  * Show streak permanently lost popup (3+ days gap)
  * @param {number} previousStreak - Streak count before it was lost
  * @param {Function} onClose - Callback when popup closes
+ * @param {string[]} restDates - Rest days skipped in the gap (YYYY-MM-DD)
  */
-function showStreakLostPopup(previousStreak, onClose = null) {
+function showStreakLostPopup(previousStreak, onClose = null, restDates = []) {
   const overlay = document.createElement('div');
   overlay.className = 'popup-overlay streak-popup-overlay';
   overlay.id = 'streak-lost-popup-overlay';
@@ -1917,7 +2210,8 @@ function showStreakLostPopup(previousStreak, onClose = null) {
       <span class="streak-lost-icon">💔</span>
       <span class="streak-count">${previousStreak} Tage</span>
     </div>
-    <p>Du hast 3 oder mehr Tage pausiert.</p>
+    <p>Du hast 3 oder mehr ${restDates.length > 0 ? 'Übungstage' : 'Tage'} pausiert.</p>
+    ${buildRestDaysHintHtml(restDates, true)}
     <p class="streak-hint">Der Streak kann nicht wiederhergestellt werden.</p>
     <p class="motivation-text">🚀 Rocke den nächsten Streak!</p>
     <button id="streak-lost-close-button" class="btn-primary">Ich schaffe das!</button>
@@ -1953,16 +2247,20 @@ function showStreakPopupForStatus(streakStatus, onClose = null) {
   
   switch (streakStatus.lossReason) {
     case STREAK_LOSS_REASON.FROZEN:
-      queuePopup(() => showFrozenStreakPopup(streakStatus.previousStreak, onClose));
+      queuePopup(() => showFrozenStreakPopup(streakStatus.previousStreak, onClose, streakStatus.restDates));
       break;
     case STREAK_LOSS_REASON.EXPIRED_RESTORABLE:
-      queuePopup(() => showStreakRestorablePopup(streakStatus.previousStreak, onClose));
+      queuePopup(() => showStreakRestorablePopup(streakStatus.previousStreak, onClose, streakStatus.restDates));
       break;
     case STREAK_LOSS_REASON.EXPIRED_PERMANENT:
-      queuePopup(() => showStreakLostPopup(streakStatus.previousStreak, onClose));
+      queuePopup(() => showStreakLostPopup(streakStatus.previousStreak, onClose, streakStatus.restDates));
       break;
     default:
-      if (onClose) onClose();
+      if (streakStatus.protectedDates && streakStatus.protectedDates.length > 0) {
+        queuePopup(() => showStreakProtectedPopup(streakStatus.previousStreak, streakStatus.protectedDates, onClose));
+      } else if (onClose) {
+        onClose();
+      }
   }
 }
 
@@ -2208,6 +2506,52 @@ function showSuperChallengeFailurePopup(onClose = null) {
 // KOPFNUSS CHALLENGE POPUPS
 // ============================================
 
+/**
+ * Show Fehler-Training start popup
+ * Displayed when player taps the Fehler-Training node (free, counts toward the streak)
+ * @param {Object} reviewChallenge - Today's Fehler-Training challenge
+ */
+function showReviewChallengeStartPopup(reviewChallenge) {
+  const isInProgress = reviewChallenge.state === REVIEW_STATE.IN_PROGRESS;
+  const remainingTasks = reviewChallenge.tasks.length - (reviewChallenge.currentTaskIndex || 0);
+  const taskText = remainingTasks === 1 ? '1 Aufgabe' : `${remainingTasks} Aufgaben`;
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay reward-popup-overlay';
+  overlay.id = 'review-start-popup-overlay';
+  
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card review-popup-card';
+  
+  popupCard.innerHTML = `
+    <div class="review-icon">🔁</div>
+    <h2>Fehler-Training</h2>
+    <p class="review-description">Hier kommen Aufgaben zurück, die du schon einmal falsch hattest. Wer sie mehrmals richtig löst, hat sie fertig gelernt!</p>
+    <div class="review-info">
+      <span>📝 ${taskText}</span>
+      <span>🔥 Zählt für deine Streak</span>
+    </div>
+    <button id="review-start-button" class="btn-primary btn-review">${isInProgress ? 'Weitermachen' : "Los geht's!"}</button>
+    <button id="review-cancel-button" class="btn-secondary" style="margin-top: 8px;">Abbrechen</button>
+  `;
+  
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+  
+  const startButton = document.getElementById('review-start-button');
+  startButton.addEventListener('click', () => {
+    overlay.remove();
+    if (startReviewChallenge()) {
+      showScreen('reviewTaskScreen');
+    }
+  });
+  
+  const cancelButton = document.getElementById('review-cancel-button');
+  cancelButton.addEventListener('click', () => {
+    overlay.remove();
+  });
+}
+
 /**
  * Show Kopfnuss Challenge start confirmation popup
  * Displayed when player taps the Kopfnuss node
@@ -2648,6 +2992,12 @@ function showTaskExitConfirmationPopup(onConfirm, challengeType = 'standard') {
       icon = '⏱️';
       headerColor = '#006064';
       break;
+    case 'review':
+      title = 'Fehler-Training pausieren?';
+      message = 'Dein Fortschritt bleibt gespeichert – du kannst später weitermachen.';
+      icon = '🔁';
+      headerColor = '#2E7D32';
+      break;
     default:
       title = 'Challenge abbrechen?';
       message = 'Bist du sicher, dass du die Challenge abbrechen möchtest?';
@@ -2762,9 +3112,18 @@ function showSettingsPopup() {
           </div>
         </div>
         <div class="dev-setting-row">
-          <label>📅 Zeit:</label>
+          <label>📅 ${getDevClockLabel()}:</label>
           <div class="dev-setting-controls">
+            <button id="dev-back-day" class="dev-btn-small">-1</button>
             <button id="dev-advance-day" class="dev-btn-action">+1 Tag</button>
+            <button id="dev-reset-clock" class="dev-btn-action">Echt</button>
+          </div>
+        </div>
+        <div class="dev-setting-row">
+          <label>📌 Fester Tag:</label>
+          <div class="dev-setting-controls">
+            <input type="date" id="dev-fixed-date" class="dev-date-input" value="${getTodayDate()}">
+            <button id="dev-fix-date" class="dev-btn-action">Festlegen</button>
           </div>
         </div>
         <div class="dev-setting-row">
@@ -2785,6 +3144,18 @@ function showSettingsPopup() {
             <button id="dev-force-zeit" class="dev-btn-action">Erzwingen</button>
           </div>
         </div>
+        <div class="dev-setting-row">
+          <label>🎲 Seed:</label>
+          <div class="dev-setting-controls">
+            <button id="dev-seed-check" class="dev-btn-action">Prüfen</button>
+          </div>
+        </div>
+        <div class="dev-setting-row">
+          <label>🗄️ Schema v${loadSchemaVersion()}:</label>
+          <div class="dev-setting-controls">
+            <button id="dev-migration-dry-run" class="dev-btn-action">Dry-Run</button>
+          </div>
+        </div>
         <div class="dev-setting-row">
           <label>📊 Gelöste Aufgaben:</label>
           <div class="dev-setting-controls">
@@ -2800,9 +3171,16 @@ function showSettingsPopup() {
   // Audio toggle state
   const audioToggleClass = isAudioMuted ? 'audio-toggle-switch' : 'audio-toggle-switch active';
   
+  // Active profile (name is user input, so it is set via textContent below)
+  const activeProfile = getActiveProfile();
+  
   popupCard.innerHTML = `
     <h2>⚙️ Einstellungen</h2>
     <div class="settings-actions">
+      <div class="profile-settings-section">
+        <span class="profile-settings-current">${activeProfile ? activeProfile.avatar : '👤'} <span id="settings-profile-name"></span></span>
+        <button id="manage-profiles-button" class="btn-secondary">Profile</button>
+      </div>
       <div class="audio-settings-section">
         <div class="audio-settings-row">
           <span class="audio-settings-label">🔊 Sound:</span>
@@ -2820,6 +3198,18 @@ function showSettingsPopup() {
         </div>
       </div>
       ${devSettingsHtml}
+      <button id="parent-area-button" class="btn-settings">
+        <span class="btn-icon">👪</span>
+        <span class="btn-text">Elternbereich</span>
+      </button>
+      <button id="export-save-game-button" class="btn-settings">
+        <span class="btn-icon">📤</span>
+        <span class="btn-text">Spielstand exportieren</span>
+      </button>
+      <button id="import-save-game-button" class="btn-settings">
+        <span class="btn-icon">📥</span>
+        <span class="btn-text">Spielstand importieren</span>
+      </button>
       <button id="regenerate-challenges-button" class="btn-settings">
         <span class="btn-icon">🔄</span>
         <span class="btn-text">Neue Herausforderungen generieren</span>
@@ -2841,8 +3231,18 @@ function showSettingsPopup() {
   const resetBtn = document.getElementById('reset-all-data-button');
   const devModeToggle = document.getElementById('dev-mode-toggle');
   const audioToggle = document.getElementById('audio-toggle');
+  const manageProfilesBtn = document.getElementById('manage-profiles-button');
+  const parentAreaBtn = document.getElementById('parent-area-button');
+  const exportBtn = document.getElementById('export-save-game-button');
+  const importBtn = document.getElementById('import-save-game-button');
+  const profileNameElement = document.getElementById('settings-profile-name');
   
+  if (profileNameElement) profileNameElement.textContent = activeProfile ? activeProfile.name : '';
   if (closeBtn) closeBtn.addEventListener('click', closeSettingsPopup);
+  if (manageProfilesBtn) manageProfilesBtn.addEventListener('click', handleManageProfiles);
+  if (parentAreaBtn) parentAreaBtn.addEventListener('click', handleOpenParentArea);
+  if (exportBtn) exportBtn.addEventListener('click', exportSaveGameFile);
+  if (importBtn) importBtn.addEventListener('click', handleImportSaveGame);
   if (regenerateBtn) regenerateBtn.addEventListener('click', handleRegenerateChallenges);
   if (resetBtn) resetBtn.addEventListener('click', handleResetAllData);
   if (devModeToggle) devModeToggle.addEventListener('click', handleDevModeToggle);
@@ -2854,6 +3254,91 @@ function showSettingsPopup() {
   }
 }
 
+/**
+ * Handle profile management button click
+ * Switching to another profile (or deleting the active one) reloads the app,
+ * because all modules read the save data of the active profile
+ */
+function handleManageProfiles() {
+  closeSettingsPopup();
+  
+  showProfileManagerPopup((profileId) => {
+    if (profileId) {
+      selectProfile(profileId);
+    }
+    reloadAfterStorageFlush();
+  });
+}
+
+/**
+ * Handle parent area button click
+ * Opens the parent dashboard after the PIN was entered (or set up on first use)
+ */
+function handleOpenParentArea() {
+  closeSettingsPopup();
+  
+  showParentPinPopup(() => {
+    showScreen('parentDashboard');
+  });
+}
+
+/**
+ * Handle save game import button click
+ * Reloads the app after the imported data has replaced the current data
+ */
+function handleImportSaveGame() {
+  closeSettingsPopup();
+  
+  startSaveGameImport(() => {
+    reloadAfterStorageFlush();
+  });
+}
+
+/**
+ * Reload the app once all saved data is on disk
+ * Bulky data is committed to IndexedDB in the background; reloading before that would drop it
+ */
+async function reloadAfterStorageFlush() {
+  if (await flushStorage()) {
+    window.location.reload();
+    return;
+  }
+  showStorageFlushFailedPopup();
+}
+
+/**
+ * Show the popup for data that could not be saved before a reload
+ * The player can try again or reload anyway (and lose the unsaved data)
+ */
+function showStorageFlushFailedPopup() {
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay confirmation-popup-overlay';
+  overlay.id = 'storage-flush-failed-overlay';
+  
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card confirmation-popup-card';
+  
+  popupCard.innerHTML = `
+    <h2>💾 Speichern fehlgeschlagen</h2>
+    <p>Einige Daten konnten nicht gespeichert werden. Bei einem Neustart gehen sie verloren.</p>
+    <div class="confirmation-buttons">
+      <button id="storage-flush-retry-button" class="btn-primary">Erneut versuchen</button>
+      <button id="storage-flush-reload-button" class="btn-secondary">Trotzdem neu starten</button>
+    </div>
+  `;
+  
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+  
+  popupCard.querySelector('#storage-flush-retry-button').addEventListener('click', () => {
+    overlay.remove();
+    reloadAfterStorageFlush();
+  });
+  popupCard.querySelector('#storage-flush-reload-button').addEventListener('click', () => {
+    window.location.reload();
+  });
+}
+
 /**
  * Handle audio toggle click
  * Toggles audio mute state and updates UI
@@ -2926,7 +3411,7 @@ function showDevModeReloadPopup(newDevMode) {
       // Save the new dev mode setting
       saveDevModeSetting(newDevMode);
       // Reload the app
-      window.location.reload();
+      reloadAfterStorageFlush();
     });
   }
   
@@ -2937,6 +3422,73 @@ function showDevModeReloadPopup(newDevMode) {
   }
 }
 
+/**
+ * Get the label of the dev clock row (simulated date and how it differs from the real one)
+ * @returns {string} Label (e.g. "Datum 24.12.2026 (+3)")
+ */
+function getDevClockLabel() {
+  const [year, month, day] = getTodayDate().split('-');
+  const override = getClockOverride();
+  let suffix = '';
+  if (override && override.fixedDate) {
+    suffix = ' (fest)';
+  } else if (override) {
+    suffix = ` (${override.offsetDays > 0 ? '+' : ''}${override.offsetDays})`;
+  }
+  return `Datum ${day}.${month}.${year}${suffix}`;
+}
+
+/**
+ * Describe the streak gap at the (simulated) current date for the dev reload popup
+ * @returns {string} Gap description, empty without an active streak
+ */
+function describeDevStreakGap() {
+  const streak = loadStreak();
+  if (!streak.currentStreak || !streak.lastActiveDate) {
+    return '';
+  }
+  
+  // Gap interpretation:
+  // 1 day = next day after activity, streak continues normally
+  // 2 days = 1 complete inactive day, streak frozen
+  // 3 days = 2 inactive days, streak expired (restorable with 💎)
+  // 4+ days = streak permanently lost
+  const gap = daysBetween(streak.lastActiveDate, getTodayDate());
+  if (gap <= 0) {
+    return ' Streak: heute schon aktiv.';
+  } else if (gap === 1) {
+    return ' Lücke: 1 Tag → Streak normal (nächster Tag).';
+  } else if (gap === 2) {
+    return ' Lücke: 2 Tage → Streak wird eingefroren.';
+  } else if (gap === 3) {
+    return ' Lücke: 3 Tage → Streak verloren (mit 💎 rettbar).';
+  }
+  return ` Lücke: ${gap} Tage → Streak endgültig verloren.`;
+}
+
+/**
+ * Store and apply a dev clock override, then offer a reload
+ * @param {Object|null} override - Override ({offsetDays} or {fixedDate}) or null for the real date
+ */
+function applyDevClockOverride(override) {
+  setClockOverride(override);
+  saveClockOverrideSetting(getClockOverride());
+  showDevSettingsReloadPopup(`${getDevClockLabel()}.${describeDevStreakGap()} App neu starten?`);
+}
+
+/**
+ * Shift the dev clock by whole days (moves a fixed date along, otherwise the offset)
+ * @param {number} days - Days to shift (negative to go back)
+ */
+function shiftDevClock(days) {
+  const override = getClockOverride();
+  if (override && override.fixedDate) {
+    applyDevClockOverride({ fixedDate: addDays(override.fixedDate, days) });
+  } else {
+    applyDevClockOverride({ offsetDays: (override ? override.offsetDays : 0) + days });
+  }
+}
+
 /**
  * Show reload popup after dev settings change
  * @param {string} message - Message to display
@@ -2969,7 +3521,7 @@ function showDevSettingsReloadPopup(message) {
   
   if (confirmBtn) {
     confirmBtn.addEventListener('click', () => {
-      window.location.reload();
+      reloadAfterStorageFlush();
     });
   }
   
@@ -3151,62 +3703,70 @@ function setupDevSettingsListeners() {
     });
   }
   
-  // Advance day
-  const advanceDayBtn = document.getElementById('dev-advance-day');
+  // Storage migration dry run - reports pending migrations without writing
+  const migrationDryRunBtn = document.getElementById('dev-migration-dry-run');
   
-  if (advanceDayBtn) {
-    advanceDayBtn.addEventListener('click', () => {
-      const streak = loadStreak();
-      const today = new Date();
-      const todayStr = today.toISOString().split('T')[0];
+  if (migrationDryRunBtn) {
+    migrationDryRunBtn.addEventListener('click', async () => {
+      const report = await runStorageMigrations({ dryRun: true });
+      logInfo('Storage migration dry run:', report);
       
-      // Edge case: If currentStreak is 0, there's nothing to freeze or lose
-      // User needs to complete a challenge first to start a streak
-      if (!streak.currentStreak || streak.currentStreak === 0) {
-        showDevFeedback('⚠️ Kein Streak vorhanden. Schließe zuerst eine Challenge ab.');
-        return;
+      if (report.error) {
+        showDevFeedback(`❌ Migration fehlgeschlagen: ${report.error}`);
+      } else if (report.migrations.length === 0) {
+        showDevFeedback(`✅ Schema v${report.toVersion} ist aktuell`);
+      } else {
+        const changedKeyCount = report.migrations.reduce((sum, migration) => sum + migration.changedKeys.length, 0);
+        showDevFeedback(`🗄️ v${report.fromVersion} → v${report.toVersion}: ${report.migrations.length} Migration(en), ${changedKeyCount} Schlüssel`);
       }
-      
-      if (streak.lastActiveDate) {
-        // Calculate current gap in days using date strings for accuracy
-        const todayDate = new Date(todayStr + 'T12:00:00');
-        const lastDate = new Date(streak.lastActiveDate + 'T12:00:00');
-        const currentGap = Math.round((todayDate.getTime() - lastDate.getTime()) / DEV_SETTINGS_CONFIG.MS_PER_DAY);
-        
-        // Move lastActiveDate one more day back to increase the gap by 1
-        lastDate.setTime(lastDate.getTime() - DEV_SETTINGS_CONFIG.MS_PER_DAY);
-        streak.lastActiveDate = lastDate.toISOString().split('T')[0];
-        
-        const newGap = currentGap + 1;
-        let message = '';
-        // Gap interpretation (corrected):
-        // 1 day = next day after activity, streak continues normally
-        // 2 days = 1 complete inactive day, streak frozen
-        // 3 days = 2 inactive days, streak expired (restorable with 💎)
-        // 4+ days = streak permanently lost
-        if (newGap === 1) {
-          message = 'Lücke: 1 Tag → Streak normal (nächster Tag)';
-        } else if (newGap === 2) {
-          message = 'Lücke: 2 Tage → Streak wird eingefroren';
-        } else if (newGap === 3) {
-          message = 'Lücke: 3 Tage → Streak verloren (mit 💎 rettbar)';
-        } else {
-          message = `Lücke: ${newGap} Tage → Streak endgültig verloren`;
-        }
-        
-        // Reset statusHandledDate so popup will show after reload
-        streak.statusHandledDate = null;
-        
-        saveStreak(streak);
-        showDevSettingsReloadPopup(`${message}. App neu starten?`);
+    });
+  }
+  
+  // Seed check - the same seed must produce the same tasks
+  const seedCheckBtn = document.getElementById('dev-seed-check');
+  
+  if (seedCheckBtn) {
+    seedCheckBtn.addEventListener('click', () => {
+      if (checkSeedReproducibility()) {
+        showDevFeedback('✅ Gleicher Seed, gleiche Aufgaben');
       } else {
-        // Has a streak but no lastActiveDate - this shouldn't happen normally
-        // Show feedback that they need to complete a challenge first
-        showDevFeedback('⚠️ Keine Aktivität vorhanden. Schließe zuerst eine Challenge ab.');
+        logError('Seed check failed: the same seed produced different challenges');
+        showDevFeedback('❌ Gleicher Seed, andere Aufgaben');
       }
     });
   }
   
+  // Clock controls (time travel): shift the app clock by days or pin it to a date
+  const backDayBtn = document.getElementById('dev-back-day');
+  const advanceDayBtn = document.getElementById('dev-advance-day');
+  const resetClockBtn = document.getElementById('dev-reset-clock');
+  const fixDateBtn = document.getElementById('dev-fix-date');
+  
+  if (backDayBtn) {
+    backDayBtn.addEventListener('click', () => shiftDevClock(-1));
+  }
+  
+  if (advanceDayBtn) {
+    advanceDayBtn.addEventListener('click', () => shiftDevClock(1));
+  }
+  
+  if (resetClockBtn) {
+    resetClockBtn.addEventListener('click', () => {
+      applyDevClockOverride(null);
+    });
+  }
+  
+  if (fixDateBtn) {
+    fixDateBtn.addEventListener('click', () => {
+      const fixedDate = document.getElementById('dev-fixed-date').value;
+      if (!fixedDate) {
+        showDevFeedback('⚠️ Bitte ein Datum wählen');
+        return;
+      }
+      applyDevClockOverride({ fixedDate });
+    });
+  }
+  
   // Total tasks controls - update UI immediately
   const tasksMinus = document.getElementById('dev-tasks-minus');
   const tasksPlus = document.getElementById('dev-tasks-plus');
@@ -3322,7 +3882,7 @@ function setupDevSettingsListeners() {
       
       progress.totalTasksCompleted = newTotal;
       progress.totalChallengesCompleted = (progress.totalChallengesCompleted || 0) + 1;
-      progress.lastPlayedDate = new Date().toISOString().split('T')[0];
+      progress.lastPlayedDate = getTodayDate();
       saveProgress(progress);
       
       // Award diamonds if earned
@@ -3375,7 +3935,7 @@ function setupDevSettingsListeners() {
       document.body.appendChild(overlay);
       
       document.getElementById('dev-restart-confirm').addEventListener('click', () => {
-        window.location.reload();
+        reloadAfterStorageFlush();
       });
       
       document.getElementById('dev-restart-cancel').addEventListener('click', () => {
@@ -3412,7 +3972,7 @@ function setupDevSettingsListeners() {
       document.body.appendChild(overlay);
       
       document.getElementById('dev-kopfnuss-restart-confirm').addEventListener('click', () => {
-        window.location.reload();
+        reloadAfterStorageFlush();
       });
       
       document.getElementById('dev-kopfnuss-restart-cancel').addEventListener('click', () => {
@@ -3449,7 +4009,7 @@ function setupDevSettingsListeners() {
       document.body.appendChild(overlay);
       
       document.getElementById('dev-zeit-restart-confirm').addEventListener('click', () => {
-        window.location.reload();
+        reloadAfterStorageFlush();
       });
       
       document.getElementById('dev-zeit-restart-cancel').addEventListener('click', () => {
@@ -3698,6 +4258,49 @@ class KopfnussApp {
   }
   
   init() {
+    // Dev time travel: shift or pin the app clock before any date is read
+    if (loadDevModeSetting()) {
+      setClockOverride(loadClockOverrideSetting());
+    }
+    
+    // Load bulky data from IndexedDB first; all storage reads below are synchronous
+    initStorageBackend()
+      .catch(error => {
+        logError('Error initializing storage backend:', error);
+      })
+      .then(() => this.selectProfileAndStart())
+      .catch(error => {
+        logError('Error starting app:', error);
+      });
+  }
+  
+  selectProfileAndStart() {
+    // Move save data from before profiles existed into a first profile (runs once)
+    migrateLegacyProfileData();
+    
+    // Ask who is playing before any profile data is read
+    if (needsProfileSelection()) {
+      const container = document.getElementById('main-content');
+      renderProfilePicker(container, (profileId) => {
+        selectProfile(profileId);
+        this.start().catch(error => {
+          logError('Error starting app:', error);
+        });
+      });
+      SplashScreenManager.markAppReady();
+      return;
+    }
+    
+    return this.start();
+  }
+  
+  async start() {
+    // Bring the profile's save data up to the current storage schema before anything reads it
+    await runStorageMigrations();
+    
+    // Condense challenges outside the retention window into daily summaries
+    runChallengeArchival();
+    
     // Apply selected background after balancing data has loaded
     // This must be called early to avoid showing default background briefly
     applySelectedBackground();
@@ -3708,7 +4311,12 @@ class KopfnussApp {
       loadTaskScreen,
       loadKopfnussTaskScreen,
       loadZeitChallengeTaskScreen,
-      loadStatsScreen
+      loadReviewTaskScreen,
+      loadPracticeTaskScreen,
+      loadPracticeScreen,
+      loadStatsScreen,
+      loadTimesTableScreen,
+      loadParentDashboard
     });
     
     // Register challenge result handlers
@@ -3741,6 +4349,7 @@ class KopfnussApp {
     this.router.addRoute('/', () => showScreen('challenges'));
     this.router.addRoute('/challenges', () => showScreen('challenges'));
     this.router.addRoute('/stats', () => showScreen('stats'));
+    this.router.addRoute('/practice', () => showScreen('practice'));
   }
   
   setupEventListeners() {
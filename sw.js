@@ -4,7 +4,7 @@
 
 // Version wird aus version.js importiert (in SW context manuell definiert)
 // Bei Updates: Version in version.js UND hier aktualisieren
-const APP_VERSION = '1.29.3';
+const APP_VERSION = '2.0.0';
 const CACHE_NAME = `kopfnuss-v${APP_VERSION}`;
 const CACHE_PREFIX = 'kopfnuss-v';
 
@@ -19,20 +19,51 @@ const urlsToCache = [
   './data/balancing_prod.json',
   './data/balancing_dev.json',
   './data/constants.js',
+  './logic/random.js',
+  './logic/clock.js',
+  './logic/dateService.js',
+  './logic/adaptiveDifficulty.js',
   './logic/taskGenerators.js',
+  './logic/columnArithmetic.js',
+  './logic/expressionUtils.js',
+  './logic/solutionExplainer.js',
+  './logic/fractionUtils.js',
+  './logic/decimalUtils.js',
   './logic/challengeGenerator.js',
   './logic/challengeStateManager.js',
   './logic/taskFlow.js',
+  './logic/challengeReview.js',
   './logic/streakManager.js',
+  './logic/streakProtection.js',
+  './logic/restDays.js',
+  './logic/streakLog.js',
   './logic/diamondManager.js',
   './logic/storageManager.js',
+  './logic/storageBackend.js',
+  './logic/challengeArchive.js',
   './logic/taskScreenController.js',
   './logic/kopfnussTaskController.js',
   './logic/zeitChallengeTaskController.js',
+  './logic/mistakeReview.js',
+  './logic/timesTableMastery.js',
+  './logic/reviewTaskController.js',
   './logic/popupManager.js',
   './logic/visualEffects.js',
   './logic/backgroundManager.js',
   './logic/eventManager.js',
+  './logic/statsManager.js',
+  './logic/profileManager.js',
+  './logic/saveGameManager.js',
+  './logic/parentManager.js',
+  './ui/svgCharts.js',
+  './ui/statsUI.js',
+  './ui/profileUI.js',
+  './ui/saveGameUI.js',
+  './ui/parentUI.js',
+  './ui/solutionPanelUI.js',
+  './ui/challengeReviewUI.js',
+  './ui/practiceUI.js',
+  './ui/timesTableUI.js',
   './assets/celebration/challenge-node-bg-1.webp',
   './assets/celebration/challenge-node-bg-2.webp',
   './assets/celebration/challenge-node-bg-3.webp',
@@ -0,0 +1,96 @@
+// Kopfnuss - Challenge Review UI Module
+// Task-by-task review on the results card (answer, solution, time) with a "nochmal üben" button
+
+import { getMissedTasks, formatReviewTime } from '../logic/challengeReview.js';
+
+/**
+ * Escape text for safe use in HTML
+ * @param {*} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Build the answers cell (wrong answers crossed out, the final correct one highlighted)
+ * @param {Object} entry - Review entry
+ * @returns {string} Cell HTML
+ */
+function buildAnswersHtml(entry) {
+  return entry.userAnswers
+    .map((answer, index) => {
+      const isFinalCorrect = entry.isSolved && index === entry.userAnswers.length - 1;
+      return isFinalCorrect
+        ? `<span class="review-answer-correct">${escapeHtml(answer)}</span>`
+        : `<s class="review-answer-wrong">${escapeHtml(answer)}</s>`;
+    })
+    .join(' ');
+}
+
+/**
+ * Add the task review below the results summary of a results card
+ * @param {HTMLElement} resultsElement - Results card (.task-results) or a container holding it
+ * @param {Array} review - Review entries from buildTaskReview()
+ * @param {Function|null} onRetry - Called with the missed tasks; without it no retry button is shown
+ */
+export function appendChallengeReview(resultsElement, review, onRetry = null) {
+  if (!resultsElement || review.length === 0) {
+    return;
+  }
+
+  const rowsHtml = review.map(entry => `
+    <tr class="${entry.isWrong ? 'review-wrong' : 'review-right'}">
+      <td class="review-question">${escapeHtml(entry.question)}</td>
+      <td>${buildAnswersHtml(entry)}</td>
+      <td class="review-solution">${escapeHtml(entry.correctAnswer)}</td>
+      <td class="review-time">${formatReviewTime(entry.timeMs)}</td>
+    </tr>
+  `).join('');
+
+  const missedTasks = getMissedTasks(review);
+  const showRetry = onRetry && missedTasks.length > 0;
+  const retryLabel = missedTasks.length === 1
+    ? '🔁 Diese Aufgabe nochmal üben'
+    : `🔁 Diese ${missedTasks.length} Aufgaben nochmal üben`;
+
+  const section = document.createElement('div');
+  section.className = 'challenge-review';
+  section.innerHTML = `
+    <h3>Deine Aufgaben</h3>
+    <div class="challenge-review-scroll">
+      <table class="challenge-review-table">
+        <thead>
+          <tr>
+            <th>Aufgabe</th>
+            <th>Deine Antwort</th>
+            <th>Lösung</th>
+            <th>Zeit</th>
+          </tr>
+        </thead>
+        <tbody>${rowsHtml}</tbody>
+      </table>
+    </div>
+    ${showRetry ? `
+      <button id="retry-missed-tasks" class="btn-primary">${retryLabel}</button>
+      <p class="challenge-review-hint">Zum Üben – ohne Diamanten und Streak.</p>
+    ` : ''}
+  `;
+
+  const summary = resultsElement.querySelector('.results-summary');
+  if (summary) {
+    summary.insertAdjacentElement('afterend', section);
+  } else {
+    resultsElement.appendChild(section);
+  }
+
+  if (showRetry) {
+    section.querySelector('#retry-missed-tasks').addEventListener('click', () => {
+      onRetry(missedTasks);
+    });
+  }
+}
@@ -5,7 +5,14 @@ import { getDiamondInfo } from '../logic/diamondManager.js';
 import { loadStreakStones, loadStreak } from '../logic/storageManager.js';
 import { CONFIG } from '../data/balancingLoader.js';
 import { showResourceInfoPopup } from '../logic/popupManager.js';
-import { getActiveEvent } from '../logic/eventManager.js';
+import { getActiveEvent, getDaysUntilEventEnd } from '../logic/eventManager.js';
+import { getStreakProtectionInfo } from '../logic/streakProtection.js';
+import { formatDisplayDate } from '../logic/dateService.js';
+
+/**
+ * Number of Streak-Schutz uses listed in the streak info popup
+ */
+const PROTECTION_HISTORY_LIMIT = 5;
 
 /**
  * Initialize header UI
@@ -139,11 +146,17 @@ export function showStreakInfoPopup() {
   const currentStreak = streak.currentStreak || 0;
   const nextMilestone = getNextStreakMilestone(currentStreak);
   
+  const protection = getStreakProtectionInfo();
+  const details = protection.history
+    .slice(0, PROTECTION_HISTORY_LIMIT)
+    .map(entry => `🛡️ ${formatDisplayDate(entry.coveredDate)} abgedeckt`);
+  
   showResourceInfoPopup({
     title: 'Streak 🔥',
     use: 'Zeigt, wie viele Tage du dranbleibst',
     source: 'Steigt, wenn du täglich mindestens 1 Challenge schaffst',
-    progress: `Nächster Meilenstein bei ${nextMilestone} 🔥`
+    progress: `Nächster Meilenstein bei ${nextMilestone} 🔥<br>Streak-Schutz: ${protection.count} 🛡️`,
+    details
   });
 }
 
@@ -159,22 +172,7 @@ export function showEventResourceInfoPopup() {
   
   const eventEmoji = activeEvent.emoticon;
   
-  // Calculate days until event ends
-  const currentDate = new Date();
-  let year = currentDate.getFullYear();
-  
-  // Handle events that span year boundary
-  if (activeEvent.startMonth > activeEvent.endMonth) {
-    if (currentDate.getMonth() + 1 <= activeEvent.endMonth) {
-      // We're in the ending part of the event (new year)
-    } else {
-      // We're in the starting part, end is next year
-      year += 1;
-    }
-  }
-  
-  const endDate = new Date(year, activeEvent.endMonth - 1, activeEvent.endDay, 23, 59, 59);
-  const daysUntilEnd = Math.ceil((endDate.getTime() - currentDate.getTime()) / (1000 * 60 * 60 * 24));
+  const daysUntilEnd = getDaysUntilEventEnd();
   
   showResourceInfoPopup({
     title: `Event-Ressource ${eventEmoji}`,
@@ -0,0 +1,548 @@
+// Kopfnuss - Parent UI Module
+// PIN popup and parent dashboard (practice time, operations, accuracy, streaks, daily challenge composition, rest days)
+
+import {
+  hasParentPin,
+  setParentPin,
+  verifyParentPin,
+  getDailyCompositionSettings,
+  setDailyChallengeTypeEnabled,
+  setDailyChallengeTypeWeight,
+  setDailyChallengeCount,
+  startFocusMode,
+  stopFocusMode,
+  getRestDaySettings,
+  setRestWeekday,
+  addRestDateRange,
+  removeRestDateRange
+} from '../logic/parentManager.js';
+import {
+  getChallengeTypeInfo,
+  getStreakStats,
+  getWeeklyPractice,
+  getTasksByOperation,
+  getWeakestOperations,
+  getStreakHistory,
+  getStreakReport
+} from '../logic/statsManager.js';
+import { getActiveProfile } from '../logic/profileManager.js';
+import { PARENT_CONFIG } from '../data/constants.js';
+import { CONFIG } from '../data/balancingLoader.js';
+import { renderBarChart, renderLineChart } from './svgCharts.js';
+
+/**
+ * Weekday labels (Monday first, matches getWeekdayIndex())
+ */
+const WEEKDAY_LABELS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
+/**
+ * Escape user-entered text (profile names) for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format a date string as short German date (e.g. "24.12.")
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Formatted date
+ */
+function formatShortDate(date) {
+  const [, month, day] = date.split('-');
+  return `${parseInt(day, 10)}.${parseInt(month, 10)}.`;
+}
+
+/**
+ * Show the PIN popup in front of the parent area
+ * Asks to set up a PIN on first use, otherwise for the existing PIN
+ * @param {Function} onUnlocked - Callback after the correct PIN was entered
+ */
+export function showParentPinPopup(onUnlocked) {
+  const isSetup = !hasParentPin();
+
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay confirmation-popup-overlay';
+  overlay.id = 'parent-pin-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card confirmation-popup-card';
+
+  const pinInput = (id, placeholder) => `
+    <input type="password" id="${id}" class="parent-pin-input" placeholder="${placeholder}"
+      inputmode="numeric" pattern="[0-9]*" maxlength="${PARENT_CONFIG.PIN_MAX_LENGTH}" autocomplete="off">
+  `;
+
+  popupCard.innerHTML = `
+    <h2>🔒 Elternbereich</h2>
+    <p>${isSetup
+      ? `Lege eine PIN mit ${PARENT_CONFIG.PIN_MIN_LENGTH} bis ${PARENT_CONFIG.PIN_MAX_LENGTH} Ziffern fest. Sie schützt den Elternbereich auf diesem Gerät.`
+      : 'Bitte gib die PIN ein.'}</p>
+    ${pinInput('parent-pin-input', 'PIN')}
+    ${isSetup ? pinInput('parent-pin-confirm-input', 'PIN wiederholen') : ''}
+    <p id="parent-pin-error" class="parent-pin-error"></p>
+    <div class="confirmation-buttons">
+      <button id="parent-pin-ok-button" class="btn-primary">${isSetup ? 'Festlegen' : 'Öffnen'}</button>
+      <button id="parent-pin-cancel-button" class="btn-secondary">Abbrechen</button>
+    </div>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  const input = popupCard.querySelector('#parent-pin-input');
+  const confirmInput = popupCard.querySelector('#parent-pin-confirm-input');
+  const errorElement = popupCard.querySelector('#parent-pin-error');
+  const okButton = popupCard.querySelector('#parent-pin-ok-button');
+
+  const submit = () => {
+    okButton.disabled = true;
+    const check = isSetup ? setParentPin(input.value, confirmInput.value) : verifyParentPin(input.value);
+
+    check.then(result => {
+      okButton.disabled = false;
+      if (!result.success) {
+        errorElement.textContent = result.message;
+        input.value = '';
+        if (confirmInput) confirmInput.value = '';
+        input.focus();
+        return;
+      }
+      overlay.remove();
+      onUnlocked();
+    });
+  };
+
+  okButton.addEventListener('click', submit);
+  popupCard.querySelector('#parent-pin-cancel-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+  [input, confirmInput].filter(Boolean).forEach(element => {
+    element.addEventListener('keypress', (e) => {
+      if (e.key === 'Enter') {
+        submit();
+      }
+    });
+  });
+  input.focus();
+}
+
+/**
+ * Build the overview section (practice time per week and streaks)
+ * @returns {string} Section HTML
+ */
+function buildPracticeSection() {
+  const weeks = getWeeklyPractice();
+  const streakStats = getStreakStats();
+  const thisWeek = weeks[weeks.length - 1];
+  const labels = weeks.map(week => `Woche ab ${formatShortDate(week.weekStart)}`);
+
+  const chartHtml = weeks.some(week => week.minutes > 0)
+    ? renderBarChart([
+      { values: weeks.map(week => week.minutes), color: '#1E6BB8', label: 'Minuten' }
+    ], {
+      labels,
+      ariaLabel: `Übungszeit der letzten ${weeks.length} Wochen`
+    })
+    : '<p class="stats-empty">Noch keine Übungszeit erfasst.</p>';
+
+  return `
+    <section class="stats-section">
+      <h2>⏱️ Übungszeit</h2>
+      <div class="stats-cards">
+        <div class="stats-card">
+          <span class="stats-card-value">${thisWeek.minutes}</span>
+          <span class="stats-card-label">Min. diese Woche</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${thisWeek.attempts}</span>
+          <span class="stats-card-label">Antworten diese Woche</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.totalTasksCompleted}</span>
+          <span class="stats-card-label">Aufgaben gesamt</span>
+        </div>
+      </div>
+      ${chartHtml}
+      <p class="parent-hint">Gezählt wird die Zeit bis zur Antwort; längere Pausen werden nicht mitgerechnet.</p>
+    </section>
+  `;
+}
+
+/**
+ * Build the accuracy trend section (share of correct answers per week)
+ * @returns {string} Section HTML
+ */
+function buildAccuracySection() {
+  const weeks = getWeeklyPractice().filter(week => week.accuracy !== null);
+
+  const chartHtml = weeks.length > 0
+    ? renderLineChart(weeks.map(week => Math.round(week.accuracy * 100)), {
+      color: '#4CAF50',
+      labels: weeks.map(week => `Woche ab ${formatShortDate(week.weekStart)}`),
+      unit: '% richtig',
+      ariaLabel: 'Anteil richtiger Antworten pro Woche'
+    })
+    : '<p class="stats-empty">Noch keine Antworten.</p>';
+
+  return `
+    <section class="stats-section">
+      <h2>🎯 Trefferquote pro Woche</h2>
+      ${chartHtml}
+    </section>
+  `;
+}
+
+/**
+ * Build the operations section (solved tasks per operation and weakest operations)
+ * @returns {string} Section HTML
+ */
+function buildOperationsSection() {
+  const operations = getTasksByOperation();
+  const weakest = getWeakestOperations();
+
+  if (operations.length === 0) {
+    return `
+      <section class="stats-section">
+        <h2>🧮 Rechenarten</h2>
+        <p class="stats-empty">Noch keine Daten.</p>
+      </section>
+    `;
+  }
+
+  const maxCorrect = Math.max(1, ...operations.map(entry => entry.correct));
+  const rows = operations.map(entry => `
+    <div class="stats-performance-row">
+      <div class="stats-performance-name">
+        <span class="stats-performance-icon">${entry.icon}</span>
+        <span>${entry.name}</span>
+      </div>
+      <div class="stats-performance-bar" title="${entry.correct} von ${entry.attempts} Antworten richtig">
+        <div class="stats-performance-fill" style="width: ${Math.round(entry.correct / maxCorrect * 100)}%;"></div>
+      </div>
+      <div class="stats-performance-values">${entry.correct} gelöst · ${Math.round(entry.accuracy * 100)}%</div>
+    </div>
+  `).join('');
+
+  const weakestHtml = weakest.length > 0
+    ? `<ul class="parent-weak-list">${weakest.map(entry => `
+        <li>${entry.icon} ${entry.name}: ${Math.round(entry.accuracy * 100)}% richtig (${entry.attempts} Antworten)</li>
+      `).join('')}</ul>`
+    : `<p class="stats-empty">Noch zu wenige Antworten (mind. ${PARENT_CONFIG.WEAK_OPERATION_MIN_ATTEMPTS} pro Rechenart).</p>`;
+
+  return `
+    <section class="stats-section">
+      <h2>🧮 Rechenarten</h2>
+      <div class="stats-performance">${rows}</div>
+      <h3 class="parent-subheading">Hier hakt es am meisten</h3>
+      ${weakestHtml}
+    </section>
+  `;
+}
+
+/**
+ * Build the streak log part of the streak history section
+ * (freezes, protected, paid back and lost days, and the days a new record was reached)
+ * @returns {string} HTML
+ */
+function buildStreakReportHtml() {
+  const { counts, records } = getStreakReport();
+  const paidBack = counts.restored + counts.rescued;
+
+  const recordsHtml = records.length > 0
+    ? `<ul class="stats-history-list">${records.map(record => `
+        <li class="stats-history-item">
+          <span class="stats-history-icon">🏆</span>
+          <span class="stats-history-name">${record.streak} ${record.streak === 1 ? 'Tag' : 'Tage'}</span>
+          <span class="stats-history-date">${formatShortDate(record.date)}</span>
+        </li>
+      `).join('')}</ul>`
+    : '<p class="stats-empty">Noch keine Rekorde.</p>';
+
+  return `
+    <h3 class="parent-subheading">Letzte ${PARENT_CONFIG.STREAK_HISTORY_DAYS} Tage</h3>
+    <div class="stats-cards">
+      <div class="stats-card">
+        <span class="stats-card-value">🧊 ${counts.frozen}</span>
+        <span class="stats-card-label">Eingefroren</span>
+      </div>
+      <div class="stats-card">
+        <span class="stats-card-value">🛡️ ${counts.protected}</span>
+        <span class="stats-card-label">Geschützt</span>
+      </div>
+      <div class="stats-card">
+        <span class="stats-card-value">💎 ${paidBack}</span>
+        <span class="stats-card-label">Zurückgeholt</span>
+      </div>
+      <div class="stats-card">
+        <span class="stats-card-value">💔 ${counts.lost}</span>
+        <span class="stats-card-label">Verloren</span>
+      </div>
+    </div>
+    <h3 class="parent-subheading">Neue Rekorde</h3>
+    ${recordsHtml}
+  `;
+}
+
+/**
+ * Build the streak history section (past runs of consecutive active days and the streak log)
+ * @returns {string} Section HTML
+ */
+function buildStreakHistorySection() {
+  const streakStats = getStreakStats();
+  const runs = getStreakHistory();
+
+  const listHtml = runs.length > 0
+    ? `<ul class="stats-history-list">${runs.map(run => `
+        <li class="stats-history-item">
+          <span class="stats-history-icon">🔥</span>
+          <span class="stats-history-name">${run.length} ${run.length === 1 ? 'Tag' : 'Tage'}${run.isCurrent ? ' (läuft)' : ''}</span>
+          <span class="stats-history-date">${formatShortDate(run.startDate)} – ${formatShortDate(run.endDate)}</span>
+        </li>
+      `).join('')}</ul>`
+    : '<p class="stats-empty">Noch keine Streaks.</p>';
+
+  return `
+    <section class="stats-section">
+      <h2>🔥 Streak-Verlauf</h2>
+      <div class="stats-cards">
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.currentStreak}${streakStats.isFrozen ? ' 🧊' : ''}</span>
+          <span class="stats-card-label">Aktuell</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.longestStreak}</span>
+          <span class="stats-card-label">Rekord</span>
+        </div>
+      </div>
+      ${listHtml}
+      ${buildStreakReportHtml()}
+    </section>
+  `;
+}
+
+/**
+ * Build the content of the daily challenge composition section
+ * (node count, focus mode, and enabled state and weight per type)
+ * @returns {string} Section content HTML
+ */
+function buildCompositionContent() {
+  const settings = getDailyCompositionSettings();
+
+  const focusHtml = settings.focus
+    ? `
+      <div class="parent-focus-banner">
+        <span>🎯 Fokus: ${getChallengeTypeInfo(settings.focus.type).icon} ${getChallengeTypeInfo(settings.focus.type).name}
+          bis ${formatShortDate(settings.focus.until)}</span>
+        <button class="btn-secondary parent-focus-stop">Beenden</button>
+      </div>
+    `
+    : `<p class="parent-hint">Mit 🎯 kommt eine Aufgabenart ${CONFIG.FOCUS_DURATION_DAYS} Tage lang besonders oft dran.</p>`;
+
+  const rows = settings.types.map(({ type, enabled, weight }) => {
+    const info = getChallengeTypeInfo(type);
+    const isFocus = settings.focus && settings.focus.type === type;
+    const weightOptions = PARENT_CONFIG.WEIGHT_OPTIONS.map(option =>
+      `<option value="${option.value}" ${option.value === weight ? 'selected' : ''}>${option.label}</option>`
+    ).join('');
+    return `
+      <div class="parent-type-row ${isFocus ? 'focus' : ''}">
+        <span class="parent-type-name">${info.icon} ${info.name}</span>
+        <select class="parent-type-weight" data-type="${type}" aria-label="Häufigkeit ${info.name}" ${enabled ? '' : 'disabled'}>
+          ${weightOptions}
+        </select>
+        <button class="profile-icon-button parent-focus-button" data-type="${type}" aria-label="Fokus auf ${info.name}"
+          ${isFocus ? 'disabled' : ''}>🎯</button>
+        <div class="audio-toggle-switch parent-type-toggle ${enabled ? 'active' : ''}" data-type="${type}"
+          role="switch" aria-checked="${enabled}" aria-label="${info.name}">
+          <div class="audio-toggle-knob"></div>
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <h2>🗓️ Tägliche Challenges</h2>
+    <p class="parent-hint">Änderungen gelten ab den nächsten Challenges.</p>
+    <div class="parent-count-row">
+      <span>Challenges pro Tag</span>
+      <div class="dev-setting-controls">
+        <button class="dev-btn-small parent-count-button" data-delta="-1"
+          ${settings.nodeCount <= CONFIG.MIN_DAILY_CHALLENGES ? 'disabled' : ''}>-</button>
+        <span class="dev-value">${settings.nodeCount}</span>
+        <button class="dev-btn-small parent-count-button" data-delta="1"
+          ${settings.nodeCount >= CONFIG.MAX_DAILY_CHALLENGES ? 'disabled' : ''}>+</button>
+      </div>
+    </div>
+    ${focusHtml}
+    <div class="parent-type-list">${rows}</div>
+    <p class="parent-pin-error parent-composition-error"></p>
+  `;
+}
+
+/**
+ * Render the daily challenge composition section and bind its controls
+ * The section re-renders itself after every change
+ * @param {HTMLElement} section - Section element
+ * @param {string} [errorMessage] - Error of the last change to show
+ */
+function renderCompositionSection(section, errorMessage = '') {
+  section.innerHTML = buildCompositionContent();
+  section.querySelector('.parent-composition-error').textContent = errorMessage;
+
+  const applyChange = (result) => {
+    renderCompositionSection(section, result.success ? '' : result.message);
+  };
+
+  section.querySelectorAll('.parent-count-button').forEach(button => {
+    button.addEventListener('click', () => {
+      const settings = getDailyCompositionSettings();
+      applyChange(setDailyChallengeCount(settings.nodeCount + parseInt(button.dataset.delta, 10)));
+    });
+  });
+
+  section.querySelectorAll('.parent-type-toggle').forEach(toggle => {
+    toggle.addEventListener('click', () => {
+      applyChange(setDailyChallengeTypeEnabled(toggle.dataset.type, !toggle.classList.contains('active')));
+    });
+  });
+
+  section.querySelectorAll('.parent-type-weight').forEach(select => {
+    select.addEventListener('change', () => {
+      applyChange(setDailyChallengeTypeWeight(select.dataset.type, parseFloat(select.value)));
+    });
+  });
+
+  section.querySelectorAll('.parent-focus-button').forEach(button => {
+    button.addEventListener('click', () => {
+      applyChange(startFocusMode(button.dataset.type));
+    });
+  });
+
+  const stopButton = section.querySelector('.parent-focus-stop');
+  if (stopButton) {
+    stopButton.addEventListener('click', () => {
+      applyChange(stopFocusMode());
+    });
+  }
+}
+
+/**
+ * Build the content of the rest days section (weekly rest days and date ranges)
+ * @returns {string} Section content HTML
+ */
+function buildRestDaysContent() {
+  const settings = getRestDaySettings();
+
+  const weekdayButtons = WEEKDAY_LABELS.map((label, weekday) => {
+    const isRest = settings.weekdays.includes(weekday);
+    return `<button class="parent-weekday-button ${isRest ? 'selected' : ''}" data-weekday="${weekday}"
+      aria-pressed="${isRest}">${label}</button>`;
+  }).join('');
+
+  const rangesHtml = settings.ranges.length > 0
+    ? `<div class="parent-type-list">${settings.ranges.map(range => `
+        <div class="parent-type-row">
+          <span class="parent-type-name">🛌 ${range.from === range.to
+            ? formatShortDate(range.from)
+            : `${formatShortDate(range.from)} – ${formatShortDate(range.to)}`}</span>
+          <button class="btn-secondary parent-rest-remove" data-from="${range.from}" data-to="${range.to}">Entfernen</button>
+        </div>
+      `).join('')}</div>`
+    : '<p class="parent-hint">Noch keine Ferien oder freien Tage eingetragen.</p>';
+
+  return `
+    <h2>🛌 Ruhetage</h2>
+    <p class="parent-hint">An Ruhetagen wird keine Challenge erwartet – der Streak friert nicht ein und geht nicht verloren.</p>
+    <h3 class="parent-subheading">Jede Woche</h3>
+    <div class="parent-weekday-row">${weekdayButtons}</div>
+    <h3 class="parent-subheading">Ferien und freie Tage</h3>
+    <div class="parent-rest-range-row">
+      <input type="date" class="parent-date-input" id="parent-rest-from" aria-label="Erster Ruhetag">
+      <span>bis</span>
+      <input type="date" class="parent-date-input" id="parent-rest-to" aria-label="Letzter Ruhetag">
+      <button class="btn-primary parent-rest-add">Hinzufügen</button>
+    </div>
+    ${rangesHtml}
+    <p class="parent-pin-error parent-rest-error"></p>
+  `;
+}
+
+/**
+ * Render the rest days section and bind its controls
+ * The section re-renders itself after every change
+ * @param {HTMLElement} section - Section element
+ * @param {string} [errorMessage] - Error of the last change to show
+ */
+function renderRestDaysSection(section, errorMessage = '') {
+  section.innerHTML = buildRestDaysContent();
+  section.querySelector('.parent-rest-error').textContent = errorMessage;
+
+  const applyChange = (result) => {
+    renderRestDaysSection(section, result.success ? '' : result.message);
+  };
+
+  section.querySelectorAll('.parent-weekday-button').forEach(button => {
+    button.addEventListener('click', () => {
+      applyChange(setRestWeekday(parseInt(button.dataset.weekday, 10), !button.classList.contains('selected')));
+    });
+  });
+
+  const fromInput = section.querySelector('#parent-rest-from');
+  const toInput = section.querySelector('#parent-rest-to');
+  fromInput.addEventListener('change', () => {
+    if (!toInput.value || toInput.value < fromInput.value) {
+      toInput.value = fromInput.value;
+    }
+  });
+
+  section.querySelector('.parent-rest-add').addEventListener('click', () => {
+    applyChange(addRestDateRange(fromInput.value, toInput.value || fromInput.value));
+  });
+
+  section.querySelectorAll('.parent-rest-remove').forEach(button => {
+    button.addEventListener('click', () => {
+      applyChange(removeRestDateRange(button.dataset.from, button.dataset.to));
+    });
+  });
+}
+
+/**
+ * Render the parent dashboard for the active profile
+ * Must only be shown after showParentPinPopup() unlocked it
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onBackClick - Callback when back button is clicked
+ */
+export function renderParentDashboard(container, onBackClick) {
+  const profile = getActiveProfile();
+  const title = profile ? `Elternbereich: ${profile.avatar} ${escapeHtml(profile.name)}` : 'Elternbereich';
+
+  container.innerHTML = `
+    <div class="stats-screen parent-dashboard">
+      <div class="stats-header">
+        <button class="stats-back-button" id="parent-back-button" aria-label="Zurück">←</button>
+        <h1>${title}</h1>
+        <div class="stats-header-spacer"></div>
+      </div>
+      ${buildPracticeSection()}
+      ${buildAccuracySection()}
+      ${buildOperationsSection()}
+      ${buildStreakHistorySection()}
+      <section class="stats-section" id="parent-composition-section"></section>
+      <section class="stats-section" id="parent-rest-days-section"></section>
+    </div>
+  `;
+
+  renderCompositionSection(container.querySelector('#parent-composition-section'));
+  renderRestDaysSection(container.querySelector('#parent-rest-days-section'));
+
+  const backButton = container.querySelector('#parent-back-button');
+  if (backButton && onBackClick) {
+    backButton.addEventListener('click', onBackClick);
+  }
+}
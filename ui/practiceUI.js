@@ -0,0 +1,88 @@
+// Kopfnuss - Practice UI Module
+// Setup screen of the free practice mode (pick a challenge type and a task count)
+
+import { DAILY_CHALLENGE_TYPES, getPracticeTaskCounts } from '../logic/challengeGenerator.js';
+import { getChallengeTypeInfo } from '../logic/statsManager.js';
+
+/**
+ * Render the free practice setup screen
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onBackClick - Callback when back button is clicked
+ * @param {Function} onStart - Called with (type, count) when the child starts practicing
+ */
+export function renderPracticeScreen(container, onBackClick, onStart) {
+  const counts = getPracticeTaskCounts();
+  let selectedType = DAILY_CHALLENGE_TYPES[0];
+  let selectedCount = counts[Math.floor((counts.length - 1) / 2)];
+
+  const typeButtonsHtml = DAILY_CHALLENGE_TYPES.map(type => {
+    const info = getChallengeTypeInfo(type);
+    return `
+      <button class="practice-type-button" data-type="${type}">
+        <span class="practice-type-icon">${info.icon}</span>
+        <span class="practice-type-name">${info.name}</span>
+      </button>
+    `;
+  }).join('');
+
+  const countButtonsHtml = counts
+    .map(count => `<button class="practice-count-button" data-count="${count}">${count}</button>`)
+    .join('');
+
+  container.innerHTML = `
+    <div class="stats-screen practice-screen">
+      <div class="stats-header">
+        <button class="stats-back-button" id="practice-back-button" aria-label="Zurück">←</button>
+        <h1>Freies Üben</h1>
+        <div class="stats-header-spacer"></div>
+      </div>
+      <section class="stats-section">
+        <h2>Was möchtest du üben?</h2>
+        <div class="practice-type-grid">${typeButtonsHtml}</div>
+      </section>
+      <section class="stats-section">
+        <h2>Wie viele Aufgaben?</h2>
+        <div class="practice-count-options">${countButtonsHtml}</div>
+      </section>
+      <button id="practice-start-button" class="btn-primary">Los geht's!</button>
+      <p class="practice-hint">Hier übst du ohne Diamanten und Streak – deine Ergebnisse landen in der Statistik.</p>
+    </div>
+  `;
+
+  const typeButtons = container.querySelectorAll('.practice-type-button');
+  const countButtons = container.querySelectorAll('.practice-count-button');
+
+  const updateSelection = () => {
+    typeButtons.forEach(button => {
+      button.classList.toggle('selected', button.dataset.type === selectedType);
+    });
+    countButtons.forEach(button => {
+      button.classList.toggle('selected', parseInt(button.dataset.count, 10) === selectedCount);
+    });
+  };
+
+  typeButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      selectedType = button.dataset.type;
+      updateSelection();
+    });
+  });
+
+  countButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      selectedCount = parseInt(button.dataset.count, 10);
+      updateSelection();
+    });
+  });
+
+  updateSelection();
+
+  container.querySelector('#practice-start-button').addEventListener('click', () => {
+    onStart(selectedType, selectedCount);
+  });
+
+  const backButton = container.querySelector('#practice-back-button');
+  if (backButton && onBackClick) {
+    backButton.addEventListener('click', onBackClick);
+  }
+}
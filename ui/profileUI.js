@@ -0,0 +1,287 @@
+// Kopfnuss - Profile UI Module
+// Startup profile picker and profile management popup (create, rename, delete, switch)
+
+import {
+  getProfiles,
+  getActiveProfile,
+  createProfile,
+  renameProfile,
+  deleteProfile
+} from '../logic/profileManager.js';
+import { PROFILE_CONFIG } from '../data/constants.js';
+
+/**
+ * Escape user-entered text (profile names) for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render the startup profile picker ("Wer rechnet heute?")
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onProfileSelected - Callback with the chosen profile id
+ */
+export function renderProfilePicker(container, onProfileSelected) {
+  const profiles = getProfiles();
+  const canCreate = profiles.length < PROFILE_CONFIG.MAX_PROFILES;
+
+  const profileCards = profiles.map(profile => `
+    <button class="profile-card" data-profile-id="${profile.id}">
+      <span class="profile-avatar">${profile.avatar}</span>
+      <span class="profile-name">${escapeHtml(profile.name)}</span>
+    </button>
+  `).join('');
+
+  const createCard = canCreate ? `
+    <button class="profile-card profile-card-new" id="profile-create-card">
+      <span class="profile-avatar">➕</span>
+      <span class="profile-name">Neues Profil</span>
+    </button>
+  ` : '';
+
+  container.innerHTML = `
+    <div class="profile-picker-screen">
+      <h1>Wer rechnet heute?</h1>
+      ${profiles.length === 0 ? '<p class="profile-picker-hint">Lege zuerst dein Profil an.</p>' : ''}
+      <div class="profile-grid">
+        ${profileCards}
+        ${createCard}
+      </div>
+    </div>
+  `;
+
+  container.querySelectorAll('.profile-card[data-profile-id]').forEach(card => {
+    card.addEventListener('click', () => {
+      onProfileSelected(card.dataset.profileId);
+    });
+  });
+
+  const createButton = container.querySelector('#profile-create-card');
+  if (createButton) {
+    createButton.addEventListener('click', () => {
+      showProfileFormPopup(null, (profile) => {
+        onProfileSelected(profile.id);
+      });
+    });
+  }
+}
+
+/**
+ * Show the profile management popup (opened from the settings)
+ * @param {Function} onActiveProfileChanged - Callback with the new active profile id (or null if
+ *   the active profile was deleted); the app must reload to load the other save data
+ */
+export function showProfileManagerPopup(onActiveProfileChanged) {
+  closeProfileManagerPopup();
+
+  const profiles = getProfiles();
+  const activeProfile = getActiveProfile();
+  const activeId = activeProfile ? activeProfile.id : null;
+  const canDelete = profiles.length > 1;
+  const canCreate = profiles.length < PROFILE_CONFIG.MAX_PROFILES;
+
+  const rows = profiles.map(profile => {
+    const isActive = profile.id === activeId;
+    return `
+      <div class="profile-row ${isActive ? 'active' : ''}">
+        <span class="profile-avatar">${profile.avatar}</span>
+        <span class="profile-name">${escapeHtml(profile.name)}</span>
+        <div class="profile-row-actions">
+          ${isActive
+            ? '<span class="profile-active-badge">Aktiv</span>'
+            : `<button class="btn-secondary profile-switch-button" data-profile-id="${profile.id}">Wechseln</button>`}
+          <button class="profile-icon-button profile-edit-button" data-profile-id="${profile.id}" aria-label="Profil bearbeiten">✏️</button>
+          ${canDelete ? `<button class="profile-icon-button profile-delete-button" data-profile-id="${profile.id}" aria-label="Profil löschen">🗑️</button>` : ''}
+        </div>
+      </div>
+    `;
+  }).join('');
+
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay profile-popup-overlay';
+  overlay.id = 'profile-manager-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card profile-popup-card';
+
+  popupCard.innerHTML = `
+    <h2>👤 Profile</h2>
+    <div class="profile-list">${rows}</div>
+    ${canCreate ? '<button id="profile-add-button" class="btn-settings"><span class="btn-icon">➕</span><span class="btn-text">Neues Profil</span></button>' : ''}
+    <button id="profile-manager-close-button" class="btn-secondary settings-close-button">Schließen</button>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  const findProfile = (profileId) => profiles.find(profile => profile.id === profileId);
+
+  popupCard.querySelectorAll('.profile-switch-button').forEach(button => {
+    button.addEventListener('click', () => {
+      closeProfileManagerPopup();
+      onActiveProfileChanged(button.dataset.profileId);
+    });
+  });
+
+  popupCard.querySelectorAll('.profile-edit-button').forEach(button => {
+    button.addEventListener('click', () => {
+      showProfileFormPopup(findProfile(button.dataset.profileId), () => {
+        showProfileManagerPopup(onActiveProfileChanged);
+      });
+    });
+  });
+
+  popupCard.querySelectorAll('.profile-delete-button').forEach(button => {
+    button.addEventListener('click', () => {
+      showDeleteProfileConfirmPopup(findProfile(button.dataset.profileId), (wasActive) => {
+        if (wasActive) {
+          closeProfileManagerPopup();
+          onActiveProfileChanged(null);
+        } else {
+          showProfileManagerPopup(onActiveProfileChanged);
+        }
+      });
+    });
+  });
+
+  const addButton = popupCard.querySelector('#profile-add-button');
+  if (addButton) {
+    addButton.addEventListener('click', () => {
+      showProfileFormPopup(null, () => {
+        showProfileManagerPopup(onActiveProfileChanged);
+      });
+    });
+  }
+
+  const closeButton = popupCard.querySelector('#profile-manager-close-button');
+  if (closeButton) {
+    closeButton.addEventListener('click', closeProfileManagerPopup);
+  }
+}
+
+/**
+ * Close the profile management popup
+ */
+function closeProfileManagerPopup() {
+  const overlay = document.getElementById('profile-manager-overlay');
+  if (overlay) {
+    overlay.remove();
+  }
+}
+
+/**
+ * Show the popup to create a profile or edit name and avatar of an existing one
+ * @param {Object|null} profile - Profile to edit, or null to create a new profile
+ * @param {Function} onSaved - Callback with the saved profile
+ */
+function showProfileFormPopup(profile, onSaved) {
+  let selectedAvatar = profile ? profile.avatar : PROFILE_CONFIG.AVATARS[0];
+
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay profile-form-overlay';
+  overlay.id = 'profile-form-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card profile-popup-card';
+
+  const avatarOptions = PROFILE_CONFIG.AVATARS.map(avatar => `
+    <button class="profile-avatar-option ${avatar === selectedAvatar ? 'selected' : ''}" data-avatar="${avatar}">${avatar}</button>
+  `).join('');
+
+  popupCard.innerHTML = `
+    <h2>${profile ? '✏️ Profil bearbeiten' : '➕ Neues Profil'}</h2>
+    <input type="text" id="profile-name-input" class="profile-name-input" placeholder="Dein Name"
+      maxlength="${PROFILE_CONFIG.MAX_NAME_LENGTH}" value="${profile ? escapeHtml(profile.name) : ''}" autocomplete="off">
+    <div class="profile-avatar-grid">${avatarOptions}</div>
+    <p id="profile-form-error" class="profile-form-error"></p>
+    <div class="confirmation-buttons">
+      <button id="profile-save-button" class="btn-primary">Speichern</button>
+      <button id="profile-cancel-button" class="btn-secondary">Abbrechen</button>
+    </div>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  const nameInput = popupCard.querySelector('#profile-name-input');
+  const errorElement = popupCard.querySelector('#profile-form-error');
+
+  popupCard.querySelectorAll('.profile-avatar-option').forEach(option => {
+    option.addEventListener('click', () => {
+      selectedAvatar = option.dataset.avatar;
+      popupCard.querySelectorAll('.profile-avatar-option').forEach(other => {
+        other.classList.toggle('selected', other === option);
+      });
+    });
+  });
+
+  const save = () => {
+    const result = profile
+      ? renameProfile(profile.id, nameInput.value, selectedAvatar)
+      : createProfile(nameInput.value, selectedAvatar);
+
+    if (!result.success) {
+      errorElement.textContent = result.message;
+      return;
+    }
+
+    overlay.remove();
+    onSaved(result.profile);
+  };
+
+  popupCard.querySelector('#profile-save-button').addEventListener('click', save);
+  popupCard.querySelector('#profile-cancel-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+  nameInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      save();
+    }
+  });
+  nameInput.focus();
+}
+
+/**
+ * Show the confirmation popup before deleting a profile
+ * @param {Object} profile - Profile to delete
+ * @param {Function} onDeleted - Callback with whether the deleted profile was the active one
+ */
+function showDeleteProfileConfirmPopup(profile, onDeleted) {
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay confirmation-popup-overlay';
+  overlay.id = 'profile-delete-confirm-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card confirmation-popup-card';
+
+  popupCard.innerHTML = `
+    <h2>⚠️ Profil löschen?</h2>
+    <p><strong>${profile.avatar} ${escapeHtml(profile.name)}</strong></p>
+    <p>Der gesamte Fortschritt dieses Profils (Streak, Diamanten, Hintergründe) wird gelöscht.</p>
+    <div class="confirmation-buttons">
+      <button id="profile-delete-confirm-button" class="btn-danger">Löschen</button>
+      <button id="profile-delete-cancel-button" class="btn-secondary">Abbrechen</button>
+    </div>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  popupCard.querySelector('#profile-delete-confirm-button').addEventListener('click', () => {
+    const result = deleteProfile(profile.id);
+    overlay.remove();
+    if (result.success) {
+      onDeleted(result.wasActive);
+    }
+  });
+  popupCard.querySelector('#profile-delete-cancel-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+}
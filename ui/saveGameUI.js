@@ -0,0 +1,190 @@
+// Kopfnuss - Save Game UI Module
+// Export download and import flow (file selection, validation, diff summary, confirmation)
+
+import {
+  createSaveGame,
+  getSaveGameFileName,
+  parseSaveGame,
+  getSaveGameDiff,
+  applySaveGame
+} from '../logic/saveGameManager.js';
+import { PROFILE_CONFIG } from '../data/constants.js';
+import { logError } from '../logic/logging.js';
+
+/**
+ * Escape user-entered text (profile names) for use in HTML
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Export the save data of the active profile as a JSON file download
+ * @returns {boolean} Success status
+ */
+export function exportSaveGameFile() {
+  try {
+    const saveGame = createSaveGame();
+    const blob = new Blob([JSON.stringify(saveGame, null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = getSaveGameFileName(saveGame);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Give the browser time to start the download before releasing the file
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+    return true;
+  } catch (error) {
+    logError('Error exporting save game:', error);
+    return false;
+  }
+}
+
+/**
+ * Let the user pick a save game file and import it after confirmation
+ * @param {Function} onImported - Callback after the data was replaced (the app must reload)
+ */
+export function startSaveGameImport(onImported) {
+  const input = document.createElement('input');
+  input.type = 'file';
+  input.accept = '.json,application/json';
+
+  input.addEventListener('change', () => {
+    const file = input.files && input.files[0];
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(text => {
+        const result = parseSaveGame(text);
+        if (result.valid) {
+          showSaveGameImportConfirmPopup(result.saveGame, onImported);
+        } else {
+          showSaveGameMessagePopup('❌ Import fehlgeschlagen', result.error);
+        }
+      })
+      .catch(error => {
+        logError('Error reading save game file:', error);
+        showSaveGameMessagePopup('❌ Import fehlgeschlagen', 'Die Datei konnte nicht gelesen werden');
+      });
+  });
+
+  input.click();
+}
+
+/**
+ * Build one row of the import diff table
+ * @param {string} label - Row label
+ * @param {number} current - Current value
+ * @param {number} imported - Value in the save game
+ * @returns {string} Row HTML
+ */
+function buildDiffRow(label, current, imported) {
+  const changeClass = imported > current ? 'increase' : imported < current ? 'decrease' : '';
+  return `
+    <tr>
+      <td>${label}</td>
+      <td>${current}</td>
+      <td class="save-game-diff-new ${changeClass}">${imported}</td>
+    </tr>
+  `;
+}
+
+/**
+ * Show the import confirmation popup with the diff summary
+ * @param {Object} saveGame - Validated save game document
+ * @param {Function} onImported - Callback after the data was replaced
+ */
+function showSaveGameImportConfirmPopup(saveGame, onImported) {
+  const diff = getSaveGameDiff(saveGame);
+  const exportedDate = new Date(saveGame.exportedAt).toLocaleDateString('de-DE');
+  // The avatar comes from the file, so only known avatars are shown
+  const avatar = saveGame.profile && PROFILE_CONFIG.AVATARS.includes(saveGame.profile.avatar)
+    ? `${saveGame.profile.avatar} `
+    : '';
+  const profileText = saveGame.profile
+    ? `${avatar}${escapeHtml(saveGame.profile.name)}, `
+    : '';
+
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay confirmation-popup-overlay';
+  overlay.id = 'save-game-import-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card confirmation-popup-card';
+
+  popupCard.innerHTML = `
+    <h2>📥 Spielstand laden?</h2>
+    <p class="save-game-source">${profileText}gespeichert am ${exportedDate}</p>
+    <table class="save-game-diff">
+      <thead>
+        <tr><th></th><th>Jetzt</th><th>Datei</th></tr>
+      </thead>
+      <tbody>
+        ${buildDiffRow('🔥 Streak', diff.current.streak, diff.imported.streak)}
+        ${buildDiffRow('💎 Diamanten', diff.current.diamonds, diff.imported.diamonds)}
+        ${buildDiffRow('🖼️ Hintergründe', diff.current.unlockedBackgrounds, diff.imported.unlockedBackgrounds)}
+      </tbody>
+    </table>
+    <p>Der aktuelle Fortschritt dieses Profils wird dabei ersetzt.</p>
+    <div class="confirmation-buttons">
+      <button id="confirm-import-button" class="btn-danger">Laden</button>
+      <button id="cancel-import-button" class="btn-secondary">Abbrechen</button>
+    </div>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  popupCard.querySelector('#confirm-import-button').addEventListener('click', async () => {
+    overlay.remove();
+    if (await applySaveGame(saveGame)) {
+      onImported();
+    } else {
+      showSaveGameMessagePopup('❌ Import fehlgeschlagen', 'Der Spielstand konnte nicht gespeichert werden. Dein bisheriger Fortschritt ist unverändert.');
+    }
+  });
+  popupCard.querySelector('#cancel-import-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+}
+
+/**
+ * Show a simple message popup for export/import results
+ * @param {string} title - Popup title
+ * @param {string} message - Message text
+ */
+function showSaveGameMessagePopup(title, message) {
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay confirmation-popup-overlay';
+  overlay.id = 'save-game-message-overlay';
+
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card confirmation-popup-card';
+
+  popupCard.innerHTML = `
+    <h2>${title}</h2>
+    <p>${escapeHtml(message)}</p>
+    <div class="confirmation-buttons">
+      <button id="save-game-message-ok-button" class="btn-primary">OK</button>
+    </div>
+  `;
+
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+
+  popupCard.querySelector('#save-game-message-ok-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+}
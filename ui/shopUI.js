@@ -27,6 +27,11 @@ import {
   markSeasonalBackgroundsSeen
 } from '../logic/eventManager.js';
 import { loadDiamonds } from '../logic/diamondManager.js';
+import {
+  PROTECTION_CURRENCY,
+  getStreakProtectionInfo,
+  buyStreakProtection
+} from '../logic/streakProtection.js';
 import { 
   saveSelectedBackground as saveSelectedBackgroundToStorage,
   markShopOpenedWithNewBackgrounds,
@@ -53,7 +58,7 @@ export function initShopUI() {
 /**
  * Show background shop popup with all available backgrounds
  * @param {string|null} scrollToBackgroundId - Optional background ID to scroll to and highlight
- * @param {string|null} initialTab - Optional tab to show initially ('standard', 'packs', 'seasonal')
+ * @param {string|null} initialTab - Optional tab to show initially ('standard', 'packs', 'seasonal', 'items')
  */
 export function showBackgroundShopPopup(scrollToBackgroundId = null, initialTab = null) {
   const backgrounds = getAllBackgrounds();
@@ -119,6 +124,9 @@ export function showBackgroundShopPopup(scrollToBackgroundId = null, initialTab
       <button class="shop-tab-button ${activeTab === 'seasonal' ? 'active' : ''}" data-tab="seasonal">
         Event${seasonalHasNew ? '<span class="tab-new-badge">NEU</span>' : ''}
       </button>
+      <button class="shop-tab-button ${activeTab === 'items' ? 'active' : ''}" data-tab="items">
+        Extras
+      </button>
     </div>
   `;
   
@@ -388,12 +396,19 @@ export function showBackgroundShopPopup(scrollToBackgroundId = null, initialTab
     </div>
   `;
   
+  const tabItemsHtml = `
+    <div class="shop-tab-content ${activeTab === 'items' ? 'active' : ''}" id="shopTabItems">
+      ${buildItemsTabHtml(diamonds, streakStones)}
+    </div>
+  `;
+  
   popupCard.innerHTML = `
     ${headerHtml}
     <div class="background-shop-content">
       ${tabStandardHtml}
       ${tabPacksHtml}
       ${tabSeasonalHtml}
+      ${tabItemsHtml}
     </div>
     <button id="close-background-shop" class="btn-secondary background-shop-close">Schließen</button>
   `;
@@ -459,6 +474,14 @@ export function showBackgroundShopPopup(scrollToBackgroundId = null, initialTab
     });
   });
   
+  // Add click handlers for Streak-Schutz buy buttons
+  const protectionBuyButtons = popupCard.querySelectorAll('.streak-protection-buy-button');
+  protectionBuyButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      handleStreakProtectionBuyClick(button.dataset.currency);
+    });
+  });
+  
   // Helper function to mark tab as seen and remove NEW badge
   function markTabAsSeen(tabName, buttonElement) {
     if (tabName === 'standard') {
@@ -570,7 +593,7 @@ export function closeBackgroundShopPopup() {
 
 /**
  * Get the currently active tab in the shop
- * @returns {string|null} The active tab name ('standard', 'packs', or 'seasonal'), or null if not found
+ * @returns {string|null} The active tab name ('standard', 'packs', 'seasonal' or 'items'), or null if not found
  */
 function getCurrentActiveTab() {
   const overlay = document.getElementById('background-shop-overlay');
@@ -1003,8 +1026,9 @@ function handlePackUnlockClick(packId, cost) {
  * Show popup when player doesn't have enough streak stones
  * @param {number} required - Required amount of streak stones
  * @param {number} current - Current amount of streak stones
+ * @param {string} purpose - What the stones are needed for (completes "um ... ")
  */
-function showInsufficientStreakStonesPopup(required, current) {
+function showInsufficientStreakStonesPopup(required, current, purpose = 'dieses Pack freizuschalten') {
   const overlay = document.createElement('div');
   overlay.className = 'popup-overlay insufficient-stones-overlay';
   overlay.id = 'insufficient-stones-overlay';
@@ -1020,7 +1044,7 @@ function showInsufficientStreakStonesPopup(required, current) {
       <span class="insufficient-stones-icon">♦️</span>
       <span class="insufficient-stones-text">${current} / ${required}</span>
     </div>
-    <p>Du brauchst noch <strong>${missing} Streak-Steine</strong>, um dieses Pack freizuschalten.</p>
+    <p>Du brauchst noch <strong>${missing} Streak-Steine</strong>, um ${purpose}.</p>
     <p>Streak-Steine erhältst du durch tägliche Streaks!</p>
     <button id="close-insufficient-stones" class="btn-secondary">OK</button>
   `;
@@ -1161,6 +1185,130 @@ function scrollToPackAfterUnlock(packId) {
   }
 }
 
+/**
+ * Build the Extras tab content (Streak-Schutz item)
+ * @param {number} diamonds - Current diamond count
+ * @param {number} streakStones - Current streak stone count
+ * @returns {string} Tab HTML
+ */
+function buildItemsTabHtml(diamonds, streakStones) {
+  const protection = getStreakProtectionInfo();
+  const isFull = protection.count >= protection.maxOwned;
+  const canAffordDiamonds = diamonds >= protection.costDiamonds;
+  const canAffordStones = streakStones >= protection.costStreakStones;
+  
+  const buildButton = (currency, label, canAfford) => {
+    const buttonClass = isFull || !canAfford
+      ? 'pack-unlock-button streak-protection-buy-button pack-unlock-button-disabled'
+      : 'pack-unlock-button streak-protection-buy-button';
+    return `<button class="btn-primary ${buttonClass}" data-currency="${currency}">${label}</button>`;
+  };
+  
+  return `
+    <div class="shop-items-section">
+      <div class="pack-container streak-protection-item">
+        <div class="pack-header">
+          <h3 class="pack-name">🛡️ Streak-Schutz</h3>
+          <p class="streak-protection-description">Verpasst du einen Tag, springt ein Streak-Schutz automatisch ein – dein Streak friert nicht ein. Pro verpasstem Tag wird einer gebraucht; reichen sie nicht für alle Tage, bleiben sie erhalten.</p>
+          <p class="streak-protection-owned">Im Besitz: <strong>${protection.count} / ${protection.maxOwned}</strong></p>
+          <div class="streak-protection-buttons">
+            ${buildButton(PROTECTION_CURRENCY.DIAMONDS, `💎 ${protection.costDiamonds} kaufen`, canAffordDiamonds)}
+            ${buildButton(PROTECTION_CURRENCY.STREAK_STONES, `♦️ ${protection.costStreakStones} kaufen`, canAffordStones)}
+          </div>
+        </div>
+      </div>
+    </div>
+  `;
+}
+
+/**
+ * Handle click on a Streak-Schutz buy button
+ * @param {string} currency - One of PROTECTION_CURRENCY
+ */
+function handleStreakProtectionBuyClick(currency) {
+  const protection = getStreakProtectionInfo();
+  
+  if (protection.count >= protection.maxOwned) {
+    return;
+  }
+  
+  if (currency === PROTECTION_CURRENCY.DIAMONDS && loadDiamonds() < protection.costDiamonds) {
+    showNotEnoughDiamondsHint();
+    return;
+  }
+  
+  const streakStones = loadStreakStones();
+  if (currency === PROTECTION_CURRENCY.STREAK_STONES && streakStones < protection.costStreakStones) {
+    showInsufficientStreakStonesPopup(protection.costStreakStones, streakStones, 'einen Streak-Schutz zu kaufen');
+    return;
+  }
+  
+  showStreakProtectionConfirmPopup(currency);
+}
+
+/**
+ * Show confirmation popup for buying a Streak-Schutz
+ * @param {string} currency - One of PROTECTION_CURRENCY
+ */
+function showStreakProtectionConfirmPopup(currency) {
+  const protection = getStreakProtectionInfo();
+  const costHtml = currency === PROTECTION_CURRENCY.DIAMONDS
+    ? `<span>💎</span><span>${protection.costDiamonds} Diamanten</span>`
+    : `<span>♦️</span><span>${protection.costStreakStones} Streak-Steine</span>`;
+  
+  const overlay = document.createElement('div');
+  overlay.className = 'popup-overlay background-confirm-overlay';
+  overlay.id = 'streak-protection-confirm-overlay';
+  
+  const popupCard = document.createElement('div');
+  popupCard.className = 'popup-card background-confirm-card';
+  
+  popupCard.innerHTML = `
+    <h2>Streak-Schutz kaufen?</h2>
+    <div class="streak-popup-icon">🛡️</div>
+    <div class="background-confirm-cost">
+      ${costHtml}
+    </div>
+    <p>Er schützt deinen Streak an einem verpassten Tag.</p>
+    <div class="background-confirm-buttons">
+      <button id="confirm-streak-protection-button" class="btn-primary">Kaufen</button>
+      <button id="cancel-streak-protection-button" class="btn-secondary">Abbrechen</button>
+    </div>
+  `;
+  
+  overlay.appendChild(popupCard);
+  document.body.appendChild(overlay);
+  
+  document.getElementById('confirm-streak-protection-button').addEventListener('click', () => {
+    overlay.remove();
+    executeStreakProtectionPurchase(currency);
+  });
+  
+  document.getElementById('cancel-streak-protection-button').addEventListener('click', () => {
+    overlay.remove();
+  });
+}
+
+/**
+ * Execute Streak-Schutz purchase
+ * @param {string} currency - One of PROTECTION_CURRENCY
+ */
+function executeStreakProtectionPurchase(currency) {
+  const result = buyStreakProtection(currency);
+  
+  if (result.success) {
+    updateHeaderDiamondsDisplay();
+    updateHeaderStreakStonesDisplay();
+    playBackgroundPurchased();
+    createConfettiEffect();
+    refreshShopUI('items');
+  } else if (result.notEnoughDiamonds) {
+    showNotEnoughDiamondsHint();
+  } else if (result.needsMoreStones) {
+    showInsufficientStreakStonesPopup(result.required, result.current, 'einen Streak-Schutz zu kaufen');
+  }
+}
+
 /**
  * Capitalize the first letter of a string
  * @param {string} str - The string to capitalize
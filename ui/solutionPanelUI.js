@@ -0,0 +1,64 @@
+// Kopfnuss - Solution Panel UI Module
+// Expandable "how to solve it" panel below the task feedback, shown after a wrong answer
+
+import { explainTask } from '../logic/solutionExplainer.js';
+
+/**
+ * Show the solution steps for a task below the task feedback (collapsed until tapped)
+ * A panel that is already shown for the same task is kept, so it stays open between attempts
+ * @param {Object} task - Task that was answered wrong
+ */
+export function showSolutionPanel(task) {
+  const feedbackElement = document.getElementById('task-feedback');
+  if (!feedbackElement) {
+    return;
+  }
+
+  const existingPanel = document.getElementById('solution-panel');
+  if (existingPanel) {
+    if (existingPanel.dataset.question === task.question) {
+      return;
+    }
+    existingPanel.remove();
+  }
+
+  const explanation = explainTask(task);
+  if (!explanation || explanation.steps.length === 0) {
+    return;
+  }
+
+  const panel = document.createElement('details');
+  panel.id = 'solution-panel';
+  panel.className = 'solution-panel';
+  panel.dataset.question = task.question;
+
+  const summary = document.createElement('summary');
+  summary.textContent = '💡 So kannst du rechnen';
+  panel.appendChild(summary);
+
+  const intro = document.createElement('p');
+  intro.className = 'solution-intro';
+  intro.textContent = explanation.intro;
+  panel.appendChild(intro);
+
+  const stepList = document.createElement('ol');
+  stepList.className = 'solution-steps';
+  explanation.steps.forEach(step => {
+    const item = document.createElement('li');
+    item.textContent = step;
+    stepList.appendChild(item);
+  });
+  panel.appendChild(stepList);
+
+  feedbackElement.insertAdjacentElement('afterend', panel);
+}
+
+/**
+ * Remove the solution panel (when the next task is displayed)
+ */
+export function hideSolutionPanel() {
+  const panel = document.getElementById('solution-panel');
+  if (panel) {
+    panel.remove();
+  }
+}
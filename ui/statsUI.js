@@ -0,0 +1,306 @@
+// Kopfnuss - Stats UI Module
+// Renders the statistics screen (streak, calendar, diamonds, performance, history)
+
+import {
+  getStreakStats,
+  getActivityCalendar,
+  getDiamondTimeline,
+  getPerformanceByType,
+  getRecentChallenges
+} from '../logic/statsManager.js';
+import { getMasteryGrid, MASTERED_THRESHOLD } from '../logic/timesTableMastery.js';
+import { getWeekdayIndex } from '../logic/dateService.js';
+import { renderBarChart, renderLineChart } from './svgCharts.js';
+
+/**
+ * Number of days shown in the streak calendar (5 full weeks)
+ */
+const CALENDAR_DAYS = 35;
+
+/**
+ * Number of days shown in the diamond and progress charts
+ */
+const CHART_DAYS = 30;
+
+/**
+ * Number of entries in the recent challenge history
+ */
+const HISTORY_LIMIT = 10;
+
+/**
+ * Weekday labels (Monday first)
+ */
+const WEEKDAY_LABELS = ['Mo', 'Di', 'Mi', 'Do', 'Fr', 'Sa', 'So'];
+
+/**
+ * Calendar labels of the streak log day statuses that are highlighted (active and rest days have their own style)
+ */
+const STREAK_STATUS_LABELS = {
+  frozen: '🧊 eingefroren',
+  protected: '🛡️ Streak-Schutz',
+  rescued: '💎 gerettet',
+  restored: '💎 zurückgeholt',
+  lost: '💔 Streak verloren'
+};
+
+/**
+ * Format a date string as short German date (e.g. "24.12.")
+ * @param {string} date - Date string (YYYY-MM-DD)
+ * @returns {string} Formatted date
+ */
+function formatShortDate(date) {
+  const [, month, day] = date.split('-');
+  return `${parseInt(day, 10)}.${parseInt(month, 10)}.`;
+}
+
+/**
+ * Build the legend of the highlighted streak statuses shown in the calendar
+ * @param {Array} calendar - Days from getActivityCalendar()
+ * @returns {string} Legend HTML (empty if no day is highlighted)
+ */
+function buildStreakStatusLegend(calendar) {
+  const statuses = Object.keys(STREAK_STATUS_LABELS).filter(status => calendar.some(day => day.streakStatus === status));
+  if (statuses.length === 0) {
+    return '';
+  }
+
+  return `
+    <div class="stats-calendar-legend">
+      ${statuses.map(status => `<span><i class="stats-calendar-swatch streak-${status}"></i>${STREAK_STATUS_LABELS[status]}</span>`).join('')}
+    </div>
+  `;
+}
+
+/**
+ * Build the streak section (current/longest streak and calendar)
+ * @returns {string} Section HTML
+ */
+function buildStreakSection() {
+  const streakStats = getStreakStats();
+  const calendar = getActivityCalendar(CALENDAR_DAYS);
+
+  // Leading empty cells so the first day lands in its weekday column
+  const leadingCells = '<div class="stats-calendar-day empty"></div>'.repeat(getWeekdayIndex(calendar[0].date));
+  const dayCells = calendar.map(day => {
+    const classes = ['stats-calendar-day'];
+    if (day.active) classes.push('active');
+    if (day.isRestDay) classes.push('rest');
+    if (day.isToday) classes.push('today');
+    const statusLabel = STREAK_STATUS_LABELS[day.streakStatus];
+    if (statusLabel) classes.push(`streak-${day.streakStatus}`);
+    const restText = day.isRestDay ? ' · Ruhetag' : '';
+    const statusText = statusLabel ? ` · ${statusLabel}` : '';
+    const title = `${formatShortDate(day.date)}: ${day.challengesCompleted} Challenges, ${day.tasksSolved} Aufgaben${restText}${statusText}`;
+    return `<div class="${classes.join(' ')}" title="${title}">${parseInt(day.date.split('-')[2], 10)}</div>`;
+  }).join('');
+
+  return `
+    <section class="stats-section">
+      <h2>🔥 Streak</h2>
+      <div class="stats-cards">
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.currentStreak}${streakStats.isFrozen ? ' 🧊' : ''}</span>
+          <span class="stats-card-label">Aktuell</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.longestStreak}</span>
+          <span class="stats-card-label">Rekord</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${streakStats.totalTasksCompleted}</span>
+          <span class="stats-card-label">Aufgaben</span>
+        </div>
+      </div>
+      <div class="stats-calendar">
+        ${WEEKDAY_LABELS.map(label => `<div class="stats-calendar-weekday">${label}</div>`).join('')}
+        ${leadingCells}
+        ${dayCells}
+      </div>
+      ${calendar.some(day => day.isRestDay) ? '<p class="stats-calendar-hint">🛌 Gestreifte Tage sind Ruhetage – sie unterbrechen deinen Streak nicht.</p>' : ''}
+      ${buildStreakStatusLegend(calendar)}
+    </section>
+  `;
+}
+
+/**
+ * Build the diamond section (balance, totals and earned/spent chart)
+ * @returns {string} Section HTML
+ */
+function buildDiamondSection() {
+  const diamonds = getDiamondTimeline(CHART_DAYS);
+  const hasActivity = diamonds.timeline.some(day => day.earned > 0 || day.spent > 0);
+
+  const chartHtml = hasActivity
+    ? renderBarChart([
+      { values: diamonds.timeline.map(day => day.earned), color: '#4CAF50', label: 'verdient' },
+      { values: diamonds.timeline.map(day => day.spent), color: '#F28C28', label: 'ausgegeben' }
+    ], {
+      labels: diamonds.timeline.map(day => formatShortDate(day.date)),
+      ariaLabel: `Diamanten der letzten ${CHART_DAYS} Tage`
+    })
+    : '<p class="stats-empty">Noch keine Diamanten-Bewegungen.</p>';
+
+  return `
+    <section class="stats-section">
+      <h2>💎 Diamanten</h2>
+      <div class="stats-cards">
+        <div class="stats-card">
+          <span class="stats-card-value">${diamonds.current}</span>
+          <span class="stats-card-label">Aktuell</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${diamonds.totalEarned}</span>
+          <span class="stats-card-label">Verdient</span>
+        </div>
+        <div class="stats-card">
+          <span class="stats-card-value">${diamonds.totalSpent}</span>
+          <span class="stats-card-label">Ausgegeben</span>
+        </div>
+      </div>
+      ${chartHtml}
+      <div class="stats-legend">
+        <span class="stats-legend-item earned">verdient</span>
+        <span class="stats-legend-item spent">ausgegeben</span>
+      </div>
+    </section>
+  `;
+}
+
+/**
+ * Build the performance section (success rate and answer time per challenge type)
+ * @returns {string} Section HTML
+ */
+function buildPerformanceSection() {
+  const performance = getPerformanceByType();
+
+  if (performance.length === 0) {
+    return `
+      <section class="stats-section">
+        <h2>📈 Leistung</h2>
+        <p class="stats-empty">Noch keine Daten – löse ein paar Aufgaben!</p>
+      </section>
+    `;
+  }
+
+  const rows = performance.map(entry => {
+    const percent = Math.round(entry.successRate * 100);
+    const seconds = (entry.avgTimeMs / 1000).toFixed(1).replace('.', ',');
+    const levelHtml = entry.level !== null
+      ? `<span class="stats-performance-level">Stufe ${entry.level}/${entry.maxLevel}</span>`
+      : '';
+    return `
+      <div class="stats-performance-row">
+        <div class="stats-performance-name">
+          <span class="stats-performance-icon">${entry.icon}</span>
+          <span>${entry.name}</span>
+          ${levelHtml}
+        </div>
+        <div class="stats-performance-bar" title="${entry.correct} von ${entry.attempts} Antworten richtig">
+          <div class="stats-performance-fill" style="width: ${percent}%;"></div>
+        </div>
+        <div class="stats-performance-values">${percent}% · ⌀ ${seconds} s</div>
+      </div>
+    `;
+  }).join('');
+
+  return `
+    <section class="stats-section">
+      <h2>📈 Leistung</h2>
+      <div class="stats-performance">${rows}</div>
+    </section>
+  `;
+}
+
+/**
+ * Build the history section (tasks per day chart and recent challenges)
+ * @returns {string} Section HTML
+ */
+function buildHistorySection() {
+  const activity = getActivityCalendar(CHART_DAYS);
+  const recent = getRecentChallenges(HISTORY_LIMIT);
+
+  const chartHtml = activity.some(day => day.tasksSolved > 0)
+    ? renderLineChart(activity.map(day => day.tasksSolved), {
+      labels: activity.map(day => formatShortDate(day.date)),
+      unit: 'Aufgaben',
+      ariaLabel: `Gelöste Aufgaben der letzten ${CHART_DAYS} Tage`
+    })
+    : '';
+
+  const resultLabels = {
+    success: '⭐',
+    failed: '✗',
+    timeout: '⏰',
+    completed: '✓'
+  };
+
+  const listHtml = recent.length > 0
+    ? `<ul class="stats-history-list">${recent.map(entry => `
+        <li class="stats-history-item">
+          <span class="stats-history-icon">${entry.icon}</span>
+          <span class="stats-history-name">${entry.name}${entry.isSuperChallenge ? ' ✨' : ''}</span>
+          <span class="stats-history-errors">${entry.errors} Fehler</span>
+          <span class="stats-history-date">${formatShortDate(entry.date)}</span>
+          <span class="stats-history-result">${resultLabels[entry.result] || '✓'}</span>
+        </li>
+      `).join('')}</ul>`
+    : '<p class="stats-empty">Noch keine abgeschlossenen Challenges.</p>';
+
+  return `
+    <section class="stats-section">
+      <h2>🕑 Verlauf</h2>
+      ${chartHtml}
+      ${listHtml}
+    </section>
+  `;
+}
+
+/**
+ * Build the Einmaleins section (mastered facts and a button to the heat map)
+ * @returns {string} Section HTML
+ */
+function buildTimesTableSection() {
+  const cells = Object.values(getMasteryGrid());
+  const masteredCount = cells.filter(cell => cell.mastery !== null && cell.mastery >= MASTERED_THRESHOLD).length;
+
+  return `
+    <section class="stats-section">
+      <h2>🔢 Einmaleins</h2>
+      <p class="stats-times-table-summary">${masteredCount} von ${cells.length} Aufgaben sitzen sicher.</p>
+      <button class="btn-primary" id="stats-times-table-button">Einmaleins-Übersicht</button>
+    </section>
+  `;
+}
+
+/**
+ * Render the statistics screen
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onBackClick - Callback when back button is clicked
+ * @param {Function} onTimesTableClick - Callback when the Einmaleins overview is opened
+ */
+export function renderStatsScreen(container, onBackClick, onTimesTableClick) {
+  container.innerHTML = `
+    <div class="stats-screen">
+      <div class="stats-header">
+        <button class="stats-back-button" id="stats-back-button" aria-label="Zurück">←</button>
+        <h1>Deine Statistiken</h1>
+        <div class="stats-header-spacer"></div>
+      </div>
+      ${buildStreakSection()}
+      ${buildDiamondSection()}
+      ${buildPerformanceSection()}
+      ${buildTimesTableSection()}
+      ${buildHistorySection()}
+    </div>
+  `;
+
+  const timesTableButton = container.querySelector('#stats-times-table-button');
+  if (timesTableButton && onTimesTableClick) {
+    timesTableButton.addEventListener('click', onTimesTableClick);
+  }
+
+  const backButton = container.querySelector('#stats-back-button');
+  if (backButton && onBackClick) {
+    backButton.addEventListener('click', onBackClick);
+  }
+}
@@ -0,0 +1,121 @@
+// Kopfnuss - SVG Charts
+// Lightweight inline SVG charts (bar and line) rendered as HTML strings, no external library
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Round a coordinate to one decimal place to keep the markup short
+ * @param {number} value - Coordinate
+ * @returns {number} Rounded coordinate
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Render a grouped bar chart
+ * @param {Array} series - Data series ({values: number[], color: string, label: string})
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.width=320] - ViewBox width
+ * @param {number} [options.height=120] - ViewBox height
+ * @param {string[]} [options.labels] - Label per bar group (used for hover titles)
+ * @param {string} [options.ariaLabel] - Accessible chart description
+ * @returns {string} SVG markup
+ */
+export function renderBarChart(series, options = {}) {
+  const { width = 320, height = 120, labels = [], ariaLabel = '' } = options;
+  const padding = 4;
+  const groupCount = Math.max(0, ...series.map(s => s.values.length));
+  const maxValue = Math.max(1, ...series.flatMap(s => s.values));
+
+  if (groupCount === 0) {
+    return '';
+  }
+
+  const slotWidth = (width - padding * 2) / groupCount;
+  const barWidth = (slotWidth * 0.8) / series.length;
+  const chartHeight = height - padding * 2;
+  let bars = '';
+
+  for (let i = 0; i < groupCount; i++) {
+    series.forEach((s, seriesIndex) => {
+      const value = s.values[i] || 0;
+      if (value <= 0) return;
+      const barHeight = Math.max(1, (value / maxValue) * chartHeight);
+      const x = padding + i * slotWidth + slotWidth * 0.1 + seriesIndex * barWidth;
+      const y = height - padding - barHeight;
+      const title = `${labels[i] ? labels[i] + ': ' : ''}${value} ${s.label}`;
+      bars += `<rect x="${round(x)}" y="${round(y)}" width="${round(barWidth)}" height="${round(barHeight)}" rx="1.5" fill="${s.color}"><title>${escapeText(title)}</title></rect>`;
+    });
+  }
+
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeText(ariaLabel)}">
+      <line x1="${padding}" y1="${height - padding}" x2="${width - padding}" y2="${height - padding}" class="stats-chart-axis"/>
+      ${bars}
+    </svg>
+  `;
+}
+
+/**
+ * Render a line chart with a filled area below the line
+ * @param {number[]} values - Data points
+ * @param {Object} [options] - Chart options
+ * @param {number} [options.width=320] - ViewBox width
+ * @param {number} [options.height=100] - ViewBox height
+ * @param {string} [options.color] - Line color
+ * @param {string[]} [options.labels] - Label per point (used for hover titles)
+ * @param {string} [options.unit] - Unit shown in hover titles
+ * @param {string} [options.ariaLabel] - Accessible chart description
+ * @returns {string} SVG markup
+ */
+export function renderLineChart(values, options = {}) {
+  const {
+    width = 320,
+    height = 100,
+    color = '#1E6BB8',
+    labels = [],
+    unit = '',
+    ariaLabel = ''
+  } = options;
+  const padding = 6;
+
+  if (values.length === 0) {
+    return '';
+  }
+
+  const maxValue = Math.max(1, ...values);
+  const stepX = values.length > 1 ? (width - padding * 2) / (values.length - 1) : 0;
+  const points = values.map((value, i) => ({
+    x: round(padding + i * stepX),
+    y: round(height - padding - (value / maxValue) * (height - padding * 2)),
+    value
+  }));
+
+  const line = points.map(p => `${p.x},${p.y}`).join(' ');
+  const baseline = height - padding;
+  const area = `M${points[0].x},${baseline} L${line.replace(/ /g, ' L')} L${points[points.length - 1].x},${baseline} Z`;
+  const dots = points.map((p, i) =>
+    `<circle cx="${p.x}" cy="${p.y}" r="2.5" fill="${color}"><title>${escapeText(`${labels[i] ? labels[i] + ': ' : ''}${p.value} ${unit}`)}</title></circle>`
+  ).join('');
+
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeText(ariaLabel)}">
+      <line x1="${padding}" y1="${baseline}" x2="${width - padding}" y2="${baseline}" class="stats-chart-axis"/>
+      <path d="${area}" fill="${color}" fill-opacity="0.15"/>
+      <polyline points="${line}" fill="none" stroke="${color}" stroke-width="2" stroke-linejoin="round"/>
+      ${dots}
+    </svg>
+  `;
+}
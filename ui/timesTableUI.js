@@ -0,0 +1,139 @@
+// Kopfnuss - Times Table UI Module
+// Heat map of the Einmaleins mastery grid (1×1 to 20×20) with details for a tapped fact
+
+import {
+  TIMES_TABLE_SIZE,
+  MASTERED_THRESHOLD,
+  getMasteryGrid,
+  getMasteryCell,
+  getWeakestFacts
+} from '../logic/timesTableMastery.js';
+
+/**
+ * Number of weakest facts listed below the grid
+ */
+const WEAKEST_LIMIT = 5;
+
+/**
+ * Get the heat map color of a mastery value (red = unknown, green = mastered)
+ * @param {number} mastery - Mastery between 0 and 1
+ * @returns {string} CSS color
+ */
+function getMasteryColor(mastery) {
+  return `hsl(${Math.round(mastery * 120)}, 65%, 55%)`;
+}
+
+/**
+ * Describe a fact for the detail line below the grid
+ * @param {Object} cell - Mastery cell
+ * @returns {string} Detail text
+ */
+function describeCell(cell) {
+  const fact = `${cell.a} × ${cell.b} = ${cell.a * cell.b}`;
+  if (cell.mastery === null) {
+    return `${fact} · noch nicht geübt`;
+  }
+
+  const speed = cell.avgSeconds === null
+    ? ''
+    : ` · Ø ${cell.avgSeconds.toFixed(1).replace('.', ',')} s`;
+  return `${fact} · ${cell.correct} von ${cell.attempts} richtig${speed}`;
+}
+
+/**
+ * Build the heat map grid (header row and column with the factors)
+ * @param {Object} grid - Grid from getMasteryGrid()
+ * @returns {string} Grid HTML
+ */
+function buildGridHtml(grid) {
+  const factors = Array.from({ length: TIMES_TABLE_SIZE }, (_, index) => index + 1);
+  const headerRow = factors.map(factor => `<div class="times-table-label">${factor}</div>`).join('');
+
+  const rows = factors.map(row => {
+    const cells = factors.map(column => {
+      const cell = getMasteryCell(grid, row, column);
+      const style = cell.mastery === null ? '' : ` style="background: ${getMasteryColor(cell.mastery)}"`;
+      const classes = cell.mastery === null ? 'times-table-cell unseen' : 'times-table-cell';
+      return `<button class="${classes}" data-a="${row}" data-b="${column}"${style} aria-label="${row} × ${column}"></button>`;
+    }).join('');
+    return `<div class="times-table-label">${row}</div>${cells}`;
+  }).join('');
+
+  return `
+    <div class="times-table-grid">
+      <div class="times-table-label corner">×</div>
+      ${headerRow}
+      ${rows}
+    </div>
+  `;
+}
+
+/**
+ * Render the Einmaleins heat map screen
+ * @param {HTMLElement} container - Container element
+ * @param {Function} onBackClick - Callback when back button is clicked
+ */
+export function renderTimesTableScreen(container, onBackClick) {
+  const grid = getMasteryGrid();
+  const cells = Object.values(grid);
+  const practicedCount = cells.filter(cell => cell.mastery !== null).length;
+  const masteredCount = cells.filter(cell => cell.mastery !== null && cell.mastery >= MASTERED_THRESHOLD).length;
+  const weakest = getWeakestFacts(WEAKEST_LIMIT).filter(cell => cell.mastery < MASTERED_THRESHOLD);
+
+  const weakestHtml = weakest.length > 0
+    ? `<div class="times-table-weakest">${weakest.map(cell => `<span class="times-table-chip">${cell.a} × ${cell.b}</span>`).join('')}</div>`
+    : '<p class="stats-empty">Keine wackeligen Aufgaben – super!</p>';
+
+  container.innerHTML = `
+    <div class="stats-screen times-table-screen">
+      <div class="stats-header">
+        <button class="stats-back-button" id="times-table-back-button" aria-label="Zurück">←</button>
+        <h1>Einmaleins</h1>
+        <div class="stats-header-spacer"></div>
+      </div>
+      <section class="stats-section">
+        <div class="stats-cards">
+          <div class="stats-card">
+            <span class="stats-card-value">${masteredCount}</span>
+            <span class="stats-card-label">Sicher</span>
+          </div>
+          <div class="stats-card">
+            <span class="stats-card-value">${practicedCount}</span>
+            <span class="stats-card-label">Geübt</span>
+          </div>
+          <div class="stats-card">
+            <span class="stats-card-value">${cells.length}</span>
+            <span class="stats-card-label">Aufgaben</span>
+          </div>
+        </div>
+        ${buildGridHtml(grid)}
+        <p class="times-table-detail" id="times-table-detail">Tippe auf ein Feld, um Details zu sehen.</p>
+        <div class="times-table-legend">
+          <span><i class="times-table-swatch unseen"></i>nicht geübt</span>
+          <span><i class="times-table-swatch" style="background: ${getMasteryColor(0)}"></i>unsicher</span>
+          <span><i class="times-table-swatch" style="background: ${getMasteryColor(1)}"></i>sicher</span>
+        </div>
+      </section>
+      <section class="stats-section">
+        <h2>Am wackeligsten</h2>
+        ${weakestHtml}
+        <p class="practice-hint">Die Einmaleins-Challenge fragt diese Aufgaben (und die passenden Geteilt-Aufgaben) häufiger ab.</p>
+      </section>
+    </div>
+  `;
+
+  const detail = container.querySelector('#times-table-detail');
+  container.querySelectorAll('.times-table-cell').forEach(button => {
+    button.addEventListener('click', () => {
+      container.querySelectorAll('.times-table-cell.selected').forEach(selected => selected.classList.remove('selected'));
+      button.classList.add('selected');
+      const cell = getMasteryCell(grid, parseInt(button.dataset.a, 10), parseInt(button.dataset.b, 10));
+      detail.textContent = describeCell(cell);
+    });
+  });
+
+  const backButton = container.querySelector('#times-table-back-button');
+  if (backButton && onBackClick) {
+    backButton.addEventListener('click', onBackClick);
+  }
+}
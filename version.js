@@ -9,9 +9,9 @@
  * - PATCH: Bug fixes
  */
 export const VERSION = {
-  major: 1,
-  minor: 30,
-  patch: 6,
+  major: 2,
+  minor: 0,
+  patch: 0,
   get string() {
     return `${this.major}.${this.minor}.${this.patch}`;
   },
@@ -23,7 +23,7 @@ export const VERSION = {
 /**
  * Release date
  */
-export const RELEASE_DATE = '2025-12-14';
+export const RELEASE_DATE = '2026-10-19';
 
 /**
  * Build information